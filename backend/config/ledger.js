@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const prisma = require('./database');
+const { parseAmount, toBaseUnits } = require('../../shared/money');
+const { NATIVE_TOKEN, findTokenByAddress } = require('./tokens');
+const {
+  TRANSACTION_TYPE,
+  TRANSACTION_STATUS,
+  recordTransaction,
+  updateTransactionStatus,
+  markTransactionFailed
+} = require('../models/bountyTransactionModel');
+
+// Local in-process chain used instead of Radius when PAYMENT_PROVIDER=ledger.
+// Balances live in memory and start over when the server restarts: every address holds
+// LEDGER_INITIAL_BALANCE tokens the first time it is seen, and transfers move funds
+// between addresses the same way Radius would, failing when the sender has too little.
+// Transaction hashes are derived from the transfer and its position in the ledger,
+// so the same sequence of transfers always produces the same hashes.
+// ERC-20 tokens from BOUNTY_TOKENS have balances of their own, which start the same way.
+// Escrow contracts are simulated with the rules of contracts/BountyEscrow.sol: funds
+// leave a contract only to its beneficiary, or back to a funder up to what they deposited.
+// A transfer sent without waiting for confirmation (confirm: false) moves the funds at once
+// but reads as PENDING until it is first looked up, as if it was mined in the meantime.
+
+// Balance every address starts with in the native coin and in each token, in tokens
+const LEDGER_INITIAL_BALANCE = process.env.LEDGER_INITIAL_BALANCE || '1000';
+
+// Escrow account of the local ledger (any address works, the ledger has no keys)
+const LEDGER_ESCROW_ADDRESS = (process.env.RADIUS_ESCROW_ADDRESS || '0x00000000000000000000000000000000000e5c20').toLowerCase();
+
+// Beneficiary recorded for an escrow contract that may pay nobody
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Balances in base units keyed by token and lowercase address, and transfers keyed by hash
+const balances = new Map();
+const transactions = new Map();
+let blockNumber = 0;
+
+// Escrow contracts keyed by lowercase address: { token, beneficiary, deposits, refunds }
+const contracts = new Map();
+
+// Read an amount in base units, like the Radius adapter
+function positiveAmount(amount) {
+  const amountInWei = toBaseUnits(amount);
+  if (amountInWei <= 0n) {
+    throw new Error(`Invalid amount: ${amount}. Must be a positive number of base units.`);
+  }
+  return amountInWei;
+}
+
+// Key of an address's balance of a token (null for the native coin)
+function balanceKey(address, token) {
+  return token ? `${token.toLowerCase()}:${address.toLowerCase()}` : address.toLowerCase();
+}
+
+function balanceOf(address, token = null) {
+  const key = balanceKey(address, token);
+  if (!balances.has(key)) {
+    const decimals = (findTokenByAddress(token) || NATIVE_TOKEN).decimals;
+    balances.set(key, parseAmount(LEDGER_INITIAL_BALANCE, decimals));
+  }
+  return balances.get(key);
+}
+
+// Hash of a transaction, derived from its block and contents
+function txHashOf(block, from, to, amountInWei, description, token) {
+  return '0x' + crypto.createHash('sha256').update(`${block}:${token || ''}:${from}:${to}:${description || amountInWei}`).digest('hex');
+}
+
+// Reserve the hash of a transfer before it is sent, as a signed Radius transaction has its hash
+// before it reaches the node
+function reserveTxHash(fromAddress, toAddress, amountInWei, token = null) {
+  blockNumber++;
+  return txHashOf(blockNumber, fromAddress.toLowerCase(), toAddress.toLowerCase(), amountInWei, 'reserved', token);
+}
+
+// Add a transaction to the ledger, under its reserved hash if it has one
+function mine(from, to, amountInWei, description, status = TRANSACTION_STATUS.CONFIRMED, token = null, reservedHash = null) {
+  blockNumber++;
+  const txHash = reservedHash || txHashOf(blockNumber, from, to, amountInWei, description, token);
+  const tx = { txHash, from, to, token, amount: amountInWei, status, blockNumber };
+  transactions.set(txHash, tx);
+  return tx;
+}
+
+// Status a transfer is recorded with: PENDING when the caller does not wait for confirmation
+function sentStatus(options) {
+  return options.confirm === false ? TRANSACTION_STATUS.PENDING : TRANSACTION_STATUS.CONFIRMED;
+}
+
+// Move funds of the native coin, or of the token at tokenAddress, between two addresses and return the transfer
+function transfer(fromAddress, toAddress, amountInWei, status, tokenAddress = null, reservedHash = null) {
+  const from = fromAddress.toLowerCase();
+  const to = toAddress.toLowerCase();
+  const token = tokenAddress ? tokenAddress.toLowerCase() : null;
+  const available = balanceOf(from, token);
+  if (available < amountInWei) {
+    throw new Error(`Insufficient funds: ${from} has ${available} base units, ${amountInWei} needed`);
+  }
+
+  balances.set(balanceKey(from, token), available - amountInWei);
+  balances.set(balanceKey(to, token), balanceOf(to, token) + amountInWei);
+  const tx = mine(from, to, amountInWei, null, status, token, reservedHash);
+  console.log(`Ledger transfer ${tx.txHash}: ${amountInWei} base units${token ? ` of token ${token}` : ''} from ${from} to ${to} (block ${blockNumber})`);
+  return tx;
+}
+
+function escrowContract(escrowAddress) {
+  const contract = contracts.get(escrowAddress.toLowerCase());
+  if (!contract) {
+    throw new Error(`No escrow contract at ${escrowAddress}`);
+  }
+  return contract;
+}
+
+// Address of a wallet; the funding wallet must belong to the user
+async function walletAddress(walletId, userId = null) {
+  const wallet = await prisma.wallet.findUnique({
+    where: { id: parseInt(walletId) }
+  });
+  if (!wallet) {
+    throw new Error(`Wallet with ID ${walletId} not found`);
+  }
+  if (userId !== null && wallet.userId !== userId) {
+    throw new Error('Unauthorized access to wallet');
+  }
+  return wallet.publicKey;
+}
+
+// Deploy an empty escrow contract for the native coin or the token at tokenAddress, with the
+// ledger's escrow account as its arbiter
+async function createEscrowContract(tokenAddress = null) {
+  const address = '0x' + crypto.createHash('sha256').update(`contract:${contracts.size + 1}`).digest('hex').substring(0, 40);
+  const token = tokenAddress ? tokenAddress.toLowerCase() : null;
+  contracts.set(address, { token, beneficiary: null, deposits: new Map(), refunds: new Map() });
+  balances.set(address, 0n);
+  if (token) {
+    balances.set(balanceKey(address, token), 0n);
+  }
+
+  const tx = mine(LEDGER_ESCROW_ADDRESS, null, 0n, `deploy:${address}`);
+  console.log(`Ledger escrow contract deployed at ${address} (${tx.txHash})`);
+  return address;
+}
+
+// Name the wallet an escrow contract may pay, or none, recorded in the ledger like the
+// Radius adapter does (options.bountyId is stored on the entry)
+async function setEscrowBeneficiary(escrowAddress, walletId, options = {}) {
+  const contract = escrowContract(escrowAddress);
+  const beneficiary = walletId ? (await walletAddress(walletId)).toLowerCase() : null;
+  if (contract.beneficiary === beneficiary) {
+    return null;
+  }
+
+  contract.beneficiary = beneficiary;
+  const tx = mine(LEDGER_ESCROW_ADDRESS, escrowAddress.toLowerCase(), 0n, `beneficiary:${beneficiary}`);
+  await recordTransaction({
+    bountyId: options.bountyId,
+    type: TRANSACTION_TYPE.BENEFICIARY,
+    txHash: tx.txHash,
+    amount: 0n,
+    fromAddress: escrowAddress.toLowerCase(),
+    toAddress: beneficiary || ZERO_ADDRESS,
+    status: tx.status,
+    walletId: walletId ? parseInt(walletId) : null
+  });
+  console.log(`Beneficiary of escrow contract ${escrowAddress} set to ${beneficiary || 'none'} (${tx.txHash})`);
+  return tx.txHash;
+}
+
+// Lock funds in escrow by transferring them from the wallet to the bounty's escrow contract,
+// or the ledger's escrow account for bounties without one (options.escrowAddress, options.confirm),
+// in the native coin or the token at options.tokenAddress
+async function createEscrow(userId, amount, walletId, options = {}) {
+  const { escrowAddress = null, tokenAddress = null } = options;
+  try {
+    console.log('Creating ledger escrow for user:', userId, 'amount:', amount, 'using wallet:', walletId);
+    const fromAddress = await walletAddress(walletId, userId);
+    const contract = escrowAddress ? escrowContract(escrowAddress) : null;
+    const token = tokenAddress ? tokenAddress.toLowerCase() : null;
+    if (contract && contract.token !== token) {
+      throw new Error(`Escrow contract ${escrowAddress} holds ${contract.token ? `token ${contract.token}` : 'the native coin'}`);
+    }
+    const tx = transfer(fromAddress, escrowAddress || LEDGER_ESCROW_ADDRESS, positiveAmount(amount), sentStatus(options), token);
+    // The contract records the funds as the sender's deposit (depositToken for a token contract)
+    if (contract) {
+      contract.deposits.set(tx.from, (contract.deposits.get(tx.from) || 0n) + tx.amount);
+    }
+
+    await recordTransaction({
+      type: TRANSACTION_TYPE.FUNDING,
+      txHash: tx.txHash,
+      amount: tx.amount,
+      fromAddress: tx.from,
+      toAddress: tx.to,
+      status: tx.status,
+      walletId: parseInt(walletId)
+    });
+
+    return tx.txHash;
+  } catch (error) {
+    console.error('Error creating ledger escrow:', error);
+    throw new Error('Failed to create escrow: ' + error.message);
+  }
+}
+
+// Enforce the escrow contract's rules for a payment out of it
+function checkContractPayOut(contract, type, toAddress, amountInWei) {
+  const to = toAddress.toLowerCase();
+  if (type === TRANSACTION_TYPE.RELEASE && contract.beneficiary !== to) {
+    throw new Error(`Escrow contract rejected the release: ${to} is not the beneficiary`);
+  }
+  if (type === TRANSACTION_TYPE.REFUND) {
+    const refundable = (contract.deposits.get(to) || 0n) - (contract.refunds.get(to) || 0n);
+    if (amountInWei > refundable) {
+      throw new Error(`Escrow contract rejected the refund: ${to} can be refunded ${refundable} base units`);
+    }
+  }
+}
+
+// Pay funds out of the bounty's escrow contract (in its token) or the ledger's escrow account
+// (in options.tokenAddress) to a wallet. Like the Radius adapter, the transfer is recorded as
+// PENDING under its idempotency key before any funds move.
+async function payOut(type, walletId, amount, options) {
+  const toAddress = await walletAddress(walletId);
+  const amountInWei = positiveAmount(amount);
+  let token = options.tokenAddress || null;
+  if (options.escrowAddress) {
+    const contract = escrowContract(options.escrowAddress);
+    checkContractPayOut(contract, type, toAddress, amountInWei);
+    token = contract.token;
+  }
+
+  const fromAddress = options.escrowAddress || LEDGER_ESCROW_ADDRESS;
+  const txHash = reserveTxHash(fromAddress, toAddress, amountInWei, token);
+  await recordTransaction({
+    bountyId: options.bountyId,
+    idempotencyKey: options.idempotencyKey,
+    type,
+    txHash,
+    amount: amountInWei,
+    fromAddress: fromAddress.toLowerCase(),
+    toAddress: toAddress.toLowerCase(),
+    status: TRANSACTION_STATUS.PENDING,
+    walletId: parseInt(walletId)
+  });
+
+  let tx;
+  try {
+    tx = transfer(fromAddress, toAddress, amountInWei, sentStatus(options), token, txHash);
+  } catch (error) {
+    // Nothing moved, so the transfer may be sent again under the same key
+    await markTransactionFailed(txHash);
+    throw error;
+  }
+  if (options.escrowAddress && type === TRANSACTION_TYPE.REFUND) {
+    const { refunds } = escrowContract(options.escrowAddress);
+    refunds.set(tx.to, (refunds.get(tx.to) || 0n) + tx.amount);
+  }
+  if (tx.status !== TRANSACTION_STATUS.PENDING) {
+    await updateTransactionStatus(txHash, tx.status);
+  }
+
+  return {
+    success: true,
+    transaction: tx.txHash
+  };
+}
+
+// Release funds from escrow to the developer
+// options.bountyId and options.idempotencyKey are stored on the ledger entry,
+// options.escrowAddress is the bounty's escrow contract, options.tokenAddress the token paid from
+// the ledger's escrow account, options.confirm: false leaves it PENDING
+async function releaseEscrow(escrowId, toId, amount, hunterWalletId, options = {}) {
+  try {
+    console.log('Releasing ledger escrow:', escrowId, 'to bounty hunter wallet:', hunterWalletId, 'amount:', amount);
+    return await payOut(TRANSACTION_TYPE.RELEASE, hunterWalletId, amount, options);
+  } catch (error) {
+    console.error('Error releasing ledger escrow:', error);
+    throw new Error('Failed to release escrow: ' + error.message);
+  }
+}
+
+// Refund funds from escrow back to a funder
+// options.bountyId and options.idempotencyKey are stored on the ledger entry,
+// options.escrowAddress is the bounty's escrow contract, options.tokenAddress the token refunded
+// from the ledger's escrow account
+async function refundEscrow(escrowId, toId, amount, ownerWalletId, options = {}) {
+  try {
+    console.log('Refunding ledger escrow:', escrowId, 'to wallet:', ownerWalletId, 'amount:', amount);
+    return await payOut(TRANSACTION_TYPE.REFUND, ownerWalletId, amount, options);
+  } catch (error) {
+    console.error('Error refunding ledger escrow:', error);
+    throw new Error('Failed to refund escrow: ' + error.message);
+  }
+}
+
+// Balance of an address in base units of the native coin, or of the token at tokenAddress
+async function getBalance(address, tokenAddress = null) {
+  return balanceOf(address, tokenAddress);
+}
+
+// A transfer made on the ledger since the server started, or null. A pending transfer
+// is returned as it was sent and reads as confirmed from then on.
+async function getTransaction(txHash) {
+  const tx = transactions.get(txHash);
+  if (!tx) {
+    return null;
+  }
+  if (tx.status === TRANSACTION_STATUS.PENDING) {
+    transactions.set(txHash, { ...tx, status: TRANSACTION_STATUS.CONFIRMED });
+  }
+  return tx;
+}
+
+// Address of the shared escrow account
+function getEscrowAddress() {
+  return LEDGER_ESCROW_ADDRESS;
+}
+
+module.exports = {
+  createEscrowContract,
+  setEscrowBeneficiary,
+  createEscrow,
+  releaseEscrow,
+  refundEscrow,
+  getBalance,
+  getTransaction,
+  getEscrowAddress
+};
@@ -1,8 +1,20 @@
 const { Account, Client, NewClient, NewAccount, withPrivateKey, 
-  Address, AddressFromHex, Receipt, ABI, ABIFromJSON, Contract, NewContract, BytecodeFromHex } = require('@radiustechsystems/sdk');
+  Address, AddressFromHex, Receipt, ABI, ABIFromJSON, Contract, NewContract, BytecodeFromHex, Transaction } = require('@radiustechsystems/sdk');
+const axios = require('axios');
+const { keccak256, concat, getBytes, hexlify, toQuantity, id } = require('ethers');
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const walletController = require('../controllers/walletController');
+const {
+  TRANSACTION_TYPE,
+  TRANSACTION_STATUS,
+  recordTransaction,
+  updateTransactionStatus,
+  markTransactionFailed
+} = require('../models/bountyTransactionModel');
+const { toBaseUnits } = require('../../shared/money');
+// Compiled contracts/BountyEscrow.sol (rebuild with scripts/compile-escrow-contract.js)
+const escrowArtifact = require('../contracts/BountyEscrow.json');
 
 // Initialize Radius clients and accounts
 let bountyListerClient;
@@ -97,77 +109,313 @@ async function initializeEscrowRadius() {
   return { client: escrowClient, account: escrowAccount };
 }
 
-// Deploy a simple escrow contract
-async function deployEscrowContract() {
+// Transactions signed by the escrow account run one at a time, so two of them never
+// pick the same nonce
+let arbiterQueue = Promise.resolve();
+function asArbiter(send) {
+  const result = arbiterQueue.then(send);
+  arbiterQueue = result.catch(() => {});
+  return result;
+}
+
+// Beneficiary of an unclaimed bounty's escrow contract, and token of a native coin escrow
+// contract (the SDK's ZeroAddress() is not 20 bytes long)
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// The ERC-20 functions bounties in a token use
+const ERC20_ABI = [
+  {
+    type: 'function',
+    name: 'transfer',
+    stateMutability: 'nonpayable',
+    inputs: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }],
+    outputs: [{ name: '', type: 'bool' }]
+  },
+  {
+    type: 'function',
+    name: 'approve',
+    stateMutability: 'nonpayable',
+    inputs: [{ name: 'spender', type: 'address' }, { name: 'amount', type: 'uint256' }],
+    outputs: [{ name: '', type: 'bool' }]
+  },
+  {
+    type: 'function',
+    name: 'balanceOf',
+    stateMutability: 'view',
+    inputs: [{ name: 'account', type: 'address' }],
+    outputs: [{ name: '', type: 'uint256' }]
+  }
+];
+
+// Selector of ERC-20 transfer(address,uint256), to recognize token transfers on chain
+const TRANSFER_SELECTOR = '0xa9059cbb';
+// Selectors of the escrow contract's depositToken(uint256), to recognize token deposits on
+// chain, and of its token() getter
+const DEPOSIT_TOKEN_SELECTOR = id('depositToken(uint256)').slice(0, 10);
+const TOKEN_SELECTOR = id('token()').slice(0, 10);
+
+// The escrow contract of a bounty
+function escrowContractAt(escrowAddressHex) {
+  return NewContract(AddressFromHex(escrowAddressHex), ABIFromJSON(JSON.stringify(escrowArtifact.abi)));
+}
+
+// The contract of an ERC-20 token
+function tokenContractAt(tokenAddressHex) {
+  return NewContract(AddressFromHex(tokenAddressHex), ABIFromJSON(JSON.stringify(ERC20_ABI)));
+}
+
+// Init code deploying an escrow contract for the native coin or the ERC-20 token at
+// tokenAddressHex: the contract's bytecode followed by its ABI-encoded constructor argument.
+// The SDK's deployContract cannot append constructor arguments (it writes them past the end
+// of the bytecode array), so contracts are deployed from this init code instead.
+function escrowInitCode(tokenAddressHex = null) {
+  const abi = ABIFromJSON(JSON.stringify(escrowArtifact.abi));
+  return getBytes(concat([BytecodeFromHex(escrowArtifact.bytecode), abi.pack('', tokenAddressHex || ZERO_ADDRESS)]));
+}
+
+// Deploy an empty escrow contract for a new bounty, holding the native coin or the ERC-20
+// token at tokenAddressHex. The escrow account deploys it and becomes its arbiter, the only
+// account allowed to name the beneficiary, release or refund.
+async function createEscrowContract(tokenAddressHex = null) {
   try {
-    const { client, account } = await initializeBountyListerRadius();
-    
-    // Simple escrow contract ABI and bytecode
-    // This is a very basic escrow contract that allows the owner to release funds to a beneficiary
-    const escrowAbi = ABIFromJSON(`[
-      {"inputs":[{"name":"_beneficiary","type":"address"}],"stateMutability":"payable","type":"constructor"},
-      {"inputs":[],"name":"release","outputs":[],"stateMutability":"nonpayable","type":"function"},
-      {"inputs":[],"name":"refund","outputs":[],"stateMutability":"nonpayable","type":"function"},
-      {"inputs":[],"name":"beneficiary","outputs":[{"name":"","type":"address"}],"stateMutability":"view","type":"function"},
-      {"inputs":[],"name":"owner","outputs":[{"name":"","type":"address"}],"stateMutability":"view","type":"function"}
-    ]`);
-    
-    // This is a placeholder. In a real implementation, you would need the actual compiled bytecode of your contract
-    const escrowBytecode = BytecodeFromHex('608060405260405161047f38038061047f833981810160405281019061002591906100a4565b336000806101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff16021790555080600160006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055505061010e565b600081519050610090816100f7565b92915050565b6000815190506100a5816100f7565b92915050565b6000602082840312156100ba57600080fd5b60006100c884828501610081565b91505092915050565b60006100dc82610096565b9050919050565b6100ec816100d1565b81146100f757600080fd5b50565b610101816100d1565b811461010c57600080fd5b50565b610362806101256000396000f3fe608060405234801561001057600080fd5b506004361061004c5760003560e01c80633ccfd60b14610051578063590e1ae31461005b578063be040fb014610065578063cf309012146100af575b600080fd5b6100596100f9565b005b6100636101ad565b005b61006d61026d565b60405180827dffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff16815260200191505060405180910390f35b6100b7610293565b604051808273ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200191505060405180910390f35b6000809054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff163373ffffffffffffffffffffffffffffffffffffffff161461015457600080fd5b600160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff166108fc479081150290604051600060405180830381858888f193505050501580156101b9573d6000803e3d6000fd5b50565b6000809054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff163373ffffffffffffffffffffffffffffffffffffffff161461020857600080fd5b6000809054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff166108fc479081150290604051600060405180830381858888f1935050505015801561026a573d6000803e3d6000fd5b50565b600160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1681565b6000809054906101000a900473ffffffffffffffffffffffffffffffffffffffff168156fea2646970667358221220d1f1b6b9ec756d7d3f2f2e5e1e15a9f47997fbcf5ca9e8a2c39ddade4362aac364736f6c63430006060033');
-    
-    console.log('Deploying escrow contract...');
-    const deployedContract = await client.deployContract(account.signer, escrowBytecode, escrowAbi);
-    console.log('Escrow contract deployed at:', deployedContract.address.toString());
-    
-    return deployedContract;
+    const { client, account } = await initializeEscrowRadius();
+
+    console.log('Deploying bounty escrow contract for', tokenAddressHex ? `token ${tokenAddressHex}...` : 'the native coin...');
+    const receipt = await asArbiter(() => sendTx(client, account.signer, undefined, 0n, escrowInitCode(tokenAddressHex)));
+    const address = receipt.contractAddress.hex();
+    console.log('Bounty escrow contract deployed at:', address);
+
+    return address;
   } catch (error) {
     console.error('Error deploying escrow contract:', error);
     throw new Error('Failed to deploy escrow contract: ' + error.message);
   }
 }
 
-// Lock funds in escrow by transferring to the escrow contract
-async function createEscrow(userId, amount, walletId) {
+// Address an escrow contract currently pays (the zero address for none)
+async function contractBeneficiary(client, escrowAddressHex) {
+  const [current] = await escrowContractAt(escrowAddressHex).call(client, 'beneficiary');
+  return String(current).toLowerCase();
+}
+
+// Point an escrow contract at a new beneficiary unless it already pays that address, recorded
+// in the ledger as a BENEFICIARY entry (entry holds its bountyId and walletId).
+// Must run inside asArbiter.
+async function setContractBeneficiary(client, account, escrowAddressHex, beneficiaryHex, entry = {}) {
+  if (await contractBeneficiary(client, escrowAddressHex) === beneficiaryHex.toLowerCase()) {
+    return null;
+  }
+
+  const contract = escrowContractAt(escrowAddressHex);
+  const txHash = await sendRecorded(client, account, {
+    to: contract.address(),
+    data: contract.abi.pack('setBeneficiary', beneficiaryHex)
+  }, {
+    ...entry,
+    type: TRANSACTION_TYPE.BENEFICIARY,
+    amount: 0n,
+    fromAddress: escrowAddressHex,
+    toAddress: beneficiaryHex
+  });
+  console.log(`Beneficiary of escrow contract ${escrowAddressHex} set to ${beneficiaryHex}. Transaction hash:`, txHash);
+  return txHash;
+}
+
+// Name the wallet an escrow contract may pay (null for none, when the bounty is unclaimed);
+// options.bountyId is stored on the ledger entry
+async function setEscrowBeneficiary(escrowAddressHex, walletId, options = {}) {
+  try {
+    const { client, account } = await initializeEscrowRadius();
+
+    let beneficiaryHex = ZERO_ADDRESS;
+    if (walletId) {
+      const wallet = await prisma.wallet.findUnique({ where: { id: parseInt(walletId) } });
+      if (!wallet) {
+        throw new Error(`Wallet with ID ${walletId} not found`);
+      }
+      beneficiaryHex = wallet.publicKey;
+    }
+
+    return await asArbiter(() => setContractBeneficiary(client, account, escrowAddressHex, beneficiaryHex, {
+      bountyId: options.bountyId,
+      walletId: walletId ? parseInt(walletId) : null
+    }));
+  } catch (error) {
+    console.error('Error setting escrow beneficiary:', error);
+    throw new Error('Failed to set escrow beneficiary: ' + error.message);
+  }
+}
+
+// Ledger status for a receipt returned by the SDK (send only resolves once the transaction is mined)
+function receiptStatus(receipt) {
+  return receipt.status === 1 ? TRANSACTION_STATUS.CONFIRMED : TRANSACTION_STATUS.FAILED;
+}
+
+// Sign a transaction without sending it. Its hash is known from the signed bytes before the
+// node sees it. Gas is estimated with the sender, which the SDK's prepareTx leaves out, so
+// calls that depend on it (the arbiter's, a token transfer, depositToken) do not revert in
+// the estimate. Must run inside asArbiter when the escrow account signs.
+async function signTx(client, signer, to, value, data = new Uint8Array()) {
+  const estimate = BigInt(await rpc('eth_estimateGas', [{
+    from: signer.address().hex(),
+    to: to ? to.hex() : undefined,
+    value: toQuantity(value),
+    data: hexlify(data)
+  }]));
+  const nonce = await client.pendingNonceAt(signer.address());
+  // Same 20% margin and zero gas price as the SDK
+  const prepared = new Transaction(data, estimate + estimate / 5n, 0n, nonce, to, value);
+  const signed = await signer.signTransaction(prepared);
+  return { txHash: keccak256(signed.serialized), signed };
+}
+
+// Sign a transaction and wait until it is mined; returns the SDK receipt and throws if it
+// reverted. Must run inside asArbiter when the escrow account signs.
+async function sendTx(client, signer, to, value, data = new Uint8Array()) {
+  const { signed } = await signTx(client, signer, to, value, data);
+  return client.transact(signer, signed);
+}
+
+// Sign a transaction and hand it to the node without waiting for it to be mined (the SDK's
+// send and execute wait for the receipt). Returns the transaction hash.
+// Must run inside asArbiter when the escrow account signs.
+async function broadcast(client, signer, to, value, data = new Uint8Array()) {
+  const { signed } = await signTx(client, signer, to, value, data);
+  return rpc('eth_sendRawTransaction', [signed.serialized]);
+}
+
+// Send a release, refund or beneficiary change whose ledger entry (with its idempotency key) is written as PENDING
+// before the transaction is broadcast, so a transfer the node may have accepted is never sent
+// again, even if this call fails afterwards: the confirmation watcher settles the entry.
+// A transaction that was mined but reverted moved nothing, so its entry is marked failed and
+// the transfer can be sent again. With confirm false it is only broadcast.
+// Must run inside asArbiter.
+async function sendRecorded(client, account, { to, value = 0n, data }, entry, confirm) {
+  const { txHash, signed } = await signTx(client, account.signer, to, value, data);
+  await recordTransaction({ ...entry, txHash, status: TRANSACTION_STATUS.PENDING });
+
+  if (confirm === false) {
+    await rpc('eth_sendRawTransaction', [signed.serialized]);
+    return txHash;
+  }
+  try {
+    await client.transact(account.signer, signed);
+  } catch (error) {
+    const mined = await getTransaction(txHash).catch(() => null);
+    if (mined?.status === TRANSACTION_STATUS.FAILED) {
+      await markTransactionFailed(txHash);
+    }
+    throw error;
+  }
+  await updateTransactionStatus(txHash, TRANSACTION_STATUS.CONFIRMED);
+  return txHash;
+}
+
+// Call that pays out of the shared escrow account: the native coin, or a token transfer call
+function payoutCall(toHex, amount, tokenAddressHex) {
+  if (!tokenAddressHex) {
+    return { to: AddressFromHex(toHex), value: amount };
+  }
+  const token = tokenContractAt(tokenAddressHex);
+  return { to: token.address(), data: token.abi.pack('transfer', toHex, amount) };
+}
+
+// Call of an escrow contract's release or refund method
+function contractCall(escrowAddressHex, method, toHex, amount) {
+  const contract = escrowContractAt(escrowAddressHex);
+  return { to: contract.address(), data: contract.abi.pack(method, toHex, amount) };
+}
+
+// Send the native coin, or the ERC-20 token at tokenAddressHex with a token transfer call,
+// from an account to an address. With confirm false it is only broadcast (see broadcast).
+async function sendFunds(client, account, toHex, amount, tokenAddressHex, confirm) {
+  if (!tokenAddressHex) {
+    return confirm === false
+      ? broadcast(client, account.signer, AddressFromHex(toHex), amount)
+      : account.send(client, AddressFromHex(toHex), amount);
+  }
+  const token = tokenContractAt(tokenAddressHex);
+  const data = token.abi.pack('transfer', toHex, amount);
+  return confirm === false
+    ? broadcast(client, account.signer, token.address(), 0n, data)
+    : sendTx(client, account.signer, token.address(), 0n, data);
+}
+
+// Deposit the ERC-20 token at tokenAddressHex into an escrow contract bound to it: approve the
+// contract for the amount (waiting for the approval), then call its depositToken, which pulls
+// the tokens in and records them as this account's deposit. With confirm false the deposit is
+// only broadcast (see broadcast).
+async function depositTokens(client, account, escrowAddressHex, amount, tokenAddressHex, confirm) {
+  const token = tokenContractAt(tokenAddressHex);
+  await sendTx(client, account.signer, token.address(), 0n, token.abi.pack('approve', escrowAddressHex, amount));
+  const contract = escrowContractAt(escrowAddressHex);
+  const data = contract.abi.pack('depositToken', amount);
+  return confirm === false
+    ? broadcast(client, account.signer, contract.address(), 0n, data)
+    : sendTx(client, account.signer, contract.address(), 0n, data);
+}
+
+// Hash and ledger status of a transaction that was either mined (an SDK receipt) or only broadcast (a hash)
+function sentTransaction(result) {
+  return typeof result === 'string'
+    ? { txHash: result, status: TRANSACTION_STATUS.PENDING }
+    : { txHash: result.txHash.hex(), status: receiptStatus(result) };
+}
+
+// Lock funds in escrow by transferring to the bounty's escrow contract (options.escrowAddress),
+// or to the shared escrow account for bounties without one. Bounties in an ERC-20 token
+// (options.tokenAddress) are funded with the token instead of native value: deposited into
+// their escrow contract, or transferred to the shared escrow account.
+// The funding transaction is recorded in the ledger and linked to the bounty once it is created.
+// With options.confirm false it is only broadcast and recorded as PENDING for the confirmation watcher.
+async function createEscrow(userId, amount, walletId, options = {}) {
   try {
     // Use the specified wallet to send funds to escrow
     const { client, account } = await initializeWalletRadius(walletId, userId);
     console.log('Creating escrow for user:', userId, 'amount:', amount, 'using wallet:', walletId);
     
-    // Ensure amount is a valid number
-    const numericAmount = parseFloat(amount);
-    if (isNaN(numericAmount)) {
-      throw new Error(`Invalid amount: ${amount}. Must be a valid number.`);
-    }
+    // The amount is already in the smallest unit (wei equivalent)
+    const amountInWei = toBaseUnits(amount);
     
-    // Convert amount to the smallest unit (wei equivalent)
-    const amountInWei = BigInt(Math.floor(numericAmount * 10**18));
-    
-    // Get the escrow address from environment variables
-    const escrowAddressHex = process.env.RADIUS_ESCROW_ADDRESS;
+    // Fund the bounty's escrow contract, or the escrow address from environment variables
+    const escrowAddressHex = options.escrowAddress || process.env.RADIUS_ESCROW_ADDRESS;
     if (!escrowAddressHex) {
       throw new Error('RADIUS_ESCROW_ADDRESS is missing from environment variables');
     }
     
-    console.log('Using escrow address from environment variables:', escrowAddressHex);
-    const escrowAddress = AddressFromHex(escrowAddressHex);
+    console.log(options.escrowAddress ? 'Using bounty escrow contract:' : 'Using escrow address from environment variables:', escrowAddressHex);
     
     // Log wallet balance for debugging
     try {
       // The correct way to get balance is using the account object
-      const walletBalance = await account.getBalance(client);
+      const walletBalance = options.tokenAddress
+        ? await getBalance(account.address().hex(), options.tokenAddress)
+        : await account.getBalance(client);
       console.log(`Wallet ${walletId} balance:`, walletBalance.toString());
     } catch (balanceError) {
       console.warn(`Could not fetch balance for wallet ${walletId}:`, balanceError.message);
       // Continue with the transaction even if we can't get the balance
     }
     
-    console.log(`Transferring ${numericAmount} tokens (${amountInWei} wei) from wallet ${walletId} to escrow address ${escrowAddressHex}`);
+    console.log(`Transferring ${amountInWei} base units${options.tokenAddress ? ` of token ${options.tokenAddress}` : ''} from wallet ${walletId} to escrow address ${escrowAddressHex}`);
+    
+    // Send funds from the wallet to the escrow address (an escrow contract records them as this wallet's deposit)
+    const { txHash, status } = sentTransaction(options.escrowAddress && options.tokenAddress
+      ? await depositTokens(client, account, escrowAddressHex, amountInWei, options.tokenAddress, options.confirm)
+      : await sendFunds(client, account, escrowAddressHex, amountInWei, options.tokenAddress, options.confirm)
+    );
     
-    // Send funds from the wallet to the escrow address
-    const receipt = await account.send(client, escrowAddress, amountInWei);
-    const txHash = receipt.txHash.toString();
+    console.log(status === TRANSACTION_STATUS.PENDING ? 'Funds sent to escrow, waiting for confirmation. Transaction hash:' : 'Funds transferred to escrow. Transaction hash:', txHash);
     
-    console.log('Funds transferred to escrow. Transaction hash:', txHash);
+    await recordTransaction({
+      type: TRANSACTION_TYPE.FUNDING,
+      txHash,
+      amount: amountInWei,
+      fromAddress: account.address().hex(),
+      toAddress: escrowAddressHex,
+      status,
+      walletId: parseInt(walletId)
+    });
     
     return txHash; // Return the transaction hash as the escrow ID
   } catch (error) {
@@ -178,7 +426,11 @@ async function createEscrow(userId, amount, walletId) {
 }
 
 // Release funds from escrow to the developer
-async function releaseEscrow(escrowId, toId, amount, hunterWalletId) {
+// options.bountyId and options.idempotencyKey are stored on the ledger entry,
+// options.escrowAddress is the bounty's escrow contract (which pays out in its own token, and
+// only to its beneficiary: naming the wallet is a separate step, see setEscrowBeneficiary),
+// options.tokenAddress the token paid from the shared escrow account, options.confirm: false only broadcasts the release
+async function releaseEscrow(escrowId, toId, amount, hunterWalletId, options = {}) {
   try {
     // Use the escrow account to send funds to the bounty hunter
     const { client, account } = await initializeEscrowRadius();
@@ -209,25 +461,36 @@ async function releaseEscrow(escrowId, toId, amount, hunterWalletId) {
     
     const hunterAddressHex = hunterWallet.publicKey;
     console.log('Hunter wallet public key:', hunterAddressHex);
-    const hunterAddress = AddressFromHex(hunterAddressHex);
-    
-    // Convert the amount to the appropriate token format (assuming 18 decimals)
-    // Ensure amount is treated as a number before multiplication
-    const numericAmount = parseFloat(amount);
-    if (isNaN(numericAmount)) {
-      throw new Error(`Invalid amount: ${amount}. Must be a valid number.`);
-    }
     
-    // Use BigInt for precise calculations with large numbers
-    const amountInWei = BigInt(Math.floor(numericAmount * 10**18));
+    // The amount is already in the smallest unit of the bounty's token
+    const amountInWei = toBaseUnits(amount);
     
-    console.log(`Transferring ${numericAmount} tokens (${amountInWei} wei) from escrow to bounty hunter wallet ${hunterAddressHex}`);
+    console.log(`Transferring ${amountInWei} base units from escrow to bounty hunter wallet ${hunterAddressHex}`);
     
-    // Send funds from the escrow account to the bounty hunter
-    const receipt = await account.send(client, hunterAddress, amountInWei);
-    const txHash = receipt.txHash.toString();
+    // Send funds to the bounty hunter, recorded in the ledger before they are broadcast. An escrow
+    // contract only pays its beneficiary, so a wallet it does not name is refused before anything is sent.
+    const txHash = await asArbiter(async () => {
+      if (options.escrowAddress) {
+        const beneficiary = await contractBeneficiary(client, options.escrowAddress);
+        if (beneficiary !== hunterAddressHex.toLowerCase()) {
+          throw new Error(`Escrow contract ${options.escrowAddress} pays ${beneficiary}, not wallet ${hunterWalletId}`);
+        }
+      }
+      const call = options.escrowAddress
+        ? contractCall(options.escrowAddress, 'release', hunterAddressHex, amountInWei)
+        : payoutCall(hunterAddressHex, amountInWei, options.tokenAddress);
+      return sendRecorded(client, account, call, {
+        bountyId: options.bountyId,
+        idempotencyKey: options.idempotencyKey,
+        type: TRANSACTION_TYPE.RELEASE,
+        amount: amountInWei,
+        fromAddress: options.escrowAddress || account.address().hex(),
+        toAddress: hunterAddressHex,
+        walletId: hunterWalletId
+      }, options.confirm);
+    });
     
-    console.log('Funds released to bounty hunter. Transaction hash:', txHash);
+    console.log(options.confirm === false ? 'Release sent to bounty hunter, waiting for confirmation. Transaction hash:' : 'Funds released to bounty hunter. Transaction hash:', txHash);
     
     return {
       success: true,
@@ -241,7 +504,10 @@ async function releaseEscrow(escrowId, toId, amount, hunterWalletId) {
 }
 
 // Refund funds from escrow back to the owner
-async function refundEscrow(escrowId, toId, amount, ownerWalletId) {
+// options.bountyId and options.idempotencyKey are stored on the ledger entry,
+// options.escrowAddress is the bounty's escrow contract (which only refunds the wallet that deposited),
+// options.tokenAddress the token refunded from the shared escrow account
+async function refundEscrow(escrowId, toId, amount, ownerWalletId, options = {}) {
   try {
     // Use the escrow account to refund to the bounty lister
     const { client, account } = await initializeEscrowRadius();
@@ -262,16 +528,24 @@ async function refundEscrow(escrowId, toId, amount, ownerWalletId) {
     }
     
     const listerAddressHex = ownerWallet.publicKey;
-    const listerAddress = AddressFromHex(listerAddressHex);
     
-    // Convert the amount to the appropriate token format (assuming 18 decimals)
-    const amountToRefund = BigInt(amount * 10**18);
+    // The amount is already in the smallest unit of the bounty's token
+    const amountToRefund = toBaseUnits(amount);
     
-    console.log(`Transferring ${amountToRefund} tokens from escrow to bounty lister wallet ${listerAddressHex}`);
+    console.log(`Transferring ${amountToRefund} base units from escrow to bounty lister wallet ${listerAddressHex}`);
     
-    // Send funds from the escrow account back to the bounty lister
-    const receipt = await account.send(client, listerAddress, amountToRefund);
-    const txHash = receipt.txHash.toString();
+    // Send funds back to the bounty lister, recorded in the ledger before they are broadcast
+    const txHash = await asArbiter(() => sendRecorded(client, account, options.escrowAddress
+      ? contractCall(options.escrowAddress, 'refund', listerAddressHex, amountToRefund)
+      : payoutCall(listerAddressHex, amountToRefund, options.tokenAddress), {
+      bountyId: options.bountyId,
+      idempotencyKey: options.idempotencyKey,
+      type: TRANSACTION_TYPE.REFUND,
+      amount: amountToRefund,
+      fromAddress: options.escrowAddress || account.address().hex(),
+      toAddress: listerAddressHex,
+      walletId: parseInt(ownerWalletId)
+    }));
     
     console.log('Funds refunded to bounty lister. Transaction hash:', txHash);
     
@@ -285,4 +559,83 @@ async function refundEscrow(escrowId, toId, amount, ownerWalletId) {
   }
 }
 
-module.exports = { createEscrow, releaseEscrow, refundEscrow, deployEscrowContract, initializeWalletRadius, initializeEscrowRadius };
+// Read-only Radius client, for balance lookups
+let readClient;
+async function initializeReadRadius() {
+  const RADIUS_ENDPOINT = process.env.RADIUS_API_URL;
+  if (!RADIUS_ENDPOINT) {
+    throw new Error('Radius API URL is missing. Please check environment variables.');
+  }
+  if (!readClient) {
+    readClient = await NewClient(RADIUS_ENDPOINT);
+  }
+  return readClient;
+}
+
+// Call a JSON-RPC method of the Radius node (for lookups the SDK does not offer)
+async function rpc(method, params) {
+  const response = await axios.post(process.env.RADIUS_API_URL, { jsonrpc: '2.0', id: 1, method, params });
+  if (response.data.error) {
+    throw new Error(`${method} failed: ${response.data.error.message}`);
+  }
+  return response.data.result;
+}
+
+// Balance of an address in base units of the native coin, or of the ERC-20 token at tokenAddress
+async function getBalance(address, tokenAddress = null) {
+  const client = await initializeReadRadius();
+  if (!tokenAddress) {
+    return client.balanceAt(AddressFromHex(address));
+  }
+  const [balance] = await tokenContractAt(tokenAddress).call(client, 'balanceOf', address);
+  return BigInt(balance);
+}
+
+// A transfer on the Radius chain, or null if the node does not know it (yet). A token
+// transfer call is read as a transfer of the token (token) to its recipient, and a
+// depositToken call as a transfer of the escrow contract's token to the contract.
+async function getTransaction(txHash) {
+  const [tx, receipt] = await Promise.all([
+    rpc('eth_getTransactionByHash', [txHash]),
+    rpc('eth_getTransactionReceipt', [txHash])
+  ]);
+  if (!tx) {
+    return null;
+  }
+  const input = (tx.input || '').toLowerCase();
+  const tokenTransfer = input.startsWith(TRANSFER_SELECTOR) && input.length >= 138;
+  const tokenDeposit = input.startsWith(DEPOSIT_TOKEN_SELECTOR) && input.length >= 74;
+  let transfer = { to: tx.to, token: null, amount: BigInt(tx.value) };
+  if (tokenTransfer) {
+    transfer = { to: `0x${input.slice(34, 74)}`, token: tx.to, amount: BigInt(`0x${input.slice(74, 138)}`) };
+  } else if (tokenDeposit) {
+    const token = await rpc('eth_call', [{ to: tx.to, data: TOKEN_SELECTOR }, 'latest']);
+    transfer = { to: tx.to, token: `0x${token.slice(-40)}`, amount: BigInt(`0x${input.slice(10, 74)}`) };
+  }
+  return {
+    txHash,
+    from: tx.from,
+    ...transfer,
+    status: !receipt ? TRANSACTION_STATUS.PENDING : receiptStatus({ status: parseInt(receipt.status, 16) }),
+    blockNumber: receipt ? parseInt(receipt.blockNumber, 16) : null
+  };
+}
+
+// Address of the shared escrow account
+function getEscrowAddress() {
+  return process.env.RADIUS_ESCROW_ADDRESS;
+}
+
+module.exports = {
+  escrowInitCode,
+  createEscrowContract,
+  setEscrowBeneficiary,
+  createEscrow,
+  releaseEscrow,
+  refundEscrow,
+  getBalance,
+  getTransaction,
+  getEscrowAddress,
+  initializeWalletRadius,
+  initializeEscrowRadius
+};
@@ -0,0 +1,73 @@
+const { DECIMALS } = require('../../shared/money');
+
+// Tokens a bounty can be funded in. The chain's native coin is always supported; ERC-20
+// tokens are allowed with BOUNTY_TOKENS, a JSON list of the token contracts and their decimals:
+//   BOUNTY_TOKENS='[{"symbol":"USDC","address":"0x...","decimals":6}]'
+// A bounty keeps the address and decimals of its token, so a token removed from the list
+// can no longer fund new bounties but the ones it funded are still paid out.
+
+// The chain's native coin (no contract address)
+const NATIVE_TOKEN = { symbol: 'ETH', address: null, decimals: DECIMALS };
+
+// Read and check the allow-list once
+function loadTokens() {
+  let configured;
+  try {
+    configured = JSON.parse(process.env.BOUNTY_TOKENS || '[]');
+  } catch (error) {
+    throw new Error(`BOUNTY_TOKENS is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(configured)) {
+    throw new Error('BOUNTY_TOKENS must be a JSON list of { symbol, address, decimals }');
+  }
+
+  const tokens = [NATIVE_TOKEN];
+  for (const entry of configured) {
+    const symbol = String(entry?.symbol || '').trim().toUpperCase();
+    const address = String(entry?.address || '').trim().toLowerCase();
+    const decimals = Number(entry?.decimals);
+    if (!/^[A-Z0-9]{1,11}$/.test(symbol)) {
+      throw new Error(`BOUNTY_TOKENS: invalid token symbol "${entry?.symbol}"`);
+    }
+    if (!/^0x[0-9a-f]{40}$/.test(address)) {
+      throw new Error(`BOUNTY_TOKENS: invalid contract address for ${symbol}: "${entry?.address}"`);
+    }
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > 36) {
+      throw new Error(`BOUNTY_TOKENS: ${symbol} needs decimals between 0 and 36`);
+    }
+    if (tokens.some(token => token.symbol === symbol || token.address === address)) {
+      throw new Error(`BOUNTY_TOKENS: ${symbol} is listed more than once`);
+    }
+    tokens.push({ symbol, address, decimals });
+  }
+  return tokens;
+}
+
+let tokens = null;
+
+// Every supported token, the native coin first
+function getSupportedTokens() {
+  if (!tokens) {
+    tokens = loadTokens();
+  }
+  return tokens;
+}
+
+// A supported token by symbol (case-insensitive; the native coin when none is given), or null
+function findToken(symbol) {
+  const wanted = String(symbol || NATIVE_TOKEN.symbol).trim().toUpperCase();
+  return getSupportedTokens().find(token => token.symbol === wanted) || null;
+}
+
+// A supported token by contract address (the native coin for null), or null
+function findTokenByAddress(address) {
+  const wanted = address ? address.toLowerCase() : null;
+  return getSupportedTokens().find(token => token.address === wanted) || null;
+}
+
+module.exports = {
+  NATIVE_TOKEN,
+  getSupportedTokens,
+  findToken,
+  findTokenByAddress
+};
@@ -0,0 +1,118 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @notice The part of ERC-20 the escrow uses
+interface IERC20 {
+    function transfer(address to, uint256 amount) external returns (bool);
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+}
+
+/**
+ * @title BountyEscrow
+ * @notice Holds the funds of one GitPaid bounty, in the chain's native coin or in one ERC-20
+ * token. Funders of a native coin bounty deposit by sending value to the contract, funders
+ * of a token bounty by approving the contract and calling depositToken, which pulls the
+ * tokens in. The platform's escrow account, which deployed it (the arbiter), names the
+ * beneficiary when the bounty is claimed. Funds can only leave the contract to the current
+ * beneficiary, or back to a funder, up to what that funder deposited. Tokens transferred to
+ * the contract directly are not credited to anyone and can only be released.
+ */
+contract BountyEscrow {
+    address public immutable arbiter;
+    /// @notice ERC-20 token the bounty is paid in (the zero address for the native coin)
+    address public immutable token;
+    address public beneficiary;
+
+    uint256 public totalDeposited;
+    uint256 public totalReleased;
+    uint256 public totalRefunded;
+
+    mapping(address => uint256) public deposits;
+    mapping(address => uint256) public refunds;
+
+    event Deposited(address indexed funder, uint256 amount);
+    event BeneficiarySet(address indexed beneficiary);
+    event Released(address indexed beneficiary, uint256 amount);
+    event Refunded(address indexed funder, uint256 amount);
+
+    error NotArbiter();
+    error NotBeneficiary(address to);
+    error NothingDeposited();
+    error ExceedsDeposit(address funder, uint256 refundable);
+    error TransferFailed();
+    error TokenEscrow();
+    error NativeEscrow();
+
+    constructor(address token_) {
+        arbiter = msg.sender;
+        token = token_;
+    }
+
+    modifier onlyArbiter() {
+        if (msg.sender != arbiter) revert NotArbiter();
+        _;
+    }
+
+    receive() external payable {
+        deposit();
+    }
+
+    /// @notice Add funds to the bounty; they are refundable to the sender only
+    function deposit() public payable {
+        if (token != address(0)) revert TokenEscrow();
+        if (msg.value == 0) revert NothingDeposited();
+        deposits[msg.sender] += msg.value;
+        totalDeposited += msg.value;
+        emit Deposited(msg.sender, msg.value);
+    }
+
+    /// @notice Pull amount of the token from the sender, who must have approved the contract
+    /// for it; the tokens are refundable to the sender only
+    function depositToken(uint256 amount) external {
+        if (token == address(0)) revert NativeEscrow();
+        if (amount == 0) revert NothingDeposited();
+        deposits[msg.sender] += amount;
+        totalDeposited += amount;
+        _call(abi.encodeWithSelector(IERC20.transferFrom.selector, msg.sender, address(this), amount));
+        emit Deposited(msg.sender, amount);
+    }
+
+    /// @notice Name the hunter who can be paid (the zero address when the bounty is unclaimed)
+    function setBeneficiary(address newBeneficiary) external onlyArbiter {
+        beneficiary = newBeneficiary;
+        emit BeneficiarySet(newBeneficiary);
+    }
+
+    /// @notice Pay the beneficiary
+    function release(address to, uint256 amount) external onlyArbiter {
+        if (to == address(0) || to != beneficiary) revert NotBeneficiary(to);
+        totalReleased += amount;
+        _send(to, amount);
+        emit Released(to, amount);
+    }
+
+    /// @notice Return part of a funder's deposit to the address it came from
+    function refund(address funder, uint256 amount) external onlyArbiter {
+        uint256 refundable = deposits[funder] - refunds[funder];
+        if (amount > refundable) revert ExceedsDeposit(funder, refundable);
+        refunds[funder] += amount;
+        totalRefunded += amount;
+        _send(funder, amount);
+        emit Refunded(funder, amount);
+    }
+
+    function _send(address to, uint256 amount) private {
+        if (token == address(0)) {
+            (bool sent, ) = payable(to).call{value: amount}("");
+            if (!sent) revert TransferFailed();
+            return;
+        }
+        _call(abi.encodeWithSelector(IERC20.transfer.selector, to, amount));
+    }
+
+    /// @dev Call the token; tokens that return nothing instead of true are accepted as well
+    function _call(bytes memory payload) private {
+        (bool ok, bytes memory data) = token.call(payload);
+        if (!ok || (data.length > 0 && !abi.decode(data, (bool)))) revert TransferFailed();
+    }
+}
@@ -1,81 +1,59 @@
-const axios = require('axios');
 const {
-  createBounty: createBountyModel,
   getBountyById,
-  markBountyClaimed,
-  markBountyCompleted,
-  cancelBounty: cancelBountyModel,
   getOpenBounties,
   getUserBounties,
-  getAllBounties,
-  getBountyByIssue
+  getAllBounties
 } = require('../models/bountyModel');
+const { getBountyEvents } = require('../models/bountyEventModel');
+const { getBountyTransactions } = require('../models/bountyTransactionModel');
+const { getBountyPullRequests } = require('../models/bountyPullRequestModel');
+const { getBountyContributions } = require('../models/bountyContributionModel');
+const { getBountyPayouts } = require('../models/bountyPayoutModel');
+const { getBountyMilestones } = require('../models/bountyMilestoneModel');
+const { getBountyDisputes } = require('../models/bountyDisputeModel');
 const { getUserById } = require('../models/userModel');
-const radius = require('../config/radius');
+const { getSupportedTokens } = require('../config/tokens');
+const { InvalidTransitionError } = require('../services/bountyStateMachine');
+const bountyService = require('../services/bountyService');
+const payoutHoldService = require('../services/payoutHoldService');
+const { BountyActionError } = bountyService;
+
+// Respond to errors raised by bounty actions
+function handleBountyActionError(res, error, message) {
+  if (error instanceof BountyActionError) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  if (error instanceof InvalidTransitionError) {
+    return res.status(409).json({ error: error.message });
+  }
+  console.error(`${message}:`, error);
+  return res.status(500).json({ error: message, message: error.message });
+}
 
 // Create a new bounty (by repository owner)
 async function createBounty(req, res) {
   try {
-    const { repo_owner, repo_name, issue_number, amount, walletId } = req.body;
-    console.log('Received bounty creation request:', { repo_owner, repo_name, issue_number, amount, walletId });
-    
-    const userId = req.user.id;
-    // Fetch the creating user's details (for GitHub token and Radius ID)
-    const user = await getUserById(userId);
-    if (!user) {
-      return res.status(401).json({ error: 'User not found' });
-    }
-    
-    // Validate wallet ID
-    if (!walletId) {
-      return res.status(400).json({ error: 'Wallet ID is required' });
-    }
-    
-    // Verify the GitHub issue exists and is open
-    const issueUrl = `https://api.github.com/repos/${repo_owner}/${repo_name}/issues/${issue_number}`;
-    console.log('Verifying GitHub issue:', issueUrl);
-    
-    try {
-      const ghResponse = await axios.get(issueUrl, {
-        headers: { Authorization: `token ${user.token}` }
-      });
-      
-      const issue = ghResponse.data;
-      console.log('Issue state:', issue.state);
-      
-      if (!issue || issue.state !== 'open') {
-        return res.status(400).json({ error: 'Issue is not open or not found' });
-      }
-      
-      // Lock funds in escrow via Radius API using the selected wallet
-      const escrowId = await radius.createEscrow(userId, amount, walletId);
-      console.log('Funds locked in escrow with ID:', escrowId, 'using wallet:', walletId);
-      
-      // Create bounty record in the database with wallet information
-      const bounty = await createBountyModel({
-        repoOwner: repo_owner,
-        repoName: repo_name,
-        issueNumber: parseInt(issue_number),
-        amount: parseFloat(amount),
-        currency: 'USD',
-        status: 'OPEN',
-        escrowId: escrowId,
-        createdBy: userId,
-        ownerWalletId: walletId // Store the wallet ID used for creating the bounty
-      });
-      
-      return res.status(201).json({ bounty });
-    } catch (ghError) {
-      console.error('GitHub API error:', ghError.response?.status, ghError.response?.data);
-      return res.status(400).json({ 
-        error: 'GitHub API error', 
-        message: ghError.response?.data?.message || ghError.message,
-        status: ghError.response?.status
-      });
-    }
+    const { repo_owner, repo_name, issue_number, amount, currency, walletId, claim_window_days, expires_at, milestones, requires_application, competitive } = req.body;
+    console.log('Received bounty creation request:', { repo_owner, repo_name, issue_number, amount, currency, walletId, claim_window_days, expires_at, milestones: milestones?.length || 0, requires_application, competitive });
+
+    const bounty = await bountyService.createBounty({
+      userId: req.user.id,
+      repoOwner: repo_owner,
+      repoName: repo_name,
+      issueNumber: issue_number,
+      amount,
+      currency,
+      walletId,
+      claimWindowDays: claim_window_days,
+      expiresAt: expires_at,
+      milestones,
+      requiresApplication: requires_application,
+      competitive
+    });
+
+    return res.status(201).json({ bounty });
   } catch (error) {
-    console.error('Error creating bounty:', error);
-    return res.status(500).json({ error: 'Failed to create bounty', message: error.message });
+    return handleBountyActionError(res, error, 'Failed to create bounty');
   }
 }
 
@@ -84,31 +62,111 @@ async function claimBounty(req, res) {
   try {
     const { bountyId } = req.params;
     const { walletId } = req.body; // Get the wallet ID from the request body
-    const userId = req.user.id;
-    
-    // Validate wallet ID
-    if (!walletId) {
-      return res.status(400).json({ error: 'Wallet ID is required' });
-    }
-    
-    // Fetch the bounty
-    const bounty = await getBountyById(parseInt(bountyId));
-    if (!bounty) {
-      return res.status(404).json({ error: 'Bounty not found' });
-    }
-    
-    // Verify the bounty is open
-    if (bounty.status !== 'OPEN') {
-      return res.status(400).json({ error: `Bounty is not open (status: ${bounty.status})` });
-    }
-    
-    // Mark as claimed in the database with the hunter's wallet ID
-    const updatedBounty = await markBountyClaimed(parseInt(bountyId), userId, walletId);
-    
+
+    const updatedBounty = await bountyService.claimBounty(bountyId, req.user.id, walletId);
+
+    return res.status(200).json({ bounty: updatedBounty });
+  } catch (error) {
+    return handleBountyActionError(res, error, 'Failed to claim bounty');
+  }
+}
+
+// Join the race for a competitive bounty to be notified when it is won (by a developer)
+async function registerInterest(req, res) {
+  try {
+    const { bountyId } = req.params;
+
+    const interest = await bountyService.registerInterest(bountyId, req.user.id);
+
+    return res.status(201).json({ interest });
+  } catch (error) {
+    return handleBountyActionError(res, error, 'Failed to register interest');
+  }
+}
+
+// Leave the race for a competitive bounty
+async function withdrawInterest(req, res) {
+  try {
+    const { bountyId } = req.params;
+
+    await bountyService.withdrawInterest(bountyId, req.user.id);
+
+    return res.status(200).json({ message: 'Interest withdrawn' });
+  } catch (error) {
+    return handleBountyActionError(res, error, 'Failed to withdraw interest');
+  }
+}
+
+// Apply to work on a bounty that requires applications (by a developer)
+async function applyForBounty(req, res) {
+  try {
+    const { bountyId } = req.params;
+    const { pitch, eta_days, work_url, walletId } = req.body;
+
+    const application = await bountyService.applyForBounty(bountyId, req.user.id, {
+      pitch,
+      etaDays: eta_days,
+      workUrl: work_url,
+      walletId
+    });
+
+    return res.status(201).json({ application });
+  } catch (error) {
+    return handleBountyActionError(res, error, 'Failed to apply for bounty');
+  }
+}
+
+// List the applications to a bounty (all for its owner, otherwise the caller's own)
+async function listBountyApplications(req, res) {
+  try {
+    const { bountyId } = req.params;
+
+    const applications = await bountyService.getApplications(bountyId, req.user.id);
+
+    return res.status(200).json({ applications });
+  } catch (error) {
+    return handleBountyActionError(res, error, 'Failed to list applications');
+  }
+}
+
+// Accept an application, claiming the bounty for the applicant (bounty owner only)
+async function acceptApplication(req, res) {
+  try {
+    const { bountyId, applicationId } = req.params;
+
+    const result = await bountyService.acceptApplication(bountyId, applicationId, req.user.id);
+
+    return res.status(200).json(result);
+  } catch (error) {
+    return handleBountyActionError(res, error, 'Failed to accept application');
+  }
+}
+
+// Add funds to an existing bounty (by any user)
+async function contributeToBounty(req, res) {
+  try {
+    const { bountyId } = req.params;
+    const { amount, walletId } = req.body;
+    console.log('Received bounty contribution request:', { bountyId, amount, walletId });
+
+    const result = await bountyService.contributeToBounty(bountyId, req.user.id, amount, walletId);
+
+    return res.status(201).json(result);
+  } catch (error) {
+    return handleBountyActionError(res, error, 'Failed to contribute to bounty');
+  }
+}
+
+// Release the claim on a bounty (by its hunter, or forced by its owner)
+async function unclaimBounty(req, res) {
+  try {
+    const { bountyId } = req.params;
+
+    const updatedBounty = await bountyService.unclaimBounty(bountyId, req.user.id);
+
     return res.status(200).json({ bounty: updatedBounty });
   } catch (error) {
-    console.error('Error claiming bounty:', error);
-    return res.status(500).json({ error: 'Failed to claim bounty', message: error.message });
+    return handleBountyActionError(res, error, 'Failed to unclaim bounty');
   }
 }
 
@@ -116,50 +174,72 @@ async function claimBounty(req, res) {
 async function completeBounty(req, res) {
   try {
     const { bountyId } = req.params;
-    const userId = req.user.id;
+    const { split } = req.body; // Optional payout split: [{ github, percent | amount }] or 'coauthors'
     // Note: Escrow account is managed via environment variables (RADIUS_ESCROW_API_KEY)
     // not as a wallet database entry
-    
-    // Fetch the bounty
+    const releaseResult = await bountyService.completeBounty(bountyId, req.user.id, {}, split);
+
+    return res.status(200).json({
+      bounty: releaseResult.bounty,
+      transaction: releaseResult.transaction,
+      transactions: releaseResult.transactions,
+      payouts: releaseResult.payouts,
+      duplicate: releaseResult.duplicate
+    });
+  } catch (error) {
+    return handleBountyActionError(res, error, 'Failed to complete bounty');
+  }
+}
+
+// Approve one milestone of a claimed bounty and release its amount to the hunter (bounty owner only)
+async function approveMilestone(req, res) {
+  try {
+    const { bountyId, milestoneId } = req.params;
+
+    const releaseResult = await bountyService.approveMilestone(bountyId, milestoneId, req.user.id);
+
+    return res.status(200).json({
+      bounty: releaseResult.bounty,
+      milestone: releaseResult.milestone,
+      transaction: releaseResult.transaction,
+      duplicate: releaseResult.duplicate
+    });
+  } catch (error) {
+    return handleBountyActionError(res, error, 'Failed to approve milestone');
+  }
+}
+
+// Send a payout held for the repository's review window before the window ends (bounty owner only)
+async function approveScheduledRelease(req, res) {
+  try {
+    const { bountyId } = req.params;
+
+    const releaseResult = await payoutHoldService.approveScheduledRelease(bountyId, req.user.id);
+
+    return res.status(200).json(releaseResult);
+  } catch (error) {
+    return handleBountyActionError(res, error, 'Failed to approve scheduled payout');
+  }
+}
+
+// Suggest a payout split from the co-authors of the bounty's merged pull request (bounty owner only)
+async function getBountyCoAuthors(req, res) {
+  try {
+    const { bountyId } = req.params;
+
     const bounty = await getBountyById(parseInt(bountyId));
     if (!bounty) {
       return res.status(404).json({ error: 'Bounty not found' });
     }
-    
-    // Verify the requester is the owner
-    if (bounty.createdBy !== userId) {
-      return res.status(403).json({ error: 'Only the bounty owner can mark it as completed' });
-    }
-    
-    // Verify the bounty is claimed
-    if (bounty.status !== 'CLAIMED') {
-      return res.status(400).json({ error: `Bounty cannot be completed (status: ${bounty.status})` });
+    if (bounty.createdBy !== req.user.id) {
+      return res.status(403).json({ error: 'Only the bounty owner can split its payout' });
     }
-    
-    // Release funds from escrow to the developer using the hunter's wallet
-    const releaseResult = await radius.releaseEscrow(
-      bounty.escrowId, 
-      bounty.claimedBy, 
-      bounty.amount, 
-      bounty.hunterWalletId // Use the wallet ID stored when the bounty was claimed
-    );
-    console.log('Escrow released to wallet:', bounty.hunterWalletId, 'Result:', releaseResult);
-    
-    // Mark as completed in the database
-    // Convert the transaction object to a string if it's not already
-    const transactionId = typeof releaseResult.transaction === 'object' ? 
-      JSON.stringify(releaseResult.transaction) : releaseResult.transaction;
-    
-    console.log('Marking bounty as completed with transaction ID:', transactionId);
-    const updatedBounty = await markBountyCompleted(parseInt(bountyId), transactionId);
-    
-    return res.status(200).json({
-      bounty: updatedBounty,
-      transaction: releaseResult.transaction
-    });
+
+    const { pullRequest, logins, unresolved } = await bountyService.getBountyCoAuthors(bounty);
+
+    return res.status(200).json({ pullRequest, logins, unresolved });
   } catch (error) {
-    console.error('Error completing bounty:', error);
-    return res.status(500).json({ error: 'Failed to complete bounty', message: error.message });
+    return handleBountyActionError(res, error, 'Failed to fetch pull request co-authors');
   }
 }
 
@@ -167,47 +247,18 @@ async function completeBounty(req, res) {
 async function cancelBounty(req, res) {
   try {
     const { bountyId } = req.params;
-    const userId = req.user.id;
     const { refundWalletId } = req.body; // Optional wallet ID to refund to
-    
-    // Fetch the bounty
-    const bounty = await getBountyById(parseInt(bountyId));
-    if (!bounty) {
-      return res.status(404).json({ error: 'Bounty not found' });
-    }
-    
-    // Verify the requester is the owner
-    if (bounty.createdBy !== userId) {
-      return res.status(403).json({ error: 'Only the bounty owner can cancel it' });
-    }
-    
-    // Verify the bounty is open or claimed
-    if (bounty.status !== 'OPEN' && bounty.status !== 'CLAIMED') {
-      return res.status(400).json({ error: `Bounty cannot be cancelled (status: ${bounty.status})` });
-    }
-    
-    // Determine which wallet to refund to
-    const walletIdToUse = refundWalletId || bounty.ownerWalletId;
-    
-    // Refund from escrow to the owner's wallet
-    const refundResult = await radius.refundEscrow(
-      bounty.escrowId, 
-      userId, 
-      bounty.amount, 
-      walletIdToUse
-    );
-    console.log('Escrow refunded to wallet:', walletIdToUse, 'Result:', refundResult);
-    
-    // Mark as cancelled in the database
-    const updatedBounty = await cancelBountyModel(parseInt(bountyId));
-    
+
+    const refundResult = await bountyService.cancelBounty(bountyId, req.user.id, { refundWalletId });
+
     return res.status(200).json({
-      bounty: updatedBounty,
-      transaction: refundResult.transaction
+      bounty: refundResult.bounty,
+      transaction: refundResult.transaction,
+      transactions: refundResult.transactions,
+      duplicate: refundResult.duplicate
     });
   } catch (error) {
-    console.error('Error cancelling bounty:', error);
-    return res.status(500).json({ error: 'Failed to cancel bounty', message: error.message });
+    return handleBountyActionError(res, error, 'Failed to cancel bounty');
   }
 }
 
@@ -222,6 +273,16 @@ async function listOpenBounties(req, res) {
   }
 }
 
+// List the tokens bounties can be funded in (the native coin and the allowed ERC-20 tokens)
+async function listSupportedTokens(req, res) {
+  try {
+    return res.status(200).json({ tokens: getSupportedTokens() });
+  } catch (error) {
+    console.error('Error listing supported tokens:', error);
+    return res.status(500).json({ error: 'Failed to list supported tokens', message: error.message });
+  }
+}
+
 // List all bounties (admin only)
 async function listAllBounties(req, res) {
   try {
@@ -254,12 +315,79 @@ async function listUserBounties(req, res) {
   }
 }
 
+// Get the status history and payment ledger of a bounty (visible to its owner and hunter)
+async function getBountyHistory(req, res) {
+  try {
+    const { bountyId } = req.params;
+    const userId = req.user.id;
+
+    const bounty = await getBountyById(parseInt(bountyId));
+    if (!bounty) {
+      return res.status(404).json({ error: 'Bounty not found' });
+    }
+
+    const events = await getBountyEvents(bounty.id);
+    const contributions = await getBountyContributions(bounty.id);
+    const payouts = await getBountyPayouts(bounty.id);
+    const milestones = await getBountyMilestones(bounty.id);
+    const user = await getUserById(userId);
+
+    // Owners, funders, payout recipients, the current hunter, anyone who previously acted on the bounty
+    // and the admins who rule on its disputes may see its history
+    const isParticipant = bounty.createdBy === userId ||
+      Boolean(user?.isAdmin) ||
+      bounty.claimedBy === userId ||
+      events.some(event => event.actorId === userId) ||
+      contributions.some(contribution => contribution.userId === userId) ||
+      payouts.some(payout => payout.userId === userId);
+    if (!isParticipant) {
+      return res.status(403).json({ error: 'Only the bounty owner, funders or payees can view its history' });
+    }
+
+    const transactions = await getBountyTransactions(bounty.id);
+    const pullRequests = await getBountyPullRequests(bounty.id);
+    const disputes = await getBountyDisputes(bounty.id);
+
+    return res.status(200).json({
+      bountyId: bounty.id,
+      status: bounty.status,
+      escrowAddress: bounty.escrowAddress,
+      currency: bounty.currency,
+      tokenAddress: bounty.tokenAddress,
+      tokenDecimals: bounty.tokenDecimals,
+      events,
+      transactions,
+      pullRequests,
+      contributions,
+      payouts,
+      milestones,
+      disputes
+    });
+  } catch (error) {
+    console.error('Error fetching bounty history:', error);
+    return res.status(500).json({ error: 'Failed to fetch bounty history', message: error.message });
+  }
+}
+
 module.exports = {
+  handleBountyActionError,
   createBounty,
+  contributeToBounty,
   claimBounty,
+  registerInterest,
+  withdrawInterest,
+  applyForBounty,
+  listBountyApplications,
+  acceptApplication,
+  unclaimBounty,
   completeBounty,
+  approveMilestone,
+  approveScheduledRelease,
+  getBountyCoAuthors,
   cancelBounty,
   listOpenBounties,
+  listSupportedTokens,
   listUserBounties,
-  listAllBounties
+  listAllBounties,
+  getBountyHistory
 };
@@ -0,0 +1,89 @@
+const { getUserById } = require('../models/userModel');
+const disputeService = require('../services/disputeService');
+const { handleBountyActionError } = require('./bountyController');
+
+// The caller with their admin flag, which decides what they may see and do in a dispute
+async function currentUser(req) {
+  const user = await getUserById(req.user.id);
+  return { id: req.user.id, isAdmin: Boolean(user?.isAdmin) };
+}
+
+// Open a dispute on a claimed or recently completed bounty (owner or hunter)
+async function openDispute(req, res) {
+  try {
+    const { bountyId } = req.params;
+    const { reason } = req.body;
+    console.log(`User ${req.user.id} is opening a dispute on bounty ${bountyId}`);
+
+    const { bounty, dispute } = await disputeService.openDispute(bountyId, req.user.id, reason);
+
+    return res.status(201).json({ bounty, dispute });
+  } catch (error) {
+    return handleBountyActionError(res, error, 'Failed to open dispute');
+  }
+}
+
+// List the disputes of a bounty (owner, hunter or admin)
+async function listBountyDisputes(req, res) {
+  try {
+    const { bountyId } = req.params;
+
+    const disputes = await disputeService.getDisputes(bountyId, await currentUser(req));
+
+    return res.status(200).json({ disputes });
+  } catch (error) {
+    return handleBountyActionError(res, error, 'Failed to fetch disputes');
+  }
+}
+
+// Add evidence to an open dispute (owner, hunter or admin)
+async function addDisputeEvidence(req, res) {
+  try {
+    const { bountyId, disputeId } = req.params;
+    const { body, url } = req.body;
+
+    const evidence = await disputeService.addEvidence(bountyId, disputeId, await currentUser(req), { body, url });
+
+    return res.status(201).json({ evidence });
+  } catch (error) {
+    return handleBountyActionError(res, error, 'Failed to add evidence');
+  }
+}
+
+// List the disputes waiting for a ruling (admin only)
+async function listActiveDisputes(req, res) {
+  try {
+    const disputes = await disputeService.listActiveDisputes();
+
+    return res.status(200).json({ disputes });
+  } catch (error) {
+    return handleBountyActionError(res, error, 'Failed to fetch disputes');
+  }
+}
+
+// Rule on a dispute: release, refund, split or dismiss (admin only)
+async function resolveDispute(req, res) {
+  try {
+    const { disputeId } = req.params;
+    const { outcome, hunter_percent, note } = req.body;
+    console.log(`Admin ${req.user.id} is resolving dispute ${disputeId}:`, { outcome, hunter_percent });
+
+    const result = await disputeService.resolveDispute(disputeId, req.user.id, {
+      outcome,
+      hunterPercent: hunter_percent,
+      note
+    });
+
+    return res.status(200).json(result);
+  } catch (error) {
+    return handleBountyActionError(res, error, 'Failed to resolve dispute');
+  }
+}
+
+module.exports = {
+  openDispute,
+  listBountyDisputes,
+  addDisputeEvidence,
+  listActiveDisputes,
+  resolveDispute
+};
@@ -0,0 +1,47 @@
+const {
+  getUserNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} = require('../models/notificationModel');
+
+// List the logged-in user's notifications (?unread=true for unread ones only)
+async function listNotifications(req, res) {
+  try {
+    const notifications = await getUserNotifications(req.user.id, req.query.unread === 'true');
+    return res.status(200).json({ notifications });
+  } catch (error) {
+    console.error('Error listing notifications:', error);
+    return res.status(500).json({ error: 'Failed to list notifications', message: error.message });
+  }
+}
+
+// Mark one notification as read
+async function readNotification(req, res) {
+  try {
+    const updated = await markNotificationRead(parseInt(req.params.id), req.user.id);
+    if (!updated) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    return res.status(500).json({ error: 'Failed to update notification', message: error.message });
+  }
+}
+
+// Mark all notifications of the logged-in user as read
+async function readAllNotifications(req, res) {
+  try {
+    const { count } = await markAllNotificationsRead(req.user.id);
+    return res.status(200).json({ success: true, count });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    return res.status(500).json({ error: 'Failed to update notifications', message: error.message });
+  }
+}
+
+module.exports = {
+  listNotifications,
+  readNotification,
+  readAllNotifications
+};
@@ -0,0 +1,80 @@
+const {
+  getReconciliationById,
+  getRecentReconciliations
+} = require('../models/escrowReconciliationModel');
+const { runReconciliation, renderReconciliationCsv } = require('../services/reconciliationService');
+
+// List the most recent escrow reconciliation runs (admin only)
+async function listReconciliations(req, res) {
+  try {
+    const reconciliations = await getRecentReconciliations();
+
+    return res.status(200).json({ reconciliations });
+  } catch (error) {
+    console.error('Error fetching escrow reconciliations:', error);
+    return res.status(500).json({ error: 'Failed to fetch escrow reconciliations', message: error.message });
+  }
+}
+
+// Reconcile escrow now instead of waiting for the background job (admin only)
+async function runReconciliationNow(req, res) {
+  try {
+    console.log(`Admin ${req.user.id} started an escrow reconciliation`);
+
+    const reconciliation = await runReconciliation();
+
+    return res.status(201).json({ reconciliation });
+  } catch (error) {
+    console.error('Error reconciling escrow:', error);
+    return res.status(500).json({ error: 'Failed to reconcile escrow', message: error.message });
+  }
+}
+
+// Get one reconciliation run with its full report (admin only)
+async function getReconciliation(req, res) {
+  try {
+    const reconciliation = await getReconciliationById(parseInt(req.params.reconciliationId));
+    if (!reconciliation) {
+      return res.status(404).json({ error: 'Reconciliation not found' });
+    }
+
+    return res.status(200).json({ reconciliation });
+  } catch (error) {
+    console.error('Error fetching escrow reconciliation:', error);
+    return res.status(500).json({ error: 'Failed to fetch escrow reconciliation', message: error.message });
+  }
+}
+
+// Download the report of a reconciliation run as CSV (?format=csv, the default) or JSON (admin only)
+async function downloadReconciliationReport(req, res) {
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be csv or json' });
+    }
+
+    const reconciliation = await getReconciliationById(parseInt(req.params.reconciliationId));
+    if (!reconciliation) {
+      return res.status(404).json({ error: 'Reconciliation not found' });
+    }
+
+    const filename = `escrow-reconciliation-${reconciliation.id}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'json') {
+      res.type('application/json');
+      return res.status(200).send(JSON.stringify(reconciliation.report, null, 2));
+    }
+    res.type('text/csv');
+    return res.status(200).send(renderReconciliationCsv(reconciliation.report));
+  } catch (error) {
+    console.error('Error downloading escrow reconciliation report:', error);
+    return res.status(500).json({ error: 'Failed to download reconciliation report', message: error.message });
+  }
+}
+
+module.exports = {
+  listReconciliations,
+  runReconciliationNow,
+  getReconciliation,
+  downloadReconciliationReport
+};
@@ -5,6 +5,33 @@ const {
   checkAndUpdateWebhook 
 } = require('../services/webhookService');
 const prisma = require('../config/database');
+const {
+  DELIVERY_STATUS,
+  isReplayable,
+  getDeliveryById,
+  getRepositoryDeliveries
+} = require('../models/webhookDeliveryModel');
+const { processDelivery } = require('../services/githubEventService');
+const { setPayoutHoldHours } = require('../services/payoutHoldService');
+const { BountyActionError } = require('../services/bountyService');
+
+/**
+ * Find the webhook a user registered for a repository (null if it is not theirs)
+ */
+async function getOwnedWebhook(userId, repoOwner, repoName) {
+  if (!repoOwner || !repoName) {
+    return null;
+  }
+  const webhook = await prisma.repositoryWebhook.findUnique({
+    where: {
+      repoOwner_repoName: {
+        repoOwner: repoOwner,
+        repoName: repoName
+      }
+    }
+  });
+  return webhook && webhook.userId === userId ? webhook : null;
+}
 
 /**
  * Get all webhooks for the authenticated user
@@ -23,6 +50,7 @@ async function getUserWebhooks(req, res) {
       webhooks: webhooks.map(webhook => ({
         id: webhook.id,
         repository: `${webhook.repoOwner}/${webhook.repoName}`,
+        payoutHoldHours: webhook.payoutHoldHours,
         createdAt: webhook.createdAt
       }))
     });
@@ -88,6 +116,7 @@ async function createWebhook(req, res) {
       webhook: {
         id: webhook.id,
         repository: `${webhook.repoOwner}/${webhook.repoName}`,
+        payoutHoldHours: webhook.payoutHoldHours,
         createdAt: webhook.createdAt
       }
     });
@@ -245,9 +274,153 @@ async function syncUserWebhooks(req, res) {
   }
 }
 
+/**
+ * List the webhook deliveries of a repository.
+ * Only replayable deliveries (failed, or abandoned while processing) are returned unless
+ * ?status=<STATUS> (or ?status=all) is given.
+ */
+async function listRepositoryDeliveries(req, res) {
+  try {
+    const userId = req.user.id;
+    const { owner, repo } = req.params;
+    const requested = req.query.status ?? 'REPLAYABLE';
+    // A repeated ?status= arrives as an array
+    const status = typeof requested === 'string' ? requested.toUpperCase() : null;
+
+    if (!status || (!['ALL', 'REPLAYABLE'].includes(status) && !DELIVERY_STATUS[status])) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown delivery status: ${requested}`
+      });
+    }
+
+    const webhook = await getOwnedWebhook(userId, owner, repo);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'No webhook registered by you for this repository'
+      });
+    }
+
+    const deliveries = status === 'REPLAYABLE'
+      ? await getRepositoryDeliveries(owner, repo, null, { replayable: true })
+      : await getRepositoryDeliveries(owner, repo, status === 'ALL' ? null : status);
+
+    return res.json({
+      success: true,
+      repository: `${owner}/${repo}`,
+      deliveries
+    });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook deliveries'
+    });
+  }
+}
+
+/**
+ * Set how long webhook-triggered payouts of a repository are held for review.
+ * { hours: null } goes back to the platform default.
+ */
+async function setPayoutHold(req, res) {
+  try {
+    const { owner, repo } = req.params;
+
+    const webhook = await setPayoutHoldHours(owner, repo, req.user.id, req.body.hours);
+
+    return res.json({
+      success: true,
+      repository: `${owner}/${repo}`,
+      payoutHoldHours: webhook.payoutHoldHours
+    });
+  } catch (error) {
+    if (error instanceof BountyActionError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error updating payout hold:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update payout hold'
+    });
+  }
+}
+
+/**
+ * Replay a failed webhook delivery (e.g. to retry an escrow release)
+ */
+async function replayDelivery(req, res) {
+  try {
+    const userId = req.user.id;
+    const delivery = await getDeliveryById(parseInt(req.params.id));
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found'
+      });
+    }
+
+    // Check if the delivery belongs to one of the user's repositories
+    const webhook = await getOwnedWebhook(userId, delivery.repoOwner, delivery.repoName);
+    if (!webhook) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to replay this delivery'
+      });
+    }
+
+    if (!delivery.signatureValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Deliveries that failed signature verification cannot be replayed'
+      });
+    }
+
+    if (!isReplayable(delivery)) {
+      return res.status(409).json({
+        success: false,
+        error: delivery.status === DELIVERY_STATUS.PROCESSING
+          ? 'Delivery is still being processed; it can be replayed if processing does not finish within the lease'
+          : `Only failed deliveries can be replayed, this one is ${delivery.status}`
+      });
+    }
+
+    console.log(`User ${userId} replaying webhook delivery ${delivery.deliveryId}`);
+    const result = await processDelivery(delivery);
+
+    if (result.skipped) {
+      return res.status(409).json({
+        success: false,
+        error: 'Delivery is already being processed'
+      });
+    }
+
+    return res.json({
+      success: result.status !== DELIVERY_STATUS.FAILED,
+      delivery: await getDeliveryById(delivery.id),
+      outcome: result.outcome || null,
+      error: result.error || null
+    });
+  } catch (error) {
+    console.error('Error replaying webhook delivery:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to replay delivery: ' + error.message
+    });
+  }
+}
+
 module.exports = {
   getUserWebhooks,
   createWebhook,
   deleteWebhook,
-  syncUserWebhooks
+  syncUserWebhooks,
+  listRepositoryDeliveries,
+  setPayoutHold,
+  replayDelivery
 };
@@ -8,6 +8,19 @@ const bountyRoutes = require('./routes/bountyRoutes');
 const webhookRoutes = require('./routes/webhookRoutes');
 const webhookManagementRoutes = require('./routes/webhookManagementRoutes');
 const walletRoutes = require('./routes/walletRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const disputeRoutes = require('./routes/disputeRoutes');
+const reconciliationRoutes = require('./routes/reconciliationRoutes');
+const { parseWebhookBody } = require('./middleware/webhookBodyMiddleware');
+const { registerIssueStatusSync } = require('./services/issueStatusService');
+const { registerClaimExpiryJob } = require('./services/claimExpiryService');
+const { registerBountyExpiryJob } = require('./services/bountyExpiryService');
+const { registerScheduledJobWorker } = require('./services/jobWorker');
+const { registerReconciliationJob } = require('./services/reconciliationService');
+const { registerConfirmationWatcher } = require('./services/confirmationService');
+const { registerEscrowBeneficiarySync } = require('./services/escrowService');
+const { startScheduler } = require('./services/scheduler');
+const { getPaymentProvider } = require('./services/paymentProvider');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -19,12 +32,7 @@ app.use(cors({
 }));
 
 // For webhook routes we need the raw body for signature verification
-app.use('/webhooks', express.raw({ type: 'application/json' }), (req, res, next) => {
-  if (req.body.length) {
-    req.body = JSON.parse(req.body.toString());
-  }
-  next();
-});
+app.use('/webhooks', express.raw({ type: 'application/json' }), parseWebhookBody);
 
 app.use(express.json());
 app.use(passport.initialize());
@@ -33,9 +41,21 @@ app.use(passport.initialize());
 app.use('/auth', authRoutes);
 app.use('/api', bountyRoutes);
 app.use('/api', webhookManagementRoutes);
+app.use('/api', notificationRoutes);
+app.use('/api', disputeRoutes);
+app.use('/api', reconciliationRoutes);
 app.use('/api/wallets', walletRoutes);
 app.use('/webhooks', webhookRoutes);
 
+// Fail at startup rather than on the first escrow transfer if PAYMENT_PROVIDER is wrong
+getPaymentProvider();
+
+// Keep the status comment and labels of bountied GitHub issues up to date
+registerIssueStatusSync();
+
+// Name the claimer as the beneficiary of each bounty's escrow contract
+registerEscrowBeneficiarySync();
+
 // Health check (optional)
 app.get('/', (req, res) => {
   res.send('GitHub Bounty Platform API running');
@@ -44,4 +64,12 @@ app.get('/', (req, res) => {
 // Start the server
 app.listen(PORT, () => {
   console.log(`Backend server is listening on port ${PORT}`);
+
+  // Background jobs
+  registerClaimExpiryJob();
+  registerBountyExpiryJob();
+  registerScheduledJobWorker();
+  registerReconciliationJob();
+  registerConfirmationWatcher();
+  startScheduler();
 });
@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const { getUserById } = require('../models/userModel');
 
 // Middleware to protect routes (checks for valid JWT in Authorization header)
 function ensureAuth(req, res, next) {
@@ -30,4 +31,21 @@ function ensureAuth(req, res, next) {
   }
 }
 
-module.exports = { ensureAuth };
+// Middleware for platform admin routes (use after ensureAuth); the admin flag is read
+// from the database so that revoking it takes effect without waiting for the token to expire
+async function ensureAdmin(req, res, next) {
+  try {
+    const user = await getUserById(req.user.id);
+    if (!user || !user.isAdmin) {
+      console.log(`User ${req.user.id} tried to use an admin route`);
+      return res.status(403).json({ error: 'Forbidden - Admins only' });
+    }
+    req.user.isAdmin = true;
+    next();
+  } catch (err) {
+    console.error('Admin check failed:', err.message);
+    return res.status(500).json({ error: 'Failed to check admin rights' });
+  }
+}
+
+module.exports = { ensureAuth, ensureAdmin };
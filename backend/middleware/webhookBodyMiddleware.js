@@ -0,0 +1,16 @@
+// Parse a webhook body read by express.raw while keeping the original bytes on req.rawBody.
+// GitHub signs the bytes it sent, so signatures must be verified against req.rawBody.
+function parseWebhookBody(req, res, next) {
+  if (Buffer.isBuffer(req.body) && req.body.length) {
+    req.rawBody = req.body;
+    try {
+      req.body = JSON.parse(req.rawBody.toString('utf8'));
+    } catch (error) {
+      console.error('Invalid JSON in webhook payload:', error.message);
+      return res.status(400).json({ error: 'Invalid JSON payload' });
+    }
+  }
+  next();
+}
+
+module.exports = { parseWebhookBody };
@@ -0,0 +1,73 @@
+const prisma = require('../config/database'); // Import the existing Prisma instance
+
+// Where an application to work on a bounty stands
+const APPLICATION_STATUS = {
+  PENDING: 'PENDING',
+  ACCEPTED: 'ACCEPTED',
+  REJECTED: 'REJECTED' // another applicant was accepted
+};
+
+// Get the applications to a bounty, oldest first
+async function getBountyApplications(bountyId) {
+  return prisma.bountyApplication.findMany({
+    where: { bountyId: bountyId },
+    include: {
+      user: { select: { id: true, githubUsername: true, name: true } }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+}
+
+// Get a user's application to a bounty
+async function getUserApplication(bountyId, userId) {
+  return prisma.bountyApplication.findUnique({
+    where: { bountyId_userId: { bountyId: bountyId, userId: userId } }
+  });
+}
+
+// Get an application by ID
+async function getApplicationById(id) {
+  return prisma.bountyApplication.findUnique({
+    where: { id: id },
+    include: {
+      user: { select: { id: true, githubUsername: true, name: true } }
+    }
+  });
+}
+
+// Submit an application; applying again replaces the earlier one and puts it back up for review
+async function submitApplication({ bountyId, userId, walletId, pitch, etaDays, workUrl }) {
+  const details = { walletId, pitch, etaDays, workUrl, status: APPLICATION_STATUS.PENDING };
+  return prisma.bountyApplication.upsert({
+    where: { bountyId_userId: { bountyId: bountyId, userId: userId } },
+    create: { bountyId, userId, ...details },
+    update: details
+  });
+}
+
+// Accept one application and reject the other pending ones; returns the rejected applications
+async function resolveApplications(bountyId, acceptedId) {
+  return prisma.$transaction(async (tx) => {
+    await tx.bountyApplication.update({
+      where: { id: acceptedId },
+      data: { status: APPLICATION_STATUS.ACCEPTED }
+    });
+    const rejected = await tx.bountyApplication.findMany({
+      where: { bountyId: bountyId, status: APPLICATION_STATUS.PENDING }
+    });
+    await tx.bountyApplication.updateMany({
+      where: { id: { in: rejected.map(application => application.id) } },
+      data: { status: APPLICATION_STATUS.REJECTED }
+    });
+    return rejected;
+  });
+}
+
+module.exports = {
+  APPLICATION_STATUS,
+  getBountyApplications,
+  getUserApplication,
+  getApplicationById,
+  submitApplication,
+  resolveApplications
+};
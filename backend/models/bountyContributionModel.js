@@ -0,0 +1,102 @@
+const prisma = require('../config/database'); // Import the existing Prisma instance
+const { linkTransactionToBounty } = require('./bountyTransactionModel');
+const { BOUNTY_STATUS } = require('../services/bountyStateMachine');
+const { toBaseUnits } = require('../../shared/money');
+
+// Refund progress of a contribution
+const CONTRIBUTION_STATUS = {
+  FUNDED: 'FUNDED',       // held in escrow (or paid out with the bounty)
+  REFUNDING: 'REFUNDING', // a refund is being sent
+  REFUNDED: 'REFUNDED',
+  FAILED: 'FAILED'        // the funding transaction failed or was dropped, nothing is held
+};
+
+// Bounty statuses that accept new contributions
+const CONTRIBUTABLE_STATUSES = [BOUNTY_STATUS.OPEN, BOUNTY_STATUS.CLAIMED];
+
+// Record a contribution (used for the creator's funding when a bounty is created)
+async function createContribution(data, client = prisma) {
+  return client.bountyContribution.create({ data });
+}
+
+// Add a contribution to a bounty and raise its amount, but only while the bounty is open or claimed.
+// Returns null if the bounty stopped accepting contributions (e.g. it is being paid out).
+// Amounts are base-unit strings, which the database cannot add up, so the new amount is
+// written only if the amount read is still current, and read again if another contribution won.
+async function addContribution(data) {
+  return prisma.$transaction(async (tx) => {
+    // txHash is the funding transaction recorded by radius.createEscrow
+    await linkTransactionToBounty(data.txHash, data.bountyId, tx);
+
+    for (;;) {
+      const bounty = await tx.bounty.findUnique({ where: { id: data.bountyId } });
+      if (!bounty || !CONTRIBUTABLE_STATUSES.includes(bounty.status)) {
+        return null;
+      }
+
+      const { count } = await tx.bounty.updateMany({
+        where: { id: data.bountyId, status: { in: CONTRIBUTABLE_STATUSES }, amount: bounty.amount },
+        data: { amount: (toBaseUnits(bounty.amount) + toBaseUnits(data.amount)).toString() }
+      });
+      if (count > 0) {
+        return tx.bountyContribution.create({ data });
+      }
+    }
+  });
+}
+
+// Get the contributions of a bounty, oldest first
+async function getBountyContributions(bountyId) {
+  return prisma.bountyContribution.findMany({
+    where: { bountyId: bountyId },
+    include: {
+      user: { select: { id: true, githubUsername: true } }
+    },
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+  });
+}
+
+// Lock a funded contribution for refund; false if another caller already refunds it
+async function claimContributionRefund(id) {
+  const { count } = await prisma.bountyContribution.updateMany({
+    where: { id: id, status: CONTRIBUTION_STATUS.FUNDED },
+    data: { status: CONTRIBUTION_STATUS.REFUNDING }
+  });
+  return count > 0;
+}
+
+// Record the refund transaction of a contribution
+async function completeContributionRefund(id, refundTxHash) {
+  return prisma.bountyContribution.update({
+    where: { id: id },
+    data: { status: CONTRIBUTION_STATUS.REFUNDED, refundTxHash: refundTxHash }
+  });
+}
+
+// Unlock a contribution whose refund failed before any funds moved
+async function releaseContributionRefund(id) {
+  return prisma.bountyContribution.updateMany({
+    where: { id: id, status: CONTRIBUTION_STATUS.REFUNDING },
+    data: { status: CONTRIBUTION_STATUS.FUNDED }
+  });
+}
+
+// Mark the contribution paid by a funding transaction that failed or was dropped
+async function failContribution(txHash) {
+  return prisma.bountyContribution.updateMany({
+    where: { txHash: txHash, status: CONTRIBUTION_STATUS.FUNDED },
+    data: { status: CONTRIBUTION_STATUS.FAILED }
+  });
+}
+
+module.exports = {
+  CONTRIBUTION_STATUS,
+  CONTRIBUTABLE_STATUSES,
+  createContribution,
+  addContribution,
+  getBountyContributions,
+  claimContributionRefund,
+  completeContributionRefund,
+  releaseContributionRefund,
+  failContribution
+};
@@ -0,0 +1,134 @@
+const prisma = require('../config/database'); // Import the existing Prisma instance
+
+// Where a dispute stands
+const DISPUTE_STATUS = {
+  OPEN: 'OPEN',
+  RESOLVING: 'RESOLVING', // an admin's ruling is being carried out
+  RESOLVED: 'RESOLVED'
+};
+
+// How an admin can rule on a dispute
+const DISPUTE_RESOLUTION = {
+  RELEASE: 'RELEASE', // pay the escrow to the hunter
+  REFUND: 'REFUND', // refund the escrow to the funders
+  SPLIT: 'SPLIT', // pay part to the hunter and refund the rest
+  DISMISS: 'DISMISS' // hand the bounty back in the state it was disputed from
+};
+
+const PARTY = { select: { id: true, githubUsername: true, name: true } };
+
+// Details included with a dispute: who opened and resolved it, and the evidence, oldest first
+const DISPUTE_DETAILS = {
+  opener: PARTY,
+  resolver: PARTY,
+  evidence: {
+    include: { user: PARTY },
+    orderBy: { createdAt: 'asc' }
+  }
+};
+
+// Open a dispute on a bounty
+async function createDispute({ bountyId, openedBy, reason, bountyStatus }) {
+  return prisma.bountyDispute.create({
+    data: { bountyId, openedBy, reason, bountyStatus },
+    include: DISPUTE_DETAILS
+  });
+}
+
+// Get a dispute by ID, with the bounty it is about
+async function getDisputeById(id) {
+  return prisma.bountyDispute.findUnique({
+    where: { id: id },
+    include: { ...DISPUTE_DETAILS, bounty: true }
+  });
+}
+
+// Get the dispute of a bounty that is not resolved yet
+async function getActiveDispute(bountyId) {
+  return prisma.bountyDispute.findFirst({
+    where: { bountyId: bountyId, status: { not: DISPUTE_STATUS.RESOLVED } },
+    include: DISPUTE_DETAILS
+  });
+}
+
+// Get all disputes of a bounty, newest first
+async function getBountyDisputes(bountyId) {
+  return prisma.bountyDispute.findMany({
+    where: { bountyId: bountyId },
+    include: DISPUTE_DETAILS,
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+// Get the disputes waiting for an admin, oldest first
+async function getActiveDisputes() {
+  return prisma.bountyDispute.findMany({
+    where: { status: { not: DISPUTE_STATUS.RESOLVED } },
+    include: {
+      ...DISPUTE_DETAILS,
+      bounty: {
+        include: {
+          owner: PARTY,
+          claimer: PARTY,
+          contributions: { select: { userId: true, amount: true } }
+        }
+      }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+}
+
+// Add a piece of evidence to a dispute
+async function addEvidence({ disputeId, userId, body, url }) {
+  return prisma.disputeEvidence.create({
+    data: { disputeId, userId, body, url },
+    include: { user: PARTY }
+  });
+}
+
+// Lock an open dispute for carrying out a ruling; returns false if it is not open anymore.
+// A dispute stuck RESOLVING with the same ruling can be locked again to retry it.
+async function lockDisputeResolution(id, { resolution, hunterPercent = null, resolutionNote = null, resolvedBy }) {
+  const { count } = await prisma.bountyDispute.updateMany({
+    where: {
+      id: id,
+      OR: [
+        { status: DISPUTE_STATUS.OPEN },
+        { status: DISPUTE_STATUS.RESOLVING, resolution: resolution }
+      ]
+    },
+    data: { status: DISPUTE_STATUS.RESOLVING, resolution, hunterPercent, resolutionNote, resolvedBy }
+  });
+  return count === 1;
+}
+
+// Put a dispute back up for a ruling after nothing of a ruling was carried out
+async function unlockDispute(id) {
+  return prisma.bountyDispute.updateMany({
+    where: { id: id, status: DISPUTE_STATUS.RESOLVING },
+    data: { status: DISPUTE_STATUS.OPEN, resolution: null, hunterPercent: null, resolutionNote: null, resolvedBy: null }
+  });
+}
+
+// Mark a dispute as resolved once its ruling was carried out
+async function completeDispute(id) {
+  return prisma.bountyDispute.update({
+    where: { id: id },
+    data: { status: DISPUTE_STATUS.RESOLVED, resolvedAt: new Date() },
+    include: DISPUTE_DETAILS
+  });
+}
+
+module.exports = {
+  DISPUTE_STATUS,
+  DISPUTE_RESOLUTION,
+  createDispute,
+  getDisputeById,
+  getActiveDispute,
+  getBountyDisputes,
+  getActiveDisputes,
+  addEvidence,
+  lockDisputeResolution,
+  unlockDispute,
+  completeDispute
+};
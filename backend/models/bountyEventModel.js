@@ -0,0 +1,22 @@
+const prisma = require('../config/database'); // Import the existing Prisma instance
+
+// Record a bounty event (pass a transaction client to write atomically with the status change)
+async function createBountyEvent(data, client = prisma) {
+  return client.bountyEvent.create({ data });
+}
+
+// Get the full event history of a bounty, oldest first
+async function getBountyEvents(bountyId) {
+  return prisma.bountyEvent.findMany({
+    where: { bountyId: bountyId },
+    include: {
+      actor: { select: { id: true, githubUsername: true, name: true } }
+    },
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+  });
+}
+
+module.exports = {
+  createBountyEvent,
+  getBountyEvents
+};
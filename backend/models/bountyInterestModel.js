@@ -0,0 +1,32 @@
+const prisma = require('../config/database'); // Import the existing Prisma instance
+
+// Register a hunter's interest in a competitive bounty (no-op if already registered)
+async function registerInterest(bountyId, userId) {
+  return prisma.bountyInterest.upsert({
+    where: { bountyId_userId: { bountyId: bountyId, userId: userId } },
+    create: { bountyId: bountyId, userId: userId },
+    update: {}
+  });
+}
+
+// Remove a hunter's interest in a bounty
+async function withdrawInterest(bountyId, userId) {
+  return prisma.bountyInterest.deleteMany({
+    where: { bountyId: bountyId, userId: userId }
+  });
+}
+
+// Get the IDs of the hunters racing for a bounty
+async function getInterestedUserIds(bountyId) {
+  const interests = await prisma.bountyInterest.findMany({
+    where: { bountyId: bountyId },
+    select: { userId: true }
+  });
+  return interests.map(interest => interest.userId);
+}
+
+module.exports = {
+  registerInterest,
+  withdrawInterest,
+  getInterestedUserIds
+};
@@ -0,0 +1,86 @@
+const prisma = require('../config/database'); // Import the existing Prisma instance
+const { toBaseUnits } = require('../../shared/money');
+
+// Progress of a milestone's payout
+const MILESTONE_STATUS = {
+  PENDING: 'PENDING',
+  RELEASING: 'RELEASING',
+  RELEASED: 'RELEASED'
+};
+
+// Get the milestones of a bounty in order
+async function getBountyMilestones(bountyId) {
+  return prisma.bountyMilestone.findMany({
+    where: { bountyId: bountyId },
+    include: {
+      recipient: { select: { id: true, githubUsername: true } }
+    },
+    orderBy: { position: 'asc' }
+  });
+}
+
+// Get a milestone by ID
+async function getMilestoneById(id) {
+  return prisma.bountyMilestone.findUnique({ where: { id: id } });
+}
+
+// Lock a pending milestone for release; false if it is already being or was released
+async function claimMilestoneRelease(id) {
+  const { count } = await prisma.bountyMilestone.updateMany({
+    where: { id: id, status: MILESTONE_STATUS.PENDING },
+    data: { status: MILESTONE_STATUS.RELEASING }
+  });
+  return count > 0;
+}
+
+// Unlock a milestone whose release failed before any funds moved
+async function unlockMilestone(id) {
+  return prisma.bountyMilestone.updateMany({
+    where: { id: id, status: MILESTONE_STATUS.RELEASING },
+    data: { status: MILESTONE_STATUS.PENDING }
+  });
+}
+
+// Record a milestone's payout and add it to the bounty's released amount. The bounty is
+// locked in PAYING while a milestone is released, so nothing else changes the amount meanwhile.
+async function completeMilestoneRelease(milestone, txHash, userId) {
+  return prisma.$transaction(async (tx) => {
+    await tx.bountyMilestone.update({
+      where: { id: milestone.id },
+      data: {
+        status: MILESTONE_STATUS.RELEASED,
+        txHash: txHash,
+        releasedTo: userId,
+        releasedAt: new Date()
+      }
+    });
+    const bounty = await tx.bounty.findUnique({ where: { id: milestone.bountyId } });
+    return tx.bounty.update({
+      where: { id: milestone.bountyId },
+      data: { releasedAmount: (toBaseUnits(bounty.releasedAmount) + toBaseUnits(milestone.amount)).toString() }
+    });
+  });
+}
+
+// Mark the milestones still pending as paid by the bounty's final payout
+async function settleMilestones(bountyId, txHash, userId) {
+  return prisma.bountyMilestone.updateMany({
+    where: { bountyId: bountyId, status: MILESTONE_STATUS.PENDING },
+    data: {
+      status: MILESTONE_STATUS.RELEASED,
+      txHash: txHash,
+      releasedTo: userId,
+      releasedAt: new Date()
+    }
+  });
+}
+
+module.exports = {
+  MILESTONE_STATUS,
+  getBountyMilestones,
+  getMilestoneById,
+  claimMilestoneRelease,
+  unlockMilestone,
+  completeMilestoneRelease,
+  settleMilestones
+};
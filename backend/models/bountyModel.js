@@ -1,8 +1,50 @@
 const prisma = require('../config/database'); // Import the existing Prisma instance
+const { createBountyEvent } = require('./bountyEventModel');
+const { TRANSACTION_STATUS, linkTransactionToBounty } = require('./bountyTransactionModel');
+const { createContribution } = require('./bountyContributionModel');
+const { JOB_STATUS, JOB_TYPE } = require('./scheduledJobModel');
+const {
+  BOUNTY_STATUS,
+  ACTOR_TYPE,
+  TERMINAL_STATUSES,
+  transitionBounty,
+  emitTransition
+} = require('../services/bountyStateMachine');
 
-// Create a new bounty record in the database
+// Create a new bounty record in the database, recording its creation as the first history event
+// and the creator's funding as its first contribution
 async function createBounty(data) {
-  return prisma.bounty.create({ data });
+  const bounty = await prisma.$transaction(async (tx) => {
+    const bounty = await tx.bounty.create({ data });
+    // escrowId is the funding transaction hash recorded by radius.createEscrow
+    await linkTransactionToBounty(bounty.escrowId, bounty.id, tx);
+    await createContribution({
+      bountyId: bounty.id,
+      userId: bounty.createdBy,
+      walletId: bounty.ownerWalletId,
+      amount: bounty.amount,
+      txHash: bounty.escrowId
+    }, tx);
+    await createBountyEvent({
+      bountyId: bounty.id,
+      fromStatus: null,
+      toStatus: bounty.status,
+      actorId: bounty.createdBy,
+      actorType: ACTOR_TYPE.USER,
+      txHash: bounty.escrowId,
+      note: bounty.status === BOUNTY_STATUS.FUNDING_PENDING ? 'Bounty created, waiting for the funding transaction to confirm' : 'Bounty created and funded'
+    }, tx);
+    return bounty;
+  });
+
+  emitTransition({
+    bounty,
+    fromStatus: null,
+    toStatus: bounty.status,
+    actorId: bounty.createdBy,
+    actorType: ACTOR_TYPE.USER
+  });
+  return bounty;
 }
 
 // Get a bounty by ID
@@ -19,51 +61,153 @@ async function getBountyById(id) {
   });
 }
 
-// Mark a bounty as claimed by a developer
-async function markBountyClaimed(id, devId, hunterWalletId) {
-  return prisma.bounty.update({
+// Date a claim made now expires for a claim window in days (null if claims never expire)
+function claimExpiryDate(claimWindowDays, from = new Date()) {
+  if (!claimWindowDays) {
+    return null;
+  }
+  return new Date(from.getTime() + claimWindowDays * 24 * 60 * 60 * 1000);
+}
+
+// Matches bounties with a held payout waiting for the end of its review window
+const HAS_SCHEDULED_RELEASE = {
+  scheduledJobs: { some: { type: JOB_TYPE.BOUNTY_RELEASE, status: { in: [JOB_STATUS.PENDING, JOB_STATUS.RUNNING] } } }
+};
+
+// Transactions of a bounty that were sent but not confirmed yet
+const PENDING_TRANSACTIONS = {
+  where: { status: TRANSACTION_STATUS.PENDING },
+  select: { txHash: true, type: true, createdAt: true },
+  orderBy: { createdAt: 'asc' }
+};
+
+// Mark a bounty as claimed by a developer; the claim expires after the bounty's claim window
+async function markBountyClaimed(id, devId, hunterWalletId, event = {}) {
+  const { claimWindowDays } = await prisma.bounty.findUnique({
     where: { id: id },
+    select: { claimWindowDays: true }
+  });
+
+  return transitionBounty(id, BOUNTY_STATUS.CLAIMED, {
+    actorId: devId,
+    note: 'Bounty claimed',
+    ...event,
     data: {
       claimedBy: devId,
       hunterWalletId: hunterWalletId, // Store the hunter's wallet ID
-      status: 'CLAIMED'
+      claimExpiresAt: claimExpiryDate(claimWindowDays)
+    }
+  });
+}
+
+// Release the claim on a bounty so it can be claimed again
+async function markBountyUnclaimed(id, event = {}) {
+  return transitionBounty(id, BOUNTY_STATUS.OPEN, {
+    fromStatus: BOUNTY_STATUS.CLAIMED,
+    note: 'Claim released',
+    ...event,
+    data: {
+      claimedBy: null,
+      hunterWalletId: null,
+      claimExpiresAt: null
+    }
+  });
+}
+
+// Push back the expiry of a developer's claim to a full claim window from now.
+// Never shortens a claim; returns false if the bounty is no longer claimed by them.
+async function extendClaim(id, devId) {
+  const bounty = await prisma.bounty.findUnique({ where: { id: id } });
+  if (!bounty || bounty.status !== BOUNTY_STATUS.CLAIMED || bounty.claimedBy !== devId || !bounty.claimExpiresAt) {
+    return false;
+  }
+
+  const claimExpiresAt = claimExpiryDate(bounty.claimWindowDays);
+  if (!claimExpiresAt || claimExpiresAt <= bounty.claimExpiresAt) {
+    return false;
+  }
+
+  const { count } = await prisma.bounty.updateMany({
+    where: { id: id, status: BOUNTY_STATUS.CLAIMED, claimedBy: devId },
+    data: { claimExpiresAt: claimExpiresAt }
+  });
+  return count === 1;
+}
+
+// Get claimed bounties whose claim has expired (a claim whose payout is already scheduled does not expire)
+async function getExpiredClaims(now = new Date()) {
+  return prisma.bounty.findMany({
+    where: {
+      status: BOUNTY_STATUS.CLAIMED,
+      claimExpiresAt: { lte: now },
+      NOT: HAS_SCHEDULED_RELEASE
     },
-    include: { owner: true }  // include owner User details (to access owner.token)
+    include: {
+      owner: { select: { id: true, githubUsername: true } },
+      claimer: { select: { id: true, githubUsername: true } }
+    }
   });
 }
 
 // Mark a bounty as completed (after approval)
-async function markBountyCompleted(id, transactionId) {
-  // Store the transaction ID in the escrowId field since there's no dedicated transactionId field
-  // This is a temporary solution - ideally, the schema should be updated to include a transactionId field
-  console.log(`Marking bounty ${id} as completed with transaction hash stored in escrowId`);
+// The release transaction lives in the BountyTransaction ledger; escrowId keeps the funding transaction hash
+async function markBountyCompleted(id, transactionId, event = {}) {
+  const txHash = typeof transactionId === 'string' || transactionId == null ? transactionId : JSON.stringify(transactionId);
+  console.log(`Marking bounty ${id} as completed with release transaction ${txHash}`);
   
-  return prisma.bounty.update({
-    where: { id: id },
-    data: { 
-      status: 'COMPLETED',
-      // Store the transaction hash in the escrowId field since we don't have a dedicated transactionId field
-      escrowId: typeof transactionId === 'string' ? transactionId : JSON.stringify(transactionId)
-      // Note: updatedAt will be automatically updated by Prisma
-    }
+  return transitionBounty(id, BOUNTY_STATUS.COMPLETED, {
+    fromStatus: BOUNTY_STATUS.PAYING,
+    txHash,
+    note: 'Escrow released to bounty hunter',
+    ...event
   });
 }
 
-// Mark a bounty as cancelled
-async function cancelBounty(id) {
-  return prisma.bounty.update({
-    where: { id: id },
-    data: { status: 'CANCELLED' }
+// Mark a bounty as cancelled (after its escrow was refunded)
+async function cancelBounty(id, event = {}) {
+  return transitionBounty(id, BOUNTY_STATUS.CANCELLED, {
+    fromStatus: BOUNTY_STATUS.REFUNDING,
+    note: 'Bounty cancelled and escrow refunded',
+    ...event
+  });
+}
+
+// Mark a bounty as expired (after its escrow was refunded at its deadline)
+async function markBountyExpired(id, event = {}) {
+  return transitionBounty(id, BOUNTY_STATUS.EXPIRED, {
+    fromStatus: BOUNTY_STATUS.REFUNDING,
+    actorType: ACTOR_TYPE.SYSTEM,
+    note: 'Bounty deadline passed and escrow refunded',
+    ...event
+  });
+}
+
+// Get bounties past their deadline that still hold escrow (open or claimed), except those
+// whose fix was delivered and whose payout is waiting for the end of its review window
+async function getOverdueBounties(now = new Date()) {
+  return prisma.bounty.findMany({
+    where: {
+      status: { in: [BOUNTY_STATUS.OPEN, BOUNTY_STATUS.CLAIMED] },
+      expiresAt: { lte: now },
+      NOT: HAS_SCHEDULED_RELEASE
+    },
+    include: {
+      owner: { select: { id: true, githubUsername: true } },
+      claimer: { select: { id: true, githubUsername: true } },
+      contributions: { select: { userId: true } }
+    }
   });
 }
 
 // Get all open (unclaimed) bounties
 async function getOpenBounties() {
   return prisma.bounty.findMany({
-    where: { status: 'OPEN' },
+    where: { status: BOUNTY_STATUS.OPEN },
     include: {
       owner: true, // Include the owner information
-      OwnerWalletIdToWallet: true // Using the exact relation name from schema
+      OwnerWalletIdToWallet: true, // Using the exact relation name from schema
+      milestones: { select: { title: true, amount: true }, orderBy: { position: 'asc' } }, // Stages the bounty is paid out in
+      _count: { select: { contributions: true, interests: true } } // Number of funders' contributions and of hunters racing
     }
   });
 }
@@ -93,7 +237,15 @@ async function getUserBounties(userId) {
       owner: { select: { id: true, githubUsername: true, name: true } },
       claimer: { select: { id: true, githubUsername: true, name: true } },
       OwnerWalletIdToWallet: true, // Owner wallet relation
-      HunterWalletIdToWallet: true // Hunter wallet relation
+      HunterWalletIdToWallet: true, // Hunter wallet relation
+      payouts: { include: { user: { select: { githubUsername: true } } } }, // Payout split, once paid
+      milestones: { orderBy: { position: 'asc' } }, // Stages the bounty is paid out in
+      transactions: PENDING_TRANSACTIONS, // Funding or payout waiting for confirmation
+      scheduledJobs: { where: HAS_SCHEDULED_RELEASE.scheduledJobs.some }, // Held payout waiting for its review window
+      applications: { // Hunters who applied, for bounties that require applications
+        include: { user: { select: { id: true, githubUsername: true, name: true } } },
+        orderBy: { createdAt: 'asc' }
+      }
     },
     orderBy: { createdAt: 'desc' }
   });
@@ -111,13 +263,16 @@ async function getUserBounties(userId) {
   const claimed = await prisma.bounty.findMany({
     where: {
       claimedBy: userId,
-      NOT: { status: { in: ['COMPLETED', 'CANCELLED'] } }
+      NOT: { status: { in: TERMINAL_STATUSES } }
     },
     include: { 
       owner: { select: { id: true, githubUsername: true, name: true } },
       claimer: { select: { id: true, githubUsername: true, name: true } },
       OwnerWalletIdToWallet: true, // Owner wallet relation
-      HunterWalletIdToWallet: true // Hunter wallet relation
+      HunterWalletIdToWallet: true, // Hunter wallet relation
+      payouts: { include: { user: { select: { githubUsername: true } } } }, // Payout split, once paid
+      milestones: { orderBy: { position: 'asc' } }, // Stages the bounty is paid out in
+      transactions: PENDING_TRANSACTIONS // Payout waiting for confirmation
     },
     orderBy: { updatedAt: 'desc' }
   });
@@ -135,6 +290,8 @@ async function getBountyByIssue(repoOwner, repoName, issueNumber) {
       repoName: repoName,
       issueNumber: parseInt(issueNumber, 10)
     },
+    // An issue can get a new bounty after an earlier one was cancelled; use the latest
+    orderBy: { createdAt: 'desc' },
     include: {
       owner: { select: { id: true, githubUsername: true, name: true } },
       claimer: { select: { id: true, githubUsername: true, name: true } },
@@ -144,14 +301,66 @@ async function getBountyByIssue(repoOwner, repoName, issueNumber) {
   });
 }
 
+// Get the bounties whose funds are still in escrow (not yet paid out, cancelled or expired),
+// with their contributions, for reconciliation against the escrow balances
+async function getBountiesHoldingEscrow() {
+  return prisma.bounty.findMany({
+    where: { status: { notIn: TERMINAL_STATUSES } },
+    include: {
+      contributions: { orderBy: [{ createdAt: 'asc' }, { id: 'asc' }] }
+    },
+    orderBy: { id: 'asc' }
+  });
+}
+
+// Get the bounties waiting for their funding or payout transactions to confirm
+async function getBountiesAwaitingConfirmation() {
+  return prisma.bounty.findMany({
+    where: { status: { in: [BOUNTY_STATUS.FUNDING_PENDING, BOUNTY_STATUS.PAYOUT_PENDING] } },
+    include: {
+      payouts: { select: { userId: true } }
+    },
+    orderBy: { id: 'asc' }
+  });
+}
+
+// Get every bounty posted on an issue, including finished ones, newest first
+async function getIssueBounties(repoOwner, repoName, issueNumber) {
+  return prisma.bounty.findMany({
+    where: {
+      repoOwner: repoOwner,
+      repoName: repoName,
+      issueNumber: parseInt(issueNumber, 10)
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+// Point a bounty at its issue's new location after the issue was transferred to another repository
+async function moveBountyIssue(id, { repoOwner, repoName, issueNumber }) {
+  return prisma.bounty.update({
+    where: { id: id },
+    data: { repoOwner, repoName, issueNumber }
+  });
+}
+
 module.exports = {
   createBounty,
   getBountyById,
   markBountyClaimed,
+  markBountyUnclaimed,
+  extendClaim,
+  getExpiredClaims,
   markBountyCompleted,
   cancelBounty,
+  markBountyExpired,
+  getOverdueBounties,
   getOpenBounties,
   getUserBounties,
   getAllBounties,
-  getBountyByIssue
+  getBountyByIssue,
+  getBountiesHoldingEscrow,
+  getBountiesAwaitingConfirmation,
+  getIssueBounties,
+  moveBountyIssue
 };
@@ -0,0 +1,85 @@
+const prisma = require('../config/database'); // Import the existing Prisma instance
+
+// Progress of a payout transfer
+const PAYOUT_STATUS = {
+  PENDING: 'PENDING',
+  SENDING: 'SENDING',
+  PAID: 'PAID' // sent; confirmed once its ledger entry is
+};
+
+// Get the payouts of a bounty, oldest first
+async function getBountyPayouts(bountyId) {
+  return prisma.bountyPayout.findMany({
+    where: { bountyId: bountyId },
+    include: {
+      user: { select: { id: true, githubUsername: true } }
+    },
+    orderBy: { id: 'asc' }
+  });
+}
+
+// Record who a bounty is paid to ({ userId, walletId, amount } per recipient),
+// unless its payouts were already recorded by an earlier attempt
+async function createPayouts(bountyId, recipients) {
+  await prisma.$transaction(async (tx) => {
+    const existing = await tx.bountyPayout.count({ where: { bountyId: bountyId } });
+    if (existing === 0) {
+      await tx.bountyPayout.createMany({
+        data: recipients.map(recipient => ({ ...recipient, amount: recipient.amount.toString(), bountyId: bountyId }))
+      });
+    }
+  });
+  return getBountyPayouts(bountyId);
+}
+
+// Lock a pending payout for sending; false if another caller already sends it
+async function claimPayout(id) {
+  const { count } = await prisma.bountyPayout.updateMany({
+    where: { id: id, status: PAYOUT_STATUS.PENDING },
+    data: { status: PAYOUT_STATUS.SENDING }
+  });
+  return count > 0;
+}
+
+// Record the transaction of a sent payout
+async function completePayout(id, txHash) {
+  return prisma.bountyPayout.update({
+    where: { id: id },
+    data: { status: PAYOUT_STATUS.PAID, txHash: txHash }
+  });
+}
+
+// Unlock a payout whose transfer failed before any funds moved
+async function releasePayout(id) {
+  return prisma.bountyPayout.updateMany({
+    where: { id: id, status: PAYOUT_STATUS.SENDING },
+    data: { status: PAYOUT_STATUS.PENDING }
+  });
+}
+
+// Unlock a sent payout whose transaction failed or was dropped, so that it is sent again
+async function resetPayout(txHash) {
+  return prisma.bountyPayout.updateMany({
+    where: { txHash: txHash, status: PAYOUT_STATUS.PAID },
+    data: { status: PAYOUT_STATUS.PENDING, txHash: null }
+  });
+}
+
+// Forget the payouts of a bounty whose release failed before anything was sent,
+// so that the owner can choose a different split on the next attempt
+async function deletePendingPayouts(bountyId) {
+  return prisma.bountyPayout.deleteMany({
+    where: { bountyId: bountyId, status: PAYOUT_STATUS.PENDING }
+  });
+}
+
+module.exports = {
+  PAYOUT_STATUS,
+  getBountyPayouts,
+  createPayouts,
+  claimPayout,
+  completePayout,
+  releasePayout,
+  resetPayout,
+  deletePendingPayouts
+};
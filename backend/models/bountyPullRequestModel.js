@@ -0,0 +1,60 @@
+const prisma = require('../config/database'); // Import the existing Prisma instance
+
+// State of a linked pull request on GitHub
+const PULL_REQUEST_STATE = {
+  OPEN: 'OPEN',
+  CLOSED: 'CLOSED', // closed without merging
+  MERGED: 'MERGED'
+};
+
+// Link a pull request to a bounty, or refresh an existing link
+async function upsertPullRequestLink(data) {
+  const { bountyId, repoOwner, repoName, prNumber, ...fields } = data;
+  return prisma.bountyPullRequest.upsert({
+    where: {
+      bountyId_repoOwner_repoName_prNumber: { bountyId, repoOwner, repoName, prNumber }
+    },
+    create: data,
+    update: fields
+  });
+}
+
+// Remove the links of a pull request to bounties it no longer references (merged links are kept)
+async function unlinkPullRequest(repoOwner, repoName, prNumber, keepBountyIds = []) {
+  return prisma.bountyPullRequest.deleteMany({
+    where: {
+      repoOwner: repoOwner,
+      repoName: repoName,
+      prNumber: prNumber,
+      bountyId: { notIn: keepBountyIds },
+      state: { not: PULL_REQUEST_STATE.MERGED }
+    }
+  });
+}
+
+// Update the state of every link of a pull request
+async function updatePullRequestState(repoOwner, repoName, prNumber, state, mergedAt = null) {
+  return prisma.bountyPullRequest.updateMany({
+    where: { repoOwner: repoOwner, repoName: repoName, prNumber: prNumber },
+    data: { state: state, mergedAt: mergedAt }
+  });
+}
+
+// Get the pull requests linked to a bounty, newest first (optionally filtered by state)
+async function getBountyPullRequests(bountyId, states) {
+  return prisma.bountyPullRequest.findMany({
+    where: {
+      bountyId: bountyId,
+      ...(states && { state: { in: states } })
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+module.exports = {
+  PULL_REQUEST_STATE,
+  upsertPullRequestLink,
+  unlinkPullRequest,
+  updatePullRequestState,
+  getBountyPullRequests
+};
@@ -0,0 +1,95 @@
+const prisma = require('../config/database'); // Import the existing Prisma instance
+
+// Kinds of escrow transactions recorded in the ledger
+const TRANSACTION_TYPE = {
+  FUNDING: 'FUNDING',
+  RELEASE: 'RELEASE',
+  REFUND: 'REFUND',
+  BENEFICIARY: 'BENEFICIARY' // an escrow contract was pointed at a new beneficiary (toAddress); moves no funds
+};
+
+// Confirmation status of a ledger entry
+const TRANSACTION_STATUS = {
+  PENDING: 'PENDING',
+  CONFIRMED: 'CONFIRMED',
+  FAILED: 'FAILED'
+};
+
+// Record an escrow transfer in the ledger (amount is in base units, as an integer string)
+async function recordTransaction(data, client = prisma) {
+  return client.bountyTransaction.create({
+    data: {
+      ...data,
+      amount: data.amount.toString()
+    }
+  });
+}
+
+// Attach a funding transaction recorded before the bounty existed to its bounty
+async function linkTransactionToBounty(txHash, bountyId, client = prisma) {
+  return client.bountyTransaction.updateMany({
+    where: { txHash: txHash, bountyId: null },
+    data: { bountyId: bountyId }
+  });
+}
+
+// Update the confirmation status of a ledger entry
+async function updateTransactionStatus(txHash, status) {
+  return prisma.bountyTransaction.update({
+    where: { txHash: txHash },
+    data: { status: status }
+  });
+}
+
+// Mark a ledger entry whose transaction failed or was dropped. Its idempotency key is
+// released so that the transfer can be sent again under the same key.
+async function markTransactionFailed(txHash) {
+  return prisma.bountyTransaction.update({
+    where: { txHash: txHash },
+    data: { status: TRANSACTION_STATUS.FAILED, idempotencyKey: null }
+  });
+}
+
+// Get the ledger entries of bounties that were sent but not confirmed yet, oldest first
+async function getPendingTransactions() {
+  return prisma.bountyTransaction.findMany({
+    where: { status: TRANSACTION_STATUS.PENDING, bountyId: { not: null } },
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+  });
+}
+
+// Find the ledger entry written for an idempotency key (used to detect retried payouts)
+async function getTransactionByIdempotencyKey(idempotencyKey) {
+  return prisma.bountyTransaction.findUnique({
+    where: { idempotencyKey: idempotencyKey }
+  });
+}
+
+// Get all ledger entries for a bounty, oldest first
+async function getBountyTransactions(bountyId) {
+  return prisma.bountyTransaction.findMany({
+    where: { bountyId: bountyId },
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+  });
+}
+
+// Get the funding transaction of a bounty
+async function getFundingTransaction(bountyId) {
+  return prisma.bountyTransaction.findFirst({
+    where: { bountyId: bountyId, type: TRANSACTION_TYPE.FUNDING },
+    orderBy: { createdAt: 'asc' }
+  });
+}
+
+module.exports = {
+  TRANSACTION_TYPE,
+  TRANSACTION_STATUS,
+  recordTransaction,
+  linkTransactionToBounty,
+  updateTransactionStatus,
+  markTransactionFailed,
+  getPendingTransactions,
+  getTransactionByIdempotencyKey,
+  getBountyTransactions,
+  getFundingTransaction
+};
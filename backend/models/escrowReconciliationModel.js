@@ -0,0 +1,34 @@
+const prisma = require('../config/database'); // Import the existing Prisma instance
+
+// Store the outcome of a reconciliation run (amounts are in base units)
+async function createReconciliation({ solvent, liabilities, escrowBalance, flaggedBounties, report }) {
+  return prisma.escrowReconciliation.create({
+    data: {
+      solvent,
+      liabilities: liabilities.toString(),
+      escrowBalance: escrowBalance.toString(),
+      flaggedBounties,
+      report
+    }
+  });
+}
+
+// Get a reconciliation run with its full report
+async function getReconciliationById(id) {
+  return prisma.escrowReconciliation.findUnique({ where: { id: id } });
+}
+
+// Get the most recent reconciliation runs, newest first, without their reports
+async function getRecentReconciliations(limit = 20) {
+  return prisma.escrowReconciliation.findMany({
+    select: { id: true, solvent: true, liabilities: true, escrowBalance: true, flaggedBounties: true, createdAt: true },
+    orderBy: { createdAt: 'desc' },
+    take: limit
+  });
+}
+
+module.exports = {
+  createReconciliation,
+  getReconciliationById,
+  getRecentReconciliations
+};
@@ -0,0 +1,66 @@
+const prisma = require('../config/database'); // Import the existing Prisma instance
+
+// Kinds of notifications
+const NOTIFICATION_TYPE = {
+  CLAIM_EXPIRED: 'CLAIM_EXPIRED',
+  CLAIM_RELEASED: 'CLAIM_RELEASED',
+  BOUNTY_EXPIRED: 'BOUNTY_EXPIRED',
+  BOUNTY_CANCELLED: 'BOUNTY_CANCELLED',
+  CONTRIBUTION_RECEIVED: 'CONTRIBUTION_RECEIVED',
+  PAYOUT_RECEIVED: 'PAYOUT_RECEIVED',
+  MILESTONE_RELEASED: 'MILESTONE_RELEASED',
+  APPLICATION_RECEIVED: 'APPLICATION_RECEIVED',
+  APPLICATION_ACCEPTED: 'APPLICATION_ACCEPTED',
+  APPLICATION_REJECTED: 'APPLICATION_REJECTED',
+  COMPETITION_LOST: 'COMPETITION_LOST',
+  DISPUTE_OPENED: 'DISPUTE_OPENED',
+  DISPUTE_RESOLVED: 'DISPUTE_RESOLVED',
+  PAYOUT_SCHEDULED: 'PAYOUT_SCHEDULED',
+  PAYOUT_CANCELLED: 'PAYOUT_CANCELLED',
+  ISSUE_TRANSFERRED: 'ISSUE_TRANSFERRED',
+  RECONCILIATION_ALERT: 'RECONCILIATION_ALERT',
+  FUNDING_FAILED: 'FUNDING_FAILED',
+  PAYOUT_FAILED: 'PAYOUT_FAILED'
+};
+
+// Create a notification for a user
+async function createNotification(data) {
+  return prisma.notification.create({ data });
+}
+
+// Get a user's notifications, newest first (only unread ones if unreadOnly is set)
+async function getUserNotifications(userId, unreadOnly = false) {
+  return prisma.notification.findMany({
+    where: {
+      userId: userId,
+      ...(unreadOnly && { readAt: null })
+    },
+    orderBy: { createdAt: 'desc' },
+    take: 50
+  });
+}
+
+// Mark one of a user's notifications as read; returns false if it does not exist or is not theirs
+async function markNotificationRead(id, userId) {
+  const { count } = await prisma.notification.updateMany({
+    where: { id: id, userId: userId, readAt: null },
+    data: { readAt: new Date() }
+  });
+  return count === 1;
+}
+
+// Mark all of a user's notifications as read
+async function markAllNotificationsRead(userId) {
+  return prisma.notification.updateMany({
+    where: { userId: userId, readAt: null },
+    data: { readAt: new Date() }
+  });
+}
+
+module.exports = {
+  NOTIFICATION_TYPE,
+  createNotification,
+  getUserNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
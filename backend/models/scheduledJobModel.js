@@ -0,0 +1,116 @@
+const prisma = require('../config/database'); // Import the existing Prisma instance
+
+// Where a scheduled job stands
+const JOB_STATUS = {
+  PENDING: 'PENDING', // waiting for its run time (or for a retry)
+  RUNNING: 'RUNNING',
+  SUCCEEDED: 'SUCCEEDED',
+  FAILED: 'FAILED', // gave up after too many attempts
+  CANCELLED: 'CANCELLED'
+};
+
+// Kinds of scheduled jobs, each run by the handler registered for it in the job worker
+const JOB_TYPE = {
+  BOUNTY_RELEASE: 'BOUNTY_RELEASE' // a webhook-triggered payout held for the repository's review window
+};
+
+// Schedule a job
+async function createJob({ type, bountyId = null, payload = null, runAt }) {
+  return prisma.scheduledJob.create({
+    data: { type, bountyId, payload, runAt }
+  });
+}
+
+// Get a job by ID
+async function getJobById(id) {
+  return prisma.scheduledJob.findUnique({ where: { id: id } });
+}
+
+// Get the job of a type that is waiting or running for a bounty
+async function getActiveJob(bountyId, type) {
+  return prisma.scheduledJob.findFirst({
+    where: { bountyId: bountyId, type: type, status: { in: [JOB_STATUS.PENDING, JOB_STATUS.RUNNING] } },
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+// Get jobs that are due, and running jobs whose worker stopped before finishing them
+async function getDueJobs(now, staleBefore, limit = 50) {
+  return prisma.scheduledJob.findMany({
+    where: {
+      OR: [
+        { status: JOB_STATUS.PENDING, runAt: { lte: now } },
+        { status: JOB_STATUS.RUNNING, lockedAt: { lt: staleBefore } }
+      ]
+    },
+    orderBy: { runAt: 'asc' },
+    take: limit
+  });
+}
+
+// Lock a job for running, whether or not it is due; returns false if it is not pending (or stale) anymore
+async function claimJob(id, staleBefore) {
+  const { count } = await prisma.scheduledJob.updateMany({
+    where: {
+      id: id,
+      OR: [
+        { status: JOB_STATUS.PENDING },
+        { status: JOB_STATUS.RUNNING, lockedAt: { lt: staleBefore } }
+      ]
+    },
+    data: { status: JOB_STATUS.RUNNING, lockedAt: new Date(), attempts: { increment: 1 } }
+  });
+  return count === 1;
+}
+
+// Record the result of a job that finished
+async function completeJob(id, result = null) {
+  return prisma.scheduledJob.update({
+    where: { id: id },
+    data: { status: JOB_STATUS.SUCCEEDED, result, lockedAt: null, lastError: null }
+  });
+}
+
+// Record a failed run; the job is retried at retryAt, or marked FAILED if there is none
+async function failJob(id, error, retryAt = null) {
+  return prisma.scheduledJob.update({
+    where: { id: id },
+    data: {
+      status: retryAt ? JOB_STATUS.PENDING : JOB_STATUS.FAILED,
+      runAt: retryAt || undefined,
+      lockedAt: null,
+      lastError: error
+    }
+  });
+}
+
+// Put a job off until later without counting the run as an attempt
+async function deferJob(id, runAt, reason) {
+  return prisma.scheduledJob.update({
+    where: { id: id },
+    data: { status: JOB_STATUS.PENDING, runAt, lockedAt: null, attempts: { decrement: 1 }, lastError: reason }
+  });
+}
+
+// Cancel a job that has not started; returns false if it is running or already finished
+async function cancelJob(id, reason = null) {
+  const { count } = await prisma.scheduledJob.updateMany({
+    where: { id: id, status: JOB_STATUS.PENDING },
+    data: { status: JOB_STATUS.CANCELLED, lastError: reason }
+  });
+  return count === 1;
+}
+
+module.exports = {
+  JOB_STATUS,
+  JOB_TYPE,
+  createJob,
+  getJobById,
+  getActiveJob,
+  getDueJobs,
+  claimJob,
+  completeJob,
+  failJob,
+  deferJob,
+  cancelJob
+};
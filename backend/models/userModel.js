@@ -35,6 +35,23 @@ async function getUserById(id) {
   return prisma.user.findUnique({ where: { id: id } });
 }
 
+// Get the platform admins, who resolve disputes
+async function getAdminUsers() {
+  return prisma.user.findMany({ where: { isAdmin: true } });
+}
+
+// Get a user by their GitHub account ID (null if they never signed in)
+async function getUserByGithubId(githubId) {
+  return prisma.user.findUnique({ where: { githubId: githubId.toString() } });
+}
+
+// Get a user by their GitHub login, ignoring case (null if they never signed in)
+async function getUserByGithubUsername(githubUsername) {
+  return prisma.user.findFirst({
+    where: { githubUsername: { equals: githubUsername, mode: 'insensitive' } }
+  });
+}
+
 /**
  * Fetch repositories for a user using their GitHub token
  * @param {string} userId User ID
@@ -66,4 +83,4 @@ async function getUserRepositories(userId) {
   }
 }
 
-module.exports = { findOrCreateUser, getUserById, getUserRepositories };
+module.exports = { findOrCreateUser, getUserById, getAdminUsers, getUserByGithubId, getUserByGithubUsername, getUserRepositories };
@@ -0,0 +1,22 @@
+const prisma = require('../config/database'); // Import the existing Prisma instance
+
+// Get the wallet a user receives payouts on: their default wallet, or their oldest one
+async function getDefaultWallet(userId) {
+  return prisma.wallet.findFirst({
+    where: { userId: userId },
+    orderBy: [
+      { isDefault: 'desc' },
+      { createdAt: 'asc' }
+    ],
+    select: {
+      id: true,
+      walletName: true,
+      publicKey: true,
+      isDefault: true
+    }
+  });
+}
+
+module.exports = {
+  getDefaultWallet
+};
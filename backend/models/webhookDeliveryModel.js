@@ -0,0 +1,163 @@
+const prisma = require('../config/database'); // Import the existing Prisma instance
+
+// Processing state of a webhook delivery
+const DELIVERY_STATUS = {
+  RECEIVED: 'RECEIVED',
+  PROCESSING: 'PROCESSING',
+  PROCESSED: 'PROCESSED',
+  IGNORED: 'IGNORED',
+  FAILED: 'FAILED',
+  REJECTED: 'REJECTED' // signature verification failed
+};
+
+// Deliveries in these states may be (re)processed
+const PROCESSABLE_STATUSES = [DELIVERY_STATUS.RECEIVED, DELIVERY_STATUS.FAILED];
+
+// How long a delivery may stay PROCESSING before it counts as abandoned (e.g. the server
+// crashed mid-release) and may be processed again. Releases are idempotent, so processing
+// a delivery again does not pay twice.
+const PROCESSING_LEASE_MS = parseInt(process.env.WEBHOOK_PROCESSING_LEASE_MS, 10) || 10 * 60 * 1000;
+
+// Filter for PROCESSING deliveries whose lease has run out (or that predate the lease)
+function staleProcessingWhere() {
+  return {
+    status: DELIVERY_STATUS.PROCESSING,
+    OR: [
+      { processingStartedAt: null },
+      { processingStartedAt: { lt: new Date(Date.now() - PROCESSING_LEASE_MS) } }
+    ]
+  };
+}
+
+// Whether a delivery is PROCESSING and its lease has run out
+function isStaleProcessing(delivery) {
+  return delivery.status === DELIVERY_STATUS.PROCESSING &&
+    (!delivery.processingStartedAt || delivery.processingStartedAt.getTime() < Date.now() - PROCESSING_LEASE_MS);
+}
+
+// Whether a delivery can be replayed: it failed, or its processing was abandoned
+function isReplayable(delivery) {
+  return delivery.signatureValid && (delivery.status === DELIVERY_STATUS.FAILED || isStaleProcessing(delivery));
+}
+
+// Store a delivery the first time it is seen; redeliveries return the existing record.
+// A validly signed redelivery of a delivery that was rejected (e.g. before a rotated secret
+// was configured) replaces the rejected record with its verified headers and payload, so the
+// event is processed rather than lost under the rejected record's ID.
+async function recordDelivery(data) {
+  const delivery = await prisma.webhookDelivery.upsert({
+    where: { deliveryId: data.deliveryId },
+    create: {
+      ...data,
+      status: data.signatureValid ? DELIVERY_STATUS.RECEIVED : DELIVERY_STATUS.REJECTED
+    },
+    update: {}
+  });
+  if (!data.signatureValid || delivery.signatureValid) {
+    return delivery;
+  }
+
+  const { deliveryId, ...verified } = data;
+  await prisma.webhookDelivery.updateMany({
+    where: { id: delivery.id, signatureValid: false },
+    data: { ...verified, status: DELIVERY_STATUS.RECEIVED }
+  });
+  return getDeliveryById(delivery.id);
+}
+
+// Atomically take a delivery for processing; returns false if it is already processed or
+// being processed (unless that processing was abandoned)
+async function claimDelivery(id) {
+  const { count } = await prisma.webhookDelivery.updateMany({
+    where: {
+      id: id,
+      signatureValid: true,
+      OR: [{ status: { in: PROCESSABLE_STATUSES } }, staleProcessingWhere()]
+    },
+    data: {
+      status: DELIVERY_STATUS.PROCESSING,
+      processingStartedAt: new Date(),
+      attempts: { increment: 1 }
+    }
+  });
+  return count === 1;
+}
+
+// Store the outcome of processing a delivery
+async function completeDelivery(id, status, result = null, error = null) {
+  return prisma.webhookDelivery.update({
+    where: { id: id },
+    data: {
+      status: status,
+      result: result,
+      error: error,
+      processedAt: new Date()
+    }
+  });
+}
+
+// Get a delivery by ID
+async function getDeliveryById(id) {
+  return prisma.webhookDelivery.findUnique({ where: { id: id } });
+}
+
+// Get the deliveries of a repository, newest first (optionally filtered by status, or only
+// the replayable ones with { replayable: true })
+async function getRepositoryDeliveries(repoOwner, repoName, status, { replayable = false } = {}) {
+  return prisma.webhookDelivery.findMany({
+    where: {
+      repoOwner: repoOwner,
+      repoName: repoName,
+      ...(status && { status: status }),
+      ...(replayable && { signatureValid: true, OR: [{ status: DELIVERY_STATUS.FAILED }, staleProcessingWhere()] })
+    },
+    select: {
+      id: true,
+      deliveryId: true,
+      event: true,
+      action: true,
+      signatureValid: true,
+      status: true,
+      result: true,
+      error: true,
+      attempts: true,
+      processingStartedAt: true,
+      processedAt: true,
+      createdAt: true
+    },
+    orderBy: { createdAt: 'desc' },
+    take: 100
+  });
+}
+
+// Mark the failed deliveries of an issue's event as ignored so they can no longer be replayed
+// (e.g. the failed payout of an issue that was reopened since); returns how many there were
+async function supersedeFailedDeliveries(repoOwner, repoName, issueNumber, event, action, reason) {
+  const { count } = await prisma.webhookDelivery.updateMany({
+    where: {
+      repoOwner: repoOwner,
+      repoName: repoName,
+      event: event,
+      action: action,
+      status: DELIVERY_STATUS.FAILED,
+      payload: { path: ['issue', 'number'], equals: issueNumber }
+    },
+    data: {
+      status: DELIVERY_STATUS.IGNORED,
+      result: { processed: false, message: reason },
+      processedAt: new Date()
+    }
+  });
+  return count;
+}
+
+module.exports = {
+  DELIVERY_STATUS,
+  isReplayable,
+  recordDelivery,
+  claimDelivery,
+  completeDelivery,
+  supersedeFailedDeliveries,
+  getDeliveryById,
+  getRepositoryDeliveries
+};
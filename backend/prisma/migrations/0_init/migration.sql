@@ -0,0 +1,63 @@
+-- CreateTable
+CREATE TABLE "User" (
+    "id" SERIAL NOT NULL,
+    "githubId" TEXT NOT NULL,
+    "githubUsername" TEXT NOT NULL,
+    "name" TEXT,
+    "token" TEXT,
+
+    CONSTRAINT "User_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Bounty" (
+    "id" SERIAL NOT NULL,
+    "repoOwner" TEXT NOT NULL,
+    "repoName" TEXT NOT NULL,
+    "issueNumber" INTEGER NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'USD',
+    "status" TEXT NOT NULL,
+    "escrowId" TEXT NOT NULL,
+    "createdBy" INTEGER NOT NULL,
+    "claimedBy" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "hunterWalletId" INTEGER,
+    "ownerWalletId" INTEGER,
+
+    CONSTRAINT "Bounty_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Wallet" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "walletName" TEXT NOT NULL,
+    "publicKey" TEXT NOT NULL,
+    "encryptedPrivateKey" TEXT NOT NULL,
+    "iv" TEXT NOT NULL,
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Wallet_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_githubId_key" ON "User"("githubId");
+
+-- AddForeignKey
+ALTER TABLE "Bounty" ADD CONSTRAINT "Bounty_claimedBy_fkey" FOREIGN KEY ("claimedBy") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Bounty" ADD CONSTRAINT "Bounty_createdBy_fkey" FOREIGN KEY ("createdBy") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Bounty" ADD CONSTRAINT "Bounty_hunterWalletId_fkey" FOREIGN KEY ("hunterWalletId") REFERENCES "Wallet"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Bounty" ADD CONSTRAINT "Bounty_ownerWalletId_fkey" FOREIGN KEY ("ownerWalletId") REFERENCES "Wallet"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Wallet" ADD CONSTRAINT "Wallet_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
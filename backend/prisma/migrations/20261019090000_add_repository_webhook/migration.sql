@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "RepositoryWebhook" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "repoOwner" TEXT NOT NULL,
+    "repoName" TEXT NOT NULL,
+    "webhookId" TEXT NOT NULL,
+    "webhookSecret" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RepositoryWebhook_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RepositoryWebhook_repoOwner_repoName_key" ON "RepositoryWebhook"("repoOwner", "repoName");
+
+-- AddForeignKey
+ALTER TABLE "RepositoryWebhook" ADD CONSTRAINT "RepositoryWebhook_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "BountyEvent" (
+    "id" SERIAL NOT NULL,
+    "bountyId" INTEGER NOT NULL,
+    "fromStatus" TEXT,
+    "toStatus" TEXT NOT NULL,
+    "actorId" INTEGER,
+    "actorType" TEXT NOT NULL DEFAULT 'USER',
+    "txHash" TEXT,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BountyEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "BountyEvent_bountyId_createdAt_idx" ON "BountyEvent"("bountyId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "BountyEvent" ADD CONSTRAINT "BountyEvent_bountyId_fkey" FOREIGN KEY ("bountyId") REFERENCES "Bounty"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BountyEvent" ADD CONSTRAINT "BountyEvent_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: give existing bounties a starting point in their history
+INSERT INTO "BountyEvent" ("bountyId", "fromStatus", "toStatus", "actorId", "actorType", "txHash", "note", "createdAt")
+SELECT "id", NULL, "status", "createdBy", 'SYSTEM', NULL, 'Backfilled from existing bounty record', "updatedAt"
+FROM "Bounty";
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "BountyTransaction" (
+    "id" SERIAL NOT NULL,
+    "bountyId" INTEGER,
+    "type" TEXT NOT NULL,
+    "txHash" TEXT NOT NULL,
+    "amount" TEXT NOT NULL,
+    "fromAddress" TEXT NOT NULL,
+    "toAddress" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "walletId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BountyTransaction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BountyTransaction_txHash_key" ON "BountyTransaction"("txHash");
+
+-- CreateIndex
+CREATE INDEX "BountyTransaction_bountyId_idx" ON "BountyTransaction"("bountyId");
+
+-- AddForeignKey
+ALTER TABLE "BountyTransaction" ADD CONSTRAINT "BountyTransaction_bountyId_fkey" FOREIGN KEY ("bountyId") REFERENCES "Bounty"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "BountyTransaction" ADD COLUMN     "idempotencyKey" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BountyTransaction_idempotencyKey_key" ON "BountyTransaction"("idempotencyKey");
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "WebhookDelivery" (
+    "id" SERIAL NOT NULL,
+    "deliveryId" TEXT NOT NULL,
+    "event" TEXT NOT NULL,
+    "action" TEXT,
+    "repoOwner" TEXT,
+    "repoName" TEXT,
+    "headers" JSONB NOT NULL,
+    "payload" JSONB NOT NULL,
+    "signatureValid" BOOLEAN NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'RECEIVED',
+    "result" JSONB,
+    "error" TEXT,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "processedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "WebhookDelivery_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WebhookDelivery_deliveryId_key" ON "WebhookDelivery"("deliveryId");
+
+-- CreateIndex
+CREATE INDEX "WebhookDelivery_repoOwner_repoName_status_idx" ON "WebhookDelivery"("repoOwner", "repoName", "status");
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "BountyPullRequest" (
+    "id" SERIAL NOT NULL,
+    "bountyId" INTEGER NOT NULL,
+    "repoOwner" TEXT NOT NULL,
+    "repoName" TEXT NOT NULL,
+    "prNumber" INTEGER NOT NULL,
+    "title" TEXT,
+    "url" TEXT,
+    "authorGithubId" TEXT NOT NULL,
+    "authorLogin" TEXT NOT NULL,
+    "state" TEXT NOT NULL DEFAULT 'OPEN',
+    "mergedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BountyPullRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "BountyPullRequest_repoOwner_repoName_prNumber_idx" ON "BountyPullRequest"("repoOwner", "repoName", "prNumber");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BountyPullRequest_bountyId_repoOwner_repoName_prNumber_key" ON "BountyPullRequest"("bountyId", "repoOwner", "repoName", "prNumber");
+
+-- AddForeignKey
+ALTER TABLE "BountyPullRequest" ADD CONSTRAINT "BountyPullRequest_bountyId_fkey" FOREIGN KEY ("bountyId") REFERENCES "Bounty"("id") ON DELETE CASCADE ON UPDATE CASCADE;
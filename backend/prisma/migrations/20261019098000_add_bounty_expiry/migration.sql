@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Bounty" ADD COLUMN     "expiresAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Bounty_status_expiresAt_idx" ON "Bounty"("status", "expiresAt");
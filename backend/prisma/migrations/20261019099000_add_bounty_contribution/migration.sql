@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE "BountyContribution" (
+    "id" SERIAL NOT NULL,
+    "bountyId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "walletId" INTEGER,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "txHash" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'FUNDED',
+    "refundTxHash" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BountyContribution_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BountyContribution_txHash_key" ON "BountyContribution"("txHash");
+
+-- CreateIndex
+CREATE INDEX "BountyContribution_bountyId_idx" ON "BountyContribution"("bountyId");
+
+-- AddForeignKey
+ALTER TABLE "BountyContribution" ADD CONSTRAINT "BountyContribution_bountyId_fkey" FOREIGN KEY ("bountyId") REFERENCES "Bounty"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BountyContribution" ADD CONSTRAINT "BountyContribution_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BountyContribution" ADD CONSTRAINT "BountyContribution_walletId_fkey" FOREIGN KEY ("walletId") REFERENCES "Wallet"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Existing bounties were funded by their creator alone
+INSERT INTO "BountyContribution" ("bountyId", "userId", "walletId", "amount", "txHash", "status", "createdAt", "updatedAt")
+SELECT "id", "createdBy", "ownerWalletId", "amount", "escrowId",
+       CASE WHEN "status" IN ('CANCELLED', 'EXPIRED') THEN 'REFUNDED' ELSE 'FUNDED' END,
+       "createdAt", CURRENT_TIMESTAMP
+FROM "Bounty";
@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "BountyPayout" (
+    "id" SERIAL NOT NULL,
+    "bountyId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "walletId" INTEGER,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "txHash" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BountyPayout_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BountyPayout_bountyId_userId_key" ON "BountyPayout"("bountyId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "BountyPayout" ADD CONSTRAINT "BountyPayout_bountyId_fkey" FOREIGN KEY ("bountyId") REFERENCES "Bounty"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BountyPayout" ADD CONSTRAINT "BountyPayout_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BountyPayout" ADD CONSTRAINT "BountyPayout_walletId_fkey" FOREIGN KEY ("walletId") REFERENCES "Wallet"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Completed bounties were paid to their hunter alone
+INSERT INTO "BountyPayout" ("bountyId", "userId", "walletId", "amount", "status", "txHash", "createdAt", "updatedAt")
+SELECT b."id", b."claimedBy", b."hunterWalletId", b."amount", 'PAID',
+       (SELECT t."txHash" FROM "BountyTransaction" t
+        WHERE t."bountyId" = b."id" AND t."type" = 'RELEASE'
+        ORDER BY t."createdAt" LIMIT 1),
+       b."updatedAt", CURRENT_TIMESTAMP
+FROM "Bounty" b
+WHERE b."status" = 'COMPLETED' AND b."claimedBy" IS NOT NULL;
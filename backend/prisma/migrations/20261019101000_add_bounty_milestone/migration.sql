@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "Bounty" ADD COLUMN     "releasedAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "BountyMilestone" (
+    "id" SERIAL NOT NULL,
+    "bountyId" INTEGER NOT NULL,
+    "position" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "txHash" TEXT,
+    "releasedTo" INTEGER,
+    "releasedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BountyMilestone_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BountyMilestone_bountyId_position_key" ON "BountyMilestone"("bountyId", "position");
+
+-- AddForeignKey
+ALTER TABLE "BountyMilestone" ADD CONSTRAINT "BountyMilestone_bountyId_fkey" FOREIGN KEY ("bountyId") REFERENCES "Bounty"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BountyMilestone" ADD CONSTRAINT "BountyMilestone_releasedTo_fkey" FOREIGN KEY ("releasedTo") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
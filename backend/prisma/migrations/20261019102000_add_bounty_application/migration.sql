@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "Bounty" ADD COLUMN     "requiresApplication" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "BountyApplication" (
+    "id" SERIAL NOT NULL,
+    "bountyId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "walletId" INTEGER,
+    "pitch" TEXT NOT NULL,
+    "etaDays" INTEGER NOT NULL,
+    "workUrl" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BountyApplication_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BountyApplication_bountyId_userId_key" ON "BountyApplication"("bountyId", "userId");
+
+-- CreateIndex
+CREATE INDEX "BountyApplication_bountyId_status_idx" ON "BountyApplication"("bountyId", "status");
+
+-- AddForeignKey
+ALTER TABLE "BountyApplication" ADD CONSTRAINT "BountyApplication_bountyId_fkey" FOREIGN KEY ("bountyId") REFERENCES "Bounty"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BountyApplication" ADD CONSTRAINT "BountyApplication_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BountyApplication" ADD CONSTRAINT "BountyApplication_walletId_fkey" FOREIGN KEY ("walletId") REFERENCES "Wallet"("id") ON DELETE SET NULL ON UPDATE CASCADE;
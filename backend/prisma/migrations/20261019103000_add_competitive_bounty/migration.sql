@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "Bounty" ADD COLUMN     "competitive" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "BountyInterest" (
+    "id" SERIAL NOT NULL,
+    "bountyId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BountyInterest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BountyInterest_bountyId_userId_key" ON "BountyInterest"("bountyId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "BountyInterest" ADD CONSTRAINT "BountyInterest_bountyId_fkey" FOREIGN KEY ("bountyId") REFERENCES "Bounty"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BountyInterest" ADD CONSTRAINT "BountyInterest_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "RepositoryWebhook" ADD COLUMN     "payoutHoldHours" INTEGER;
+
+-- CreateTable
+CREATE TABLE "ScheduledJob" (
+    "id" SERIAL NOT NULL,
+    "type" TEXT NOT NULL,
+    "bountyId" INTEGER,
+    "payload" JSONB,
+    "runAt" TIMESTAMP(3) NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lockedAt" TIMESTAMP(3),
+    "lastError" TEXT,
+    "result" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ScheduledJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ScheduledJob_status_runAt_idx" ON "ScheduledJob"("status", "runAt");
+
+-- CreateIndex
+CREATE INDEX "ScheduledJob_bountyId_type_status_idx" ON "ScheduledJob"("bountyId", "type", "status");
+
+-- AddForeignKey
+ALTER TABLE "ScheduledJob" ADD CONSTRAINT "ScheduledJob_bountyId_fkey" FOREIGN KEY ("bountyId") REFERENCES "Bounty"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Bounty" ADD COLUMN     "escrowAddress" TEXT;
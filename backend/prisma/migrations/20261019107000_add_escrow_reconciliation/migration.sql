@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "EscrowReconciliation" (
+    "id" SERIAL NOT NULL,
+    "solvent" BOOLEAN NOT NULL,
+    "liabilities" TEXT NOT NULL,
+    "escrowBalance" TEXT NOT NULL,
+    "flaggedBounties" INTEGER NOT NULL,
+    "report" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "EscrowReconciliation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "EscrowReconciliation_createdAt_idx" ON "EscrowReconciliation"("createdAt");
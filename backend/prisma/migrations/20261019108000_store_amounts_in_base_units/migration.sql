@@ -0,0 +1,17 @@
+-- Store amounts as exact base units (18 decimals) in integer strings instead of floats.
+-- Existing amounts were entered as decimals, so they are rounded to the base unit.
+
+-- AlterTable
+ALTER TABLE "Bounty" ALTER COLUMN "amount" SET DATA TYPE TEXT USING (ROUND("amount"::numeric * 1000000000000000000))::text;
+ALTER TABLE "Bounty" ALTER COLUMN "releasedAmount" DROP DEFAULT;
+ALTER TABLE "Bounty" ALTER COLUMN "releasedAmount" SET DATA TYPE TEXT USING (ROUND("releasedAmount"::numeric * 1000000000000000000))::text;
+ALTER TABLE "Bounty" ALTER COLUMN "releasedAmount" SET DEFAULT '0';
+
+-- AlterTable
+ALTER TABLE "BountyMilestone" ALTER COLUMN "amount" SET DATA TYPE TEXT USING (ROUND("amount"::numeric * 1000000000000000000))::text;
+
+-- AlterTable
+ALTER TABLE "BountyContribution" ALTER COLUMN "amount" SET DATA TYPE TEXT USING (ROUND("amount"::numeric * 1000000000000000000))::text;
+
+-- AlterTable
+ALTER TABLE "BountyPayout" ALTER COLUMN "amount" SET DATA TYPE TEXT USING (ROUND("amount"::numeric * 1000000000000000000))::text;
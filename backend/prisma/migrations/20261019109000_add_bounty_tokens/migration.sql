@@ -0,0 +1,7 @@
+-- Bounties so far were all funded in the native coin, whatever their currency said
+UPDATE "Bounty" SET "currency" = 'ETH';
+
+-- AlterTable
+ALTER TABLE "Bounty" ALTER COLUMN "currency" SET DEFAULT 'ETH',
+ADD COLUMN     "tokenAddress" TEXT,
+ADD COLUMN     "tokenDecimals" INTEGER NOT NULL DEFAULT 18;
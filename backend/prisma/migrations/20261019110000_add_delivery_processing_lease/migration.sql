@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "WebhookDelivery" ADD COLUMN     "processingStartedAt" TIMESTAMP(3);
@@ -25,7 +25,8 @@ router.get('/user-profile', ensureAuth, async (req, res) => {
       username: user.username,
       avatar: user.avatar,
       email: user.email,
-      name: user.name
+      name: user.name,
+      isAdmin: user.isAdmin
     });
   } catch (error) {
     console.error('Error fetching user profile:', error);
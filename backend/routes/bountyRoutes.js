@@ -3,12 +3,24 @@ const router = express.Router();
 const { ensureAuth } = require('../middleware/authMiddleware');
 const { 
   createBounty,
+  contributeToBounty,
   claimBounty,
+  registerInterest,
+  withdrawInterest,
+  applyForBounty,
+  listBountyApplications,
+  acceptApplication,
+  unclaimBounty,
   completeBounty,
+  approveMilestone,
+  approveScheduledRelease,
+  getBountyCoAuthors,
   cancelBounty,
   listOpenBounties,
+  listSupportedTokens,
   listUserBounties,
-  listAllBounties
+  listAllBounties,
+  getBountyHistory
 } = require('../controllers/bountyController');
 const { getUserById } = require('../models/userModel');
 const axios = require('axios');
@@ -16,6 +28,9 @@ const axios = require('axios');
 // Public route: list all open bounties
 router.get('/bounties/open', listOpenBounties);
 
+// Public route: list the tokens bounties can be funded in
+router.get('/bounties/tokens', listSupportedTokens);
+
 // Protected route: list bounties for logged-in user (posted and claimed)
 router.get('/bounties/user', ensureAuth, listUserBounties);
 
@@ -25,15 +40,46 @@ router.get('/bounties/all', ensureAuth, listAllBounties);
 // Protected route: create a new bounty on a GitHub issue
 router.post('/bounty', ensureAuth, createBounty);
 
+// Protected route: add funds to an open or claimed bounty
+router.post('/bounty/:bountyId/contributions', ensureAuth, contributeToBounty);
+
 // Protected route: claim an open bounty
 router.post('/bounty/:bountyId/claim', ensureAuth, claimBounty);
 
+// Protected route: join or leave the race for a competitive bounty
+router.post('/bounty/:bountyId/interest', ensureAuth, registerInterest);
+router.delete('/bounty/:bountyId/interest', ensureAuth, withdrawInterest);
+
+// Protected route: apply to work on a bounty that requires applications
+router.post('/bounty/:bountyId/applications', ensureAuth, applyForBounty);
+
+// Protected route: list applications (all for the owner, otherwise the caller's own)
+router.get('/bounty/:bountyId/applications', ensureAuth, listBountyApplications);
+
+// Protected route: accept an application and claim the bounty for the applicant (owner only)
+router.post('/bounty/:bountyId/applications/:applicationId/accept', ensureAuth, acceptApplication);
+
+// Protected route: release a claim (hunter) or force-unclaim (owner)
+router.post('/bounty/:bountyId/unclaim', ensureAuth, unclaimBounty);
+
 // Protected route: mark a bounty as completed (approve and release payment)
 router.post('/bounty/:bountyId/complete', ensureAuth, completeBounty);
 
+// Protected route: approve a milestone and release its amount (owner only)
+router.post('/bounty/:bountyId/milestones/:milestoneId/approve', ensureAuth, approveMilestone);
+
+// Protected route: send a payout held for the review window right away (owner only)
+router.post('/bounty/:bountyId/scheduled-release/approve', ensureAuth, approveScheduledRelease);
+
+// Protected route: suggest a payout split from the merged pull request's co-authors (owner only)
+router.get('/bounty/:bountyId/coauthors', ensureAuth, getBountyCoAuthors);
+
 // Protected route: cancel a bounty (refund escrow)
 router.post('/bounty/:bountyId/cancel', ensureAuth, cancelBounty);
 
+// Protected route: status history of a bounty (owner and hunter only)
+router.get('/bounty/:bountyId/history', ensureAuth, getBountyHistory);
+
 // Routes for GitHub API integration
 router.get('/github/repos', ensureAuth, async (req, res) => {
   try {
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { ensureAuth, ensureAdmin } = require('../middleware/authMiddleware');
+const {
+  openDispute,
+  listBountyDisputes,
+  addDisputeEvidence,
+  listActiveDisputes,
+  resolveDispute
+} = require('../controllers/disputeController');
+
+// Protected route: open a dispute and freeze the bounty's funds (owner or hunter)
+router.post('/bounty/:bountyId/disputes', ensureAuth, openDispute);
+
+// Protected route: list the disputes of a bounty (owner, hunter or admin)
+router.get('/bounty/:bountyId/disputes', ensureAuth, listBountyDisputes);
+
+// Protected route: add evidence to an open dispute (owner, hunter or admin)
+router.post('/bounty/:bountyId/disputes/:disputeId/evidence', ensureAuth, addDisputeEvidence);
+
+// Admin route: list the disputes waiting for a ruling
+router.get('/admin/disputes', ensureAuth, ensureAdmin, listActiveDisputes);
+
+// Admin route: resolve a dispute with a release, refund, split or dismissal
+router.post('/admin/disputes/:disputeId/resolve', ensureAuth, ensureAdmin, resolveDispute);
+
+module.exports = router;
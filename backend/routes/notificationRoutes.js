@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { ensureAuth } = require('../middleware/authMiddleware');
+const {
+  listNotifications,
+  readNotification,
+  readAllNotifications
+} = require('../controllers/notificationController');
+
+// List notifications of the logged-in user
+router.get('/notifications', ensureAuth, listNotifications);
+
+// Mark all notifications as read
+router.post('/notifications/read', ensureAuth, readAllNotifications);
+
+// Mark a notification as read
+router.post('/notifications/:id/read', ensureAuth, readNotification);
+
+module.exports = router;
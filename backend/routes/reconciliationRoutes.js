@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { ensureAuth, ensureAdmin } = require('../middleware/authMiddleware');
+const {
+  listReconciliations,
+  runReconciliationNow,
+  getReconciliation,
+  downloadReconciliationReport
+} = require('../controllers/reconciliationController');
+
+// Admin route: list the most recent escrow reconciliation runs
+router.get('/admin/reconciliations', ensureAuth, ensureAdmin, listReconciliations);
+
+// Admin route: reconcile escrow now
+router.post('/admin/reconciliations', ensureAuth, ensureAdmin, runReconciliationNow);
+
+// Admin route: get a reconciliation run with its full report
+router.get('/admin/reconciliations/:reconciliationId', ensureAuth, ensureAdmin, getReconciliation);
+
+// Admin route: download the report of a reconciliation run (CSV or JSON)
+router.get('/admin/reconciliations/:reconciliationId/report', ensureAuth, ensureAdmin, downloadReconciliationReport);
+
+module.exports = router;
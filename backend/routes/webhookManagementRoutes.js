@@ -5,7 +5,10 @@ const {
   getUserWebhooks,
   createWebhook,
   deleteWebhook,
-  syncUserWebhooks
+  syncUserWebhooks,
+  listRepositoryDeliveries,
+  setPayoutHold,
+  replayDelivery
 } = require('../controllers/webhookController');
 
 // Get all webhooks for the authenticated user
@@ -20,4 +23,13 @@ router.delete('/webhooks/:id', ensureAuth, deleteWebhook);
 // Sync webhooks for the authenticated user
 router.post('/webhooks/sync', ensureAuth, syncUserWebhooks);
 
+// List failed (or ?status=) webhook deliveries for a repository
+router.get('/webhooks/:owner/:repo/deliveries', ensureAuth, listRepositoryDeliveries);
+
+// Set how long webhook-triggered payouts of a repository are held for review
+router.put('/webhooks/:owner/:repo/payout-hold', ensureAuth, setPayoutHold);
+
+// Replay a failed webhook delivery
+router.post('/webhooks/deliveries/:id/replay', ensureAuth, replayDelivery);
+
 module.exports = router;
@@ -2,281 +2,178 @@ const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
 const prisma = require('../config/database');
-const { getBountyByIssue, markBountyCompleted } = require('../models/bountyModel');
-const { releaseEscrow } = require('../config/radius');
-const { getUserById } = require('../models/userModel');
+const { DELIVERY_STATUS, recordDelivery } = require('../models/webhookDeliveryModel');
+const { processDelivery } = require('../services/githubEventService');
+const { verifyWebhookSignature } = require('../services/webhookSignature');
+
+// Headers worth keeping with a stored delivery
+const STORED_HEADERS = [
+  'x-github-delivery',
+  'x-github-event',
+  'x-github-hook-id',
+  'x-github-hook-installation-target-id',
+  'x-github-hook-installation-target-type',
+  'x-hub-signature-256',
+  'user-agent',
+  'content-type'
+];
+
+// Whether a delivery came in on a repository-specific route (/github/:owner/:repo)
+function isRepositoryRoute(req) {
+  return Boolean(req.params.owner && req.params.repo);
+}
 
-// GitHub webhook secret verification middleware
-async function verifyGitHubWebhook(req, res, next) {
-  console.log('===== WEBHOOK REQUEST RECEIVED =====');
-  console.log('Headers:', JSON.stringify(req.headers, null, 2));
-  console.log('Body (sample):', JSON.stringify(req.body).substring(0, 500) + '...');
-  
-  const signature = req.headers['x-hub-signature-256'];
-  if (!signature) {
-    console.log('ERROR: No signature found in request');
-    return res.status(401).json({ error: 'No signature found in request' });
+// Whether the repository a delivery is about is the one its route was registered for
+function isRouteRepository(req) {
+  const repository = req.body?.repository;
+  return typeof repository?.owner?.login === 'string' && typeof repository.name === 'string' &&
+    repository.owner.login.toLowerCase() === req.params.owner.toLowerCase() &&
+    repository.name.toLowerCase() === req.params.repo.toLowerCase();
+}
+
+// Persist a delivery together with its verification result (redeliveries return the stored record).
+// On repository routes it is stored under the route's repository, whose secret signed it.
+async function storeDelivery(req, signatureValid) {
+  const payload = req.body || {};
+  const headers = {};
+  STORED_HEADERS.forEach(name => {
+    if (req.headers[name] !== undefined) {
+      headers[name] = req.headers[name];
+    }
+  });
+
+  return recordDelivery({
+    // Deliveries sent without an ID (e.g. manual tests) are never deduplicated
+    deliveryId: req.headers['x-github-delivery'] || `local-${crypto.randomUUID()}`,
+    event: req.headers['x-github-event'] || 'unknown',
+    action: payload.action || null,
+    repoOwner: isRepositoryRoute(req) ? req.params.owner : payload.repository?.owner?.login || null,
+    repoName: isRepositoryRoute(req) ? req.params.repo : payload.repository?.name || null,
+    headers,
+    payload,
+    signatureValid
+  });
+}
+
+// Record a delivery that failed verification and reject it
+async function rejectDelivery(req, res, status, error) {
+  try {
+    await storeDelivery(req, false);
+  } catch (storeError) {
+    console.error('Error storing rejected webhook delivery:', storeError);
   }
+  return res.status(status).json({ error });
+}
+
+// Find the secret a delivery must be signed with.
+// Repository-specific routes only accept the secret of their repository. The legacy route
+// uses the secret of the repository in the payload if it has a webhook registered, and
+// otherwise falls back to the global GITHUB_WEBHOOK_SECRET.
+async function resolveWebhookSecret(req) {
+  const repoOwner = isRepositoryRoute(req) ? req.params.owner : req.body?.repository?.owner?.login;
+  const repoName = isRepositoryRoute(req) ? req.params.repo : req.body?.repository?.name;
 
-  let webhookSecret;
-  
-  // Check if this is a repository-specific webhook
-  if (req.params.owner && req.params.repo) {
-    // Get webhook secret for this repository
+  if (repoOwner && repoName) {
     try {
       const webhookInfo = await prisma.repositoryWebhook.findUnique({
         where: {
           repoOwner_repoName: {
-            repoOwner: req.params.owner,
-            repoName: req.params.repo
+            repoOwner: repoOwner,
+            repoName: repoName
           }
         }
       });
-      
+
       if (webhookInfo) {
-        webhookSecret = webhookInfo.webhookSecret;
-        console.log(`Found webhook config for ${req.params.owner}/${req.params.repo}`);
+        console.log(`Found webhook config for ${repoOwner}/${repoName}`);
         // Add webhook info to request for later use
         req.webhookInfo = webhookInfo;
+        return webhookInfo.webhookSecret;
       }
     } catch (error) {
       console.error('Error retrieving webhook info:', error);
     }
   }
-  
-  // Check if we found a repository-specific webhook secret
+
+  if (!isRepositoryRoute(req) && process.env.GITHUB_WEBHOOK_SECRET) {
+    console.log('Using global webhook secret');
+    return process.env.GITHUB_WEBHOOK_SECRET;
+  }
+
+  return null;
+}
+
+// GitHub webhook secret verification middleware
+async function verifyGitHubWebhook(req, res, next) {
+  console.log(`Webhook delivery ${req.headers['x-github-delivery'] || '(no id)'} received: ${req.headers['x-github-event'] || '(no event)'}`);
+
+  const signature = req.headers['x-hub-signature-256'];
+  if (!signature) {
+    console.log('ERROR: No signature found in request');
+    return rejectDelivery(req, res, 401, 'No signature found in request');
+  }
+
+  if (!req.rawBody) {
+    console.log('ERROR: Empty webhook payload');
+    return rejectDelivery(req, res, 400, 'Empty webhook payload');
+  }
+
+  const webhookSecret = await resolveWebhookSecret(req);
   if (!webhookSecret) {
     console.error('ERROR: No webhook secret found for this repository');
-    return res.status(500).json({ error: 'Repository webhook not configured' });
+    return rejectDelivery(req, res, 500, 'Repository webhook not configured');
   }
 
-  console.log('Webhook secret found, verifying signature...');
-  
-  // Create HMAC
-  const hmac = crypto.createHmac('sha256', webhookSecret);
-  const rawBody = JSON.stringify(req.body);
-  hmac.update(rawBody);
-  const computedSignature = `sha256=${hmac.digest('hex')}`;
 
-  console.log('Raw body length:', rawBody.length);
-  console.log('Expected signature:', signature);
-  console.log('Computed signature:', computedSignature);
+  // GitHub signs the exact bytes it sent, so verify against the raw body
+  if (!verifyWebhookSignature(req.rawBody, signature, webhookSecret)) {
+    console.log('ERROR: Signature validation failed');
+    return rejectDelivery(req, res, 401, 'Invalid signature');
+  }
+  console.log('Signature verification successful');
 
-  // Compare signatures
-  try {
-    if (!crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(computedSignature))) {
-      console.log('ERROR: Signature validation failed');
-      return res.status(401).json({ error: 'Invalid signature' });
-    }
-    console.log('Signature verification successful');
-  } catch (error) {
-    console.error('ERROR during signature comparison:', error);
-    return res.status(401).json({ error: 'Signature verification error' });
+  // A repository's secret only vouches for deliveries about that repository: handlers act on
+  // the repository in the payload, so it must be the route's
+  if (isRepositoryRoute(req) && !isRouteRepository(req)) {
+    console.log(`ERROR: Delivery is not about ${req.params.owner}/${req.params.repo}`);
+    return rejectDelivery(req, res, 400, 'Delivery is for another repository');
   }
 
   next();
 }
 
-// GitHub webhook for issue events (legacy route for backward compatibility)
-router.post('/github', verifyGitHubWebhook, async (req, res) => {
+// Store a verified delivery, skip it if it was already processed, otherwise process it
+async function handleDelivery(req, res) {
   try {
     console.log('===== PROCESSING WEBHOOK =====');
-    // Check if this is an issue event
-    if (req.headers['x-github-event'] !== 'issues') {
-      console.log(`Ignoring non-issue event: ${req.headers['x-github-event']}`);
-      return res.status(200).json({ message: 'Not an issue event, ignoring' });
-    }
+    const delivery = await storeDelivery(req, true);
 
-    const { action, issue, repository } = req.body;
-    console.log(`Received GitHub webhook: ${action} issue #${issue.number} in ${repository.full_name}`);
-    console.log('Issue details:', JSON.stringify({
-      id: issue.id,
-      number: issue.number,
-      title: issue.title,
-      state: issue.state,
-      locked: issue.locked,
-      closed_at: issue.closed_at,
-      user: issue.user?.login
-    }, null, 2));
-    console.log('Repository details:', JSON.stringify({
-      id: repository.id,
-      name: repository.name,
-      full_name: repository.full_name,
-      owner: repository.owner?.login
-    }, null, 2));
-
-    // We only care about issues being closed
-    if (action !== 'closed') {
-      console.log(`Ignoring '${action}' action`);
-      return res.status(200).json({ message: 'Not a closed issue event, ignoring' });
+    if (delivery.status === DELIVERY_STATUS.PROCESSED || delivery.status === DELIVERY_STATUS.IGNORED) {
+      console.log(`Delivery ${delivery.deliveryId} was already processed, skipping`);
+      return res.status(200).json({ message: 'Delivery already processed', deliveryId: delivery.deliveryId });
     }
 
-    // Find if there's a bounty for this issue
-    const repoOwner = repository.owner.login;
-    const repoName = repository.name;
-    const issueNumber = issue.number;
-
-    console.log(`Looking for bounty for issue #${issueNumber} in ${repoOwner}/${repoName}`);
-    
-    const bounty = await getBountyByIssue(repoOwner, repoName, issueNumber);
-    if (!bounty) {
-      console.log('No bounty found for this issue');
-      return res.status(200).json({ message: 'No bounty found for this issue' });
+    const result = await processDelivery(delivery);
+    if (result.skipped) {
+      return res.status(200).json({ message: `Delivery is ${result.status}, skipping`, deliveryId: delivery.deliveryId });
     }
-
-    console.log('Found bounty:', JSON.stringify(bounty, null, 2));
-
-    if (bounty.status !== 'CLAIMED') {
-      console.log(`Bounty is in ${bounty.status} state, not releasing funds`);
-      return res.status(200).json({ message: `Bounty is in ${bounty.status} state, not releasing funds` });
+    if (result.status === DELIVERY_STATUS.FAILED) {
+      return res.status(500).json({ error: 'Error processing webhook: ' + result.error, deliveryId: delivery.deliveryId });
     }
 
-    // Get the claimer's user ID
-    const claimerId = bounty.claimedBy;
-    if (!claimerId) {
-      console.log('Bounty has no claimer, cannot release funds');
-      return res.status(200).json({ message: 'Bounty has no claimer, cannot release funds' });
-    }
-
-    console.log(`Getting user details for claimer ID: ${claimerId}`);
-    const claimer = await getUserById(claimerId);
-    if (!claimer) {
-      console.log('Claimer not found, cannot release funds');
-      return res.status(200).json({ message: 'Claimer not found, cannot release funds' });
-    }
-
-    console.log(`Claimer found: ${claimer.username}`);
-    console.log(`Releasing escrow ${bounty.escrowId} to user ${claimerId}`);
-    
-    // Release the funds to the claimer using their specified wallet
-    try {
-      // Check if the bounty has a hunter wallet ID
-      if (!bounty.hunterWalletId) {
-        console.log('No hunter wallet ID found for this bounty, cannot release funds');
-        return res.status(400).json({ message: 'No hunter wallet ID found for this bounty, cannot release funds' });
-      }
-      
-      console.log(`Using hunter wallet ID: ${bounty.hunterWalletId} for payment`);
-      const releaseResult = await releaseEscrow(bounty.escrowId, claimerId, bounty.amount, bounty.hunterWalletId);
-      console.log('Escrow release result:', JSON.stringify(releaseResult, null, 2));
-      
-      // Mark the bounty as completed
-      console.log(`Marking bounty ${bounty.id} as completed with transaction: ${releaseResult.transaction}`);
-      await markBountyCompleted(bounty.id, releaseResult.transaction);
-      console.log('Bounty successfully marked as completed');
-
-      return res.status(200).json({ 
-        message: 'Funds released successfully', 
-        bountyId: bounty.id,
-        transaction: releaseResult.transaction 
-      });
-    } catch (error) {
-      console.error('Error releasing escrow:', error);
-      return res.status(500).json({ error: 'Error releasing escrow: ' + error.message });
-    }
+    const { processed, ...outcome } = result.outcome;
+    return res.status(200).json({ ...outcome, deliveryId: delivery.deliveryId });
   } catch (error) {
     console.error('Error handling GitHub webhook:', error);
     console.error(error.stack);
     return res.status(500).json({ error: 'Error processing webhook: ' + error.message });
   }
-});
-
-// Repository-specific webhook route
-router.post('/github/:owner/:repo', verifyGitHubWebhook, async (req, res) => {
-  try {
-    console.log(`===== PROCESSING REPOSITORY WEBHOOK FOR ${req.params.owner}/${req.params.repo} =====`);
-    // Check if this is an issue event
-    if (req.headers['x-github-event'] !== 'issues') {
-      console.log(`Ignoring non-issue event: ${req.headers['x-github-event']}`);
-      return res.status(200).json({ message: 'Not an issue event, ignoring' });
-    }
-
-    const { action, issue, repository } = req.body;
-    console.log(`Received GitHub webhook: ${action} issue #${issue.number} in ${repository.full_name}`);
-    console.log('Issue details:', JSON.stringify({
-      id: issue.id,
-      number: issue.number,
-      title: issue.title,
-      state: issue.state,
-      locked: issue.locked,
-      closed_at: issue.closed_at,
-      user: issue.user?.login
-    }, null, 2));
-
-    // We only care about issues being closed
-    if (action !== 'closed') {
-      console.log(`Ignoring '${action}' action`);
-      return res.status(200).json({ message: 'Not a closed issue event, ignoring' });
-    }
-
-    // Find if there's a bounty for this issue
-    const repoOwner = repository.owner.login;
-    const repoName = repository.name;
-    const issueNumber = issue.number;
-
-    console.log(`Looking for bounty for issue #${issueNumber} in ${repoOwner}/${repoName}`);
-    
-    const bounty = await getBountyByIssue(repoOwner, repoName, issueNumber);
-    if (!bounty) {
-      console.log('No bounty found for this issue');
-      return res.status(200).json({ message: 'No bounty found for this issue' });
-    }
-
-    console.log('Found bounty:', JSON.stringify(bounty, null, 2));
-
-    if (bounty.status !== 'CLAIMED') {
-      console.log(`Bounty is in ${bounty.status} state, not releasing funds`);
-      return res.status(200).json({ message: `Bounty is in ${bounty.status} state, not releasing funds` });
-    }
-
-    // Get the claimer's user ID
-    const claimerId = bounty.claimedBy;
-    if (!claimerId) {
-      console.log('Bounty has no claimer, cannot release funds');
-      return res.status(200).json({ message: 'Bounty has no claimer, cannot release funds' });
-    }
-
-    console.log(`Getting user details for claimer ID: ${claimerId}`);
-    const claimer = await getUserById(claimerId);
-    if (!claimer) {
-      console.log('Claimer not found, cannot release funds');
-      return res.status(200).json({ message: 'Claimer not found, cannot release funds' });
-    }
+}
 
-    console.log(`Claimer found: ${claimer.githubUsername}`);
-    console.log(`Releasing escrow ${bounty.escrowId} to user ${claimerId}`);
-    
-    // Release the funds to the claimer using their specified wallet
-    try {
-      // Check if the bounty has a hunter wallet ID
-      if (!bounty.hunterWalletId) {
-        console.log('No hunter wallet ID found for this bounty, cannot release funds');
-        return res.status(400).json({ message: 'No hunter wallet ID found for this bounty, cannot release funds' });
-      }
-      
-      console.log(`Using hunter wallet ID: ${bounty.hunterWalletId} for payment`);
-      const releaseResult = await releaseEscrow(bounty.escrowId, claimerId, bounty.amount, bounty.hunterWalletId);
-      console.log('Escrow release result:', JSON.stringify(releaseResult, null, 2));
-      
-      // Mark the bounty as completed
-      console.log(`Marking bounty ${bounty.id} as completed with transaction: ${releaseResult.transaction}`);
-      await markBountyCompleted(bounty.id, releaseResult.transaction);
-      console.log('Bounty successfully marked as completed');
+// GitHub webhook for issue events (legacy route for backward compatibility)
+router.post('/github', verifyGitHubWebhook, handleDelivery);
 
-      return res.status(200).json({ 
-        message: 'Funds released successfully', 
-        bountyId: bounty.id,
-        transaction: releaseResult.transaction 
-      });
-    } catch (error) {
-      console.error('Error releasing escrow:', error);
-      return res.status(500).json({ error: 'Error releasing escrow: ' + error.message });
-    }
-  } catch (error) {
-    console.error('Error handling GitHub webhook:', error);
-    console.error(error.stack);
-    return res.status(500).json({ error: 'Error processing webhook: ' + error.message });
-  }
-});
+// Repository-specific webhook route
+router.post('/github/:owner/:repo', verifyGitHubWebhook, handleDelivery);
 
 module.exports = router;
@@ -0,0 +1,66 @@
+/**
+ * Escrow Contract Build Script
+ *
+ * Compiles contracts/BountyEscrow.sol and writes its ABI and bytecode to
+ * contracts/BountyEscrow.json, which config/radius.js deploys for every new bounty.
+ * Run it after changing the contract and commit both files.
+ *
+ * solc is not a dependency of the backend; install the pinned version first:
+ *   npm install --no-save solc@0.8.24
+ *
+ * Usage: node scripts/compile-escrow-contract.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const solc = require('solc');
+
+const CONTRACTS_DIR = path.join(__dirname, '..', 'contracts');
+const SOURCE_FILE = 'BountyEscrow.sol';
+const CONTRACT_NAME = 'BountyEscrow';
+
+// Radius runs the Paris EVM (no PUSH0), so newer targets are not used
+const EVM_VERSION = 'paris';
+
+function compileEscrowContract() {
+  const input = {
+    language: 'Solidity',
+    sources: {
+      [SOURCE_FILE]: { content: fs.readFileSync(path.join(CONTRACTS_DIR, SOURCE_FILE), 'utf8') }
+    },
+    settings: {
+      evmVersion: EVM_VERSION,
+      optimizer: { enabled: true, runs: 200 },
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+    }
+  };
+
+  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+  const errors = (output.errors || []).filter(error => error.severity === 'error');
+  for (const message of output.errors || []) {
+    console.log(message.formattedMessage);
+  }
+  if (errors.length > 0) {
+    throw new Error(`${SOURCE_FILE} did not compile`);
+  }
+
+  const contract = output.contracts[SOURCE_FILE][CONTRACT_NAME];
+  const artifact = {
+    contractName: CONTRACT_NAME,
+    compiler: `solc ${solc.version()}`,
+    evmVersion: EVM_VERSION,
+    abi: contract.abi,
+    bytecode: contract.evm.bytecode.object
+  };
+
+  const outputFile = path.join(CONTRACTS_DIR, `${CONTRACT_NAME}.json`);
+  fs.writeFileSync(outputFile, JSON.stringify(artifact, null, 2) + '\n');
+  console.log(`Wrote ${path.relative(process.cwd(), outputFile)} (${artifact.bytecode.length / 2} bytes of bytecode)`);
+}
+
+try {
+  compileEscrowContract();
+} catch (error) {
+  console.error('Escrow contract build failed:', error.message);
+  process.exitCode = 1;
+}
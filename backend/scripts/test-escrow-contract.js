@@ -0,0 +1,169 @@
+/**
+ * Escrow Contract Test Script
+ *
+ * Checks the init code the Radius adapter (config/radius.js) deploys bounty escrow
+ * contracts (contracts/BountyEscrow.sol) with: the compiled bytecode followed by the
+ * constructor's token argument, encoded as ethers' ContractFactory encodes it. Then checks
+ * that a token escrow contract on the ledger provider (config/ledger.js), which simulates
+ * the contract's rules, refunds each funder at most what they deposited, and pays only the
+ * beneficiary the arbiter named, with each change recorded in the ledger. The database and
+ * wallet modules are replaced by in-memory stand-ins, so this needs no database, GitHub
+ * token or Radius endpoint.
+ *
+ * Usage: node scripts/test-escrow-contract.js
+ */
+
+const { AbiCoder, ContractFactory, Interface, hexlify } = require('ethers');
+
+const USDC = { symbol: 'USDC', address: '0x00000000000000000000000000000000000c0de6', decimals: 6 };
+process.env.BOUNTY_TOKENS = JSON.stringify([USDC]);
+process.env.LEDGER_INITIAL_BALANCE = '1000';
+
+const USDC_ADDRESS = USDC.address;
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+let failures = 0;
+
+function check(name, passed, details) {
+  if (passed) {
+    console.log(`✅ ${name}`);
+  } else {
+    failures++;
+    console.error(`❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+// Run a scenario without the providers' logging
+async function quietly(fn) {
+  const { log, error, warn } = console;
+  console.log = console.error = console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, error, warn });
+  }
+}
+
+// Resolves to the error fn throws, or null
+async function errorOf(fn) {
+  try {
+    await quietly(fn);
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+// Wallets by ID and ledger entries by hash, read and written by the database stand-in
+const wallets = new Map([
+  [1, { id: 1, userId: 1, publicKey: '0x00000000000000000000000000000000000f0001' }],
+  [2, { id: 2, userId: 2, publicKey: '0x00000000000000000000000000000000000f0002' }]
+]);
+const entries = new Map();
+
+// Put a module in the require cache so the real one (and its database client) is never loaded
+function provide(modulePath, exports) {
+  const filename = require.resolve(modulePath);
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+provide('@prisma/client', { PrismaClient: class {} });
+provide('../config/database', {
+  wallet: {
+    findUnique: async ({ where }) => wallets.get(where.id) || null
+  },
+  bountyTransaction: {
+    create: async ({ data }) => {
+      entries.set(data.txHash, { ...data });
+      return entries.get(data.txHash);
+    },
+    update: async ({ where, data }) => Object.assign(entries.get(where.txHash), data)
+  }
+});
+provide('../controllers/walletController', {});
+
+const { escrowInitCode } = require('../config/radius');
+const ledger = require('../config/ledger');
+const escrowArtifact = require('../contracts/BountyEscrow.json');
+
+async function testInitCode() {
+  const factory = new ContractFactory(escrowArtifact.abi, escrowArtifact.bytecode);
+  const bytecode = `0x${escrowArtifact.bytecode.replace(/^0x/, '').toLowerCase()}`;
+
+  for (const [name, tokenAddress] of [['native coin', null], ['token', USDC_ADDRESS]]) {
+    console.log(`\n--- Escrow contract for the ${name} ---`);
+    const initCode = hexlify(escrowInitCode(tokenAddress));
+    const expected = (await factory.getDeployTransaction(tokenAddress || ZERO_ADDRESS)).data;
+
+    check('init code matches ethers ContractFactory', initCode === expected.toLowerCase(),
+      `${initCode.length} vs ${expected.length} characters`);
+    check('init code starts with the compiled bytecode', initCode.startsWith(bytecode));
+    const [token] = AbiCoder.defaultAbiCoder().decode(['address'], `0x${initCode.slice(bytecode.length)}`);
+    check('constructor argument is the token address', token.toLowerCase() === (tokenAddress || ZERO_ADDRESS), token);
+  }
+}
+
+async function testTokenDeposits() {
+  console.log('\n--- Refunds of a token escrow contract ---');
+  const contract = new Interface(escrowArtifact.abi);
+  check('contract takes token deposits with depositToken(uint256)', Boolean(contract.getFunction('depositToken(uint256)')));
+
+  const escrowAddress = await quietly(() => ledger.createEscrowContract(USDC_ADDRESS));
+  const options = { escrowAddress, tokenAddress: USDC_ADDRESS };
+  await quietly(() => ledger.createEscrow(1, 100000000n, 1, options));
+  await quietly(() => ledger.createEscrow(2, 50000000n, 2, options));
+  const refund = (walletId, amount) => errorOf(() => ledger.refundEscrow(null, null, amount, walletId,
+    { ...options, idempotencyKey: `refund:${walletId}:${entries.size}` }));
+
+  let error = await refund(2, 60000000n);
+  check('refund beyond a funder\'s deposit is rejected', error && /can be refunded 50000000 base units/.test(error.message),
+    error ? error.message : 'refunded');
+  error = await refund(2, 50000000n);
+  check('funder is refunded up to their deposit', !error, error && error.message);
+  error = await refund(2, 1n);
+  check('funder cannot be refunded twice', Boolean(error));
+  error = await refund(1, 100000000n);
+  check('other funders keep their deposit', !error, error && error.message);
+  check('contract is empty', await ledger.getBalance(escrowAddress, USDC_ADDRESS) === 0n);
+}
+
+async function testBeneficiary() {
+  console.log('\n--- Releases of an escrow contract ---');
+  const escrowAddress = await quietly(() => ledger.createEscrowContract(USDC_ADDRESS));
+  const options = { escrowAddress, tokenAddress: USDC_ADDRESS, bountyId: 7 };
+  await quietly(() => ledger.createEscrow(1, 100000000n, 1, options));
+  const release = (walletId, amount) => errorOf(() => ledger.releaseEscrow(null, walletId, amount, walletId,
+    { ...options, idempotencyKey: `release:${walletId}:${entries.size}` }));
+  const changes = () => [...entries.values()].filter(entry => entry.type === 'BENEFICIARY');
+
+  let error = await release(2, 10000000n);
+  check('contract without a beneficiary pays nobody', Boolean(error));
+
+  const txHash = await quietly(() => ledger.setEscrowBeneficiary(escrowAddress, 1, { bountyId: 7 }));
+  const [change] = changes();
+  check('beneficiary change is recorded in the ledger', change && change.txHash === txHash
+    && change.toAddress === wallets.get(1).publicKey && BigInt(change.amount) === 0n && change.bountyId === 7,
+  JSON.stringify(change, (key, value) => typeof value === 'bigint' ? value.toString() : value));
+  check('naming the same beneficiary again changes nothing',
+    await quietly(() => ledger.setEscrowBeneficiary(escrowAddress, 1, { bountyId: 7 })) === null && changes().length === 1);
+
+  error = await release(2, 10000000n);
+  check('release to another wallet is refused, not redirected', error && /beneficiary/.test(error.message),
+    error ? error.message : 'released');
+  error = await release(1, 10000000n);
+  check('release to the beneficiary is paid', !error, error && error.message);
+}
+
+async function testEscrowContract() {
+  await testInitCode();
+  await testTokenDeposits();
+  await testBeneficiary();
+
+  console.log(`\n${failures === 0 ? 'All escrow contract checks passed' : `${failures} escrow contract check(s) failed`}`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+testEscrowContract().catch(error => {
+  console.error('Escrow contract test failed:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,266 @@
+/**
+ * Issue Lifecycle Test Script
+ *
+ * Replays recorded GitHub `issues` deliveries (scripts/fixtures/github-webhooks)
+ * through processGitHubEvent and checks what happens to the bounty when its issue
+ * is closed with linked pull requests, reopened, transferred to another repository
+ * or deleted. The database, escrow
+ * and notification modules are replaced by in-memory stand-ins, so this needs no
+ * database, GitHub token or Radius wallet.
+ *
+ * Usage: node scripts/test-issue-events.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'github-webhooks');
+
+let failures = 0;
+
+function check(name, passed, details) {
+  if (passed) {
+    console.log(`✅ ${name}`);
+  } else {
+    failures++;
+    console.error(`❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+function readFixture(file) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+}
+
+// In-memory state the stand-ins below read and write
+const state = {
+  bounties: [],
+  events: [],
+  notifications: [],
+  releases: [],
+  refunds: [],
+  pullRequests: [], // { bountyId, prNumber, authorGithubId, state } links to bounties
+  heldPayouts: new Set(), // bounty IDs with a payout held for the review window
+  failedCloseDeliveries: [], // { repoOwner, repoName, issueNumber } of failed issues.closed deliveries
+  connectedRepositories: new Set(['octo-org/gitpaid-demo'])
+};
+
+function reset(bounties) {
+  state.bounties = bounties.map(bounty => ({
+    repoOwner: 'octo-org',
+    repoName: 'gitpaid-demo',
+    issueNumber: 42,
+    amount: '10000000000000000000',
+    currency: 'ETH',
+    tokenAddress: null,
+    tokenDecimals: 18,
+    createdBy: 1,
+    claimedBy: null,
+    hunterWalletId: null,
+    createdAt: new Date(),
+    ...bounty
+  }));
+  state.events = [];
+  state.notifications = [];
+  state.releases = [];
+  state.refunds = [];
+  state.pullRequests = [];
+  state.heldPayouts = new Set();
+  state.failedCloseDeliveries = [];
+}
+
+function findBounties(repoOwner, repoName, issueNumber) {
+  return state.bounties
+    .filter(b => b.repoOwner === repoOwner && b.repoName === repoName && b.issueNumber === parseInt(issueNumber, 10))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function bountyById(id) {
+  return state.bounties.find(b => b.id === id);
+}
+
+// Put a module in the require cache so the real one (and its database client) is never loaded
+function provide(modulePath, exports) {
+  const filename = require.resolve(modulePath);
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+provide('../config/database', {});
+provide('../services/escrowService', {
+  releaseBounty: async (bountyId, options) => {
+    state.releases.push({ bountyId, ...options });
+    bountyById(bountyId).status = 'COMPLETED';
+    return { bounty: bountyById(bountyId), transaction: '0xrelease', transactions: ['0xrelease'], duplicate: false };
+  },
+  refundBounty: async (bountyId, options) => {
+    const bounty = bountyById(bountyId);
+    if (bounty.status === 'CANCELLED') {
+      return { bounty, transaction: '0xrefund', transactions: ['0xrefund'], duplicate: true };
+    }
+    state.refunds.push({ bountyId, ...options });
+    bounty.status = 'CANCELLED';
+    return { bounty, transaction: '0xrefund', transactions: ['0xrefund'], duplicate: false };
+  }
+});
+provide('../services/payoutHoldService', {
+  scheduleRelease: async () => null,
+  cancelScheduledRelease: async bounty => state.heldPayouts.delete(bounty.id)
+});
+provide('../services/notificationService', {
+  notifyUsers: async (userIds, notification) => {
+    for (const userId of new Set(userIds.filter(Boolean))) {
+      state.notifications.push({ userId, ...notification });
+    }
+  }
+});
+provide('../services/githubIssueService', {
+  getRepositoryToken: async (repoOwner, repoName) => (state.connectedRepositories.has(`${repoOwner}/${repoName}`) ? 'token' : null)
+});
+
+Object.assign(require('../models/bountyModel'), {
+  getBountyByIssue: async (repoOwner, repoName, issueNumber) => findBounties(repoOwner, repoName, issueNumber)[0] || null,
+  getIssueBounties: async (repoOwner, repoName, issueNumber) => findBounties(repoOwner, repoName, issueNumber).map(b => ({ ...b })),
+  moveBountyIssue: async (id, location) => Object.assign(bountyById(id), location)
+});
+Object.assign(require('../models/bountyEventModel'), {
+  createBountyEvent: async event => state.events.push(event)
+});
+Object.assign(require('../models/bountyContributionModel'), {
+  getBountyContributions: async bountyId => [{ bountyId, userId: bountyById(bountyId).createdBy }, { bountyId, userId: 3 }]
+});
+Object.assign(require('../models/bountyPullRequestModel'), {
+  getBountyPullRequests: async (bountyId, states) =>
+    state.pullRequests.filter(pr => pr.bountyId === bountyId && (!states || states.includes(pr.state))).reverse()
+});
+Object.assign(require('../models/userModel'), {
+  getUserById: async id => ({ id, githubId: String(1000 + id), githubUsername: `user${id}` })
+});
+Object.assign(require('../models/webhookDeliveryModel'), {
+  supersedeFailedDeliveries: async (repoOwner, repoName, issueNumber, event, action) => {
+    const matching = state.failedCloseDeliveries.filter(d =>
+      event === 'issues' && action === 'closed' &&
+      d.repoOwner === repoOwner && d.repoName === repoName && d.issueNumber === issueNumber);
+    state.failedCloseDeliveries = state.failedCloseDeliveries.filter(d => !matching.includes(d));
+    return matching.length;
+  }
+});
+
+const { processGitHubEvent } = require('../services/githubEventService');
+
+async function testClosedWithPullRequests() {
+  const payload = readFixture('issues-closed.json');
+  const claimed = () => reset([{ id: 1, status: 'CLAIMED', claimedBy: 2, hunterWalletId: 20 }]);
+
+  console.log('\n--- Test 1: Closing an issue with a drive-by pull request still open ---');
+  claimed();
+  state.pullRequests.push({ bountyId: 1, prNumber: 7, authorGithubId: '1009', state: 'OPEN' });
+  let outcome = await processGitHubEvent('issues', payload);
+  check('claimer is paid', outcome.processed && state.releases.length === 1 && bountyById(1).status === 'COMPLETED', outcome.message);
+
+  console.log('\n--- Test 2: Closing an issue with the claimer\'s pull request still open ---');
+  claimed();
+  state.pullRequests.push(
+    { bountyId: 1, prNumber: 7, authorGithubId: '1009', state: 'OPEN' },
+    { bountyId: 1, prNumber: 8, authorGithubId: '1002', state: 'OPEN' }
+  );
+  outcome = await processGitHubEvent('issues', payload);
+  check('payout waits for the claimer\'s pull request', !outcome.processed && state.releases.length === 0 && /#8/.test(outcome.message),
+    outcome.message);
+
+  console.log('\n--- Test 3: Closing an issue fixed by a merged pull request ---');
+  claimed();
+  state.pullRequests.push({ bountyId: 1, prNumber: 7, authorGithubId: '1009', state: 'MERGED' });
+  outcome = await processGitHubEvent('issues', payload);
+  check('claimer is not paid on top of the pull request author', !outcome.processed && state.releases.length === 0, outcome.message);
+}
+
+async function testReopened() {
+  const payload = readFixture('issues-reopened.json');
+
+  console.log('\n--- Test 4: Reopening an issue during the review window ---');
+  reset([{ id: 1, status: 'CLAIMED', claimedBy: 2, hunterWalletId: 20 }]);
+  state.heldPayouts.add(1);
+  let outcome = await processGitHubEvent('issues', payload);
+  check('held payout is cancelled', outcome.processed && !state.heldPayouts.has(1), outcome.message);
+  check('bounty stays claimed by the hunter', bountyById(1).status === 'CLAIMED' && bountyById(1).claimedBy === 2);
+  check('no funds move', state.releases.length === 0 && state.refunds.length === 0);
+
+  console.log('\n--- Test 5: Reopening an issue whose payout failed ---');
+  reset([{ id: 1, status: 'CLAIMED', claimedBy: 2 }]);
+  state.failedCloseDeliveries.push({ repoOwner: 'octo-org', repoName: 'gitpaid-demo', issueNumber: 42 });
+  outcome = await processGitHubEvent('issues', payload);
+  check('failed close delivery is withdrawn', outcome.processed && outcome.withdrawnDeliveries === 1, outcome.message);
+  check('withdrawal is recorded in the bounty history', state.events.some(e => e.bountyId === 1 && /reopened/.test(e.note)));
+
+  console.log('\n--- Test 6: Reopening an issue that was already paid ---');
+  reset([{ id: 1, status: 'COMPLETED', claimedBy: 2 }]);
+  outcome = await processGitHubEvent('issues', payload);
+  check('paid bounty is left alone', !outcome.processed && bountyById(1).status === 'COMPLETED', outcome.message);
+}
+
+async function testTransferred() {
+  const payload = readFixture('issues-transferred.json');
+
+  console.log('\n--- Test 7: Transferring an issue to another repository ---');
+  reset([
+    { id: 1, status: 'CANCELLED', createdAt: new Date('2026-09-01') },
+    { id: 2, status: 'CLAIMED', claimedBy: 2 },
+    { id: 3, status: 'OPEN', issueNumber: 43 }
+  ]);
+  let outcome = await processGitHubEvent('issues', payload);
+  const moved = bountyById(2);
+  check('bounties of the issue are moved', outcome.processed && outcome.bountyIds.length === 2, outcome.message);
+  check('bounty points at the new issue',
+    moved.repoOwner === 'octo-org' && moved.repoName === 'gitpaid-core' && moved.issueNumber === 7,
+    `${moved.repoOwner}/${moved.repoName}#${moved.issueNumber}`);
+  check('earlier bounty of the issue moves too', bountyById(1).repoName === 'gitpaid-core');
+  check('bounty of another issue is not touched', bountyById(3).repoName === 'gitpaid-demo' && bountyById(3).issueNumber === 43);
+  check('claim and status are kept', moved.status === 'CLAIMED' && moved.claimedBy === 2);
+  check('move is recorded in the bounty history', state.events.filter(e => /transferred/.test(e.note)).length === 2);
+  check('owner is asked to connect the new repository',
+    state.notifications.some(n => n.userId === 1 && n.bountyId === 2 && /Connect a webhook on octo-org\/gitpaid-core/.test(n.message)));
+  check('hunter is told where the issue went', state.notifications.some(n => n.userId === 2 && /octo-org\/gitpaid-core#7/.test(n.message)));
+
+  outcome = await processGitHubEvent('issues', payload);
+  check('replaying the transfer changes nothing', !outcome.processed && bountyById(2).issueNumber === 7, outcome.message);
+}
+
+async function testDeleted() {
+  const payload = readFixture('issues-deleted.json');
+
+  console.log('\n--- Test 8: Deleting an issue with a claimed bounty ---');
+  reset([{ id: 1, status: 'CLAIMED', claimedBy: 2, hunterWalletId: 20 }]);
+  state.heldPayouts.add(1);
+  let outcome = await processGitHubEvent('issues', payload);
+  check('escrow is refunded', outcome.processed && state.refunds.length === 1 && bountyById(1).status === 'CANCELLED', outcome.message);
+  check('held payout is cancelled first', !state.heldPayouts.has(1));
+  check('nothing is released', state.releases.length === 0);
+  check('owner, funders and hunter are notified',
+    [1, 2, 3].every(userId => state.notifications.some(n => n.userId === userId && n.type === 'BOUNTY_CANCELLED')));
+
+  outcome = await processGitHubEvent('issues', payload);
+  check('replaying the deletion does not refund twice', !outcome.processed && state.refunds.length === 1, outcome.message);
+
+  console.log('\n--- Test 9: Deleting an issue with a disputed or paid bounty ---');
+  reset([{ id: 1, status: 'DISPUTED', claimedBy: 2 }]);
+  outcome = await processGitHubEvent('issues', payload);
+  check('disputed bounty waits for the ruling', !outcome.processed && state.refunds.length === 0, outcome.message);
+
+  reset([{ id: 1, status: 'COMPLETED', claimedBy: 2 }]);
+  outcome = await processGitHubEvent('issues', payload);
+  check('paid bounty is not refunded', !outcome.processed && state.refunds.length === 0, outcome.message);
+}
+
+async function testIssueEvents() {
+  await testClosedWithPullRequests();
+  await testReopened();
+  await testTransferred();
+  await testDeleted();
+
+  console.log(`\n${failures === 0 ? 'All issue event checks passed' : `${failures} issue event check(s) failed`}`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+testIssueEvents().catch(error => {
+  console.error('Issue event test failed:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,574 @@
+/**
+ * Money Property Test Script
+ *
+ * Checks the shared money utility (shared/money.js) and the escrow flows built on it with
+ * randomly generated inputs. Bounties are funded in the native coin or in an ERC-20 token
+ * with 6 decimals, topped up by other funders, paid out
+ * through milestones and finally released (in full or split), cancelled or resolved by an
+ * admin's split ruling, all through the real bounty, escrow, dispute and confirmation
+ * services on the in-memory ledger provider. Every scenario must end with what was funded
+ * equal to what was released plus what was refunded, to the base unit, all of it in the
+ * bounty's token, and nothing left in the bounty's escrow contract. The database is replaced by an in-memory stand-in, so this needs
+ * no database, GitHub token or Radius wallet.
+ *
+ * Usage: node scripts/test-money.js
+ * MONEY_TEST_SEED and MONEY_TEST_RUNS replay or widen the search; a failing check prints
+ * the seed of its scenario.
+ */
+
+const SEED = parseInt(process.env.MONEY_TEST_SEED, 10) || 20261019;
+const RUNS = parseInt(process.env.MONEY_TEST_RUNS, 10) || 150;
+
+// Funders never run dry on the ledger, however many scenarios run
+process.env.PAYMENT_PROVIDER = 'ledger';
+process.env.LEDGER_INITIAL_BALANCE = '1000000000';
+
+// A token with fewer decimals than the native coin
+const USDC = { symbol: 'USDC', address: '0x00000000000000000000000000000000000c0de6', decimals: 6 };
+process.env.BOUNTY_TOKENS = JSON.stringify([USDC]);
+
+let failures = 0;
+
+function check(name, passed, details) {
+  if (passed) {
+    console.log(`✅ ${name}`);
+  } else {
+    failures++;
+    console.error(`❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+// Deterministic pseudo-random numbers (mulberry32), so every run can be replayed from its seed
+function random(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const digits = (count) => Array.from({ length: count }, () => int(0, 9)).join('');
+  return {
+    int,
+    pick: (values) => values[int(0, values.length - 1)],
+    chance: (probability) => next() < probability,
+    // A token amount such as "12.000340500000000001", with up to 18 (or maxDecimals) decimals
+    tokens: (maxWhole = 50, maxDecimals = 18) => {
+      const decimals = int(0, maxDecimals);
+      const amount = `${int(0, maxWhole)}${decimals > 0 ? `.${digits(decimals)}` : ''}`;
+      return /[1-9]/.test(amount) ? amount : '1';
+    },
+    // Base units with up to 40 digits
+    baseUnits: () => BigInt(digits(int(1, 40)))
+  };
+}
+
+// Run a scenario without the services' logging
+async function quietly(fn) {
+  const { log, error, warn } = console;
+  console.log = console.error = console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, error, warn });
+  }
+}
+
+// --- In-memory database ---------------------------------------------------------------
+
+const tables = {};
+const nextIds = {};
+
+// Column defaults of the schema that the services rely on
+const DEFAULTS = {
+  bounty: { releasedAmount: '0', claimWindowDays: 14, requiresApplication: false, competitive: false, currency: 'USD' },
+  bountyContribution: { status: 'FUNDED', refundTxHash: null },
+  bountyPayout: { status: 'PENDING', txHash: null },
+  bountyMilestone: { status: 'PENDING', txHash: null },
+  bountyTransaction: { status: 'PENDING', bountyId: null, idempotencyKey: null },
+  bountyDispute: { status: 'OPEN', resolution: null, hunterPercent: null }
+};
+
+// Unique columns of the schema, so a second ledger entry under the same idempotency key fails as it would in Postgres
+const UNIQUE = {
+  bountyTransaction: ['txHash', 'idempotencyKey']
+};
+
+// Writes that fail once, as if the server stopped right after the step before them ("table.method")
+const faults = new Set();
+
+function failOnce(table, method) {
+  faults.add(`${table}.${method}`);
+}
+
+function injectFault(table, method) {
+  if (faults.delete(`${table}.${method}`)) {
+    throw new Error(`Simulated failure of ${table}.${method}`);
+  }
+}
+
+// Relations that are loaded with `include` or created with nested `create`
+const RELATIONS = {
+  bounty: {
+    owner: { table: 'user', key: 'createdBy' },
+    claimer: { table: 'user', key: 'claimedBy' },
+    milestones: { table: 'bountyMilestone', foreignKey: 'bountyId' },
+    contributions: { table: 'bountyContribution', foreignKey: 'bountyId' },
+    payouts: { table: 'bountyPayout', foreignKey: 'bountyId' }
+  },
+  bountyContribution: { user: { table: 'user', key: 'userId' } },
+  bountyPayout: { user: { table: 'user', key: 'userId' } },
+  bountyMilestone: { recipient: { table: 'user', key: 'releasedTo' } },
+  bountyDispute: { bounty: { table: 'bounty', key: 'bountyId' } }
+};
+
+function rows(table) {
+  tables[table] = tables[table] || [];
+  return tables[table];
+}
+
+function matches(row, where = {}) {
+  return Object.entries(where).every(([field, condition]) => {
+    if (field === 'OR') {
+      return condition.some(alternative => matches(row, alternative));
+    }
+    const value = row[field] === undefined ? null : row[field];
+    if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+      return value === condition;
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case 'in': return operand.includes(value);
+        case 'notIn': return !operand.includes(value);
+        case 'not': return value !== operand;
+        case 'equals': return condition.mode === 'insensitive' ? String(value).toLowerCase() === String(operand).toLowerCase() : value === operand;
+        case 'mode': return true;
+        default: throw new Error(`In-memory database does not support "${operator}" on ${field}`);
+      }
+    });
+  });
+}
+
+function withRelations(table, row, include) {
+  const result = { ...row };
+  for (const [name, relation] of Object.entries(RELATIONS[table] || {})) {
+    if (!include || !include[name]) {
+      continue;
+    }
+    result[name] = relation.foreignKey
+      ? rows(relation.table).filter(child => child[relation.foreignKey] === row.id).map(child => ({ ...child }))
+      : { ...(rows(relation.table).find(parent => parent.id === row[relation.key]) || null) };
+  }
+  return result;
+}
+
+function insert(table, data) {
+  const row = { id: (nextIds[table] = (nextIds[table] || 0) + 1), createdAt: new Date(), updatedAt: new Date(), ...DEFAULTS[table] };
+  for (const field of UNIQUE[table] || []) {
+    if (data[field] != null && rows(table).some(existing => existing[field] === data[field])) {
+      throw new Error(`Unique constraint failed on ${table}.${field}`);
+    }
+  }
+  const nested = [];
+  for (const [field, value] of Object.entries(data)) {
+    const relation = RELATIONS[table]?.[field];
+    if (relation && value && value.create) {
+      nested.push([relation, value.create]);
+    } else if (value !== undefined) {
+      row[field] = value;
+    }
+  }
+  rows(table).push(row);
+  for (const [relation, children] of nested) {
+    for (const child of [].concat(children)) {
+      insert(relation.table, { ...child, [relation.foreignKey]: row.id });
+    }
+  }
+  return row;
+}
+
+function apply(row, data) {
+  for (const [field, value] of Object.entries(data)) {
+    row[field] = value && typeof value === 'object' && 'increment' in value ? row[field] + value.increment : value;
+  }
+  row.updatedAt = new Date();
+  return row;
+}
+
+function delegate(table) {
+  const find = (where) => rows(table).filter(row => matches(row, where));
+  return {
+    findUnique: async ({ where, include }) => (find(where)[0] ? withRelations(table, find(where)[0], include) : null),
+    findFirst: async ({ where, include } = {}) => (find(where)[0] ? withRelations(table, find(where)[0], include) : null),
+    findMany: async ({ where, include } = {}) => find(where).map(row => withRelations(table, row, include)),
+    count: async ({ where } = {}) => find(where).length,
+    create: async ({ data, include }) => withRelations(table, insert(table, data), include),
+    createMany: async ({ data }) => ({ count: data.map(item => insert(table, item)).length }),
+    update: async ({ where, data, include }) => {
+      injectFault(table, 'update');
+      const [row] = find(where);
+      if (!row) {
+        throw new Error(`No ${table} matches ${JSON.stringify(where)}`);
+      }
+      return withRelations(table, apply(row, data), include);
+    },
+    updateMany: async ({ where, data }) => ({ count: find(where).map(row => apply(row, data)).length }),
+    deleteMany: async ({ where }) => {
+      const doomed = find(where);
+      tables[table] = rows(table).filter(row => !doomed.includes(row));
+      return { count: doomed.length };
+    }
+  };
+}
+
+const database = new Proxy({
+  $transaction: async (work) => work(database)
+}, {
+  get: (target, property) => (property in target || typeof property !== 'string' ? target[property] : delegate(property))
+});
+
+// Put a module in the require cache so the real one (and its database client) is never loaded
+function provide(modulePath, exports) {
+  const filename = require.resolve(modulePath);
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+provide('../config/database', database);
+provide('../services/notificationService', { notifyUsers: async () => [] });
+provide('axios', { get: async () => ({ data: { state: 'open' } }) });
+
+const money = require('../../shared/money');
+const { parseAmount, formatAmount, toBaseUnits, sumAmounts, percentOf, allocate, InvalidAmountError } = money;
+const payments = require('../services/paymentProvider');
+const bountyService = require('../services/bountyService');
+const disputeService = require('../services/disputeService');
+const { watchConfirmations } = require('../services/confirmationService');
+const { registerEscrowBeneficiarySync } = require('../services/escrowService');
+const { createDispute } = require('../models/bountyDisputeModel');
+const { NATIVE_TOKEN } = require('../config/tokens');
+const { BOUNTY_STATUS, transitionBounty } = require('../services/bountyStateMachine');
+
+// Escrow contracts only pay the claimer's wallet, named when the bounty is claimed, as on the server
+registerEscrowBeneficiarySync();
+
+// Owner (1), funders (2-4), hunter (5) and admin (6), each with one wallet of the same ID
+for (let id = 1; id <= 6; id++) {
+  insert('user', { githubId: String(1000 + id), githubUsername: `user${id}`, isAdmin: id === 6 });
+  insert('wallet', { userId: id, walletName: `wallet ${id}`, publicKey: `0x${id.toString(16).padStart(40, '0')}`, isDefault: true });
+}
+const OWNER = 1;
+const FUNDERS = [2, 3, 4];
+const HUNTER = 5;
+const ADMIN = 6;
+
+// --- Money utility ----------------------------------------------------------------------
+
+// Check a property on many random inputs and report the first counterexample
+function property(name, samples, generate, holds) {
+  const rng = random(SEED);
+  for (let i = 0; i < samples; i++) {
+    const input = generate(rng);
+    let passed;
+    try {
+      passed = holds(input);
+    } catch (error) {
+      passed = false;
+    }
+    if (!passed) {
+      check(name, false, `counterexample: ${JSON.stringify(input, (key, value) => (typeof value === 'bigint' ? `${value}n` : value))}`);
+      return;
+    }
+  }
+  check(`${name} (${samples} samples)`, true);
+}
+
+function testMoneyUtility() {
+  console.log('\n--- Test 1: Parsing and formatting ---');
+  property('formatting then parsing returns the same base units', 1000,
+    rng => rng.baseUnits(),
+    value => parseAmount(formatAmount(value)) === value);
+  property('parsing then formatting keeps every decimal', 1000,
+    rng => rng.tokens(1000000),
+    tokens => formatAmount(parseAmount(tokens)) === tokens.replace(/(\.\d*?)0+$/, '$1').replace(/\.$/, ''));
+  property('formatting then parsing returns the same base units of a token with 6 decimals', 1000,
+    rng => rng.baseUnits(),
+    value => parseAmount(formatAmount(value, USDC.decimals), USDC.decimals) === value);
+  property('numbers are read from their decimal form, not their binary value', 200,
+    rng => rng.int(1, 100000) / 1000,
+    number => formatAmount(parseAmount(number)) === String(number));
+
+  const rejects = (value, decimals) => {
+    try {
+      parseAmount(value, decimals);
+      return false;
+    } catch (error) {
+      return error instanceof InvalidAmountError;
+    }
+  };
+  check('more than 18 decimals, negative and malformed amounts are rejected',
+    ['0.0000000000000000001', '-1', '', '.', '1.2.3', 'abc', NaN, Infinity, null].every(value => rejects(value)));
+  check('exponents beyond ±100 are rejected before they are expanded',
+    ['1e400000000', '1e-400000000', '1e101', '1e-101'].every(value => rejects(value)) && parseAmount('1e100') === 10n ** 118n);
+  check('more decimals than the token has are rejected', rejects('0.0000001', USDC.decimals) && !rejects('0.000001', USDC.decimals));
+
+  console.log('\n--- Test 2: Dividing amounts ---');
+  property('allocated shares add up to exactly the amount and none is negative', 1000,
+    rng => ({ total: rng.baseUnits(), weights: Array.from({ length: rng.int(1, 6) }, () => rng.baseUnits() + 1n) }),
+    ({ total, weights }) => {
+      const shares = allocate(total, weights);
+      return sumAmounts(shares) === total && shares.every(share => share >= 0n);
+    });
+  property('a percentage and its complement never pay out more than the amount', 1000,
+    rng => ({ amount: rng.baseUnits(), percent: rng.tokens(99) }),
+    ({ amount, percent }) => {
+      const complement = formatAmount(parseAmount(100) - parseAmount(percent));
+      const paid = percentOf(amount, percent) + percentOf(amount, complement);
+      return paid <= amount && amount - paid <= 1n;
+    });
+}
+
+// --- Escrow scenarios -------------------------------------------------------------------
+
+// The ledger reports a transaction sent without waiting as pending on its first lookup and
+// mined after that, so the watcher settles it on its second pass
+async function confirmTransactions() {
+  await watchConfirmations();
+  await watchConfirmations();
+}
+
+// Split a token amount into `count` random positive token amounts that add up to it exactly
+function randomParts(rng, baseUnits, count) {
+  const parts = allocate(baseUnits, Array.from({ length: count }, () => rng.int(1, 1000)));
+  return parts.every(part => part > 0n) ? parts : null;
+}
+
+// Fund, top up, pay out milestones and finish one random bounty; returns what was tried
+async function runScenario(rng, issueNumber) {
+  const steps = [];
+  const token = rng.pick([NATIVE_TOKEN, USDC]);
+  const amount = rng.tokens(50, token.decimals);
+  const stageCount = rng.chance(0.4) ? rng.int(1, 3) : 0;
+  const stages = stageCount > 0 ? randomParts(rng, parseAmount(amount, token.decimals), stageCount) : null;
+  steps.push(`fund ${amount} ${token.symbol}${stages ? ` in ${stages.length} milestones` : ''}`);
+
+  let bounty = await bountyService.createBounty({
+    userId: OWNER,
+    repoOwner: 'octo-org',
+    repoName: 'gitpaid-demo',
+    issueNumber,
+    amount,
+    currency: token.symbol,
+    walletId: OWNER,
+    milestones: stages && stages.map((stage, index) => ({ title: `Stage ${index + 1}`, amount: formatAmount(stage, token.decimals) }))
+  });
+  await confirmTransactions();
+
+  for (let i = rng.int(0, 3); i > 0; i--) {
+    const funder = rng.pick(FUNDERS);
+    const contribution = rng.tokens(20, token.decimals);
+    steps.push(`user${funder} adds ${contribution}`);
+    await bountyService.contributeToBounty(bounty.id, funder, contribution, funder);
+  }
+
+  const claimed = stages || rng.chance(0.8);
+  if (claimed) {
+    await bountyService.claimBounty(bounty.id, HUNTER, HUNTER);
+  }
+
+  if (stages) {
+    const milestones = rows('bountyMilestone').filter(milestone => milestone.bountyId === bounty.id);
+    for (const milestone of milestones.slice(0, rng.int(0, milestones.length))) {
+      steps.push(`approve milestone ${milestone.position}`);
+      await bountyService.approveMilestone(bounty.id, milestone.id, OWNER);
+    }
+  }
+
+  bounty = rows('bounty').find(row => row.id === bounty.id);
+  if (bounty.status === BOUNTY_STATUS.COMPLETED) {
+    return steps;
+  }
+
+  const payable = toBaseUnits(bounty.amount) - toBaseUnits(bounty.releasedAmount);
+  const ending = claimed
+    ? rng.pick(['release', 'split by percent', 'split by amount', 'cancel', 'dispute split', 'dispute refund'])
+    : 'cancel';
+  steps.push(ending);
+
+  if (ending === 'release') {
+    await bountyService.completeBounty(bounty.id, OWNER);
+  } else if (ending === 'split by percent' || ending === 'split by amount') {
+    const recipients = [HUNTER, ...FUNDERS.filter(() => rng.chance(0.5))];
+    const split = ending === 'split by percent'
+      ? randomParts(rng, parseAmount(100), recipients.length)
+      : randomParts(rng, payable, recipients.length);
+    if (!split) {
+      await bountyService.completeBounty(bounty.id, OWNER);
+    } else {
+      const byPercent = ending === 'split by percent';
+      await bountyService.completeBounty(bounty.id, OWNER, {}, recipients.map((userId, index) => ({
+        github: `user${userId}`,
+        [byPercent ? 'percent' : 'amount']: formatAmount(split[index], byPercent ? undefined : token.decimals)
+      })));
+    }
+  } else if (ending === 'cancel') {
+    await bountyService.cancelBounty(bounty.id, OWNER);
+  } else {
+    await transitionBounty(bounty.id, BOUNTY_STATUS.DISPUTED, { fromStatus: BOUNTY_STATUS.CLAIMED, actorId: OWNER });
+    const dispute = await createDispute({ bountyId: bounty.id, openedBy: OWNER, reason: 'Not fixed', bountyStatus: BOUNTY_STATUS.CLAIMED });
+    const hunterPercent = rng.int(1, 9999) / 100;
+    if (ending === 'dispute split') {
+      steps.push(`${hunterPercent}% to the hunter`);
+    }
+    await disputeService.resolveDispute(dispute.id, ADMIN, ending === 'dispute split'
+      ? { outcome: 'split', hunterPercent }
+      : { outcome: 'refund' });
+  }
+
+  // Payouts are sent without waiting; the watcher confirms them and completes the bounty
+  await confirmTransactions();
+  return steps;
+}
+
+async function testEscrowScenarios() {
+  console.log('\n--- Test 3: Funding equals release plus refund ---');
+  const problems = { errors: [], unbalanced: [], wrongToken: [], unnamedPayee: [], leftover: [], unfinished: [], misrecorded: [] };
+
+  for (let run = 0; run < RUNS; run++) {
+    const seed = SEED + run;
+    const rng = random(seed);
+    let steps = [];
+    try {
+      steps = await quietly(() => runScenario(rng, run + 1));
+    } catch (error) {
+      problems.errors.push(`seed ${seed}: ${error.message}`);
+      continue;
+    }
+
+    const bounty = rows('bounty').find(row => row.issueNumber === run + 1);
+    const ledger = rows('bountyTransaction').filter(tx => tx.bountyId === bounty.id && tx.status === 'CONFIRMED');
+    const total = (type) => sumAmounts(ledger.filter(tx => tx.type === type).map(tx => tx.amount));
+    const funded = total('FUNDING');
+    const paidOut = total('RELEASE') + total('REFUND');
+    const trace = `seed ${seed}: ${steps.join(', ')}`;
+
+    if (funded !== paidOut) {
+      problems.unbalanced.push(`${trace} -> funded ${formatAmount(funded, bounty.tokenDecimals)}, paid out ${formatAmount(paidOut, bounty.tokenDecimals)}`);
+    }
+    // A change of beneficiary moves no funds
+    for (const tx of ledger.filter(entry => entry.type !== 'BENEFICIARY')) {
+      const onChain = await payments.getTransaction(tx.txHash);
+      if (onChain.token !== bounty.tokenAddress) {
+        problems.wrongToken.push(`${trace} -> ${tx.type} ${tx.txHash} moved ${onChain.token || 'the native coin'}, the bounty is in ${bounty.currency}`);
+      }
+    }
+    // Each release goes to the beneficiary the ledger last recorded for the contract
+    let beneficiary = null;
+    for (const tx of ledger) {
+      if (tx.type === 'BENEFICIARY') {
+        beneficiary = tx.toAddress;
+      } else if (tx.type === 'RELEASE' && tx.toAddress !== beneficiary) {
+        problems.unnamedPayee.push(`${trace} -> RELEASE ${tx.txHash} paid ${tx.toAddress}, the recorded beneficiary is ${beneficiary}`);
+      }
+    }
+    const left = await payments.getBalance(bounty.escrowAddress, bounty.tokenAddress);
+    if (left !== 0n) {
+      problems.leftover.push(`${trace} -> ${left} base units left in escrow`);
+    }
+    if (![BOUNTY_STATUS.COMPLETED, BOUNTY_STATUS.CANCELLED].includes(bounty.status)) {
+      problems.unfinished.push(`${trace} -> ${bounty.status}`);
+    }
+
+    const payouts = rows('bountyPayout').filter(payout => payout.bountyId === bounty.id);
+    // Milestones approved on their own were paid by their own transfer, the rest by the final payout
+    const releasedMilestones = rows('bountyMilestone').filter(milestone => milestone.bountyId === bounty.id && milestone.txHash &&
+      !payouts.some(payout => payout.txHash === milestone.txHash));
+    const recordedReleases = sumAmounts([...payouts.map(payout => payout.amount), ...releasedMilestones.map(milestone => milestone.amount)]);
+    if (bounty.amount !== funded.toString() || recordedReleases !== total('RELEASE')) {
+      problems.misrecorded.push(`${trace} -> bounty ${bounty.amount}, funded ${funded}, recorded releases ${recordedReleases}, released ${total('RELEASE')}`);
+    }
+  }
+
+  check(`every scenario runs to the end (${RUNS} scenarios)`, problems.errors.length === 0, problems.errors[0]);
+  check('funding equals release plus refund to the base unit', problems.unbalanced.length === 0, problems.unbalanced[0]);
+  check('every transfer moves the bounty\'s token', problems.wrongToken.length === 0, problems.wrongToken[0]);
+  check('every release pays the beneficiary recorded in the ledger', problems.unnamedPayee.length === 0, problems.unnamedPayee[0]);
+  check('nothing is left in the escrow contract', problems.leftover.length === 0, problems.leftover[0]);
+  check('every bounty ends completed or cancelled', problems.unfinished.length === 0, problems.unfinished[0]);
+  check('bounty, payout and milestone amounts match the ledger', problems.misrecorded.length === 0, problems.misrecorded[0]);
+}
+
+// Fund a claimed bounty of 10 tokens (plus a contribution of 5 from a funder) and confirm its funding
+async function fundedBounty(issueNumber, claimed = true) {
+  const bounty = await bountyService.createBounty({
+    userId: OWNER,
+    repoOwner: 'octo-org',
+    repoName: 'gitpaid-demo',
+    issueNumber,
+    amount: '10',
+    walletId: OWNER
+  });
+  await confirmTransactions();
+  await bountyService.contributeToBounty(bounty.id, FUNDERS[0], '5', FUNDERS[0]);
+  if (claimed) {
+    await bountyService.claimBounty(bounty.id, HUNTER, HUNTER);
+  }
+  return bounty;
+}
+
+const balanceOf = (userId) => payments.getBalance(rows('wallet').find(wallet => wallet.id === userId).publicKey);
+const transfersOf = (bountyId, type) => rows('bountyTransaction').filter(tx => tx.bountyId === bountyId && tx.type === type);
+
+async function testInterruptedPayouts() {
+  console.log('\n--- Test 4: Payouts interrupted after they were sent ---');
+
+  // The release is sent, then recording the payout as sent fails; retrying must not pay again
+  let bounty = await quietly(() => fundedBounty(9001));
+  const hunterBefore = await balanceOf(HUNTER);
+  failOnce('bountyPayout', 'update');
+  const firstAttempt = await quietly(() => bountyService.completeBounty(bounty.id, OWNER)).then(() => null, error => error);
+  check('a payout that fails after its transfer is sent reports the failure', firstAttempt !== null);
+  check('the bounty is not handed back while its transfer may be on chain',
+    rows('bounty').find(row => row.id === bounty.id).status === BOUNTY_STATUS.PAYING);
+  const retry = await quietly(async () => {
+    const result = await bountyService.completeBounty(bounty.id, OWNER);
+    await confirmTransactions();
+    return result;
+  });
+  const releases = transfersOf(bounty.id, 'RELEASE');
+  check('retrying the payout sends no second transfer',
+    releases.length === 1 && retry.transaction === releases[0].txHash, `${releases.length} release(s)`);
+  check('the hunter is paid exactly once', await balanceOf(HUNTER) - hunterBefore === parseAmount('15'));
+  check('the confirmation watcher completes the bounty', rows('bounty').find(row => row.id === bounty.id).status === BOUNTY_STATUS.COMPLETED);
+
+  // A refund is sent, then the provider fails to record its confirmation; the refund still counts as sent
+  bounty = await quietly(() => fundedBounty(9002, false));
+  const funderBefore = await balanceOf(FUNDERS[0]);
+  failOnce('bountyTransaction', 'update');
+  await quietly(async () => {
+    await bountyService.cancelBounty(bounty.id, OWNER);
+    await bountyService.cancelBounty(bounty.id, OWNER);
+    await confirmTransactions();
+  });
+  const refunds = transfersOf(bounty.id, 'REFUND');
+  check('a refund whose provider call failed after sending is not sent again',
+    refunds.length === 2 && refunds.every(tx => tx.status === 'CONFIRMED'), `${refunds.length} refund(s)`);
+  check('the funder is refunded exactly once', await balanceOf(FUNDERS[0]) - funderBefore === parseAmount('5'));
+  check('the bounty is cancelled', rows('bounty').find(row => row.id === bounty.id).status === BOUNTY_STATUS.CANCELLED);
+}
+
+async function testMoney() {
+  console.log(`Seed ${SEED}`);
+  testMoneyUtility();
+  await testEscrowScenarios();
+  await testInterruptedPayouts();
+
+  console.log(`\n${failures === 0 ? 'All money checks passed' : `${failures} money check(s) failed`}`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+testMoney().catch(error => {
+  console.error('Money test failed:', error);
+  process.exitCode = 1;
+});
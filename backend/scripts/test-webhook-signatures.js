@@ -0,0 +1,254 @@
+/**
+ * Webhook Signature Test Script
+ *
+ * Checks webhook signature verification against recorded GitHub deliveries
+ * (scripts/fixtures/github-webhooks) with known signatures. Each payload is
+ * sent through the same body parsing middleware as /webhooks, so this also
+ * checks that the raw request bytes reach the verifier unchanged. Finally the
+ * deliveries are sent through the real webhook routes, with the database and
+ * event processing replaced by in-memory stand-ins.
+ *
+ * Usage: node scripts/test-webhook-signatures.js
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const { parseWebhookBody } = require('../middleware/webhookBodyMiddleware');
+const { verifyWebhookSignature } = require('../services/webhookSignature');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'github-webhooks');
+const { secret, cases } = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'signatures.json'), 'utf8'));
+
+let failures = 0;
+
+function check(name, passed, details) {
+  if (passed) {
+    console.log(`✅ ${name}`);
+  } else {
+    failures++;
+    console.error(`❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+function readFixture(file) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, file));
+}
+
+// Minimal app with the same body handling as the /webhooks routes in index.js
+function createApp() {
+  const app = express();
+  app.post('/webhooks/github', express.raw({ type: 'application/json' }), parseWebhookBody, (req, res) => {
+    if (!verifyWebhookSignature(req.rawBody, req.headers['x-hub-signature-256'], secret)) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    res.json({ action: req.body.action || null });
+  });
+  return app;
+}
+
+// Run a request without the routes' logging
+async function quietly(fn) {
+  const { log, error } = console;
+  console.log = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, error });
+  }
+}
+
+// Put a module in the require cache so the real one (and its database client) is never loaded
+function provide(modulePath, exports) {
+  const filename = require.resolve(modulePath);
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+// Rows of the in-memory database the webhook routes run against
+const state = {
+  webhooks: new Map(), // "owner/repo" => webhook secret
+  deliveries: [],
+  processed: [] // deliveries handed to event processing
+};
+
+// Whether a row matches a (small subset of a) Prisma where clause
+function matches(row, where) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === 'OR') {
+      return condition.some(alternative => matches(row, alternative));
+    }
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      if ('in' in condition) return condition.in.includes(row[key]);
+      if ('lt' in condition) return row[key] !== null && row[key] < condition.lt;
+    }
+    return row[key] === condition;
+  });
+}
+
+function applyUpdate(row, data) {
+  Object.entries(data).forEach(([key, value]) => {
+    row[key] = value && typeof value === 'object' && 'increment' in value ? (row[key] || 0) + value.increment : value;
+  });
+  return row;
+}
+
+function mountWebhookRoutes() {
+  provide('../config/database', {
+    repositoryWebhook: {
+      findUnique: async ({ where: { repoOwner_repoName: { repoOwner, repoName } } }) => {
+        const webhookSecret = state.webhooks.get(`${repoOwner}/${repoName}`);
+        return webhookSecret ? { repoOwner, repoName, webhookSecret } : null;
+      }
+    },
+    webhookDelivery: {
+      upsert: async ({ where, create }) => {
+        let row = state.deliveries.find(d => d.deliveryId === where.deliveryId);
+        if (!row) {
+          row = { id: state.deliveries.length + 1, attempts: 0, processingStartedAt: null, result: null, error: null, ...create };
+          state.deliveries.push(row);
+        }
+        return { ...row };
+      },
+      updateMany: async ({ where, data }) => {
+        const rows = state.deliveries.filter(d => matches(d, where));
+        rows.forEach(row => applyUpdate(row, data));
+        return { count: rows.length };
+      },
+      update: async ({ where, data }) => ({ ...applyUpdate(state.deliveries.find(d => d.id === where.id), data) }),
+      findUnique: async ({ where }) => {
+        const row = state.deliveries.find(d => d.id === where.id);
+        return row ? { ...row } : null;
+      }
+    }
+  });
+  const { claimDelivery, completeDelivery } = require('../models/webhookDeliveryModel');
+  provide('../services/githubEventService', {
+    processDelivery: async (delivery) => {
+      if (!await claimDelivery(delivery.id)) {
+        return { status: delivery.status, skipped: true, outcome: delivery.result };
+      }
+      state.processed.push(delivery);
+      const outcome = { processed: true, message: `Processed ${delivery.event}` };
+      await completeDelivery(delivery.id, 'PROCESSED', outcome);
+      return { status: 'PROCESSED', outcome };
+    }
+  });
+
+  const app = express();
+  app.use('/webhooks', express.raw({ type: 'application/json' }), parseWebhookBody);
+  app.use('/webhooks', require('../routes/webhookRoutes'));
+  return app;
+}
+
+function sign(body, webhookSecret) {
+  return `sha256=${crypto.createHmac('sha256', webhookSecret).update(body).digest('hex')}`;
+}
+
+function postDelivery(port, testCase, body, route = '/webhooks/github') {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      port,
+      method: 'POST',
+      path: route,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': body.length,
+        'User-Agent': 'GitHub-Hookshot/a1b2c3d',
+        'X-GitHub-Event': testCase.event,
+        'X-GitHub-Delivery': testCase.delivery,
+        'X-Hub-Signature-256': testCase.signature
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+async function testWebhookSignatures() {
+  console.log('\n--- Test 1: Signatures of the raw payload bytes ---');
+  for (const testCase of cases) {
+    const result = verifyWebhookSignature(readFixture(testCase.file), testCase.signature, secret);
+    check(testCase.name, result === testCase.valid, `expected ${testCase.valid}, got ${result}`);
+  }
+
+  console.log('\n--- Test 2: Deliveries through the webhook body middleware ---');
+  const server = createApp().listen(0);
+  const { port } = server.address();
+  try {
+    for (const testCase of cases) {
+      const response = await postDelivery(port, testCase, readFixture(testCase.file));
+      const expectedStatus = testCase.valid ? 200 : 401;
+      check(`${testCase.name} (HTTP ${expectedStatus})`, response.status === expectedStatus, `got ${response.status}: ${response.body}`);
+    }
+  } finally {
+    server.close();
+  }
+
+  console.log('\n--- Test 3: Re-serialized payloads do not match GitHub\'s bytes ---');
+  // Documents why the raw bytes are needed: these payloads use GitHub's escaping
+  for (const file of ['issues-closed.json', 'issue_comment-created.json', 'ping.json']) {
+    const raw = readFixture(file);
+    const reserialized = JSON.stringify(JSON.parse(raw.toString('utf8')));
+    check(`${file} changes when re-serialized`, reserialized !== raw.toString('utf8'));
+  }
+
+  console.log('\n--- Test 4: Deliveries to a repository route ---');
+  const routesServer = mountWebhookRoutes().listen(0);
+  try {
+    const port = routesServer.address().port;
+    const body = readFixture('issues-closed.json'); // about octo-org/gitpaid-demo
+    const delivery = (id, webhookSecret) => ({ event: 'issues', delivery: id, signature: sign(body, webhookSecret) });
+    state.webhooks.set('other-org/other-repo', 'other-secret');
+    state.webhooks.set('Octo-Org/GitPaid-Demo', secret);
+
+    const foreign = await quietly(() => postDelivery(port, delivery('route-1', 'other-secret'), body, '/webhooks/github/other-org/other-repo'));
+    const stored = state.deliveries.find(d => d.deliveryId === 'route-1');
+    check('delivery about another repository is refused (HTTP 400)', foreign.status === 400, `got ${foreign.status}: ${foreign.body}`);
+    check('refused delivery is not processed', state.processed.length === 0);
+    check('refused delivery is stored under the route repository',
+      stored && stored.repoOwner === 'other-org' && stored.repoName === 'other-repo' && stored.status === 'REJECTED',
+      stored && `${stored.repoOwner}/${stored.repoName} ${stored.status}`);
+
+    const own = await quietly(() => postDelivery(port, delivery('route-2', secret), body, '/webhooks/github/Octo-Org/GitPaid-Demo'));
+    const accepted = state.deliveries.find(d => d.deliveryId === 'route-2');
+    check('delivery about the route repository is processed, whatever the case (HTTP 200)',
+      own.status === 200 && state.processed.length === 1, `got ${own.status}: ${own.body}`);
+    check('processed delivery is stored under the route repository',
+      accepted && accepted.repoOwner === 'Octo-Org' && accepted.repoName === 'GitPaid-Demo');
+
+    console.log('\n--- Test 5: Redelivery of a delivery rejected for its signature ---');
+    const stale = await quietly(() => postDelivery(port, delivery('route-3', 'rotated-secret'), body, '/webhooks/github/Octo-Org/GitPaid-Demo'));
+    const rejected = { ...state.deliveries.find(d => d.deliveryId === 'route-3') };
+    check('delivery signed with an outdated secret is rejected (HTTP 401)',
+      stale.status === 401 && rejected.status === 'REJECTED' && !rejected.signatureValid, `got ${stale.status}: ${stale.body}`);
+
+    const redelivered = await quietly(() => postDelivery(port, delivery('route-3', secret), body, '/webhooks/github/Octo-Org/GitPaid-Demo'));
+    const replaced = state.deliveries.find(d => d.deliveryId === 'route-3');
+    check('valid redelivery is processed (HTTP 200)',
+      redelivered.status === 200 && state.processed.length === 2, `got ${redelivered.status}: ${redelivered.body}`);
+    check('rejected record is replaced by the verified delivery',
+      replaced.signatureValid && replaced.status === 'PROCESSED' && replaced.headers['x-hub-signature-256'] === sign(body, secret),
+      `${replaced.status}, signature valid: ${replaced.signatureValid}`);
+    check('only one record is kept for the delivery', state.deliveries.filter(d => d.deliveryId === 'route-3').length === 1);
+
+    const again = await quietly(() => postDelivery(port, delivery('route-3', 'rotated-secret'), body, '/webhooks/github/Octo-Org/GitPaid-Demo'));
+    check('a later invalid delivery does not undo it',
+      again.status === 401 && replaced.signatureValid && replaced.status === 'PROCESSED', `got ${again.status}, ${replaced.status}`);
+  } finally {
+    routesServer.close();
+  }
+
+  console.log(`\n${failures === 0 ? 'All webhook signature checks passed' : `${failures} webhook signature check(s) failed`}`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+testWebhookSignatures().catch(error => {
+  console.error('Webhook signature test failed:', error);
+  process.exitCode = 1;
+});
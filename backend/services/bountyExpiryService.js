@@ -0,0 +1,68 @@
+const { getOverdueBounties } = require('../models/bountyModel');
+const { NOTIFICATION_TYPE } = require('../models/notificationModel');
+const { BOUNTY_STATUS, ACTOR_TYPE, InvalidTransitionError } = require('./bountyStateMachine');
+const { notifyUsers } = require('./notificationService');
+const escrowService = require('./escrowService');
+const { registerJob } = require('./scheduler');
+
+// How often bounties past their deadline are looked for
+const BOUNTY_EXPIRY_INTERVAL_MS = parseInt(process.env.BOUNTY_EXPIRY_INTERVAL_MS, 10) || 5 * 60 * 1000;
+
+/**
+ * Refund every open or claimed bounty whose deadline passed to the wallets it was funded from,
+ * mark it EXPIRED and notify its funders (and the hunter, if it was claimed).
+ * A refund that fails is retried on the next run.
+ * @returns {Promise<number>} Number of bounties expired
+ */
+async function expireOverdueBounties() {
+  const overdue = await getOverdueBounties();
+  let expired = 0;
+
+  for (const bounty of overdue) {
+    try {
+      await escrowService.refundBounty(bounty.id, {
+        actorType: ACTOR_TYPE.SYSTEM,
+        note: `Bounty deadline passed (${bounty.expiresAt.toISOString()}) and escrow refunded`,
+        finalStatus: BOUNTY_STATUS.EXPIRED
+      });
+    } catch (error) {
+      // The bounty was paid, cancelled or is being paid in the meantime
+      if (error instanceof InvalidTransitionError) {
+        console.log(`Bounty ${bounty.id} changed before it could expire: ${error.message}`);
+        continue;
+      }
+      console.error(`Error expiring bounty ${bounty.id}:`, error);
+      continue;
+    }
+
+    expired++;
+    const issue = `${bounty.repoOwner}/${bounty.repoName}#${bounty.issueNumber}`;
+    await notifyUsers([bounty.createdBy, ...bounty.contributions.map(contribution => contribution.userId)], {
+      type: NOTIFICATION_TYPE.BOUNTY_EXPIRED,
+      bountyId: bounty.id,
+      message: `The bounty you funded for ${issue} reached its deadline; your contribution was refunded to your wallet.`
+    });
+    await notifyUsers([bounty.claimedBy], {
+      type: NOTIFICATION_TYPE.BOUNTY_EXPIRED,
+      bountyId: bounty.id,
+      message: `The bounty you claimed for ${issue} reached its deadline and was refunded to its funders.`
+    });
+  }
+
+  if (expired > 0) {
+    console.log(`Expired ${expired} bounty(ies) past their deadline`);
+  }
+  return expired;
+}
+
+/**
+ * Register the bounty expiry job with the scheduler
+ */
+function registerBountyExpiryJob() {
+  registerJob('bounty-expiry', BOUNTY_EXPIRY_INTERVAL_MS, expireOverdueBounties);
+}
+
+module.exports = {
+  expireOverdueBounties,
+  registerBountyExpiryJob
+};
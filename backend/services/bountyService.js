@@ -0,0 +1,779 @@
+const axios = require('axios');
+const {
+  createBounty: createBountyModel,
+  getBountyById,
+  markBountyClaimed,
+  markBountyUnclaimed
+} = require('../models/bountyModel');
+const { getUserById, getUserByGithubUsername } = require('../models/userModel');
+const { getDefaultWallet } = require('../models/walletModel');
+const { PULL_REQUEST_STATE, getBountyPullRequests } = require('../models/bountyPullRequestModel');
+const { NOTIFICATION_TYPE } = require('../models/notificationModel');
+const { CONTRIBUTABLE_STATUSES, addContribution, getBountyContributions } = require('../models/bountyContributionModel');
+const { MILESTONE_STATUS, getBountyMilestones } = require('../models/bountyMilestoneModel');
+const {
+  APPLICATION_STATUS,
+  getBountyApplications,
+  getUserApplication,
+  getApplicationById,
+  submitApplication,
+  resolveApplications
+} = require('../models/bountyApplicationModel');
+const { registerInterest: registerInterestModel, withdrawInterest: withdrawInterestModel } = require('../models/bountyInterestModel');
+const { notifyUsers } = require('./notificationService');
+const { BOUNTY_STATUS, ACTOR_TYPE, emitContribution, canTransition } = require('./bountyStateMachine');
+const payments = require('./paymentProvider');
+const escrowService = require('./escrowService');
+const { getPullRequestContributors } = require('./pullRequestService');
+const { InvalidAmountError, parseAmount, formatBountyAmount, sumAmounts, percentOf, allocate } = require('../../shared/money');
+const { findToken } = require('../config/tokens');
+
+/**
+ * Error for a bounty action the caller is not allowed to perform or that does not
+ * apply to the bounty's current state. Carries the HTTP status to respond with.
+ */
+class BountyActionError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'BountyActionError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Fail if a bounty is frozen by an open dispute
+ * @param {Object} bounty Bounty
+ */
+function assertNotDisputed(bounty) {
+  if (bounty.status === BOUNTY_STATUS.DISPUTED) {
+    throw new BountyActionError('Bounty is disputed; its funds are frozen until an admin resolves the dispute', 409);
+  }
+}
+
+/**
+ * Fetch a bounty or fail with a 404
+ * @param {number} bountyId Bounty ID
+ * @returns {Promise<Object>} Bounty
+ */
+async function findBounty(bountyId) {
+  const bounty = await getBountyById(parseInt(bountyId));
+  if (!bounty) {
+    throw new BountyActionError('Bounty not found', 404);
+  }
+  return bounty;
+}
+
+/**
+ * Parse a token amount given by a user ("1.5") into base units
+ * @param {string|number} value Token amount
+ * @param {number} [decimals] Decimals of the token (18 when omitted)
+ * @returns {bigint|null} Base units, or null unless it is an amount greater than 0 with at most that many decimals
+ */
+function parsePositiveAmount(value, decimals) {
+  try {
+    const amount = parseAmount(value, decimals);
+    return amount > 0n ? amount : null;
+  } catch (error) {
+    if (error instanceof InvalidAmountError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Validate the milestones a bounty is paid out in. They are kept in the order given and
+ * must add up to exactly the bounty amount.
+ * @param {Object[]} milestones { title, description, amount } per milestone, amounts in tokens
+ * @param {bigint} amount Bounty amount in base units
+ * @param {Object} bounty { currency, tokenDecimals } of the bounty
+ * @returns {Object[]} { position, title, description, amount } per milestone, amounts in base units
+ */
+function parseMilestones(milestones, amount, bounty) {
+  if (!Array.isArray(milestones)) {
+    throw new BountyActionError('Milestones must be a list');
+  }
+
+  const parsed = milestones.map((milestone, index) => {
+    const title = (milestone.title || '').trim();
+    const value = parsePositiveAmount(milestone.amount, bounty.tokenDecimals);
+    if (!title || !value) {
+      throw new BountyActionError(`Milestone ${index + 1} needs a title and an amount greater than 0 (at most ${bounty.tokenDecimals} decimals)`);
+    }
+    return {
+      position: index + 1,
+      title,
+      description: (milestone.description || '').trim() || null,
+      amount: value.toString()
+    };
+  });
+
+  const total = sumAmounts(parsed.map(milestone => milestone.amount));
+  if (total !== amount) {
+    throw new BountyActionError(`Milestones must add up to the bounty amount (${formatBountyAmount(amount, bounty)}); they add up to ${formatBountyAmount(total, bounty)}`);
+  }
+  return parsed;
+}
+
+/**
+ * Create a bounty on an open GitHub issue and send its amount to escrow. The bounty is
+ * FUNDING_PENDING until the funding transaction is confirmed.
+ * @param {Object} params Bounty details
+ * @param {number} params.userId User funding the bounty
+ * @param {string} params.repoOwner Repository owner
+ * @param {string} params.repoName Repository name
+ * @param {number} params.issueNumber Issue number
+ * @param {number|string} params.amount Bounty amount in tokens (e.g. "1.5")
+ * @param {string} [params.currency] Symbol of the token the bounty is paid in (the native coin if omitted)
+ * @param {number} params.walletId Wallet funding the escrow
+ * @param {number} [params.claimWindowDays] Days a claim lasts before it expires (0: never)
+ * @param {string|Date} [params.expiresAt] Deadline after which the escrow is refunded (none if omitted)
+ * @param {Object[]} [params.milestones] Stages the bounty is paid out in ({ title, description, amount })
+ * @param {boolean} [params.requiresApplication] Hunters apply and the owner picks one instead of claiming directly
+ * @param {boolean} [params.competitive] No claims: the first merged pull request that fixes the issue wins
+ * @returns {Promise<Object>} Created bounty
+ */
+async function createBounty({ userId, repoOwner, repoName, issueNumber, amount, currency, walletId, claimWindowDays, expiresAt, milestones, requiresApplication, competitive }) {
+  // Fetch the creating user's details (for GitHub token and Radius ID)
+  const user = await getUserById(userId);
+  if (!user) {
+    throw new BountyActionError('User not found', 401);
+  }
+
+  if (!walletId) {
+    throw new BountyActionError('Wallet ID is required');
+  }
+
+  const hasClaimWindow = claimWindowDays !== undefined && claimWindowDays !== null && claimWindowDays !== '';
+  if (hasClaimWindow && !(Number.isInteger(Number(claimWindowDays)) && claimWindowDays >= 0 && claimWindowDays <= 365)) {
+    throw new BountyActionError('Claim window must be a whole number of days between 0 and 365');
+  }
+
+  const deadline = expiresAt ? new Date(expiresAt) : null;
+  if (deadline && (isNaN(deadline.getTime()) || deadline <= new Date())) {
+    throw new BountyActionError('Deadline must be a valid date in the future');
+  }
+
+  const token = findToken(currency);
+  if (!token) {
+    throw new BountyActionError(`${currency} is not a supported token`);
+  }
+  const denomination = { currency: token.symbol, tokenDecimals: token.decimals };
+
+  const baseUnits = parsePositiveAmount(amount, token.decimals);
+  if (!baseUnits) {
+    throw new BountyActionError(`Amount must be greater than 0, with at most ${token.decimals} decimals`);
+  }
+
+  const stages = milestones && milestones.length > 0 ? parseMilestones(milestones, baseUnits, denomination) : [];
+
+  const byApplication = requiresApplication === true || requiresApplication === 'true';
+  const isCompetitive = competitive === true || competitive === 'true';
+  if (byApplication && isCompetitive) {
+    throw new BountyActionError('A bounty is either competitive or requires applications, not both');
+  }
+  // Milestones are approved for the hunter holding the claim, which a competitive bounty does not have
+  if (isCompetitive && stages.length > 0) {
+    throw new BountyActionError('Competitive bounties cannot have milestones');
+  }
+
+  // Verify the GitHub issue exists and is open
+  const issueUrl = `https://api.github.com/repos/${repoOwner}/${repoName}/issues/${issueNumber}`;
+  console.log('Verifying GitHub issue:', issueUrl);
+
+  let issue;
+  try {
+    const ghResponse = await axios.get(issueUrl, {
+      headers: { Authorization: `token ${user.token}` }
+    });
+    issue = ghResponse.data;
+  } catch (ghError) {
+    console.error('GitHub API error:', ghError.response?.status, ghError.response?.data);
+    throw new BountyActionError('GitHub API error', 400, {
+      message: ghError.response?.data?.message || ghError.message,
+      status: ghError.response?.status
+    });
+  }
+
+  console.log('Issue state:', issue?.state);
+  if (!issue || issue.state !== 'open') {
+    throw new BountyActionError('Issue is not open or not found');
+  }
+
+  // Deploy the bounty's own escrow contract for its token and send the funds to it from the
+  // selected wallet. The bounty opens once the confirmation watcher sees the funding transaction mined.
+  const escrowAddress = await payments.createEscrowContract(token.address);
+  const escrowId = await payments.createEscrow(userId, baseUnits, walletId, { escrowAddress, tokenAddress: token.address, confirm: false });
+  console.log('Funds sent to escrow contract', escrowAddress, 'with ID:', escrowId, 'using wallet:', walletId);
+
+  // Create bounty record in the database with wallet information
+  return createBountyModel({
+    repoOwner: repoOwner,
+    repoName: repoName,
+    issueNumber: parseInt(issueNumber),
+    amount: baseUnits.toString(),
+    ...denomination,
+    tokenAddress: token.address,
+    status: BOUNTY_STATUS.FUNDING_PENDING,
+    escrowId: escrowId,
+    escrowAddress,
+    createdBy: userId,
+    ownerWalletId: walletId, // Store the wallet ID used for creating the bounty
+    ...(hasClaimWindow && { claimWindowDays: parseInt(claimWindowDays, 10) }),
+    expiresAt: deadline,
+    requiresApplication: byApplication,
+    competitive: isCompetitive,
+    ...(stages.length > 0 && { milestones: { create: stages } })
+  });
+}
+
+/**
+ * Add funds to an open or claimed bounty from a user's wallet. The contribution is paid
+ * into escrow and raises the bounty's amount; it is paid out with the bounty, or refunded
+ * to the same wallet if the bounty is cancelled or expires.
+ * @param {number} bountyId Bounty ID
+ * @param {number} userId User contributing
+ * @param {number|string} amount Amount to add in the bounty's token (e.g. "0.5")
+ * @param {number} walletId Wallet the funds come from
+ * @returns {Promise<Object>} { bounty, contribution }
+ */
+async function contributeToBounty(bountyId, userId, amount, walletId) {
+  if (!walletId) {
+    throw new BountyActionError('Wallet ID is required');
+  }
+
+  const bounty = await findBounty(bountyId);
+  if (!CONTRIBUTABLE_STATUSES.includes(bounty.status)) {
+    throw new BountyActionError(`Bounty is not accepting contributions (status: ${bounty.status})`);
+  }
+
+  const baseUnits = parsePositiveAmount(amount, bounty.tokenDecimals);
+  if (!baseUnits) {
+    throw new BountyActionError(`Amount must be greater than 0, with at most ${bounty.tokenDecimals} decimals`);
+  }
+
+  // Lock the contribution in escrow from the contributor's wallet, in the bounty's token
+  const txHash = await payments.createEscrow(userId, baseUnits, walletId, { escrowAddress: bounty.escrowAddress, tokenAddress: bounty.tokenAddress });
+  console.log('Contribution locked in escrow with ID:', txHash, 'for bounty:', bounty.id, 'using wallet:', walletId);
+
+  const funding = { bountyId: bounty.id, userId, walletId: parseInt(walletId), amount: baseUnits.toString(), txHash };
+  const contribution = await addContribution(funding);
+  if (!contribution) {
+    // The bounty started paying out or refunding while the funds were in flight
+    await escrowService.returnContribution(bounty.id, funding);
+    throw new BountyActionError('Bounty stopped accepting contributions; your funds were returned to your wallet', 409);
+  }
+
+  const updatedBounty = await getBountyById(bounty.id);
+  emitContribution({ bounty: updatedBounty, contribution });
+
+  if (userId !== bounty.createdBy) {
+    const contributor = await getUserById(userId);
+    await notifyUsers([bounty.createdBy], {
+      type: NOTIFICATION_TYPE.CONTRIBUTION_RECEIVED,
+      bountyId: bounty.id,
+      message: `${contributor?.githubUsername || 'Someone'} added ${formatBountyAmount(baseUnits, bounty)} to your bounty for ${bounty.repoOwner}/${bounty.repoName}#${bounty.issueNumber}; it is now worth ${formatBountyAmount(updatedBounty.amount, bounty)}.`
+    });
+  }
+
+  return { bounty: updatedBounty, contribution };
+}
+
+/**
+ * Claim an open bounty for a developer
+ * @param {number} bountyId Bounty ID
+ * @param {number} userId Developer claiming the bounty
+ * @param {number} walletId Wallet the developer will be paid on
+ * @param {Object} [event] Extra details for the bounty history (actorType, note)
+ * @returns {Promise<Object>} Updated bounty
+ */
+async function claimBounty(bountyId, userId, walletId, event = {}) {
+  if (!walletId) {
+    throw new BountyActionError('Wallet ID is required');
+  }
+
+  const bounty = await findBounty(bountyId);
+  assertNotDisputed(bounty);
+
+  // Verify the bounty can be claimed
+  if (!canTransition(bounty.status, BOUNTY_STATUS.CLAIMED)) {
+    throw new BountyActionError(`Bounty is not open (status: ${bounty.status})`);
+  }
+
+  if (bounty.requiresApplication) {
+    throw new BountyActionError('This bounty takes applications: apply on GitPaid and the owner will pick a hunter', 403);
+  }
+  if (bounty.competitive) {
+    throw new BountyActionError('This bounty is competitive and cannot be claimed: open a pull request that fixes the issue, the first one merged wins', 403);
+  }
+
+  // Mark as claimed in the database with the hunter's wallet ID
+  return markBountyClaimed(bounty.id, userId, walletId, event);
+}
+
+/**
+ * Join the race for an open competitive bounty, to be notified when it is won.
+ * Registering is optional: any merged pull request that fixes the issue can win.
+ * @param {number} bountyId Bounty ID
+ * @param {number} userId Hunter
+ * @returns {Promise<Object>} Interest
+ */
+async function registerInterest(bountyId, userId) {
+  const bounty = await findBounty(bountyId);
+  if (!bounty.competitive) {
+    throw new BountyActionError('Only competitive bounties take registrations; claim this one instead');
+  }
+  if (bounty.status !== BOUNTY_STATUS.OPEN) {
+    throw new BountyActionError(`Bounty is not open (status: ${bounty.status})`);
+  }
+  return registerInterestModel(bounty.id, userId);
+}
+
+/**
+ * Leave the race for a competitive bounty
+ * @param {number} bountyId Bounty ID
+ * @param {number} userId Hunter
+ */
+async function withdrawInterest(bountyId, userId) {
+  const bounty = await findBounty(bountyId);
+  await withdrawInterestModel(bounty.id, userId);
+}
+
+/**
+ * Apply to work on an open bounty that requires applications. Applying again replaces
+ * the earlier application. The owner is notified.
+ * @param {number} bountyId Bounty ID
+ * @param {number} userId Applicant
+ * @param {Object} application Application details
+ * @param {string} application.pitch Why the applicant is a good fit and how they would fix the issue
+ * @param {number|string} application.etaDays Days the applicant expects to need
+ * @param {string} [application.workUrl] Link to past work
+ * @param {number} application.walletId Wallet the bounty is paid to if the application is accepted
+ * @returns {Promise<Object>} Application
+ */
+async function applyForBounty(bountyId, userId, { pitch, etaDays, workUrl, walletId }) {
+  if (!walletId) {
+    throw new BountyActionError('Wallet ID is required');
+  }
+
+  const bounty = await findBounty(bountyId);
+  if (!bounty.requiresApplication) {
+    throw new BountyActionError('This bounty does not take applications; claim it instead');
+  }
+  if (bounty.status !== BOUNTY_STATUS.OPEN) {
+    throw new BountyActionError(`Bounty is not open (status: ${bounty.status})`);
+  }
+  if (bounty.createdBy === userId) {
+    throw new BountyActionError('You cannot apply to your own bounty', 403);
+  }
+
+  const text = (pitch || '').trim();
+  if (!text || text.length > 2000) {
+    throw new BountyActionError('A pitch of up to 2000 characters is required');
+  }
+  const days = Number(etaDays);
+  if (!Number.isInteger(days) || days < 1 || days > 365) {
+    throw new BountyActionError('ETA must be a whole number of days between 1 and 365');
+  }
+  const link = (workUrl || '').trim();
+  if (link && !/^https?:\/\/\S+$/i.test(link)) {
+    throw new BountyActionError('Link to past work must be an http(s) URL');
+  }
+
+  const application = await submitApplication({
+    bountyId: bounty.id,
+    userId,
+    walletId: parseInt(walletId),
+    pitch: text,
+    etaDays: days,
+    workUrl: link || null
+  });
+
+  const applicant = await getUserById(userId);
+  await notifyUsers([bounty.createdBy], {
+    type: NOTIFICATION_TYPE.APPLICATION_RECEIVED,
+    bountyId: bounty.id,
+    message: `${applicant?.githubUsername || 'Someone'} applied to work on your bounty for ${bounty.repoOwner}/${bounty.repoName}#${bounty.issueNumber}. Review the applicants on the review page.`
+  });
+
+  return application;
+}
+
+/**
+ * List the applications to a bounty. The owner sees every applicant; anyone else only
+ * their own application.
+ * @param {number} bountyId Bounty ID
+ * @param {number} userId User asking
+ * @returns {Promise<Object[]>} Applications
+ */
+async function getApplications(bountyId, userId) {
+  const bounty = await findBounty(bountyId);
+  if (bounty.createdBy === userId) {
+    return getBountyApplications(bounty.id);
+  }
+  const application = await getUserApplication(bounty.id, userId);
+  return application ? [application] : [];
+}
+
+/**
+ * Accept an application: the bounty is claimed for the applicant with the wallet they
+ * applied with, and the other applicants are told someone else was picked. Only the
+ * bounty owner may do this.
+ * @param {number} bountyId Bounty ID
+ * @param {number} applicationId Application to accept
+ * @param {number} userId User accepting
+ * @returns {Promise<Object>} { bounty, application }
+ */
+async function acceptApplication(bountyId, applicationId, userId) {
+  const bounty = await findBounty(bountyId);
+
+  // Verify the requester is the owner
+  if (bounty.createdBy !== userId) {
+    throw new BountyActionError('Only the bounty owner can accept applications', 403);
+  }
+
+  const application = await getApplicationById(parseInt(applicationId));
+  if (!application || application.bountyId !== bounty.id) {
+    throw new BountyActionError('Application not found', 404);
+  }
+  if (application.status !== APPLICATION_STATUS.PENDING) {
+    throw new BountyActionError(`Application is not pending (status: ${application.status})`);
+  }
+  if (bounty.status !== BOUNTY_STATUS.OPEN) {
+    throw new BountyActionError(`Bounty is not open (status: ${bounty.status})`);
+  }
+  if (!application.walletId) {
+    throw new BountyActionError('The applicant deleted the wallet they applied with; ask them to apply again');
+  }
+
+  // Claiming is the atomic step: if it fails, no application changes
+  const updatedBounty = await markBountyClaimed(bounty.id, application.userId, application.walletId, {
+    actorId: userId,
+    note: `Owner accepted the application of ${application.user.githubUsername}`
+  });
+  const rejected = await resolveApplications(bounty.id, application.id);
+
+  const issue = `${bounty.repoOwner}/${bounty.repoName}#${bounty.issueNumber}`;
+  await notifyUsers([application.userId], {
+    type: NOTIFICATION_TYPE.APPLICATION_ACCEPTED,
+    bountyId: bounty.id,
+    message: `Your application for the bounty on ${issue} was accepted; the bounty is now claimed by you.`
+  });
+  await notifyUsers(rejected.map(other => other.userId), {
+    type: NOTIFICATION_TYPE.APPLICATION_REJECTED,
+    bountyId: bounty.id,
+    message: `The owner of the bounty for ${issue} picked another applicant.`
+  });
+
+  return { bounty: updatedBounty, application: { ...application, status: APPLICATION_STATUS.ACCEPTED } };
+}
+
+/**
+ * Release the claim on a bounty. The hunter can give up their claim, and the bounty owner
+ * can force-unclaim it; the other party is notified.
+ * @param {number} bountyId Bounty ID
+ * @param {number} userId User releasing the claim
+ * @param {Object} [event] Extra details for the bounty history (actorType, note)
+ * @returns {Promise<Object>} Updated bounty
+ */
+async function unclaimBounty(bountyId, userId, event = {}) {
+  const bounty = await findBounty(bountyId);
+
+  if (bounty.status !== BOUNTY_STATUS.CLAIMED) {
+    throw new BountyActionError(`Bounty is not claimed (status: ${bounty.status})`);
+  }
+
+  const isHunter = bounty.claimedBy === userId;
+  if (!isHunter && bounty.createdBy !== userId) {
+    throw new BountyActionError('Only the claimer or the bounty owner can release the claim', 403);
+  }
+
+  const updatedBounty = await markBountyUnclaimed(bounty.id, {
+    actorId: userId,
+    note: isHunter ? 'Hunter released the claim' : 'Owner removed the claim',
+    ...event
+  });
+
+  const issue = `${bounty.repoOwner}/${bounty.repoName}#${bounty.issueNumber}`;
+  await notifyUsers([isHunter ? bounty.createdBy : bounty.claimedBy], {
+    type: NOTIFICATION_TYPE.CLAIM_RELEASED,
+    bountyId: bounty.id,
+    message: isHunter
+      ? `${bounty.claimer?.githubUsername || 'The hunter'} gave up their claim on your bounty for ${issue}; it is open again.`
+      : `The owner of the bounty for ${issue} removed your claim; the bounty is open again.`
+  });
+
+  return updatedBounty;
+}
+
+/**
+ * Find the GitHub users who wrote the bounty's merged pull request (its author, commit
+ * authors and "Co-authored-by" co-authors), to split the payout between them
+ * @param {Object} bounty Bounty
+ * @returns {Promise<Object>} { pullRequest, logins, unresolved }
+ */
+async function getBountyCoAuthors(bounty) {
+  const [pullRequest] = await getBountyPullRequests(bounty.id, [PULL_REQUEST_STATE.MERGED]);
+  if (!pullRequest) {
+    throw new BountyActionError('The bounty has no merged pull request to take co-authors from');
+  }
+
+  const { logins, unresolved } = await getPullRequestContributors(
+    pullRequest.repoOwner,
+    pullRequest.repoName,
+    pullRequest.prNumber,
+    pullRequest.authorLogin
+  );
+  return { pullRequest, logins, unresolved };
+}
+
+/**
+ * Turn the `{ github, percent }` / `{ github, amount }` entries of a payout split into
+ * shares of the amount still in escrow. Percentages are rounded down to the base unit and
+ * the last share absorbs that rounding, so the shares add up to exactly the payable amount.
+ * @param {Object[]} entries Split entries, amounts in the bounty's token
+ * @param {bigint} payable Amount left in escrow in base units
+ * @param {Object} bounty Bounty
+ * @returns {Object[]} { github, amount } per recipient, amounts in base units
+ */
+function parseSplitShares(entries, payable, bounty) {
+  const seen = new Set();
+  let percentShares = 0;
+  const shares = entries.map(entry => {
+    const github = (entry.github || '').replace(/^@/, '').trim();
+    const hasPercent = entry.percent !== undefined && entry.percent !== null && entry.percent !== '';
+    const hasAmount = entry.amount !== undefined && entry.amount !== null && entry.amount !== '';
+    const value = hasPercent ? parsePositiveAmount(entry.percent) : parsePositiveAmount(entry.amount, bounty.tokenDecimals);
+
+    if (!github || hasPercent === hasAmount || !value || (hasPercent && value > parseAmount(100))) {
+      throw new BountyActionError('Each recipient needs a GitHub login and either a percent (up to 100) or an amount greater than 0');
+    }
+    if (seen.has(github.toLowerCase())) {
+      throw new BountyActionError(`@${github} appears more than once in the split`);
+    }
+    seen.add(github.toLowerCase());
+
+    if (hasPercent) {
+      percentShares++;
+    }
+    return { github, amount: hasPercent ? percentOf(payable, entry.percent) : value };
+  });
+
+  // Each percentage may have lost less than one base unit to rounding down
+  const total = sumAmounts(shares.map(share => share.amount));
+  if (total > payable || payable - total >= BigInt(Math.max(percentShares, 1))) {
+    throw new BountyActionError(`Split must add up to the amount left in escrow (${formatBountyAmount(payable, bounty)}); it adds up to ${formatBountyAmount(total, bounty)}`);
+  }
+  shares[shares.length - 1].amount += payable - total;
+  return shares;
+}
+
+/**
+ * Turn a payout split chosen by the owner into payout recipients.
+ * The split is either a list of `{ github, percent }` / `{ github, amount }` entries that adds
+ * up to the amount still in escrow (the bounty amount less approved milestones), or `'coauthors'` for equal shares between the co-authors of the
+ * merged pull request. Every recipient needs a GitPaid account with a wallet; the hunter is
+ * paid on the wallet they claimed with, others on their default wallet.
+ * @param {Object} bounty Bounty
+ * @param {Object[]|string} split Payout split
+ * @returns {Promise<Object[]>} { userId, walletId, amount } per recipient, amounts in base units
+ */
+async function resolvePayoutSplit(bounty, split) {
+  const payable = escrowService.unreleasedAmount(bounty);
+
+  let shares;
+  if (split === 'coauthors') {
+    const { logins, unresolved } = await getBountyCoAuthors(bounty);
+    if (unresolved.length > 0) {
+      throw new BountyActionError(`Some co-authors could not be matched to a GitHub account: ${unresolved.join(', ')}`);
+    }
+    if (logins.length === 0) {
+      throw new BountyActionError('Split must be a list of recipients or "coauthors"');
+    }
+    const amounts = allocate(payable, logins.map(() => 1));
+    shares = logins.map((github, index) => ({ github, amount: amounts[index] }));
+  } else if (!Array.isArray(split) || split.length === 0) {
+    throw new BountyActionError('Split must be a list of recipients or "coauthors"');
+  } else {
+    shares = parseSplitShares(split, payable, bounty);
+  }
+
+  const recipients = [];
+  const missing = [];
+  for (const share of shares) {
+    const user = await getUserByGithubUsername(share.github);
+    const walletId = user && (user.id === bounty.claimedBy ? bounty.hunterWalletId : (await getDefaultWallet(user.id))?.id);
+    if (!walletId) {
+      missing.push(`@${share.github}`);
+      continue;
+    }
+    recipients.push({ userId: user.id, walletId, amount: share.amount });
+  }
+  if (missing.length > 0) {
+    throw new BountyActionError(`These recipients need a GitPaid account with a wallet: ${missing.join(', ')}`);
+  }
+
+  return recipients;
+}
+
+/**
+ * Approve a fix and release the escrow to the hunter, or split it between several
+ * recipients. Only the bounty owner may do this; a retry of a completed payout returns
+ * the original transactions.
+ * @param {number} bountyId Bounty ID
+ * @param {number} userId User releasing the funds
+ * @param {Object} [event] Extra details for the bounty history (actorType, note)
+ * @param {Object[]|string} [split] Payout split (see resolvePayoutSplit); the hunter gets everything if omitted
+ * @returns {Promise<Object>} { bounty, transaction, transactions, payouts, duplicate }
+ */
+async function completeBounty(bountyId, userId, event = {}, split = null) {
+  const bounty = await findBounty(bountyId);
+
+  // Verify the requester is the owner
+  if (bounty.createdBy !== userId) {
+    throw new BountyActionError('Only the bounty owner can mark it as completed', 403);
+  }
+  assertNotDisputed(bounty);
+
+  // Verify the bounty can be paid out (a retry of a started or completed payout picks it up)
+  const isRetry = [BOUNTY_STATUS.COMPLETED, BOUNTY_STATUS.PAYOUT_PENDING, BOUNTY_STATUS.PAYING].includes(bounty.status);
+  if (!isRetry && !canTransition(bounty.status, BOUNTY_STATUS.PAYING)) {
+    throw new BountyActionError(`Bounty cannot be completed (status: ${bounty.status})`);
+  }
+
+  const recipients = split && bounty.status === BOUNTY_STATUS.CLAIMED ? await resolvePayoutSplit(bounty, split) : null;
+
+  // Release funds from escrow to the developer using the hunter's wallet (or to each recipient of the split)
+  const releaseResult = await escrowService.releaseBounty(bounty.id, {
+    actorId: userId,
+    note: 'Owner approved the fix and released escrow',
+    split: recipients,
+    payeeChange: recipients && escrowService.PAYEE_CHANGE.SPLIT,
+    ...event
+  });
+  console.log('Escrow released to wallet:', bounty.hunterWalletId, 'Transactions:', releaseResult.transactions);
+
+  if (!releaseResult.duplicate && releaseResult.payouts.length > 1) {
+    const issue = `${bounty.repoOwner}/${bounty.repoName}#${bounty.issueNumber}`;
+    for (const payout of releaseResult.payouts) {
+      await notifyUsers([payout.userId], {
+        type: NOTIFICATION_TYPE.PAYOUT_RECEIVED,
+        bountyId: bounty.id,
+        message: `You were paid ${formatBountyAmount(payout.amount, bounty)} of the bounty for ${issue}, split between ${releaseResult.payouts.length} contributors.`
+      });
+    }
+  }
+
+  return releaseResult;
+}
+
+/**
+ * Approve one milestone of a claimed bounty and release its slice of the escrow to the
+ * hunter. Only the bounty owner may do this, and milestones are approved in order; a retry
+ * of a released milestone returns the original transaction.
+ * @param {number} bountyId Bounty ID
+ * @param {number} milestoneId Milestone ID
+ * @param {number} userId User approving the milestone
+ * @returns {Promise<Object>} { bounty, milestone, transaction, duplicate }
+ */
+async function approveMilestone(bountyId, milestoneId, userId) {
+  const bounty = await findBounty(bountyId);
+
+  // Verify the requester is the owner
+  if (bounty.createdBy !== userId) {
+    throw new BountyActionError('Only the bounty owner can approve milestones', 403);
+  }
+
+  const milestones = await getBountyMilestones(bounty.id);
+  const milestone = milestones.find(m => m.id === parseInt(milestoneId));
+  if (!milestone) {
+    throw new BountyActionError('Milestone not found', 404);
+  }
+
+  if (milestone.status !== MILESTONE_STATUS.RELEASED) {
+    if (bounty.status !== BOUNTY_STATUS.CLAIMED) {
+      throw new BountyActionError(`Milestones can only be approved while the bounty is claimed (status: ${bounty.status})`);
+    }
+    const earlier = milestones.find(m => m.position < milestone.position && m.status !== MILESTONE_STATUS.RELEASED);
+    if (earlier) {
+      throw new BountyActionError(`Milestone ${earlier.position} ("${earlier.title}") must be approved first`);
+    }
+  }
+
+  const releaseResult = await escrowService.releaseMilestone(bounty.id, milestone, { actorId: userId });
+
+  if (!releaseResult.duplicate) {
+    await notifyUsers([bounty.claimedBy], {
+      type: NOTIFICATION_TYPE.MILESTONE_RELEASED,
+      bountyId: bounty.id,
+      message: `Milestone ${milestone.position} ("${milestone.title}") of the bounty for ${bounty.repoOwner}/${bounty.repoName}#${bounty.issueNumber} was approved; ${formatBountyAmount(milestone.amount, bounty)} was released to your wallet.`
+    });
+  }
+
+  return releaseResult;
+}
+
+/**
+ * Cancel a bounty and refund its escrow to everyone who funded it. Only the bounty owner
+ * may do this; a retry of a finished refund returns the original transactions, and a retry
+ * of a partly failed refund sends the remaining ones.
+ * @param {number} bountyId Bounty ID
+ * @param {number} userId User cancelling the bounty
+ * @param {Object} [options] Refund options
+ * @param {number} [options.refundWalletId] Wallet to refund to (defaults to the funding wallet)
+ * @param {string} [options.actorType] One of ACTOR_TYPE
+ * @param {string} [options.note] Description recorded in the bounty history
+ * @returns {Promise<Object>} { bounty, transaction, duplicate }
+ */
+async function cancelBounty(bountyId, userId, options = {}) {
+  const bounty = await findBounty(bountyId);
+
+  // Verify the requester is the owner
+  if (bounty.createdBy !== userId) {
+    throw new BountyActionError('Only the bounty owner can cancel it', 403);
+  }
+  assertNotDisputed(bounty);
+
+  // Verify the bounty can be cancelled (open or claimed; a retry of a started or finished refund picks it up)
+  const isRetry = [BOUNTY_STATUS.CANCELLED, BOUNTY_STATUS.REFUNDING].includes(bounty.status);
+  if (!isRetry && !canTransition(bounty.status, BOUNTY_STATUS.REFUNDING)) {
+    throw new BountyActionError(`Bounty cannot be cancelled (status: ${bounty.status})`);
+  }
+
+  // Refund from escrow to each funder's wallet and mark the bounty as cancelled
+  const refundResult = await escrowService.refundBounty(bounty.id, {
+    actorId: userId,
+    actorType: ACTOR_TYPE.USER,
+    ...options
+  });
+
+  if (!refundResult.duplicate) {
+    const contributions = await getBountyContributions(bounty.id);
+    await notifyUsers(contributions.map(contribution => contribution.userId).filter(id => id !== userId), {
+      type: NOTIFICATION_TYPE.BOUNTY_CANCELLED,
+      bountyId: bounty.id,
+      message: `The bounty you funded for ${bounty.repoOwner}/${bounty.repoName}#${bounty.issueNumber} was cancelled; your contribution was refunded to your wallet.`
+    });
+  }
+
+  return refundResult;
+}
+
+module.exports = {
+  BountyActionError,
+  assertNotDisputed,
+  createBounty,
+  contributeToBounty,
+  claimBounty,
+  registerInterest,
+  withdrawInterest,
+  applyForBounty,
+  getApplications,
+  acceptApplication,
+  unclaimBounty,
+  getBountyCoAuthors,
+  completeBounty,
+  approveMilestone,
+  cancelBounty
+};
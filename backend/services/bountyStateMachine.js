@@ -0,0 +1,236 @@
+const { EventEmitter } = require('events');
+const prisma = require('../config/database');
+const { createBountyEvent } = require('../models/bountyEventModel');
+
+// All statuses a bounty can be in
+const BOUNTY_STATUS = {
+  FUNDING_PENDING: 'FUNDING_PENDING', // funding transaction sent, waiting for it to be mined
+  OPEN: 'OPEN',
+  CLAIMED: 'CLAIMED',
+  PAYING: 'PAYING',
+  PAYOUT_PENDING: 'PAYOUT_PENDING', // payout transactions sent, waiting for them to be mined
+  REFUNDING: 'REFUNDING',
+  COMPLETED: 'COMPLETED',
+  CANCELLED: 'CANCELLED',
+  EXPIRED: 'EXPIRED', // refunded automatically after its deadline
+  DISPUTED: 'DISPUTED' // frozen until a platform admin resolves a dispute
+};
+
+// Who triggered a transition
+const ACTOR_TYPE = {
+  USER: 'USER',
+  WEBHOOK: 'WEBHOOK',
+  SYSTEM: 'SYSTEM'
+};
+
+// Legal transitions, keyed by the current status.
+// Payouts go through PAYING and refunds through REFUNDING so that only one caller can
+// move escrow for a bounty at a time; a failed transfer returns the bounty to where it was.
+// CLAIMED -> OPEN releases a claim without moving funds.
+// A claimed or recently completed bounty can be DISPUTED; an admin's ruling pays it out,
+// refunds it, or returns it to the status it was disputed in.
+// A new bounty is FUNDING_PENDING and a sent payout PAYOUT_PENDING until the confirmation
+// watcher sees their transactions mined; a failed or dropped one cancels the bounty or
+// hands it back to its hunter.
+const TRANSITIONS = {
+  [BOUNTY_STATUS.FUNDING_PENDING]: [BOUNTY_STATUS.OPEN, BOUNTY_STATUS.CANCELLED],
+  [BOUNTY_STATUS.OPEN]: [BOUNTY_STATUS.CLAIMED, BOUNTY_STATUS.REFUNDING],
+  [BOUNTY_STATUS.CLAIMED]: [BOUNTY_STATUS.PAYING, BOUNTY_STATUS.REFUNDING, BOUNTY_STATUS.OPEN, BOUNTY_STATUS.DISPUTED],
+  [BOUNTY_STATUS.PAYING]: [BOUNTY_STATUS.PAYOUT_PENDING, BOUNTY_STATUS.COMPLETED, BOUNTY_STATUS.CLAIMED, BOUNTY_STATUS.DISPUTED],
+  [BOUNTY_STATUS.PAYOUT_PENDING]: [BOUNTY_STATUS.COMPLETED, BOUNTY_STATUS.CLAIMED],
+  [BOUNTY_STATUS.REFUNDING]: [BOUNTY_STATUS.CANCELLED, BOUNTY_STATUS.EXPIRED, BOUNTY_STATUS.OPEN, BOUNTY_STATUS.CLAIMED, BOUNTY_STATUS.DISPUTED],
+  [BOUNTY_STATUS.DISPUTED]: [BOUNTY_STATUS.PAYING, BOUNTY_STATUS.REFUNDING, BOUNTY_STATUS.CLAIMED, BOUNTY_STATUS.COMPLETED],
+  [BOUNTY_STATUS.COMPLETED]: [BOUNTY_STATUS.DISPUTED],
+  [BOUNTY_STATUS.CANCELLED]: [],
+  [BOUNTY_STATUS.EXPIRED]: []
+};
+
+// Statuses in which funds are no longer held in escrow
+const TERMINAL_STATUSES = [BOUNTY_STATUS.COMPLETED, BOUNTY_STATUS.CANCELLED, BOUNTY_STATUS.EXPIRED];
+
+// Guards run before a transition into the given status. Each receives the bounty
+// as it will look after the update and returns an error message, or null if allowed.
+const GUARDS = {
+  [BOUNTY_STATUS.CLAIMED]: (bounty) => {
+    if (!bounty.claimedBy) return 'A claimed bounty needs a claimer';
+    if (!bounty.hunterWalletId) return 'A claimed bounty needs a hunter wallet';
+    return null;
+  },
+  [BOUNTY_STATUS.PAYING]: (bounty) => {
+    if (!bounty.claimedBy) return 'Bounty has no claimer, cannot release funds';
+    if (!bounty.hunterWalletId) return 'No hunter wallet ID found for this bounty';
+    return null;
+  }
+};
+
+// Emits 'transition' ({ bounty, fromStatus, toStatus, actorId, actorType }) after a
+// status change is committed, including the creation of a bounty (fromStatus null),
+// 'contribution' ({ bounty, contribution }) after a funder added to a bounty's amount, and
+// 'issueMoved' ({ bounty, from }) after a bounty's issue was transferred to another repository.
+// Listeners are called synchronously: start slow work without awaiting it and handle its errors.
+const bountyEvents = new EventEmitter();
+
+/**
+ * Notify listeners that a bounty changed status
+ * @param {Object} transition { bounty, fromStatus, toStatus, actorId, actorType }
+ */
+function emitTransition(transition) {
+  try {
+    bountyEvents.emit('transition', transition);
+  } catch (error) {
+    console.error(`Error in bounty transition listener for bounty ${transition.bounty.id}:`, error);
+  }
+}
+
+/**
+ * Notify listeners that a funder added to a bounty
+ * @param {Object} event { bounty, contribution }
+ */
+function emitContribution(event) {
+  try {
+    bountyEvents.emit('contribution', event);
+  } catch (error) {
+    console.error(`Error in bounty contribution listener for bounty ${event.bounty.id}:`, error);
+  }
+}
+
+/**
+ * Notify listeners that a bounty now points at another issue
+ * @param {Object} event { bounty, from } where from is the old { repoOwner, repoName, issueNumber }
+ */
+function emitIssueMoved(event) {
+  try {
+    bountyEvents.emit('issueMoved', event);
+  } catch (error) {
+    console.error(`Error in bounty issue listener for bounty ${event.bounty.id}:`, error);
+  }
+}
+
+/**
+ * Error thrown when a bounty cannot move to the requested status
+ */
+class InvalidTransitionError extends Error {
+  constructor(message, fromStatus, toStatus) {
+    super(message);
+    this.name = 'InvalidTransitionError';
+    this.fromStatus = fromStatus;
+    this.toStatus = toStatus;
+  }
+}
+
+/**
+ * Check whether a status change is allowed by the transition table
+ * @param {string} fromStatus Current status
+ * @param {string} toStatus Requested status
+ * @returns {boolean} True if the transition is legal
+ */
+function canTransition(fromStatus, toStatus) {
+  return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+/**
+ * Validate a transition against the transition table and guards
+ * @param {Object} bounty Bounty record (with any pending field changes applied)
+ * @param {string} toStatus Requested status
+ * @throws {InvalidTransitionError} If the transition is not allowed
+ */
+function assertTransition(bounty, toStatus) {
+  if (!canTransition(bounty.status, toStatus)) {
+    throw new InvalidTransitionError(
+      `Bounty cannot move from ${bounty.status} to ${toStatus}`,
+      bounty.status,
+      toStatus
+    );
+  }
+
+  const guard = GUARDS[toStatus];
+  const guardError = guard ? guard(bounty) : null;
+  if (guardError) {
+    throw new InvalidTransitionError(guardError, bounty.status, toStatus);
+  }
+}
+
+/**
+ * Move a bounty to a new status and record the change in its event history.
+ * The update only applies if the bounty is still in the status it was read in,
+ * so two concurrent transitions cannot both succeed.
+ * @param {number} bountyId Bounty ID
+ * @param {string} toStatus Requested status
+ * @param {Object} options Transition details
+ * @param {string} [options.fromStatus] Only transition if the bounty is currently in this status
+ * @param {number} [options.actorId] User who triggered the transition
+ * @param {string} [options.actorType] One of ACTOR_TYPE (defaults to USER)
+ * @param {string} [options.txHash] Related blockchain transaction hash
+ * @param {string} [options.note] Free-form description of the transition
+ * @param {Object} [options.data] Additional bounty fields to update
+ * @returns {Promise<Object>} Updated bounty
+ */
+async function transitionBounty(bountyId, toStatus, options = {}) {
+  const { fromStatus = null, actorId = null, actorType = ACTOR_TYPE.USER, txHash = null, note = null, data = {} } = options;
+
+  let previousStatus = null;
+  const updatedBounty = await prisma.$transaction(async (tx) => {
+    const bounty = await tx.bounty.findUnique({ where: { id: bountyId } });
+    if (!bounty) {
+      throw new Error(`Bounty ${bountyId} not found`);
+    }
+
+    if (fromStatus && bounty.status !== fromStatus) {
+      throw new InvalidTransitionError(
+        `Bounty ${bountyId} is ${bounty.status}, expected ${fromStatus}`,
+        bounty.status,
+        toStatus
+      );
+    }
+
+    assertTransition({ ...bounty, ...data }, toStatus);
+
+    const { count } = await tx.bounty.updateMany({
+      where: { id: bountyId, status: bounty.status },
+      data: { ...data, status: toStatus }
+    });
+    if (count === 0) {
+      throw new InvalidTransitionError(
+        `Bounty ${bountyId} was modified concurrently, please retry`,
+        bounty.status,
+        toStatus
+      );
+    }
+
+    await createBountyEvent({
+      bountyId,
+      fromStatus: bounty.status,
+      toStatus,
+      actorId,
+      actorType,
+      txHash,
+      note
+    }, tx);
+
+    console.log(`Bounty ${bountyId} transitioned ${bounty.status} -> ${toStatus} (${actorType}${actorId ? ` ${actorId}` : ''})`);
+    previousStatus = bounty.status;
+
+    return tx.bounty.findUnique({
+      where: { id: bountyId },
+      include: { owner: true }
+    });
+  });
+
+  emitTransition({ bounty: updatedBounty, fromStatus: previousStatus, toStatus, actorId, actorType });
+  return updatedBounty;
+}
+
+module.exports = {
+  BOUNTY_STATUS,
+  ACTOR_TYPE,
+  TRANSITIONS,
+  TERMINAL_STATUSES,
+  InvalidTransitionError,
+  bountyEvents,
+  emitTransition,
+  emitContribution,
+  emitIssueMoved,
+  canTransition,
+  assertTransition,
+  transitionBounty
+};
@@ -0,0 +1,79 @@
+const { getExpiredClaims, markBountyUnclaimed, extendClaim } = require('../models/bountyModel');
+const { NOTIFICATION_TYPE } = require('../models/notificationModel');
+const { ACTOR_TYPE, InvalidTransitionError } = require('./bountyStateMachine');
+const { notifyUsers } = require('./notificationService');
+const { registerJob } = require('./scheduler');
+
+// How often expired claims are looked for
+const CLAIM_EXPIRY_INTERVAL_MS = parseInt(process.env.CLAIM_EXPIRY_INTERVAL_MS, 10) || 5 * 60 * 1000;
+
+/**
+ * Return every bounty whose claim expired to OPEN and notify its owner and former hunter
+ * @returns {Promise<number>} Number of claims released
+ */
+async function expireStaleClaims() {
+  const expired = await getExpiredClaims();
+  let released = 0;
+
+  for (const bounty of expired) {
+    try {
+      await markBountyUnclaimed(bounty.id, {
+        actorType: ACTOR_TYPE.SYSTEM,
+        note: `Claim by ${bounty.claimer?.githubUsername || 'unknown user'} expired after ${bounty.claimWindowDays} days`
+      });
+    } catch (error) {
+      // The bounty was released, unclaimed or paid in the meantime
+      if (error instanceof InvalidTransitionError) {
+        console.log(`Claim on bounty ${bounty.id} changed before it could expire: ${error.message}`);
+        continue;
+      }
+      console.error(`Error expiring claim on bounty ${bounty.id}:`, error);
+      continue;
+    }
+
+    released++;
+    const issue = `${bounty.repoOwner}/${bounty.repoName}#${bounty.issueNumber}`;
+    await notifyUsers([bounty.claimedBy], {
+      type: NOTIFICATION_TYPE.CLAIM_EXPIRED,
+      bountyId: bounty.id,
+      message: `Your claim on the bounty for ${issue} expired and the bounty is open again.`
+    });
+    await notifyUsers([bounty.createdBy], {
+      type: NOTIFICATION_TYPE.CLAIM_EXPIRED,
+      bountyId: bounty.id,
+      message: `The claim by ${bounty.claimer?.githubUsername || 'the hunter'} on your bounty for ${issue} expired and the bounty is open again.`
+    });
+  }
+
+  if (released > 0) {
+    console.log(`Released ${released} expired claim(s)`);
+  }
+  return released;
+}
+
+/**
+ * Extend a hunter's claim because they showed activity on it (e.g. opened a linked pull request)
+ * @param {Object} bounty Bounty
+ * @param {number} userId User who showed activity
+ * @returns {Promise<boolean>} True if the claim was extended
+ */
+async function extendClaimForActivity(bounty, userId) {
+  const extended = await extendClaim(bounty.id, userId);
+  if (extended) {
+    console.log(`Extended claim of user ${userId} on bounty ${bounty.id} after activity`);
+  }
+  return extended;
+}
+
+/**
+ * Register the claim expiry job with the scheduler
+ */
+function registerClaimExpiryJob() {
+  registerJob('claim-expiry', CLAIM_EXPIRY_INTERVAL_MS, expireStaleClaims);
+}
+
+module.exports = {
+  expireStaleClaims,
+  extendClaimForActivity,
+  registerClaimExpiryJob
+};
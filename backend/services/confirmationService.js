@@ -0,0 +1,186 @@
+const payments = require('./paymentProvider');
+const { getBountiesAwaitingConfirmation } = require('../models/bountyModel');
+const {
+  TRANSACTION_TYPE,
+  TRANSACTION_STATUS,
+  getPendingTransactions,
+  getFundingTransaction,
+  updateTransactionStatus,
+  markTransactionFailed
+} = require('../models/bountyTransactionModel');
+const { failContribution } = require('../models/bountyContributionModel');
+const { resetPayout } = require('../models/bountyPayoutModel');
+const { NOTIFICATION_TYPE } = require('../models/notificationModel');
+const { BOUNTY_STATUS, ACTOR_TYPE, InvalidTransitionError, transitionBounty } = require('./bountyStateMachine');
+const { notifyUsers } = require('./notificationService');
+const escrowService = require('./escrowService');
+const { registerJob } = require('./scheduler');
+
+// How often sent transactions are checked for confirmation
+const CONFIRMATION_INTERVAL_MS = parseInt(process.env.CONFIRMATION_INTERVAL_MS, 10) || 15 * 1000;
+
+// How long a transaction the node does not know is waited for before it counts as dropped.
+// One the node still holds unmined is never given up on.
+const TX_DROPPED_AFTER_MS = parseInt(process.env.TX_DROPPED_AFTER_MS, 10) || 10 * 60 * 1000;
+
+/**
+ * Look up where a sent transaction stands on chain
+ * @param {Object} entry Pending ledger entry
+ * @param {Date} now Time of this run
+ * @returns {Promise<Object>} { status, reason } where status is one of TRANSACTION_STATUS
+ */
+async function checkTransaction(entry, now) {
+  let tx;
+  try {
+    tx = await payments.getTransaction(entry.txHash);
+  } catch (error) {
+    console.error(`Could not look up transaction ${entry.txHash}:`, error.message);
+    return { status: TRANSACTION_STATUS.PENDING };
+  }
+
+  if (!tx) {
+    if (now - entry.createdAt >= TX_DROPPED_AFTER_MS) {
+      return { status: TRANSACTION_STATUS.FAILED, reason: 'was dropped by the network' };
+    }
+    return { status: TRANSACTION_STATUS.PENDING };
+  }
+  if (tx.status === TRANSACTION_STATUS.FAILED) {
+    return { status: TRANSACTION_STATUS.FAILED, reason: 'failed on chain' };
+  }
+  return { status: tx.status };
+}
+
+/**
+ * Record the outcome of every pending transaction that was mined, failed or dropped.
+ * A failed payout is unlocked so that it can be sent again.
+ * @param {Date} now Time of this run
+ * @returns {Promise<Object>} { confirmed, failed } numbers of transactions
+ */
+async function checkPendingTransactions(now) {
+  const pending = await getPendingTransactions();
+  let confirmed = 0;
+  let failed = 0;
+
+  for (const entry of pending) {
+    const { status, reason } = await checkTransaction(entry, now);
+    try {
+      if (status === TRANSACTION_STATUS.CONFIRMED) {
+        await updateTransactionStatus(entry.txHash, TRANSACTION_STATUS.CONFIRMED);
+        confirmed++;
+      } else if (status === TRANSACTION_STATUS.FAILED) {
+        console.log(`${entry.type} transaction ${entry.txHash} of bounty ${entry.bountyId} ${reason}`);
+        await markTransactionFailed(entry.txHash);
+        if (entry.type === TRANSACTION_TYPE.FUNDING) {
+          await failContribution(entry.txHash);
+        } else if (entry.type === TRANSACTION_TYPE.RELEASE) {
+          await resetPayout(entry.txHash);
+        }
+        failed++;
+      }
+    } catch (error) {
+      console.error(`Error recording the outcome of transaction ${entry.txHash}:`, error);
+    }
+  }
+
+  return { confirmed, failed };
+}
+
+/**
+ * Open a bounty whose funding transaction was confirmed, or cancel it if the transaction
+ * failed and tell its owner
+ * @param {Object} bounty Bounty in FUNDING_PENDING
+ * @returns {Promise<Object|null>} Updated bounty, or null while the transaction is pending
+ */
+async function settleFunding(bounty) {
+  const funding = await getFundingTransaction(bounty.id);
+  if (!funding || funding.status === TRANSACTION_STATUS.PENDING) {
+    return null;
+  }
+
+  if (funding.status === TRANSACTION_STATUS.CONFIRMED) {
+    return transitionBounty(bounty.id, BOUNTY_STATUS.OPEN, {
+      fromStatus: BOUNTY_STATUS.FUNDING_PENDING,
+      actorType: ACTOR_TYPE.SYSTEM,
+      txHash: funding.txHash,
+      note: 'Funding transaction confirmed'
+    });
+  }
+
+  const updatedBounty = await transitionBounty(bounty.id, BOUNTY_STATUS.CANCELLED, {
+    fromStatus: BOUNTY_STATUS.FUNDING_PENDING,
+    actorType: ACTOR_TYPE.SYSTEM,
+    txHash: funding.txHash,
+    note: 'Funding transaction failed or was dropped, bounty cancelled'
+  });
+  await notifyUsers([bounty.createdBy], {
+    type: NOTIFICATION_TYPE.FUNDING_FAILED,
+    bountyId: bounty.id,
+    message: `The funding transaction of your bounty for ${bounty.repoOwner}/${bounty.repoName}#${bounty.issueNumber} did not go through, so the bounty was cancelled. The funds never reached escrow; you can post the bounty again.`
+  });
+  return updatedBounty;
+}
+
+/**
+ * Complete a bounty whose payout transactions were confirmed, or hand it back to its hunter
+ * if one of them failed and tell the owner and recipients
+ * @param {Object} bounty Bounty in PAYOUT_PENDING, with its payouts
+ * @returns {Promise<Object|null>} Updated bounty, or null while a transaction is pending
+ */
+async function settlePayout(bounty) {
+  const updatedBounty = await escrowService.settleRelease(bounty.id);
+  if (updatedBounty?.status === BOUNTY_STATUS.CLAIMED) {
+    await notifyUsers([bounty.createdBy, bounty.claimedBy, ...bounty.payouts.map(payout => payout.userId)], {
+      type: NOTIFICATION_TYPE.PAYOUT_FAILED,
+      bountyId: bounty.id,
+      message: `A payout transaction of the bounty for ${bounty.repoOwner}/${bounty.repoName}#${bounty.issueNumber} did not go through. The escrow is still held and the payout can be released again.`
+    });
+  }
+  return updatedBounty;
+}
+
+/**
+ * Follow sent transactions until they are mined: move bounties waiting on them forward on
+ * confirmation, and cancel a bounty whose funding, or hand back a bounty whose payout, failed
+ * or was dropped
+ * @returns {Promise<Object>} { confirmed, failed, settled } numbers of transactions and bounties
+ */
+async function watchConfirmations() {
+  const now = new Date();
+  const { confirmed, failed } = await checkPendingTransactions(now);
+
+  let settled = 0;
+  for (const bounty of await getBountiesAwaitingConfirmation()) {
+    try {
+      const updatedBounty = bounty.status === BOUNTY_STATUS.FUNDING_PENDING
+        ? await settleFunding(bounty)
+        : await settlePayout(bounty);
+      if (updatedBounty) {
+        settled++;
+      }
+    } catch (error) {
+      // Another caller settled the bounty in the meantime
+      if (error instanceof InvalidTransitionError) {
+        console.log(`Bounty ${bounty.id} changed before its confirmation was recorded: ${error.message}`);
+        continue;
+      }
+      console.error(`Error settling bounty ${bounty.id} after confirmation:`, error);
+    }
+  }
+
+  if (confirmed > 0 || failed > 0 || settled > 0) {
+    console.log(`Confirmation watcher: ${confirmed} transaction(s) confirmed, ${failed} failed or dropped, ${settled} bounty(ies) settled`);
+  }
+  return { confirmed, failed, settled };
+}
+
+/**
+ * Register the confirmation watcher with the scheduler
+ */
+function registerConfirmationWatcher() {
+  registerJob('confirmation-watcher', CONFIRMATION_INTERVAL_MS, watchConfirmations);
+}
+
+module.exports = {
+  watchConfirmations,
+  registerConfirmationWatcher
+};
@@ -0,0 +1,386 @@
+const { getBountyById } = require('../models/bountyModel');
+const { getBountyEvents, createBountyEvent } = require('../models/bountyEventModel');
+const { getBountyContributions } = require('../models/bountyContributionModel');
+const { getUserById, getAdminUsers } = require('../models/userModel');
+const { getDefaultWallet } = require('../models/walletModel');
+const { NOTIFICATION_TYPE } = require('../models/notificationModel');
+const {
+  DISPUTE_STATUS,
+  DISPUTE_RESOLUTION,
+  createDispute,
+  getDisputeById,
+  getActiveDispute,
+  getBountyDisputes,
+  getActiveDisputes,
+  addEvidence: addEvidenceModel,
+  lockDisputeResolution,
+  unlockDispute,
+  completeDispute
+} = require('../models/bountyDisputeModel');
+const { notifyUsers } = require('./notificationService');
+const { BountyActionError } = require('./bountyService');
+const { BOUNTY_STATUS, ACTOR_TYPE, transitionBounty } = require('./bountyStateMachine');
+const escrowService = require('./escrowService');
+const { percentOf, allocate } = require('../../shared/money');
+
+// How long after a bounty was completed its payout can still be disputed
+const DISPUTE_WINDOW_DAYS = parseInt(process.env.DISPUTE_WINDOW_DAYS, 10) || 7;
+
+// Longest reason or piece of evidence accepted
+const MAX_TEXT_LENGTH = 5000;
+
+/**
+ * Fetch a bounty or fail with a 404
+ * @param {number} bountyId Bounty ID
+ * @returns {Promise<Object>} Bounty
+ */
+async function findBounty(bountyId) {
+  const bounty = await getBountyById(parseInt(bountyId));
+  if (!bounty) {
+    throw new BountyActionError('Bounty not found', 404);
+  }
+  return bounty;
+}
+
+/**
+ * Fetch a dispute or fail with a 404
+ * @param {number} disputeId Dispute ID
+ * @returns {Promise<Object>} Dispute, with its bounty
+ */
+async function findDispute(disputeId) {
+  const dispute = await getDisputeById(parseInt(disputeId));
+  if (!dispute) {
+    throw new BountyActionError('Dispute not found', 404);
+  }
+  return dispute;
+}
+
+/**
+ * Check that some dispute text is present and not too long
+ * @param {string} text Text to check
+ * @param {string} label What the text is, for the error message
+ * @returns {string} Trimmed text
+ */
+function requireText(text, label) {
+  const trimmed = typeof text === 'string' ? text.trim() : '';
+  if (!trimmed) {
+    throw new BountyActionError(`${label} is required`);
+  }
+  if (trimmed.length > MAX_TEXT_LENGTH) {
+    throw new BountyActionError(`${label} must be at most ${MAX_TEXT_LENGTH} characters`);
+  }
+  return trimmed;
+}
+
+/**
+ * Whether a user is one of the two sides of a bounty: its owner or its hunter
+ * @param {Object} bounty Bounty
+ * @param {number} userId User ID
+ * @returns {boolean} True for the owner or the hunter
+ */
+function isParty(bounty, userId) {
+  return bounty.createdBy === userId || (bounty.claimedBy !== null && bounty.claimedBy === userId);
+}
+
+/**
+ * When a completed bounty was completed (its latest move to COMPLETED)
+ * @param {number} bountyId Bounty ID
+ * @returns {Promise<Date|null>} Completion time
+ */
+async function completedAt(bountyId) {
+  const events = await getBountyEvents(bountyId);
+  const completion = events.filter(event => event.toStatus === BOUNTY_STATUS.COMPLETED).pop();
+  return completion ? completion.createdAt : null;
+}
+
+/**
+ * Open a dispute on a bounty and freeze its funds. The owner or the hunter can dispute a
+ * claimed bounty, or a completed one within DISPUTE_WINDOW_DAYS of its payout; the other
+ * side and the platform admins are notified.
+ * @param {number} bountyId Bounty ID
+ * @param {number} userId User opening the dispute
+ * @param {string} reason What the dispute is about
+ * @returns {Promise<Object>} { bounty, dispute }
+ */
+async function openDispute(bountyId, userId, reason) {
+  const bounty = await findBounty(bountyId);
+  const text = requireText(reason, 'A reason');
+
+  if (!isParty(bounty, userId)) {
+    throw new BountyActionError('Only the bounty owner or its hunter can open a dispute', 403);
+  }
+  if (bounty.status === BOUNTY_STATUS.COMPLETED) {
+    const completion = await completedAt(bounty.id);
+    const windowEnd = completion && new Date(completion.getTime() + DISPUTE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    if (!windowEnd || windowEnd < new Date()) {
+      throw new BountyActionError(`Completed bounties can only be disputed within ${DISPUTE_WINDOW_DAYS} days of their payout`);
+    }
+  } else if (bounty.status !== BOUNTY_STATUS.CLAIMED) {
+    throw new BountyActionError(`Only claimed or recently completed bounties can be disputed (status: ${bounty.status})`);
+  }
+
+  const opener = await getUserById(userId);
+  // Freezing the bounty is the atomic step: a second dispute, a payout or a refund started at the same time fails
+  const updatedBounty = await transitionBounty(bounty.id, BOUNTY_STATUS.DISPUTED, {
+    fromStatus: bounty.status,
+    actorId: userId,
+    note: `Dispute opened by ${opener.githubUsername}: ${text}`
+  });
+
+  let dispute;
+  try {
+    dispute = await createDispute({ bountyId: bounty.id, openedBy: userId, reason: text, bountyStatus: bounty.status });
+  } catch (error) {
+    await transitionBounty(bounty.id, bounty.status, {
+      fromStatus: BOUNTY_STATUS.DISPUTED,
+      actorType: ACTOR_TYPE.SYSTEM,
+      note: `Dispute could not be opened: ${error.message}`
+    });
+    throw error;
+  }
+
+  const issue = `${bounty.repoOwner}/${bounty.repoName}#${bounty.issueNumber}`;
+  await notifyUsers([userId === bounty.createdBy ? bounty.claimedBy : bounty.createdBy], {
+    type: NOTIFICATION_TYPE.DISPUTE_OPENED,
+    bountyId: bounty.id,
+    message: `${opener.githubUsername} opened a dispute on the bounty for ${issue}; its funds are frozen until an admin resolves it. Add your side as evidence.`
+  });
+  const admins = await getAdminUsers();
+  await notifyUsers(admins.map(admin => admin.id), {
+    type: NOTIFICATION_TYPE.DISPUTE_OPENED,
+    bountyId: bounty.id,
+    message: `A dispute was opened on the bounty for ${issue} and needs a ruling.`
+  });
+
+  return { bounty: updatedBounty, dispute };
+}
+
+/**
+ * Add a statement, optionally with a link, to a dispute that is still open. Either side
+ * of the bounty and the platform admins can add evidence; it is also recorded in the
+ * bounty history.
+ * @param {number} bountyId Bounty ID
+ * @param {number} disputeId Dispute ID
+ * @param {Object} user User adding the evidence ({ id, isAdmin })
+ * @param {Object} evidence Evidence details
+ * @param {string} evidence.body Statement
+ * @param {string} [evidence.url] Link to supporting material
+ * @returns {Promise<Object>} Created evidence
+ */
+async function addEvidence(bountyId, disputeId, user, { body, url }) {
+  const dispute = await findDispute(disputeId);
+  if (dispute.bountyId !== parseInt(bountyId)) {
+    throw new BountyActionError('Dispute not found', 404);
+  }
+  if (!isParty(dispute.bounty, user.id) && !user.isAdmin) {
+    throw new BountyActionError('Only the bounty owner, its hunter or an admin can add evidence', 403);
+  }
+  if (dispute.status !== DISPUTE_STATUS.OPEN) {
+    throw new BountyActionError(`Evidence can only be added to an open dispute (status: ${dispute.status})`);
+  }
+
+  const text = requireText(body, 'Evidence');
+  const link = typeof url === 'string' && url.trim() ? url.trim() : null;
+  if (link && !/^https?:\/\//i.test(link)) {
+    throw new BountyActionError('Evidence links must start with http:// or https://');
+  }
+
+  const evidence = await addEvidenceModel({ disputeId: dispute.id, userId: user.id, body: text, url: link });
+  await createBountyEvent({
+    bountyId: dispute.bountyId,
+    fromStatus: dispute.bounty.status,
+    toStatus: dispute.bounty.status,
+    actorId: user.id,
+    actorType: ACTOR_TYPE.USER,
+    note: `Evidence added to dispute ${dispute.id} by ${evidence.user.githubUsername}${link ? ` (${link})` : ''}`
+  });
+
+  return evidence;
+}
+
+/**
+ * List the disputes of a bounty, newest first. Only the owner, the hunter and the platform
+ * admins may see them.
+ * @param {number} bountyId Bounty ID
+ * @param {Object} user User asking ({ id, isAdmin })
+ * @returns {Promise<Object[]>} Disputes with their evidence
+ */
+async function getDisputes(bountyId, user) {
+  const bounty = await findBounty(bountyId);
+  if (!isParty(bounty, user.id) && !user.isAdmin) {
+    throw new BountyActionError('Only the bounty owner, its hunter or an admin can view its disputes', 403);
+  }
+  return getBountyDisputes(bounty.id);
+}
+
+/**
+ * List the disputes waiting for a ruling, oldest first
+ * @returns {Promise<Object[]>} Disputes with their bounty and evidence
+ */
+async function listActiveDisputes() {
+  return getActiveDisputes();
+}
+
+/**
+ * Work out who gets what when a ruling splits the escrow: the hunter gets their percentage
+ * on the wallet they claimed with, and each funder gets their share of the rest on the
+ * wallet they funded from (or their default wallet).
+ * @param {Object} bounty Disputed bounty
+ * @param {number} hunterPercent Percentage for the hunter
+ * @returns {Promise<Object[]>} { userId, walletId, amount } per recipient
+ */
+async function disputeSplit(bounty, hunterPercent) {
+  const payable = escrowService.unreleasedAmount(bounty);
+  const hunterAmount = percentOf(payable, hunterPercent);
+  const contributions = await getBountyContributions(bounty.id);
+  // The last funder's share absorbs rounding so that exactly the remaining amount is paid out
+  const shares = allocate(payable - hunterAmount, contributions.map(contribution => contribution.amount));
+
+  const recipients = [{ userId: bounty.claimedBy, walletId: bounty.hunterWalletId, amount: hunterAmount }];
+  for (const [index, contribution] of contributions.entries()) {
+    const walletId = contribution.walletId || (await getDefaultWallet(contribution.userId))?.id;
+    if (!walletId) {
+      throw new BountyActionError(`Funder ${contribution.userId} has no wallet to refund to`);
+    }
+    // A funder who is also the hunter, or who chipped in more than once, gets one payout
+    const existing = recipients.find(recipient => recipient.userId === contribution.userId);
+    if (existing) {
+      existing.amount += shares[index];
+    } else {
+      recipients.push({ userId: contribution.userId, walletId, amount: shares[index] });
+    }
+  }
+
+  // A funder whose share rounds down to nothing has nothing to be paid
+  return recipients.filter(recipient => recipient.amount > 0n);
+}
+
+/**
+ * Carry out a ruling on the bounty of a dispute
+ * @param {Object} dispute Locked dispute, with its bounty
+ * @param {Object} ruling { outcome, hunterPercent, note, adminId }
+ * @returns {Promise<Object>} Result of the escrow operation, or { bounty } for a dismissal
+ */
+async function applyRuling(dispute, { outcome, hunterPercent, note, adminId }) {
+  const event = { actorId: adminId, actorType: ACTOR_TYPE.USER };
+  const reason = note ? `: ${note}` : '';
+
+  switch (outcome) {
+    case DISPUTE_RESOLUTION.RELEASE:
+      return escrowService.releaseBounty(dispute.bountyId, {
+        ...event,
+        fromStatus: BOUNTY_STATUS.DISPUTED,
+        note: `Admin resolved the dispute in favour of the hunter and released escrow${reason}`
+      });
+    case DISPUTE_RESOLUTION.REFUND:
+      return escrowService.refundBounty(dispute.bountyId, {
+        ...event,
+        note: `Admin resolved the dispute in favour of the funders and refunded escrow${reason}`
+      });
+    case DISPUTE_RESOLUTION.SPLIT:
+      return escrowService.releaseBounty(dispute.bountyId, {
+        ...event,
+        fromStatus: BOUNTY_STATUS.DISPUTED,
+        // A retry of a partly paid split keeps the payouts it started with
+        split: dispute.bounty.status === BOUNTY_STATUS.DISPUTED ? await disputeSplit(dispute.bounty, hunterPercent) : null,
+        payeeChange: escrowService.PAYEE_CHANGE.DISPUTE_RULING,
+        note: `Admin resolved the dispute with ${hunterPercent}% to the hunter and the rest refunded${reason}`
+      });
+    default:
+      // A retried dismissal whose bounty was already handed back has nothing left to do
+      if (dispute.bounty.status !== BOUNTY_STATUS.DISPUTED) {
+        return { bounty: dispute.bounty };
+      }
+      return {
+        bounty: await transitionBounty(dispute.bountyId, dispute.bountyStatus, {
+          ...event,
+          fromStatus: BOUNTY_STATUS.DISPUTED,
+          note: `Admin dismissed the dispute${reason}`
+        })
+      };
+  }
+}
+
+/**
+ * Resolve a dispute as a platform admin: release the escrow to the hunter, refund it to the
+ * funders, split it between them, or dismiss the dispute and hand the bounty back in the
+ * state it was disputed from. A completed bounty's payout has already left escrow, so
+ * disputes on completed bounties can only be dismissed. If the ruling fails before any
+ * funds moved, the dispute is open again; otherwise the same ruling can be retried.
+ * @param {number} disputeId Dispute ID
+ * @param {number} adminId Admin resolving the dispute
+ * @param {Object} ruling Ruling details
+ * @param {string} ruling.outcome One of DISPUTE_RESOLUTION (case-insensitive)
+ * @param {number} [ruling.hunterPercent] Hunter's percentage of the escrow, for a split
+ * @param {string} [ruling.note] Explanation recorded with the ruling
+ * @returns {Promise<Object>} { dispute, bounty, transactions }
+ */
+async function resolveDispute(disputeId, adminId, { outcome, hunterPercent, note }) {
+  const dispute = await findDispute(disputeId);
+
+  const resolution = typeof outcome === 'string' ? outcome.toUpperCase() : '';
+  if (!Object.values(DISPUTE_RESOLUTION).includes(resolution)) {
+    throw new BountyActionError(`Outcome must be one of ${Object.values(DISPUTE_RESOLUTION).join(', ').toLowerCase()}`);
+  }
+  if (dispute.status === DISPUTE_STATUS.RESOLVED) {
+    throw new BountyActionError(`Dispute was already resolved (${dispute.resolution})`, 409);
+  }
+  if (dispute.status === DISPUTE_STATUS.RESOLVING && dispute.resolution !== resolution) {
+    throw new BountyActionError(`A ${dispute.resolution} ruling is already being carried out; retry it to finish`, 409);
+  }
+  if (dispute.bountyStatus === BOUNTY_STATUS.COMPLETED && resolution !== DISPUTE_RESOLUTION.DISMISS) {
+    throw new BountyActionError('The bounty was already paid out, so this dispute can only be dismissed');
+  }
+
+  let percent = null;
+  if (resolution === DISPUTE_RESOLUTION.SPLIT) {
+    percent = dispute.status === DISPUTE_STATUS.RESOLVING ? dispute.hunterPercent : parseFloat(hunterPercent);
+    if (!Number.isFinite(percent) || percent <= 0 || percent >= 100) {
+      throw new BountyActionError('A split needs a hunter percentage between 0 and 100 (use release or refund for all or nothing)');
+    }
+  }
+  const resolutionNote = typeof note === 'string' && note.trim() ? note.trim().slice(0, MAX_TEXT_LENGTH) : null;
+
+  if (!await lockDisputeResolution(dispute.id, { resolution, hunterPercent: percent, resolutionNote, resolvedBy: adminId })) {
+    throw new BountyActionError('Dispute is already being resolved', 409);
+  }
+
+  let result;
+  try {
+    result = await applyRuling(dispute, { outcome: resolution, hunterPercent: percent, note: resolutionNote, adminId });
+  } catch (error) {
+    // Nothing moved if the bounty is still frozen, so the dispute is open for another ruling
+    const latest = await getBountyById(dispute.bountyId);
+    if (latest.status === BOUNTY_STATUS.DISPUTED) {
+      await unlockDispute(dispute.id);
+    }
+    throw error;
+  }
+  const resolved = await completeDispute(dispute.id);
+
+  const bounty = dispute.bounty;
+  const issue = `${bounty.repoOwner}/${bounty.repoName}#${bounty.issueNumber}`;
+  const summary = {
+    [DISPUTE_RESOLUTION.RELEASE]: 'the escrow was released to the hunter',
+    [DISPUTE_RESOLUTION.REFUND]: 'the escrow was refunded to its funders',
+    [DISPUTE_RESOLUTION.SPLIT]: `${percent}% of the escrow went to the hunter and the rest was refunded`,
+    [DISPUTE_RESOLUTION.DISMISS]: 'the dispute was dismissed'
+  }[resolution];
+  const contributions = await getBountyContributions(bounty.id);
+  await notifyUsers([bounty.createdBy, bounty.claimedBy, ...contributions.map(contribution => contribution.userId)], {
+    type: NOTIFICATION_TYPE.DISPUTE_RESOLVED,
+    bountyId: bounty.id,
+    message: `The dispute on the bounty for ${issue} was resolved: ${summary}.${resolutionNote ? ` Admin's note: ${resolutionNote}` : ''}`
+  });
+
+  return { dispute: resolved, bounty: result.bounty, transactions: result.transactions || [] };
+}
+
+module.exports = {
+  DISPUTE_WINDOW_DAYS,
+  openDispute,
+  addEvidence,
+  getDisputes,
+  listActiveDisputes,
+  resolveDispute
+};
@@ -0,0 +1,749 @@
+const payments = require('./paymentProvider');
+const { toBaseUnits, sumAmounts, allocate } = require('../../shared/money');
+const { getBountyById, markBountyCompleted, cancelBounty, markBountyExpired } = require('../models/bountyModel');
+const {
+  TRANSACTION_TYPE,
+  TRANSACTION_STATUS,
+  getTransactionByIdempotencyKey,
+  getBountyTransactions
+} = require('../models/bountyTransactionModel');
+const {
+  CONTRIBUTION_STATUS,
+  getBountyContributions,
+  claimContributionRefund,
+  completeContributionRefund,
+  releaseContributionRefund
+} = require('../models/bountyContributionModel');
+const {
+  PAYOUT_STATUS,
+  getBountyPayouts,
+  createPayouts,
+  claimPayout,
+  completePayout,
+  releasePayout,
+  deletePendingPayouts
+} = require('../models/bountyPayoutModel');
+const {
+  MILESTONE_STATUS,
+  getMilestoneById,
+  claimMilestoneRelease,
+  unlockMilestone,
+  completeMilestoneRelease,
+  settleMilestones
+} = require('../models/bountyMilestoneModel');
+const { getDefaultWallet } = require('../models/walletModel');
+const { createBountyEvent } = require('../models/bountyEventModel');
+const {
+  BOUNTY_STATUS,
+  ACTOR_TYPE,
+  InvalidTransitionError,
+  bountyEvents,
+  transitionBounty
+} = require('./bountyStateMachine');
+
+// Statuses of a bounty whose escrow was refunded
+const REFUNDED_STATUSES = [BOUNTY_STATUS.CANCELLED, BOUNTY_STATUS.EXPIRED];
+
+// Statuses of a bounty whose payout was sent
+const PAID_OUT_STATUSES = [BOUNTY_STATUS.PAYOUT_PENDING, BOUNTY_STATUS.COMPLETED];
+
+// Reasons a bounty may be paid to someone other than the wallet its escrow contract named at claim time
+const PAYEE_CHANGE = {
+  SPLIT: 'split payout',
+  PULL_REQUEST: 'payout to the author of the merged pull request',
+  DISPUTE_RULING: 'dispute ruling'
+};
+
+/**
+ * Amount of a bounty's escrow that was not paid out through milestones yet
+ * @param {Object} bounty Bounty
+ * @returns {bigint} Unreleased amount in base units
+ */
+function unreleasedAmount(bounty) {
+  return toBaseUnits(bounty.amount) - toBaseUnits(bounty.releasedAmount || 0);
+}
+
+/**
+ * Idempotency key for one payout of a bounty
+ * @param {number} bountyId Bounty ID
+ * @param {number} payoutId Payout ID
+ * @returns {string} Idempotency key
+ */
+function releaseKey(bountyId, payoutId) {
+  return `release:${bountyId}:${payoutId}`;
+}
+
+/**
+ * Idempotency key for the payout of one milestone of a bounty
+ * @param {number} bountyId Bounty ID
+ * @param {number} milestoneId Milestone ID
+ * @returns {string} Idempotency key
+ */
+function milestoneKey(bountyId, milestoneId) {
+  return `milestone:${bountyId}:${milestoneId}`;
+}
+
+/**
+ * Idempotency key for the refund of one contribution to a bounty
+ * @param {number} bountyId Bounty ID
+ * @param {number} contributionId Contribution ID
+ * @returns {string} Idempotency key
+ */
+function refundKey(bountyId, contributionId) {
+  return `refund:${bountyId}:${contributionId}`;
+}
+
+/**
+ * Find the transfer recorded under an idempotency key. Payment providers record a release or
+ * refund before broadcasting it, so once there is an entry the funds may have moved even if
+ * the provider call failed: the transfer must not be unlocked or sent again, and the
+ * confirmation watcher settles it.
+ * @param {string} idempotencyKey Idempotency key of the transfer
+ * @returns {Promise<Object|null>} Ledger entry, or null if nothing was broadcast
+ */
+async function broadcastTransfer(idempotencyKey) {
+  const entry = await getTransactionByIdempotencyKey(idempotencyKey);
+  return entry && entry.status !== TRANSACTION_STATUS.FAILED ? entry : null;
+}
+
+/**
+ * Point a bounty's escrow contract at the wallet of a payout before it is sent. The contract
+ * only pays its beneficiary, so this is the one place a payout to someone other than the
+ * claimer is allowed on chain; each change is in the ledger and the bounty history.
+ * Does nothing for bounties without a contract, or when the contract already pays the wallet.
+ * @param {Object} bounty Bounty in PAYING
+ * @param {Object} payout Payout about to be sent
+ * @param {Object} event Who started the release (actorId, actorType) and why its payee changed (payeeChange)
+ * @returns {Promise<string|null>} Transaction hash of the change, or null if nothing changed
+ */
+async function designatePayoutBeneficiary(bounty, payout, event) {
+  if (!bounty.escrowAddress) {
+    return null;
+  }
+  const txHash = await payments.setEscrowBeneficiary(bounty.escrowAddress, payout.walletId, { bountyId: bounty.id });
+  if (txHash) {
+    const reason = event.payeeChange ? ` (${event.payeeChange})` : '';
+    await createBountyEvent({
+      bountyId: bounty.id,
+      fromStatus: BOUNTY_STATUS.PAYING,
+      toStatus: BOUNTY_STATUS.PAYING,
+      actorId: event.actorId || null,
+      actorType: event.actorType || ACTOR_TYPE.SYSTEM,
+      txHash,
+      note: `Escrow contract now pays wallet ${payout.walletId} of user ${payout.userId} for their payout${reason}`
+    });
+  }
+  return txHash;
+}
+
+/**
+ * Send one payout exactly once. The payout is locked with a conditional update before any funds move,
+ * and is only unlocked again if its transaction was never broadcast.
+ * The transaction is not waited for: the confirmation watcher follows it.
+ * @param {Object} bounty Bounty
+ * @param {Object} payout Payout
+ * @param {Object} event Who started the release and why its payee changed (see designatePayoutBeneficiary)
+ * @returns {Promise<string|null>} Transaction hash, or null if another caller is sending it
+ */
+async function sendPayout(bounty, payout, event) {
+  const idempotencyKey = releaseKey(bounty.id, payout.id);
+  if (!await claimPayout(payout.id)) {
+    // An earlier attempt may have stopped after broadcasting, before recording the payout as sent
+    const sent = await broadcastTransfer(idempotencyKey);
+    if (!sent) {
+      return null;
+    }
+    await completePayout(payout.id, sent.txHash);
+    return sent.txHash;
+  }
+
+  let txHash;
+  try {
+    await designatePayoutBeneficiary(bounty, payout, event);
+    const releaseResult = await payments.releaseEscrow(
+      bounty.escrowId,
+      payout.userId,
+      payout.amount,
+      payout.walletId,
+      { bountyId: bounty.id, idempotencyKey, escrowAddress: bounty.escrowAddress, tokenAddress: bounty.tokenAddress, confirm: false }
+    );
+    txHash = releaseResult.transaction;
+  } catch (error) {
+    const sent = await broadcastTransfer(idempotencyKey);
+    if (!sent) {
+      await releasePayout(payout.id);
+      throw error;
+    }
+    console.error(`Payout ${payout.id} of bounty ${bounty.id} may have been broadcast in ${sent.txHash}, leaving it to the confirmation watcher:`, error.message);
+    txHash = sent.txHash;
+  }
+
+  await completePayout(payout.id, txHash);
+  return txHash;
+}
+
+/**
+ * Return the payouts of a bounty that was already completed, or whose payout was sent and awaits confirmation
+ * @param {Object} bounty Bounty
+ * @returns {Promise<Object>} { bounty, transaction, transactions, payouts, duplicate }
+ */
+async function previousRelease(bounty) {
+  const payouts = await getBountyPayouts(bounty.id);
+  const releases = (await getBountyTransactions(bounty.id))
+    .filter(transaction => transaction.type === TRANSACTION_TYPE.RELEASE)
+    .map(transaction => transaction.txHash);
+
+  console.log(`Bounty ${bounty.id} was already paid out in ${releases.join(', ') || 'no recorded transaction'}, returning original transactions`);
+  return {
+    bounty,
+    transaction: releases[0] || null,
+    transactions: releases,
+    payouts,
+    duplicate: true
+  };
+}
+
+/**
+ * Release a bounty's escrow (the total of all contributions, less what milestones already
+ * paid out) to its hunter, or split between several recipients, exactly once.
+ * The bounty is moved CLAIMED -> PAYING with a conditional update before any funds move,
+ * so concurrent callers (the owner and the issue webhook) cannot both send a payout.
+ * Each recipient's share is a separate transfer; if one fails after others were sent, the
+ * bounty stays PAYING and calling this again sends the remaining ones with the same split.
+ * Paying anyone but the claimer needs a reason (one of PAYEE_CHANGE), and the escrow
+ * contract is pointed at each such recipient just before their transfer.
+ * Once every transfer is sent the bounty is PAYOUT_PENDING until the confirmation watcher
+ * completes it (see settleRelease). A retry after that returns the original transactions.
+ * @param {number} bountyId Bounty ID
+ * @param {Object} options Who triggered the release
+ * @param {number} [options.actorId] User releasing the funds
+ * @param {string} [options.actorType] One of ACTOR_TYPE
+ * @param {string} [options.note] Description recorded in the bounty history
+ * @param {Object} [options.payee] Pay this user instead of the current claimer
+ * @param {number} options.payee.userId User receiving the payout
+ * @param {number} options.payee.walletId Wallet receiving the payout
+ * @param {Object[]} [options.split] Recipients ({ userId, walletId, amount }) sharing the payout
+ * @param {string} [options.payeeChange] One of PAYEE_CHANGE, required with payee or split
+ * @param {string} [options.fromStatus] Status the payout starts from, and returns to if nothing was sent (CLAIMED, or DISPUTED for an admin's ruling)
+ * @returns {Promise<Object>} { bounty, transaction, transactions, payouts, duplicate }
+ */
+async function releaseBounty(bountyId, options = {}) {
+  const {
+    actorId = null,
+    actorType = ACTOR_TYPE.USER,
+    note = 'Escrow released to bounty hunter',
+    payee = null,
+    split = null,
+    payeeChange = null,
+    fromStatus = BOUNTY_STATUS.CLAIMED
+  } = options;
+  if ((payee || split) && !Object.values(PAYEE_CHANGE).includes(payeeChange)) {
+    throw new Error(`Bounty ${bountyId} can only be paid to someone other than its claimer for a split payout, a pull request author or a dispute ruling`);
+  }
+
+  const current = await getBountyById(bountyId);
+  if (!current) {
+    throw new Error(`Bounty ${bountyId} not found`);
+  }
+  if (PAID_OUT_STATUSES.includes(current.status)) {
+    return previousRelease(current);
+  }
+
+  let bounty = current;
+  // A bounty left in PAYING by a partly failed payout is resumed
+  const resuming = current.status === BOUNTY_STATUS.PAYING;
+  if (!resuming) {
+    try {
+      bounty = await transitionBounty(bountyId, BOUNTY_STATUS.PAYING, {
+        fromStatus,
+        actorId,
+        actorType,
+        note: payeeChange ? `Escrow release started (${payeeChange})` : 'Escrow release started',
+        // The payee is switched in the same update that locks the bounty for payout
+        ...(payee && {
+          data: { claimedBy: payee.userId, hunterWalletId: payee.walletId }
+        })
+      });
+    } catch (error) {
+      // Another caller may have completed the payout between our check and the transition
+      if (error instanceof InvalidTransitionError) {
+        const latest = await getBountyById(bountyId);
+        if (PAID_OUT_STATUSES.includes(latest.status)) {
+          return previousRelease(latest);
+        }
+      }
+      throw error;
+    }
+  }
+
+  let payouts = await getBountyPayouts(bountyId);
+  if (payouts.length === 0 && unreleasedAmount(bounty) > 0n) {
+    if (resuming) {
+      throw new Error(`Payout of bounty ${bountyId} is still in progress`);
+    }
+    payouts = await createPayouts(bountyId, split || [
+      { userId: bounty.claimedBy, walletId: bounty.hunterWalletId, amount: unreleasedAmount(bounty) }
+    ]);
+  } else if (split) {
+    console.log(`Bounty ${bountyId} already has payouts from an earlier attempt, ignoring the new split`);
+  }
+
+  const transactions = [];
+  let pending = false;
+  for (const payout of payouts) {
+    if (payout.status === PAYOUT_STATUS.PAID) {
+      transactions.push(payout.txHash);
+      continue;
+    }
+
+    let txHash;
+    try {
+      txHash = await sendPayout(bounty, payout, { actorId, actorType, payeeChange });
+    } catch (error) {
+      // Nothing was sent, so hand the bounty back for another attempt
+      if (transactions.length === 0 && !resuming && !await broadcastTransfer(releaseKey(bountyId, payout.id))) {
+        await deletePendingPayouts(bountyId);
+        await transitionBounty(bountyId, fromStatus, {
+          fromStatus: BOUNTY_STATUS.PAYING,
+          actorType: ACTOR_TYPE.SYSTEM,
+          note: `Escrow release failed: ${error.message}`
+        });
+      }
+      throw error;
+    }
+
+    if (txHash) {
+      transactions.push(txHash);
+    } else {
+      pending = true;
+    }
+  }
+
+  if (pending) {
+    throw new Error(`Payout of bounty ${bountyId} is still in progress`);
+  }
+
+  const event = {
+    actorId,
+    actorType,
+    note: payouts.length > 1 ? `${note} (split between ${payouts.length} recipients)` : note
+  };
+  const sentBounty = await transitionBounty(bountyId, BOUNTY_STATUS.PAYOUT_PENDING, {
+    ...event,
+    fromStatus: BOUNTY_STATUS.PAYING,
+    txHash: transactions[0] || null,
+    note: `${event.note}, waiting for confirmation`
+  });
+  // Completes at once when nothing is left to confirm (e.g. milestones already paid everything)
+  const updatedBounty = await settleRelease(bountyId, event) || sentBounty;
+
+  return {
+    bounty: updatedBounty,
+    transaction: transactions[0],
+    transactions,
+    payouts: await getBountyPayouts(bountyId),
+    duplicate: false
+  };
+}
+
+/**
+ * Finish a sent payout once its transactions are settled: complete the bounty when every
+ * payout's transaction is confirmed, or hand it back to its hunter when a failed or dropped
+ * one left a payout unpaid (forgetting the split if nothing was paid, so the owner can choose
+ * again). Does nothing while a payout transaction is still pending.
+ * @param {number} bountyId Bounty ID in PAYOUT_PENDING
+ * @param {Object} [event] Details for the bounty history of the completion (actorId, actorType, note)
+ * @returns {Promise<Object|null>} Updated bounty, or null if a payout is still pending
+ */
+async function settleRelease(bountyId, event = {}) {
+  const payouts = await getBountyPayouts(bountyId);
+  const ledger = new Map((await getBountyTransactions(bountyId)).map(transaction => [transaction.txHash, transaction]));
+  const sent = payouts.filter(payout => payout.status === PAYOUT_STATUS.PAID);
+  if (sent.some(payout => ledger.get(payout.txHash)?.status === TRANSACTION_STATUS.PENDING)) {
+    return null;
+  }
+
+  if (sent.length < payouts.length) {
+    if (sent.length === 0) {
+      await deletePendingPayouts(bountyId);
+    }
+    return transitionBounty(bountyId, BOUNTY_STATUS.CLAIMED, {
+      fromStatus: BOUNTY_STATUS.PAYOUT_PENDING,
+      actorType: ACTOR_TYPE.SYSTEM,
+      note: `${payouts.length - sent.length} payout transaction(s) failed or were dropped, the payout can be released again`
+    });
+  }
+
+  // Milestones that were not approved separately are paid by this payout
+  const bounty = await getBountyById(bountyId);
+  const txHash = sent[0]?.txHash || null;
+  await settleMilestones(bountyId, txHash, bounty.claimedBy);
+  return markBountyCompleted(bountyId, txHash, {
+    actorType: ACTOR_TYPE.SYSTEM,
+    note: 'Payout confirmed on chain',
+    ...event,
+    fromStatus: BOUNTY_STATUS.PAYOUT_PENDING
+  });
+}
+
+/**
+ * Release the escrow for one milestone of a claimed bounty to its hunter, exactly once.
+ * The bounty is locked CLAIMED -> PAYING for the transfer, so it cannot be completed or
+ * refunded at the same time, and returns to CLAIMED afterwards; when the milestone pays
+ * out the rest of the bounty, the bounty is completed instead.
+ * @param {number} bountyId Bounty ID
+ * @param {Object} milestone Milestone to release
+ * @param {Object} options Who triggered the release
+ * @param {number} [options.actorId] User approving the milestone
+ * @param {string} [options.actorType] One of ACTOR_TYPE
+ * @returns {Promise<Object>} { bounty, milestone, transaction, duplicate }
+ */
+async function releaseMilestone(bountyId, milestone, options = {}) {
+  const { actorId = null, actorType = ACTOR_TYPE.USER } = options;
+  const label = `milestone ${milestone.position} "${milestone.title}"`;
+
+  if (milestone.status === MILESTONE_STATUS.RELEASED) {
+    console.log(`Milestone ${milestone.id} was already released in ${milestone.txHash}, returning original transaction`);
+    return { bounty: await getBountyById(bountyId), milestone, transaction: milestone.txHash, duplicate: true };
+  }
+
+  const bounty = await transitionBounty(bountyId, BOUNTY_STATUS.PAYING, {
+    fromStatus: BOUNTY_STATUS.CLAIMED,
+    actorId,
+    actorType,
+    note: `Release of ${label} started`
+  });
+
+  // Hand the bounty back if nothing was sent
+  const unlockBounty = (note) => transitionBounty(bountyId, BOUNTY_STATUS.CLAIMED, {
+    fromStatus: BOUNTY_STATUS.PAYING,
+    actorType: ACTOR_TYPE.SYSTEM,
+    note
+  });
+
+  if (!await claimMilestoneRelease(milestone.id)) {
+    await unlockBounty(`Release of ${label} is already in progress`);
+    throw new Error(`Release of ${label} is already in progress`);
+  }
+
+  const idempotencyKey = milestoneKey(bounty.id, milestone.id);
+  let txHash;
+  try {
+    const releaseResult = await payments.releaseEscrow(
+      bounty.escrowId,
+      bounty.claimedBy,
+      milestone.amount,
+      bounty.hunterWalletId,
+      { bountyId: bounty.id, idempotencyKey, escrowAddress: bounty.escrowAddress, tokenAddress: bounty.tokenAddress }
+    );
+    txHash = releaseResult.transaction;
+  } catch (error) {
+    const sent = await broadcastTransfer(idempotencyKey);
+    if (!sent) {
+      await unlockMilestone(milestone.id);
+      await unlockBounty(`Release of ${label} failed: ${error.message}`);
+      throw error;
+    }
+    console.error(`Release of ${label} of bounty ${bounty.id} may have been broadcast in ${sent.txHash}, leaving it to the confirmation watcher:`, error.message);
+    txHash = sent.txHash;
+  }
+  console.log(`Milestone ${milestone.id} released to wallet:`, bounty.hunterWalletId, 'Transaction:', txHash);
+
+  const released = await completeMilestoneRelease(milestone, txHash, bounty.claimedBy);
+  const event = { actorId, actorType, txHash, note: `${label} approved and released` };
+
+  const updatedBounty = unreleasedAmount(released) > 0n
+    ? await transitionBounty(bountyId, BOUNTY_STATUS.CLAIMED, { fromStatus: BOUNTY_STATUS.PAYING, ...event })
+    : await markBountyCompleted(bountyId, txHash, { ...event, note: `${event.note}; bounty fully paid out` });
+
+  return {
+    bounty: updatedBounty,
+    milestone: await getMilestoneById(milestone.id),
+    transaction: txHash,
+    duplicate: false
+  };
+}
+
+/**
+ * Pick the wallet a contribution is refunded to: the wallet it was paid from,
+ * or (if that wallet was deleted) the funder's default wallet. A bounty's escrow
+ * contract only refunds the wallet that deposited, so there is no choice for those.
+ * @param {Object} bounty Bounty
+ * @param {Object} contribution Contribution
+ * @param {number} [ownerRefundWalletId] Wallet the owner asked their own funds to be refunded to
+ * @returns {Promise<number>} Wallet ID
+ */
+async function refundWalletFor(bounty, contribution, ownerRefundWalletId) {
+  if (bounty.escrowAddress) {
+    if (!contribution.walletId) {
+      throw new Error(`Wallet that funded contribution ${contribution.id} of bounty ${bounty.id} was deleted; its escrow contract can only refund that wallet`);
+    }
+    return contribution.walletId;
+  }
+  if (contribution.userId === bounty.createdBy && ownerRefundWalletId) {
+    return ownerRefundWalletId;
+  }
+  if (contribution.walletId) {
+    return contribution.walletId;
+  }
+  const wallet = await getDefaultWallet(contribution.userId);
+  if (!wallet) {
+    throw new Error(`Funder ${contribution.userId} of bounty ${bounty.id} has no wallet to refund to`);
+  }
+  return wallet.id;
+}
+
+/**
+ * Refund one contribution exactly once. The contribution is locked with a conditional
+ * update before any funds move, and is only unlocked again if its refund was never broadcast.
+ * @param {Object} bounty Bounty
+ * @param {Object} contribution Contribution
+ * @param {bigint} amount Amount to refund in base units
+ * @param {number} walletId Wallet to refund to
+ * @returns {Promise<string|null>} Refund transaction hash, or null if another caller is refunding it
+ */
+async function refundContribution(bounty, contribution, amount, walletId) {
+  const idempotencyKey = refundKey(bounty.id, contribution.id);
+  if (!await claimContributionRefund(contribution.id)) {
+    // An earlier attempt may have stopped after broadcasting, before recording the refund
+    const sent = await broadcastTransfer(idempotencyKey);
+    if (!sent) {
+      return null;
+    }
+    await completeContributionRefund(contribution.id, sent.txHash);
+    return sent.txHash;
+  }
+
+  let txHash;
+  try {
+    const refundResult = await payments.refundEscrow(
+      contribution.txHash,
+      contribution.userId,
+      amount,
+      walletId,
+      { bountyId: bounty.id, idempotencyKey, escrowAddress: bounty.escrowAddress, tokenAddress: bounty.tokenAddress }
+    );
+    txHash = refundResult.transaction;
+  } catch (error) {
+    const sent = await broadcastTransfer(idempotencyKey);
+    if (!sent) {
+      await releaseContributionRefund(contribution.id);
+      throw error;
+    }
+    console.error(`Refund of contribution ${contribution.id} may have been broadcast in ${sent.txHash}, leaving it to the confirmation watcher:`, error.message);
+    txHash = sent.txHash;
+  }
+  console.log(`Contribution ${contribution.id} refunded to wallet:`, walletId, 'Transaction:', txHash);
+
+  await completeContributionRefund(contribution.id, txHash);
+  return txHash;
+}
+
+/**
+ * Return the refunds of a bounty that was already cancelled or expired
+ * @param {Object} bounty Bounty
+ * @returns {Promise<Object>} { bounty, transaction, transactions, duplicate }
+ */
+async function previousRefund(bounty) {
+  const refunds = (await getBountyTransactions(bounty.id))
+    .filter(transaction => transaction.type === TRANSACTION_TYPE.REFUND)
+    .map(transaction => transaction.txHash);
+
+  console.log(`Bounty ${bounty.id} was already refunded in ${refunds.join(', ') || 'no recorded transaction'}, returning original transactions`);
+  return {
+    bounty,
+    transaction: refunds[0] || null,
+    transactions: refunds,
+    duplicate: true
+  };
+}
+
+/**
+ * Refund a bounty's escrow to its funders exactly once and cancel (or expire) the bounty.
+ * Whatever milestones have not paid out yet goes back to each contribution's wallet, in
+ * proportion to its share of the bounty; the last contribution absorbs what rounding to the
+ * base unit leaves over, so exactly the unreleased amount is refunded. The bounty is moved
+ * to REFUNDING with a conditional update before any funds move; if a refund fails after
+ * others were sent, the bounty stays REFUNDING and calling this again refunds the remaining
+ * contributions.
+ * @param {number} bountyId Bounty ID
+ * @param {Object} options Refund details
+ * @param {number} [options.refundWalletId] Wallet to refund the owner's own funds to (defaults to the funding wallet)
+ * @param {number} [options.actorId] User cancelling the bounty
+ * @param {string} [options.actorType] One of ACTOR_TYPE
+ * @param {string} [options.note] Description recorded in the bounty history
+ * @param {string} [options.finalStatus] CANCELLED (default) or EXPIRED
+ * @returns {Promise<Object>} { bounty, transaction, transactions, duplicate }
+ */
+async function refundBounty(bountyId, options = {}) {
+  const {
+    refundWalletId = null,
+    actorId = null,
+    actorType = ACTOR_TYPE.USER,
+    note = 'Bounty cancelled and escrow refunded',
+    finalStatus = BOUNTY_STATUS.CANCELLED
+  } = options;
+
+  const current = await getBountyById(bountyId);
+  if (!current) {
+    throw new Error(`Bounty ${bountyId} not found`);
+  }
+  if (REFUNDED_STATUSES.includes(current.status)) {
+    return previousRefund(current);
+  }
+  const previousStatus = current.status;
+
+  const contributions = await getBountyContributions(bountyId);
+  if (contributions.length === 0 || sumAmounts(contributions.map(contribution => contribution.amount)) <= 0n) {
+    throw new Error(`Bounty ${bountyId} has no contributions to refund`);
+  }
+
+  let bounty = current;
+  // A bounty left in REFUNDING by a partly failed refund is resumed
+  if (previousStatus !== BOUNTY_STATUS.REFUNDING) {
+    try {
+      bounty = await transitionBounty(bountyId, BOUNTY_STATUS.REFUNDING, {
+        fromStatus: previousStatus,
+        actorId,
+        actorType,
+        note: 'Escrow refund started'
+      });
+    } catch (error) {
+      if (error instanceof InvalidTransitionError) {
+        const latest = await getBountyById(bountyId);
+        if (REFUNDED_STATUSES.includes(latest.status)) {
+          return previousRefund(latest);
+        }
+      }
+      throw error;
+    }
+  }
+
+  // Shares are computed over every contribution, so a resumed refund sends the same amounts
+  const shares = allocate(unreleasedAmount(bounty), contributions.map(contribution => contribution.amount));
+  const transactions = [];
+  let pending = false;
+  for (const [index, contribution] of contributions.entries()) {
+    if (contribution.status === CONTRIBUTION_STATUS.REFUNDED) {
+      transactions.push(contribution.refundTxHash);
+      continue;
+    }
+    // Nothing of this contribution is left once milestones paid out
+    if (shares[index] === 0n) {
+      continue;
+    }
+
+    let txHash;
+    try {
+      const walletId = await refundWalletFor(bounty, contribution, refundWalletId);
+      txHash = await refundContribution(bounty, contribution, shares[index], walletId);
+    } catch (error) {
+      // Nothing was sent, so hand the bounty back for another attempt
+      if (transactions.length === 0 && previousStatus !== BOUNTY_STATUS.REFUNDING &&
+          !await broadcastTransfer(refundKey(bountyId, contribution.id))) {
+        await transitionBounty(bountyId, previousStatus, {
+          fromStatus: BOUNTY_STATUS.REFUNDING,
+          actorType: ACTOR_TYPE.SYSTEM,
+          note: `Escrow refund failed: ${error.message}`
+        });
+      }
+      throw error;
+    }
+
+    if (txHash) {
+      transactions.push(txHash);
+    } else {
+      pending = true;
+    }
+  }
+
+  if (pending) {
+    throw new Error(`Refund of bounty ${bountyId} is still in progress`);
+  }
+
+  const finishRefund = finalStatus === BOUNTY_STATUS.EXPIRED ? markBountyExpired : cancelBounty;
+  const updatedBounty = await finishRefund(bountyId, {
+    actorId,
+    actorType,
+    txHash: transactions[0],
+    note: contributions.length > 1 ? `${note} to ${contributions.length} funders` : note
+  });
+
+  return {
+    bounty: updatedBounty,
+    transaction: transactions[0],
+    transactions,
+    duplicate: false
+  };
+}
+
+/**
+ * Send back a contribution that arrived after its bounty stopped accepting funds
+ * (it was being paid out, refunded or had ended)
+ * @param {number} bountyId Bounty ID
+ * @param {Object} funding The contribution's funding
+ * @param {number} funding.userId Funder
+ * @param {number} funding.walletId Wallet the funds came from
+ * @param {bigint|string} funding.amount Amount in base units
+ * @param {string} funding.txHash Funding transaction hash
+ * @returns {Promise<string>} Refund transaction hash
+ */
+async function returnContribution(bountyId, { userId, walletId, amount, txHash }) {
+  const idempotencyKey = `return:${txHash}`;
+  const previous = await getTransactionByIdempotencyKey(idempotencyKey);
+  if (previous) {
+    return previous.txHash;
+  }
+
+  const { escrowAddress, tokenAddress } = await getBountyById(bountyId);
+  const result = await payments.refundEscrow(txHash, userId, amount, walletId, { bountyId, idempotencyKey, escrowAddress, tokenAddress });
+  console.log(`Returned late contribution ${txHash} to wallet:`, walletId, 'Result:', result);
+  return result.transaction;
+}
+
+/**
+ * Name the hunter's wallet as the beneficiary of a bounty's escrow contract
+ * @param {Object} bounty Bounty
+ * @returns {Promise<void>} Resolves when the contract was updated (errors are logged)
+ */
+async function syncEscrowBeneficiary(bounty) {
+  const walletId = bounty.status === BOUNTY_STATUS.CLAIMED ? bounty.hunterWalletId : null;
+  try {
+    const txHash = await payments.setEscrowBeneficiary(bounty.escrowAddress, walletId, { bountyId: bounty.id });
+    if (txHash) {
+      console.log(`Escrow contract of bounty ${bounty.id} now pays ${walletId ? `wallet ${walletId}` : 'nobody'} (${txHash})`);
+    }
+  } catch (error) {
+    // Until a later claim change syncs it, the contract refuses to pay the hunter
+    console.error(`Error updating the escrow beneficiary of bounty ${bounty.id}:`, error.message);
+  }
+}
+
+/**
+ * Keep the beneficiary of each bounty's escrow contract in step with its claim: the
+ * claimer's wallet whenever it is (again) claimed, which also takes the contract back from
+ * the recipients of a payout that was handed back, and nobody once the claim is released
+ */
+function registerEscrowBeneficiarySync() {
+  bountyEvents.on('transition', ({ bounty, fromStatus, toStatus }) => {
+    if (!bounty.escrowAddress) {
+      return;
+    }
+    const claimed = toStatus === BOUNTY_STATUS.CLAIMED;
+    const unclaimed = toStatus === BOUNTY_STATUS.OPEN && fromStatus === BOUNTY_STATUS.CLAIMED;
+    if (claimed || unclaimed) {
+      syncEscrowBeneficiary(bounty);
+    }
+  });
+}
+
+module.exports = {
+  PAYEE_CHANGE,
+  unreleasedAmount,
+  releaseBounty,
+  settleRelease,
+  releaseMilestone,
+  refundBounty,
+  returnContribution,
+  registerEscrowBeneficiarySync
+};
@@ -0,0 +1,516 @@
+const { getBountyByIssue, getIssueBounties, markBountyClaimed, moveBountyIssue } = require('../models/bountyModel');
+const { getUserById, getUserByGithubId } = require('../models/userModel');
+const { getDefaultWallet } = require('../models/walletModel');
+const { PULL_REQUEST_STATE, getBountyPullRequests } = require('../models/bountyPullRequestModel');
+const { getInterestedUserIds } = require('../models/bountyInterestModel');
+const { getBountyContributions } = require('../models/bountyContributionModel');
+const { createBountyEvent } = require('../models/bountyEventModel');
+const { NOTIFICATION_TYPE } = require('../models/notificationModel');
+const {
+  BOUNTY_STATUS,
+  ACTOR_TYPE,
+  TERMINAL_STATUSES,
+  InvalidTransitionError,
+  canTransition,
+  emitIssueMoved
+} = require('./bountyStateMachine');
+const { PAYEE_CHANGE, releaseBounty, refundBounty } = require('./escrowService');
+const { scheduleRelease, cancelScheduledRelease } = require('./payoutHoldService');
+const { linkPullRequest, closePullRequest } = require('./pullRequestService');
+const { handleIssueCommentEvent } = require('./slashCommandService');
+const { extendClaimForActivity } = require('./claimExpiryService');
+const { notifyUsers } = require('./notificationService');
+const { getRepositoryToken } = require('./githubIssueService');
+const {
+  DELIVERY_STATUS,
+  claimDelivery,
+  completeDelivery,
+  supersedeFailedDeliveries
+} = require('../models/webhookDeliveryModel');
+
+/**
+ * Outcome of an event that required no action
+ * @param {string} message Reason the event was ignored
+ * @returns {Object} Ignored outcome
+ */
+function ignored(message) {
+  console.log(message);
+  return { processed: false, message };
+}
+
+/**
+ * Handle an `issues` event: release the bounty escrow when its issue is closed (or hold the
+ * payout for the repository's review window), undo an unpaid close when it is reopened,
+ * follow the issue when it is transferred and refund the bounty when it is deleted
+ * @param {Object} payload GitHub webhook payload
+ * @returns {Promise<Object>} Processing outcome
+ */
+async function handleIssuesEvent(payload) {
+  const { action, issue, repository } = payload;
+  console.log(`Received GitHub webhook: ${action} issue #${issue.number} in ${repository.full_name}`);
+
+  if (action === 'reopened') {
+    return handleIssueReopened(issue, repository);
+  }
+  if (action === 'transferred') {
+    return handleIssueTransferred(issue, repository, payload.changes);
+  }
+  if (action === 'deleted') {
+    return handleIssueDeleted(issue, repository);
+  }
+
+  // Otherwise we only care about issues being closed
+  if (action !== 'closed') {
+    return ignored(`Ignoring '${action}' action`);
+  }
+
+  // An issue closed as "not planned" was not solved, so nobody is paid
+  if (issue.state_reason === 'not_planned') {
+    return ignored(`Issue #${issue.number} was closed as not planned, not releasing funds`);
+  }
+
+  // Find if there's a bounty for this issue
+  const repoOwner = repository.owner.login;
+  const repoName = repository.name;
+  const issueNumber = issue.number;
+
+  console.log(`Looking for bounty for issue #${issueNumber} in ${repoOwner}/${repoName}`);
+  const bounty = await getBountyByIssue(repoOwner, repoName, issueNumber);
+  if (!bounty) {
+    return ignored('No bounty found for this issue');
+  }
+
+  // Funds of a disputed bounty only move on an admin's ruling
+  if (bounty.status === BOUNTY_STATUS.DISPUTED || !canTransition(bounty.status, BOUNTY_STATUS.PAYING)) {
+    return ignored(`Bounty is in ${bounty.status} state, not releasing funds`);
+  }
+
+  const claimer = bounty.claimedBy ? await getUserById(bounty.claimedBy) : null;
+
+  // The author of a merged linked pull request is paid by the pull_request event, and so is the
+  // claimer once their own open pull request is merged. Open pull requests by anyone else
+  // (e.g. a drive-by "Fixes #N") do not hold up the claimer's payout.
+  const linkedPullRequests = await getBountyPullRequests(bounty.id, [PULL_REQUEST_STATE.OPEN, PULL_REQUEST_STATE.MERGED]);
+  const payingPullRequest = linkedPullRequests.find(pullRequest => pullRequest.state === PULL_REQUEST_STATE.MERGED) ||
+    linkedPullRequests.find(pullRequest => claimer && pullRequest.authorGithubId === String(claimer.githubId));
+  if (payingPullRequest) {
+    return ignored(payingPullRequest.state === PULL_REQUEST_STATE.MERGED
+      ? `Bounty is paid to the author of merged pull request #${payingPullRequest.prNumber}`
+      : `Bounty is linked to the claimer's pull request #${payingPullRequest.prNumber}, funds are released when it is merged`);
+  }
+
+  // A competitive bounty goes to the author of the winning pull request, which the pull_request event resolves
+  if (bounty.competitive && bounty.status === BOUNTY_STATUS.OPEN) {
+    return ignored('Competitive bounty has no winning pull request, not releasing funds');
+  }
+
+  if (!bounty.claimedBy) {
+    return ignored('Bounty has no claimer, cannot release funds');
+  }
+  if (!claimer) {
+    return ignored('Claimer not found, cannot release funds');
+  }
+
+  // Failing here marks the delivery as failed so it can be replayed once the hunter adds a wallet
+  if (!bounty.hunterWalletId) {
+    throw new Error('No hunter wallet ID found for this bounty, cannot release funds');
+  }
+
+  const trigger = `Issue #${issueNumber} closed on GitHub`;
+  const held = await scheduleRelease(bounty, { trigger });
+  if (held) {
+    return {
+      processed: true,
+      message: held.duplicate ? 'Payout was already scheduled' : `Payout scheduled for ${held.job.runAt.toISOString()}`,
+      bountyId: bounty.id,
+      jobId: held.job.id
+    };
+  }
+
+  console.log(`Releasing escrow ${bounty.escrowId} to ${claimer.githubUsername} using hunter wallet ID ${bounty.hunterWalletId}`);
+  // Releases at most once, even if the owner approves the bounty at the same time
+  const releaseResult = await releaseBounty(bounty.id, {
+    actorType: ACTOR_TYPE.WEBHOOK,
+    note: `${trigger}, escrow released automatically`
+  });
+  console.log('Escrow release result:', releaseResult.transaction, releaseResult.duplicate ? '(already released)' : '');
+
+  return {
+    processed: true,
+    message: releaseResult.duplicate ? 'Funds were already released' : 'Funds released successfully',
+    bountyId: bounty.id,
+    transaction: releaseResult.transaction
+  };
+}
+
+/**
+ * Undo the close of an issue whose bounty has not been paid yet, so the bounty is back where
+ * it was before: the payout held for the review window is cancelled, and failed deliveries of
+ * the close are withdrawn so replaying them cannot pay for an issue that is open again.
+ * A bounty that was already paid stays paid; the owner can dispute it.
+ * @param {Object} issue `issue` object of the webhook payload
+ * @param {Object} repository `repository` object of the webhook payload
+ * @returns {Promise<Object>} Processing outcome
+ */
+async function handleIssueReopened(issue, repository) {
+  const repoOwner = repository.owner.login;
+  const repoName = repository.name;
+  const bounty = await getBountyByIssue(repoOwner, repoName, issue.number);
+  if (!bounty) {
+    return ignored('No bounty found for this issue');
+  }
+
+  const reason = `issue #${issue.number} was reopened`;
+  const cancelled = await cancelScheduledRelease(bounty, reason);
+  const withdrawn = await supersedeFailedDeliveries(repoOwner, repoName, issue.number, 'issues', 'closed', `Superseded: ${reason}`);
+
+  if (!cancelled && withdrawn === 0) {
+    if ([BOUNTY_STATUS.PAYOUT_PENDING, BOUNTY_STATUS.COMPLETED].includes(bounty.status)) {
+      return ignored(`Bounty ${bounty.id} was already paid out`);
+    }
+    return ignored(`Bounty ${bounty.id} has no pending payout to cancel`);
+  }
+
+  if (withdrawn > 0) {
+    await createBountyEvent({
+      bountyId: bounty.id,
+      fromStatus: bounty.status,
+      toStatus: bounty.status,
+      actorType: ACTOR_TYPE.WEBHOOK,
+      note: `Issue #${issue.number} reopened on GitHub; ${withdrawn} failed payout delivery(ies) withdrawn`
+    });
+  }
+
+  return {
+    processed: true,
+    message: cancelled ? 'Held payout cancelled' : 'Failed payout withdrawn',
+    bountyId: bounty.id,
+    withdrawnDeliveries: withdrawn
+  };
+}
+
+/**
+ * Point the bounties of an issue that was transferred to another repository at its new
+ * location. The owner is warned when GitPaid has no webhook on the new repository, since
+ * closing the issue there would otherwise go unnoticed.
+ * @param {Object} issue `issue` object of the webhook payload (the issue before the transfer)
+ * @param {Object} repository `repository` object of the webhook payload (the old repository)
+ * @param {Object} changes `changes` of the payload, with `new_issue` and `new_repository`
+ * @returns {Promise<Object>} Processing outcome
+ */
+async function handleIssueTransferred(issue, repository, changes) {
+  if (!changes?.new_issue || !changes?.new_repository) {
+    return ignored(`Transfer of issue #${issue.number} has no new location`);
+  }
+
+  const from = { repoOwner: repository.owner.login, repoName: repository.name, issueNumber: issue.number };
+  const to = {
+    repoOwner: changes.new_repository.owner.login,
+    repoName: changes.new_repository.name,
+    issueNumber: changes.new_issue.number
+  };
+  const oldLocation = `${from.repoOwner}/${from.repoName}#${from.issueNumber}`;
+  const newLocation = `${to.repoOwner}/${to.repoName}#${to.issueNumber}`;
+
+  // A replayed delivery finds nothing here, the bounties were already moved
+  const bounties = await getIssueBounties(from.repoOwner, from.repoName, from.issueNumber);
+  if (bounties.length === 0) {
+    return ignored('No bounty found for this issue');
+  }
+
+  for (const bounty of bounties) {
+    const moved = await moveBountyIssue(bounty.id, to);
+    await createBountyEvent({
+      bountyId: bounty.id,
+      fromStatus: bounty.status,
+      toStatus: bounty.status,
+      actorType: ACTOR_TYPE.WEBHOOK,
+      note: `Issue transferred on GitHub from ${oldLocation} to ${newLocation}`
+    });
+    console.log(`Bounty ${bounty.id} moved from ${oldLocation} to ${newLocation}`);
+    // Only the current bounty's status comment and labels are carried over
+    if (bounty === bounties[0]) {
+      emitIssueMoved({ bounty: moved, from });
+    }
+  }
+
+  const active = bounties.filter(bounty => !TERMINAL_STATUSES.includes(bounty.status));
+  if (active.length > 0) {
+    const connected = await getRepositoryToken(to.repoOwner, to.repoName);
+    for (const bounty of active) {
+      await notifyUsers([bounty.createdBy], {
+        type: NOTIFICATION_TYPE.ISSUE_TRANSFERRED,
+        bountyId: bounty.id,
+        message: connected
+          ? `The issue of your bounty moved from ${oldLocation} to ${newLocation}; the bounty moved with it.`
+          : `The issue of your bounty moved from ${oldLocation} to ${newLocation}. Connect a webhook on ${to.repoOwner}/${to.repoName} so closing it there still pays out.`
+      });
+      await notifyUsers([bounty.claimedBy], {
+        type: NOTIFICATION_TYPE.ISSUE_TRANSFERRED,
+        bountyId: bounty.id,
+        message: `The issue of the bounty you claimed moved from ${oldLocation} to ${newLocation}; your claim moved with it.`
+      });
+    }
+  }
+
+  return {
+    processed: true,
+    message: `Bounties moved from ${oldLocation} to ${newLocation}`,
+    bountyIds: bounties.map(bounty => bounty.id)
+  };
+}
+
+/**
+ * Refund the bounty of a deleted issue to its funders and cancel it. A disputed bounty waits
+ * for the admin's ruling, and a bounty being paid or already finished has nothing to refund.
+ * @param {Object} issue `issue` object of the webhook payload
+ * @param {Object} repository `repository` object of the webhook payload
+ * @returns {Promise<Object>} Processing outcome
+ */
+async function handleIssueDeleted(issue, repository) {
+  const bounty = await getBountyByIssue(repository.owner.login, repository.name, issue.number);
+  if (!bounty) {
+    return ignored('No bounty found for this issue');
+  }
+
+  // Funds of a disputed bounty only move on an admin's ruling
+  if (bounty.status === BOUNTY_STATUS.DISPUTED) {
+    return ignored(`Bounty ${bounty.id} is disputed, its escrow moves on the admin's ruling`);
+  }
+  // A refund left halfway by a failed attempt is resumed
+  if (bounty.status !== BOUNTY_STATUS.REFUNDING && !canTransition(bounty.status, BOUNTY_STATUS.REFUNDING)) {
+    return ignored(`Bounty is in ${bounty.status} state, nothing to refund`);
+  }
+
+  const reason = `issue #${issue.number} was deleted`;
+  await cancelScheduledRelease(bounty, reason);
+
+  // Failing here marks the delivery as failed so the refund can be replayed
+  const refundResult = await refundBounty(bounty.id, {
+    actorType: ACTOR_TYPE.WEBHOOK,
+    note: `Issue #${issue.number} deleted on GitHub, escrow refunded`
+  });
+
+  if (!refundResult.duplicate) {
+    const issueName = `${bounty.repoOwner}/${bounty.repoName}#${bounty.issueNumber}`;
+    const contributions = await getBountyContributions(bounty.id);
+    await notifyUsers([bounty.createdBy, ...contributions.map(contribution => contribution.userId)], {
+      type: NOTIFICATION_TYPE.BOUNTY_CANCELLED,
+      bountyId: bounty.id,
+      message: `The issue ${issueName} was deleted on GitHub, so its bounty was cancelled; your contribution was refunded to your wallet.`
+    });
+    await notifyUsers([bounty.claimedBy], {
+      type: NOTIFICATION_TYPE.BOUNTY_CANCELLED,
+      bountyId: bounty.id,
+      message: `The issue ${issueName} was deleted on GitHub, so the bounty you claimed was cancelled and refunded to its funders.`
+    });
+  }
+
+  return {
+    processed: true,
+    message: refundResult.duplicate ? 'Escrow was already refunded' : 'Escrow refunded to the funders',
+    bountyId: bounty.id,
+    transactions: refundResult.transactions
+  };
+}
+
+/**
+ * Release a bounty to the author of the merged pull request that fixed its issue.
+ * The author must have signed in and registered a wallet; otherwise this throws so
+ * the delivery can be replayed once they have. A competitive bounty is won by the first
+ * merged pull request: the bounty is claimed for its author, and later merges are ignored.
+ * @param {Object} bounty Bounty linked to the pull request
+ * @param {Object} pullRequest `pull_request` object of the webhook payload
+ * @returns {Promise<Object>} Release outcome for this bounty
+ */
+async function payPullRequestAuthor(bounty, pullRequest) {
+  if (bounty.status !== BOUNTY_STATUS.OPEN && bounty.status !== BOUNTY_STATUS.CLAIMED) {
+    console.log(`Bounty ${bounty.id} is in ${bounty.status} state, not releasing funds`);
+    return { bountyId: bounty.id, processed: false, message: `Bounty is in ${bounty.status} state` };
+  }
+
+  const author = await getUserByGithubId(pullRequest.user.id);
+  if (!author) {
+    throw new Error(`Pull request author ${pullRequest.user.login} has no GitPaid account, cannot release bounty ${bounty.id}`);
+  }
+  const wallet = await getDefaultWallet(author.id);
+  if (!wallet) {
+    throw new Error(`Pull request author ${pullRequest.user.login} has no registered wallet, cannot release bounty ${bounty.id}`);
+  }
+
+  const trigger = `Pull request #${pullRequest.number} by ${pullRequest.user.login} merged`;
+
+  // An unclaimed bounty is claimed on behalf of the author first
+  if (bounty.status === BOUNTY_STATUS.OPEN) {
+    try {
+      await markBountyClaimed(bounty.id, author.id, wallet.id, {
+        fromStatus: BOUNTY_STATUS.OPEN,
+        actorId: null,
+        actorType: ACTOR_TYPE.WEBHOOK,
+        note: bounty.competitive
+          ? `Won by merged pull request #${pullRequest.number}`
+          : `Claimed by merged pull request #${pullRequest.number}`
+      });
+    } catch (error) {
+      // Another pull request was merged at the same time and won the race
+      if (bounty.competitive && error instanceof InvalidTransitionError) {
+        return { bountyId: bounty.id, processed: false, message: 'Bounty was won by another pull request' };
+      }
+      throw error;
+    }
+  } else if (bounty.competitive && bounty.claimedBy !== author.id) {
+    console.log(`Competitive bounty ${bounty.id} was already won by user ${bounty.claimedBy}, ignoring pull request #${pullRequest.number}`);
+    return { bountyId: bounty.id, processed: false, message: 'Bounty was won by another pull request' };
+  } else if (bounty.claimedBy !== author.id) {
+    console.log(`Bounty ${bounty.id} was claimed by user ${bounty.claimedBy}, paying pull request author ${author.id} instead`);
+  }
+
+  const payee = { userId: author.id, walletId: wallet.id };
+  const held = await scheduleRelease(bounty, { trigger, payee });
+  let releaseResult = null;
+  if (!held) {
+    console.log(`Releasing escrow ${bounty.escrowId} to ${author.githubUsername} using wallet ID ${wallet.id}`);
+    releaseResult = await releaseBounty(bounty.id, {
+      actorType: ACTOR_TYPE.WEBHOOK,
+      note: `${trigger}, escrow released automatically`,
+      payee,
+      payeeChange: PAYEE_CHANGE.PULL_REQUEST
+    });
+  }
+
+  // The race is decided by the merge, even if the payout is held
+  if (bounty.competitive && !(held ? held.duplicate : releaseResult.duplicate)) {
+    const racers = await getInterestedUserIds(bounty.id);
+    await notifyUsers(racers.filter(userId => userId !== author.id), {
+      type: NOTIFICATION_TYPE.COMPETITION_LOST,
+      bountyId: bounty.id,
+      message: `${pullRequest.user.login} won the bounty for ${bounty.repoOwner}/${bounty.repoName}#${bounty.issueNumber} with pull request #${pullRequest.number}.`
+    });
+  }
+
+  if (held) {
+    return {
+      bountyId: bounty.id,
+      processed: true,
+      message: held.duplicate ? 'Payout was already scheduled' : `Payout scheduled for ${held.job.runAt.toISOString()}`,
+      jobId: held.job.id
+    };
+  }
+
+  return {
+    bountyId: bounty.id,
+    processed: true,
+    message: releaseResult.duplicate ? 'Funds were already released' : 'Funds released successfully',
+    transaction: releaseResult.transaction
+  };
+}
+
+/**
+ * Handle a `pull_request` event: link the pull request to the bounties of the issues it
+ * closes ("Fixes #N" in its body or commits) and pay its author when it is merged
+ * @param {Object} payload GitHub webhook payload
+ * @returns {Promise<Object>} Processing outcome
+ */
+async function handlePullRequestEvent(payload) {
+  const { action, pull_request: pullRequest, repository } = payload;
+  console.log(`Received GitHub webhook: ${action} pull request #${pullRequest.number} in ${repository.full_name}`);
+
+  if (!['opened', 'edited', 'reopened', 'synchronize', 'closed'].includes(action)) {
+    return ignored(`Ignoring '${action}' action`);
+  }
+
+  if (action === 'closed' && !pullRequest.merged) {
+    await closePullRequest(pullRequest, repository);
+    return ignored(`Pull request #${pullRequest.number} was closed without merging`);
+  }
+
+  const bounties = await linkPullRequest(pullRequest, repository);
+  if (bounties.length === 0) {
+    return ignored(`Pull request #${pullRequest.number} does not fix an issue with a bounty`);
+  }
+
+  if (action !== 'closed') {
+    // A hunter working on a linked pull request keeps their claim alive
+    const author = await getUserByGithubId(pullRequest.user.id);
+    const extendedBountyIds = [];
+    if (author && action !== 'edited') {
+      for (const bounty of bounties.filter(bounty => bounty.claimedBy === author.id)) {
+        if (await extendClaimForActivity(bounty, author.id)) {
+          extendedBountyIds.push(bounty.id);
+        }
+      }
+    }
+
+    return {
+      processed: true,
+      message: `Pull request #${pullRequest.number} linked to bounties ${bounties.map(bounty => bounty.id).join(', ')}`,
+      bountyIds: bounties.map(bounty => bounty.id),
+      extendedBountyIds
+    };
+  }
+
+  // Merged: pay the author every bounty the pull request fixes. Releases are idempotent,
+  // so replaying after one of them failed does not pay the others twice.
+  const releases = [];
+  for (const bounty of bounties) {
+    releases.push(await payPullRequestAuthor(bounty, pullRequest));
+  }
+
+  return {
+    processed: releases.some(release => release.processed),
+    message: `Pull request #${pullRequest.number} merged`,
+    releases
+  };
+}
+
+// Handlers for the GitHub events we subscribe to, keyed by X-GitHub-Event
+const EVENT_HANDLERS = {
+  issues: handleIssuesEvent,
+  issue_comment: handleIssueCommentEvent,
+  pull_request: handlePullRequestEvent
+};
+
+/**
+ * Process a verified GitHub webhook delivery.
+ * Throws if processing failed; the delivery can then be replayed.
+ * @param {string} eventName Value of the X-GitHub-Event header
+ * @param {Object} payload GitHub webhook payload
+ * @returns {Promise<Object>} Outcome with `processed` (false if ignored) and `message`
+ */
+async function processGitHubEvent(eventName, payload) {
+  const handler = EVENT_HANDLERS[eventName];
+  if (!handler) {
+    return ignored(`Ignoring unsupported event: ${eventName}`);
+  }
+  return handler(payload);
+}
+
+/**
+ * Process a stored webhook delivery at most once at a time and persist the outcome.
+ * Used for live deliveries and for replays of failed ones.
+ * @param {Object} delivery WebhookDelivery record
+ * @returns {Promise<Object>} { status, outcome, error } where status is a DELIVERY_STATUS
+ */
+async function processDelivery(delivery) {
+  const claimed = await claimDelivery(delivery.id);
+  if (!claimed) {
+    console.log(`Delivery ${delivery.deliveryId} is already ${delivery.status}, skipping`);
+    return { status: delivery.status, skipped: true, outcome: delivery.result };
+  }
+
+  try {
+    const outcome = await processGitHubEvent(delivery.event, delivery.payload);
+    const status = outcome.processed ? DELIVERY_STATUS.PROCESSED : DELIVERY_STATUS.IGNORED;
+    await completeDelivery(delivery.id, status, outcome);
+    return { status, outcome };
+  } catch (error) {
+    console.error(`Error processing delivery ${delivery.deliveryId}:`, error);
+    await completeDelivery(delivery.id, DELIVERY_STATUS.FAILED, null, error.message);
+    return { status: DELIVERY_STATUS.FAILED, error: error.message };
+  }
+}
+
+module.exports = {
+  processGitHubEvent,
+  processDelivery
+};
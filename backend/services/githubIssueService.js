@@ -0,0 +1,57 @@
+const axios = require('axios');
+const prisma = require('../config/database');
+
+/**
+ * Get the GitHub token of the user who registered a repository's webhook.
+ * The bot acts on a repository with this token.
+ * @param {string} repoOwner Repository owner
+ * @param {string} repoName Repository name
+ * @returns {Promise<string|null>} GitHub token, or null if the repository is not connected
+ */
+async function getRepositoryToken(repoOwner, repoName) {
+  const webhook = await prisma.repositoryWebhook.findUnique({
+    where: { repoOwner_repoName: { repoOwner, repoName } },
+    include: { user: true }
+  });
+  return webhook?.user?.token || null;
+}
+
+/**
+ * Build request headers for the GitHub API
+ * @param {string|null} token GitHub token
+ * @returns {Object} Headers
+ */
+function githubHeaders(token) {
+  return {
+    ...(token && { Authorization: `token ${token}` }),
+    Accept: 'application/vnd.github.v3+json'
+  };
+}
+
+/**
+ * Comment on an issue or pull request as the repository owner
+ * @param {string} repoOwner Repository owner
+ * @param {string} repoName Repository name
+ * @param {number} issueNumber Issue or pull request number
+ * @param {string} body Comment text (Markdown)
+ * @returns {Promise<Object>} Created comment
+ */
+async function postIssueComment(repoOwner, repoName, issueNumber, body) {
+  const token = await getRepositoryToken(repoOwner, repoName);
+  if (!token) {
+    throw new Error(`No GitHub token available for ${repoOwner}/${repoName}, cannot comment`);
+  }
+
+  const response = await axios.post(
+    `https://api.github.com/repos/${repoOwner}/${repoName}/issues/${issueNumber}/comments`,
+    { body },
+    { headers: githubHeaders(token) }
+  );
+  return response.data;
+}
+
+module.exports = {
+  getRepositoryToken,
+  githubHeaders,
+  postIssueComment
+};
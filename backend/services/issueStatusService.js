@@ -0,0 +1,245 @@
+const axios = require('axios');
+const prisma = require('../config/database');
+const { BOUNTY_STATUS, bountyEvents } = require('./bountyStateMachine');
+const { getRepositoryToken, githubHeaders } = require('./githubIssueService');
+const { MILESTONE_STATUS } = require('../models/bountyMilestoneModel');
+const { formatBountyAmount } = require('../../shared/money');
+
+// Hidden marker identifying GitPaid's status comment on an issue
+const STATUS_COMMENT_MARKER = '<!-- gitpaid:bounty-status -->';
+
+// Labels GitPaid maintains on bountied issues
+const LABELS = {
+  BOUNTY: { name: 'bounty', color: '0e8a16', description: 'This issue has a GitPaid bounty' },
+  CLAIMED: { name: 'bounty:claimed', color: 'fbca04', description: 'Someone is working on this bounty' },
+  PAID: { name: 'bounty:paid', color: '5319e7', description: 'The bounty on this issue was paid out' },
+  DISPUTED: { name: 'bounty:disputed', color: 'd93f0b', description: 'The bounty on this issue is disputed' }
+};
+
+// Labels an issue should carry for each bounty status (a cancelled or expired bounty has none)
+const STATUS_LABELS = {
+  [BOUNTY_STATUS.OPEN]: [LABELS.BOUNTY],
+  [BOUNTY_STATUS.CLAIMED]: [LABELS.BOUNTY, LABELS.CLAIMED],
+  [BOUNTY_STATUS.COMPLETED]: [LABELS.BOUNTY, LABELS.PAID],
+  [BOUNTY_STATUS.DISPUTED]: [LABELS.BOUNTY, LABELS.DISPUTED],
+  [BOUNTY_STATUS.CANCELLED]: [],
+  [BOUNTY_STATUS.EXPIRED]: []
+};
+
+// Human-readable status shown in the comment
+const STATUS_TEXT = {
+  [BOUNTY_STATUS.OPEN]: '🟢 Open — comment `/claim` to work on it',
+  [BOUNTY_STATUS.CLAIMED]: '🟡 Claimed',
+  [BOUNTY_STATUS.COMPLETED]: '✅ Paid',
+  [BOUNTY_STATUS.DISPUTED]: '⚖️ Disputed, the escrow is frozen until an admin resolves it',
+  [BOUNTY_STATUS.CANCELLED]: '🚫 Cancelled, the escrow was refunded',
+  [BOUNTY_STATUS.EXPIRED]: '⌛ Expired, the escrow was refunded'
+};
+
+// Payouts, refunds and transactions in progress are not shown; the issue is updated once they finish
+const TRANSIENT_STATUSES = [
+  BOUNTY_STATUS.FUNDING_PENDING,
+  BOUNTY_STATUS.PAYING,
+  BOUNTY_STATUS.PAYOUT_PENDING,
+  BOUNTY_STATUS.REFUNDING
+];
+
+// Syncs per bounty are chained so that the last one always writes the latest state
+const pendingSyncs = new Map();
+
+/**
+ * Render the status comment of a bounty
+ * @param {Object} bounty Bounty with owner and claimer
+ * @returns {string} Comment body (Markdown)
+ */
+function renderStatusComment(bounty) {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const link = bounty.status === BOUNTY_STATUS.OPEN ? `${frontendUrl}/claim-bounty` : `${frontendUrl}/dashboard`;
+
+  const rows = [
+    `| **Amount** | ${formatBountyAmount(bounty.amount, bounty)} |`,
+    `| **Status** | ${STATUS_TEXT[bounty.status] || bounty.status} |`,
+    `| **Posted by** | @${bounty.owner.githubUsername} |`
+  ];
+  if (bounty.requiresApplication && bounty.status === BOUNTY_STATUS.OPEN) {
+    rows.push(`| **Claiming** | By application, the owner picks a hunter |`);
+  }
+  if (bounty.competitive && bounty.status === BOUNTY_STATUS.OPEN) {
+    rows.push(`| **Claiming** | Competitive, the first merged pull request that fixes this issue wins |`);
+  }
+  if (bounty._count?.contributions > 1) {
+    rows.push(`| **Funders** | ${bounty._count.contributions} |`);
+  }
+  if (bounty.milestones?.length > 0) {
+    const released = bounty.milestones.filter(milestone => milestone.status === MILESTONE_STATUS.RELEASED).length;
+    rows.push(`| **Milestones** | ${released}/${bounty.milestones.length} released |`);
+  }
+  if (bounty.expiresAt && [BOUNTY_STATUS.OPEN, BOUNTY_STATUS.CLAIMED].includes(bounty.status)) {
+    rows.push(`| **Deadline** | ${bounty.expiresAt.toISOString().slice(0, 16).replace('T', ' ')} UTC |`);
+  }
+  if (bounty.claimer && bounty.status !== BOUNTY_STATUS.OPEN) {
+    rows.push(`| **${bounty.status === BOUNTY_STATUS.COMPLETED ? 'Paid to' : 'Claimed by'}** | @${bounty.claimer.githubUsername} |`);
+  }
+
+  return [
+    STATUS_COMMENT_MARKER,
+    `### 💰 GitPaid bounty #${bounty.id}`,
+    '',
+    '| | |',
+    '| --- | --- |',
+    ...rows,
+    '',
+    `[View this bounty on GitPaid](${link})`
+  ].join('\n');
+}
+
+/**
+ * Create or update the sticky status comment of a bounty
+ * @param {Object} bounty Bounty with owner and claimer
+ * @param {string} token GitHub token
+ */
+async function upsertStatusComment(bounty, token) {
+  const repoUrl = `https://api.github.com/repos/${bounty.repoOwner}/${bounty.repoName}`;
+  const body = renderStatusComment(bounty);
+
+  if (bounty.statusCommentId) {
+    try {
+      await axios.patch(`${repoUrl}/issues/comments/${bounty.statusCommentId}`, { body }, { headers: githubHeaders(token) });
+      return;
+    } catch (error) {
+      // The comment was deleted on GitHub: post a new one
+      if (error.response?.status !== 404) {
+        throw error;
+      }
+    }
+  }
+
+  const response = await axios.post(`${repoUrl}/issues/${bounty.issueNumber}/comments`, { body }, { headers: githubHeaders(token) });
+  await prisma.bounty.update({
+    where: { id: bounty.id },
+    data: { statusCommentId: response.data.id.toString() }
+  });
+}
+
+/**
+ * Apply the labels for the bounty's status and remove the other GitPaid labels
+ * @param {Object} bounty Bounty
+ * @param {string} token GitHub token
+ */
+async function syncLabels(bounty, token) {
+  const repoUrl = `https://api.github.com/repos/${bounty.repoOwner}/${bounty.repoName}`;
+  const wanted = STATUS_LABELS[bounty.status] || [];
+  const unwanted = Object.values(LABELS).filter(label => !wanted.includes(label));
+
+  for (const label of wanted) {
+    try {
+      await axios.post(`${repoUrl}/labels`, label, { headers: githubHeaders(token) });
+    } catch (error) {
+      // 422: the label already exists in the repository
+      if (error.response?.status !== 422) {
+        throw error;
+      }
+    }
+  }
+
+  if (wanted.length > 0) {
+    await axios.post(
+      `${repoUrl}/issues/${bounty.issueNumber}/labels`,
+      { labels: wanted.map(label => label.name) },
+      { headers: githubHeaders(token) }
+    );
+  }
+
+  for (const label of unwanted) {
+    try {
+      await axios.delete(
+        `${repoUrl}/issues/${bounty.issueNumber}/labels/${encodeURIComponent(label.name)}`,
+        { headers: githubHeaders(token) }
+      );
+    } catch (error) {
+      // 404: the issue did not have this label
+      if (error.response?.status !== 404) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Bring the GitHub issue of a bounty up to date: its status comment and labels.
+ * Uses the token of the user who connected the repository, or the bounty owner's token.
+ * @param {number} bountyId Bounty ID
+ */
+async function syncIssueStatus(bountyId) {
+  const bounty = await prisma.bounty.findUnique({
+    where: { id: bountyId },
+    include: {
+      owner: true,
+      claimer: true,
+      milestones: { select: { status: true } },
+      _count: { select: { contributions: true } }
+    }
+  });
+  if (!bounty || TRANSIENT_STATUSES.includes(bounty.status)) {
+    return;
+  }
+
+  const token = await getRepositoryToken(bounty.repoOwner, bounty.repoName) || bounty.owner.token;
+  if (!token) {
+    console.log(`No GitHub token available to update ${bounty.repoOwner}/${bounty.repoName}#${bounty.issueNumber}`);
+    return;
+  }
+
+  await upsertStatusComment(bounty, token);
+  await syncLabels(bounty, token);
+  console.log(`Updated GitHub status of bounty ${bounty.id} (${bounty.status})`);
+}
+
+/**
+ * Queue a sync of a bounty's GitHub issue after the syncs already queued for it
+ * @param {number} bountyId Bounty ID
+ * @returns {Promise<void>} Resolves when the sync finished (errors are logged)
+ */
+function queueIssueStatusSync(bountyId) {
+  const previous = pendingSyncs.get(bountyId) || Promise.resolve();
+  const next = previous
+    .then(() => syncIssueStatus(bountyId))
+    .catch(error => {
+      console.error(`Error updating GitHub status of bounty ${bountyId}:`, error.response?.data || error.message);
+    })
+    .finally(() => {
+      if (pendingSyncs.get(bountyId) === next) {
+        pendingSyncs.delete(bountyId);
+      }
+    });
+  pendingSyncs.set(bountyId, next);
+  return next;
+}
+
+/**
+ * Keep GitHub issues in sync with their bounties from now on
+ */
+function registerIssueStatusSync() {
+  bountyEvents.on('transition', ({ bounty, toStatus }) => {
+    if (!TRANSIENT_STATUSES.includes(toStatus)) {
+      queueIssueStatusSync(bounty.id);
+    }
+  });
+  // A contribution changes the amount shown
+  bountyEvents.on('contribution', ({ bounty }) => {
+    queueIssueStatusSync(bounty.id);
+  });
+  // The status comment and labels move to the issue's new repository
+  bountyEvents.on('issueMoved', ({ bounty }) => {
+    if (!TRANSIENT_STATUSES.includes(bounty.status)) {
+      queueIssueStatusSync(bounty.id);
+    }
+  });
+}
+
+module.exports = {
+  renderStatusComment,
+  syncIssueStatus,
+  queueIssueStatusSync,
+  registerIssueStatusSync
+};
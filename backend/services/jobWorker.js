@@ -0,0 +1,123 @@
+const {
+  JOB_STATUS,
+  getJobById,
+  getDueJobs,
+  claimJob,
+  completeJob,
+  failJob,
+  deferJob
+} = require('../models/scheduledJobModel');
+const { registerJob } = require('./scheduler');
+
+// How often the worker looks for due jobs
+const SCHEDULED_JOB_INTERVAL_MS = parseInt(process.env.SCHEDULED_JOB_INTERVAL_MS, 10) || 60 * 1000;
+
+// A job still RUNNING after this long is assumed to have been interrupted (e.g. by a restart) and is run again
+const JOB_STALE_MS = 15 * 60 * 1000;
+
+// Failed runs are retried this many times in total, waiting a little longer after each attempt
+const JOB_MAX_ATTEMPTS = 5;
+const JOB_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// Handlers keyed by JOB_TYPE
+const handlers = new Map();
+
+/**
+ * Register the function that runs jobs of a type. A handler receives the job and the
+ * context it was run with, and returns a JSON-serialisable result; returning
+ * { deferUntil, reason } puts the job off until then without using up an attempt.
+ * Handlers must be safe to run again for the same job, since an interrupted job is retried.
+ * @param {string} type One of JOB_TYPE
+ * @param {Function} handler Async function (job, context) => result
+ */
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Run one job, at most once at a time, and record its outcome
+ * @param {Object} job ScheduledJob record
+ * @param {Object} [context] Extra details for the handler (e.g. the user who approved it early)
+ * @returns {Promise<Object>} { status, result, error } where status is a JOB_STATUS, or { skipped: true }
+ */
+async function runScheduledJob(job, context = {}) {
+  const staleBefore = new Date(Date.now() - JOB_STALE_MS);
+  if (!await claimJob(job.id, staleBefore)) {
+    console.log(`Scheduled job ${job.id} is already ${job.status}, skipping`);
+    return { skipped: true };
+  }
+  const attempts = job.attempts + 1;
+
+  const handler = handlers.get(job.type);
+  if (!handler) {
+    await failJob(job.id, `No handler registered for ${job.type} jobs`);
+    return { status: JOB_STATUS.FAILED, error: `No handler registered for ${job.type} jobs` };
+  }
+
+  try {
+    const result = await handler(job, context);
+    if (result?.deferUntil) {
+      console.log(`Scheduled job ${job.id} (${job.type}) deferred until ${result.deferUntil.toISOString()}: ${result.reason}`);
+      await deferJob(job.id, result.deferUntil, result.reason);
+      return { status: JOB_STATUS.PENDING, result };
+    }
+    await completeJob(job.id, result || null);
+    console.log(`Scheduled job ${job.id} (${job.type}) succeeded`);
+    return { status: JOB_STATUS.SUCCEEDED, result };
+  } catch (error) {
+    const retryAt = attempts < JOB_MAX_ATTEMPTS ? new Date(Date.now() + attempts * JOB_RETRY_DELAY_MS) : null;
+    console.error(`Scheduled job ${job.id} (${job.type}) failed on attempt ${attempts}${retryAt ? `, retrying at ${retryAt.toISOString()}` : ', giving up'}:`, error);
+    await failJob(job.id, error.message, retryAt);
+    return { status: retryAt ? JOB_STATUS.PENDING : JOB_STATUS.FAILED, error: error.message };
+  }
+}
+
+/**
+ * Run a job now instead of at its scheduled time
+ * @param {number} jobId Job ID
+ * @param {Object} [context] Extra details for the handler
+ * @returns {Promise<Object>} Outcome (see runScheduledJob)
+ */
+async function runJobNow(jobId, context = {}) {
+  const job = await getJobById(jobId);
+  if (!job) {
+    throw new Error(`Scheduled job ${jobId} not found`);
+  }
+  return runScheduledJob(job, context);
+}
+
+/**
+ * Run every job that is due
+ * @returns {Promise<number>} Number of jobs run
+ */
+async function runDueJobs() {
+  const now = new Date();
+  const due = await getDueJobs(now, new Date(now.getTime() - JOB_STALE_MS));
+  let ran = 0;
+
+  for (const job of due) {
+    const outcome = await runScheduledJob(job);
+    if (!outcome.skipped) {
+      ran++;
+    }
+  }
+
+  if (ran > 0) {
+    console.log(`Ran ${ran} scheduled job(s)`);
+  }
+  return ran;
+}
+
+/**
+ * Register the scheduled job worker with the background scheduler
+ */
+function registerScheduledJobWorker() {
+  registerJob('scheduled-jobs', SCHEDULED_JOB_INTERVAL_MS, runDueJobs);
+}
+
+module.exports = {
+  registerJobHandler,
+  runJobNow,
+  runDueJobs,
+  registerScheduledJobWorker
+};
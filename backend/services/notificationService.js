@@ -0,0 +1,25 @@
+const { createNotification } = require('../models/notificationModel');
+
+/**
+ * Send the same in-app notification to several users. A failure to notify is
+ * logged and never fails the action that triggered it.
+ * @param {Array<number|null>} userIds Users to notify (duplicates and nulls are skipped)
+ * @param {Object} notification Notification details
+ * @param {string} notification.type One of NOTIFICATION_TYPE
+ * @param {string} notification.message Text shown to the user
+ * @param {number} [notification.bountyId] Related bounty
+ */
+async function notifyUsers(userIds, { type, message, bountyId = null }) {
+  const recipients = [...new Set(userIds.filter(Boolean))];
+  for (const userId of recipients) {
+    try {
+      await createNotification({ userId, type, message, bountyId });
+    } catch (error) {
+      console.error(`Error notifying user ${userId}:`, error);
+    }
+  }
+}
+
+module.exports = {
+  notifyUsers
+};
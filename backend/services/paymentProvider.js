@@ -0,0 +1,107 @@
+/**
+ * Payment provider used for escrow transfers, selected with PAYMENT_PROVIDER:
+ * - `radius` (default): the Radius chain (config/radius.js), which needs a live RPC endpoint
+ * - `ledger`: a deterministic in-process ledger with fake balances (config/ledger.js), for
+ *   local development and CI without a network
+ *
+ * Every provider implements the same interface. Amounts, balances and transaction amounts
+ * are in base units of the bounty's token: a bigint or an integer string (see shared/money.js).
+ * A bounty is paid in the chain's native coin, or in an ERC-20 token from the allow-list
+ * (config/tokens.js) whose contract address is passed as `tokenAddress`; token escrows
+ * are released and refunded with the token's `transfer` calls, and funded with them too,
+ * except for a bounty's escrow contract, which funders approve to pull their deposit in.
+ *
+ * Each bounty is funded into its own escrow contract (contracts/BountyEscrow.sol), whose
+ * address is passed as `escrowAddress`. Without one (bounties created before escrow
+ * contracts), funds move through the shared escrow account instead.
+ *
+ * Transfers wait until they are mined unless `confirm: false` is passed, in which case
+ * the transaction is only sent and its ledger entry stays PENDING; the confirmation
+ * watcher (services/confirmationService.js) follows it with `getTransaction`.
+ *
+ * Releases and refunds are recorded in the ledger as PENDING, under their idempotency key,
+ * before they are broadcast: an entry for the key means the funds may have moved, even if
+ * the call failed, and a second transfer under the same key fails before it is sent. An
+ * adapter that knows its transfer moved nothing marks the entry failed, freeing the key.
+ *
+ * @typedef {Object} PaymentProvider
+ * @property {Function} createEscrowContract (tokenAddress) => Promise<string>: deploy an empty escrow
+ *   contract for a new bounty, holding the native coin or the token (null for the native coin), and return its address
+ * @property {Function} setEscrowBeneficiary (escrowAddress, walletId, { bountyId }) => Promise<string|null>: name the
+ *   wallet the contract may pay (null for none) and record the change in the ledger; returns the
+ *   transaction hash, or null if unchanged
+ * @property {Function} createEscrow (userId, amount, walletId, { escrowAddress, tokenAddress, confirm }) => Promise<string>: move
+ *   funds from a user's wallet into escrow and return the transaction hash
+ * @property {Function} releaseEscrow (escrowId, toId, amount, walletId, { bountyId, idempotencyKey, escrowAddress, tokenAddress, confirm })
+ *   => Promise<{ success, transaction }>: pay funds out of escrow to a hunter's wallet (an escrow
+ *   contract only pays its beneficiary, so it is never pointed at the wallet here)
+ * @property {Function} refundEscrow (escrowId, toId, amount, walletId, { bountyId, idempotencyKey, escrowAddress, tokenAddress })
+ *   => Promise<{ success, transaction }>: return funds from escrow to a funder's wallet (an escrow
+ *   contract only refunds the wallet the funds came from)
+ * @property {Function} getBalance (address, tokenAddress) => Promise<bigint>: balance of an address in the
+ *   native coin, or in the token when tokenAddress is given
+ * @property {Function} getTransaction (txHash) => Promise<Object|null>: { txHash, from, to, token, amount,
+ *   status, blockNumber } of a transfer (token is the token's address, null for the native coin;
+ *   to is the recipient of a token transfer), or null if it is unknown
+ * @property {Function} getEscrowAddress () => string: address of the shared escrow account
+ */
+
+// Adapters are loaded on first use so the Radius SDK is not needed when running on the ledger
+const PAYMENT_PROVIDERS = {
+  radius: () => require('../config/radius'),
+  ledger: () => require('../config/ledger')
+};
+
+const PROVIDER_METHODS = [
+  'createEscrowContract',
+  'setEscrowBeneficiary',
+  'createEscrow',
+  'releaseEscrow',
+  'refundEscrow',
+  'getBalance',
+  'getTransaction',
+  'getEscrowAddress'
+];
+
+let provider = null;
+
+/**
+ * Name of the configured payment provider
+ * @returns {string} Key of PAYMENT_PROVIDERS
+ */
+function getPaymentProviderName() {
+  return (process.env.PAYMENT_PROVIDER || 'radius').toLowerCase();
+}
+
+/**
+ * Load the configured payment provider
+ * @returns {PaymentProvider} Provider
+ */
+function getPaymentProvider() {
+  if (provider) {
+    return provider;
+  }
+
+  const name = getPaymentProviderName();
+  const load = PAYMENT_PROVIDERS[name];
+  if (!load) {
+    throw new Error(`Unknown PAYMENT_PROVIDER "${name}", expected one of: ${Object.keys(PAYMENT_PROVIDERS).join(', ')}`);
+  }
+
+  const candidate = load();
+  const missing = PROVIDER_METHODS.filter(method => typeof candidate[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Payment provider "${name}" does not implement ${missing.join(', ')}`);
+  }
+
+  console.log(`Using the ${name} payment provider`);
+  provider = candidate;
+  return provider;
+}
+
+module.exports = {
+  getPaymentProviderName,
+  getPaymentProvider,
+  // Shortcuts to the configured provider
+  ...Object.fromEntries(PROVIDER_METHODS.map(method => [method, (...args) => getPaymentProvider()[method](...args)]))
+};
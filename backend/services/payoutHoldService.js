@@ -0,0 +1,243 @@
+const prisma = require('../config/database');
+const { getBountyById } = require('../models/bountyModel');
+const { createBountyEvent } = require('../models/bountyEventModel');
+const { NOTIFICATION_TYPE } = require('../models/notificationModel');
+const { JOB_STATUS, JOB_TYPE, createJob, getActiveJob, cancelJob } = require('../models/scheduledJobModel');
+const { BOUNTY_STATUS, ACTOR_TYPE } = require('./bountyStateMachine');
+const { BountyActionError } = require('./bountyService');
+const { notifyUsers } = require('./notificationService');
+const { registerJobHandler, runJobNow } = require('./jobWorker');
+const escrowService = require('./escrowService');
+
+// Hold for repositories that did not set their own (0 pays out immediately)
+const DEFAULT_PAYOUT_HOLD_HOURS = parseInt(process.env.PAYOUT_HOLD_HOURS, 10) || 0;
+
+// Longest hold a repository can set (30 days)
+const MAX_PAYOUT_HOLD_HOURS = 30 * 24;
+
+// A held payout of a disputed bounty is looked at again this often until the dispute is resolved
+const DISPUTED_RETRY_MS = 60 * 60 * 1000;
+
+/**
+ * How long webhook-triggered payouts of a repository are held for review
+ * @param {string} repoOwner Repository owner
+ * @param {string} repoName Repository name
+ * @returns {Promise<number>} Hold in hours (0 pays out immediately)
+ */
+async function getPayoutHoldHours(repoOwner, repoName) {
+  const webhook = await prisma.repositoryWebhook.findUnique({
+    where: { repoOwner_repoName: { repoOwner, repoName } },
+    select: { payoutHoldHours: true }
+  });
+  return webhook?.payoutHoldHours ?? DEFAULT_PAYOUT_HOLD_HOURS;
+}
+
+/**
+ * Set how long webhook-triggered payouts of a repository are held. Only the user who
+ * connected the repository's webhook may change it.
+ * @param {string} repoOwner Repository owner
+ * @param {string} repoName Repository name
+ * @param {number} userId User changing the setting
+ * @param {number|null} hours Hold in hours, or null for the platform default
+ * @returns {Promise<Object>} Updated repository webhook
+ */
+async function setPayoutHoldHours(repoOwner, repoName, userId, hours) {
+  const webhook = await prisma.repositoryWebhook.findUnique({
+    where: { repoOwner_repoName: { repoOwner, repoName } }
+  });
+  if (!webhook || webhook.userId !== userId) {
+    throw new BountyActionError('Webhook not found for this repository', 404);
+  }
+
+  const value = hours === null || hours === undefined || hours === '' ? null : Number(hours);
+  if (value !== null && (!Number.isInteger(value) || value < 0 || value > MAX_PAYOUT_HOLD_HOURS)) {
+    throw new BountyActionError(`Payout hold must be a whole number of hours between 0 and ${MAX_PAYOUT_HOLD_HOURS}`);
+  }
+
+  return prisma.repositoryWebhook.update({
+    where: { id: webhook.id },
+    data: { payoutHoldHours: value }
+  });
+}
+
+/**
+ * Hold a webhook-triggered payout for the repository's review window instead of sending it
+ * now. The bounty stays CLAIMED with its escrow untouched until the window ends; reopening
+ * the issue cancels the payout and the owner can approve it early. Scheduling the same
+ * payout again (e.g. a redelivered webhook) returns the job already scheduled.
+ * @param {Object} bounty Claimed bounty
+ * @param {Object} release What to release once the window ends
+ * @param {string} release.trigger What triggered the payout, for the bounty history (e.g. "Issue #4 closed on GitHub")
+ * @param {Object} [release.payee] Pay this user ({ userId, walletId }) instead of the current claimer
+ * @returns {Promise<Object|null>} { job, duplicate }, or null if the repository has no hold
+ */
+async function scheduleRelease(bounty, { trigger, payee = null }) {
+  const holdHours = await getPayoutHoldHours(bounty.repoOwner, bounty.repoName);
+  if (holdHours <= 0) {
+    return null;
+  }
+
+  const existing = await getActiveJob(bounty.id, JOB_TYPE.BOUNTY_RELEASE);
+  if (existing) {
+    console.log(`Payout of bounty ${bounty.id} is already scheduled for ${existing.runAt.toISOString()}`);
+    return { job: existing, duplicate: true };
+  }
+
+  const runAt = new Date(Date.now() + holdHours * 60 * 60 * 1000);
+  const job = await createJob({
+    type: JOB_TYPE.BOUNTY_RELEASE,
+    bountyId: bounty.id,
+    payload: { trigger, payee },
+    runAt
+  });
+  await createBountyEvent({
+    bountyId: bounty.id,
+    fromStatus: BOUNTY_STATUS.CLAIMED,
+    toStatus: BOUNTY_STATUS.CLAIMED,
+    actorType: ACTOR_TYPE.WEBHOOK,
+    note: `${trigger}; payout held for ${holdHours}h until ${runAt.toISOString()}`
+  });
+  console.log(`Payout of bounty ${bounty.id} scheduled for ${runAt.toISOString()} (job ${job.id})`);
+
+  const issue = `${bounty.repoOwner}/${bounty.repoName}#${bounty.issueNumber}`;
+  await notifyUsers([bounty.createdBy], {
+    type: NOTIFICATION_TYPE.PAYOUT_SCHEDULED,
+    bountyId: bounty.id,
+    message: `The bounty for ${issue} will be paid out on ${runAt.toUTCString()}. Reopen the issue to stop the payout, or approve it early on the review page.`
+  });
+  await notifyUsers([payee ? payee.userId : bounty.claimedBy], {
+    type: NOTIFICATION_TYPE.PAYOUT_SCHEDULED,
+    bountyId: bounty.id,
+    message: `Your payout for ${issue} is scheduled for ${runAt.toUTCString()}, after the repository's ${holdHours}h review window.`
+  });
+
+  return { job, duplicate: false };
+}
+
+/**
+ * Cancel the held payout of a bounty because its issue was reopened during the review window
+ * @param {Object} bounty Bounty
+ * @param {string} reason Description recorded in the bounty history
+ * @returns {Promise<boolean>} True if a held payout was cancelled
+ */
+async function cancelScheduledRelease(bounty, reason) {
+  const job = await getActiveJob(bounty.id, JOB_TYPE.BOUNTY_RELEASE);
+  if (!job) {
+    return false;
+  }
+  if (!await cancelJob(job.id, reason)) {
+    // The window ended and the payout is being sent right now
+    console.log(`Held payout of bounty ${bounty.id} is already running, it can no longer be cancelled`);
+    return false;
+  }
+
+  await createBountyEvent({
+    bountyId: bounty.id,
+    fromStatus: bounty.status,
+    toStatus: bounty.status,
+    actorType: ACTOR_TYPE.WEBHOOK,
+    note: `Held payout cancelled: ${reason}`
+  });
+
+  const issue = `${bounty.repoOwner}/${bounty.repoName}#${bounty.issueNumber}`;
+  await notifyUsers([bounty.createdBy, job.payload?.payee?.userId || bounty.claimedBy], {
+    type: NOTIFICATION_TYPE.PAYOUT_CANCELLED,
+    bountyId: bounty.id,
+    message: `The scheduled payout for ${issue} was cancelled: ${reason}.`
+  });
+  return true;
+}
+
+/**
+ * Send a held payout before its review window ends. Only the bounty owner may do this.
+ * @param {number} bountyId Bounty ID
+ * @param {number} userId User approving the payout
+ * @returns {Promise<Object>} { bounty, transaction, transactions, duplicate }
+ */
+async function approveScheduledRelease(bountyId, userId) {
+  const bounty = await getBountyById(parseInt(bountyId));
+  if (!bounty) {
+    throw new BountyActionError('Bounty not found', 404);
+  }
+  if (bounty.createdBy !== userId) {
+    throw new BountyActionError('Only the bounty owner can approve its payout', 403);
+  }
+
+  const job = await getActiveJob(bounty.id, JOB_TYPE.BOUNTY_RELEASE);
+  if (!job) {
+    throw new BountyActionError('No payout is scheduled for this bounty', 404);
+  }
+  if (job.status === JOB_STATUS.RUNNING) {
+    throw new BountyActionError('The payout is already being sent', 409);
+  }
+
+  const outcome = await runJobNow(job.id, { actorId: userId });
+  if (outcome.skipped) {
+    throw new BountyActionError('The payout is already being sent', 409);
+  }
+  if (outcome.error) {
+    throw new Error(outcome.error);
+  }
+  if (outcome.status !== JOB_STATUS.SUCCEEDED) {
+    throw new BountyActionError(outcome.result.reason, 409);
+  }
+  if (!outcome.result.released) {
+    throw new BountyActionError(`Nothing to pay out: ${outcome.result.reason}`, 409);
+  }
+
+  return {
+    bounty: await getBountyById(bounty.id),
+    transaction: outcome.result.transaction,
+    transactions: outcome.result.transactions,
+    duplicate: outcome.result.duplicate
+  };
+}
+
+/**
+ * Job handler: release a held payout once its review window ended (or the owner approved
+ * it early). A disputed bounty waits for the ruling; a bounty that was paid, cancelled or
+ * unclaimed in the meantime has nothing left to release.
+ * @param {Object} job BOUNTY_RELEASE job
+ * @param {Object} context { actorId } of an early approval
+ * @returns {Promise<Object>} Release result
+ */
+async function releaseHeldPayout(job, context) {
+  const bounty = await getBountyById(job.bountyId);
+  if (!bounty) {
+    return { released: false, reason: 'Bounty no longer exists' };
+  }
+
+  if (bounty.status === BOUNTY_STATUS.DISPUTED) {
+    return { deferUntil: new Date(Date.now() + DISPUTED_RETRY_MS), reason: 'Bounty is disputed, waiting for the ruling' };
+  }
+  if (![BOUNTY_STATUS.CLAIMED, BOUNTY_STATUS.PAYING, BOUNTY_STATUS.PAYOUT_PENDING, BOUNTY_STATUS.COMPLETED].includes(bounty.status)) {
+    console.log(`Held payout of bounty ${bounty.id} dropped, bounty is ${bounty.status}`);
+    return { released: false, reason: `Bounty is ${bounty.status}` };
+  }
+
+  const { trigger, payee } = job.payload || {};
+  // Only a merged pull request schedules a payout to someone other than the claimer
+  const payeeChange = payee ? escrowService.PAYEE_CHANGE.PULL_REQUEST : null;
+  const releaseResult = await escrowService.releaseBounty(bounty.id, context.actorId
+    ? { actorId: context.actorId, actorType: ACTOR_TYPE.USER, note: 'Owner approved the held payout before its review window ended', payee, payeeChange }
+    : { actorType: ACTOR_TYPE.SYSTEM, note: `${trigger}, escrow released after the review window`, payee, payeeChange });
+
+  // Stored as the job's result, so only what is needed to tell what happened
+  return {
+    released: true,
+    status: releaseResult.bounty.status,
+    transaction: releaseResult.transaction,
+    transactions: releaseResult.transactions,
+    duplicate: releaseResult.duplicate
+  };
+}
+
+registerJobHandler(JOB_TYPE.BOUNTY_RELEASE, releaseHeldPayout);
+
+module.exports = {
+  getPayoutHoldHours,
+  setPayoutHoldHours,
+  scheduleRelease,
+  cancelScheduledRelease,
+  approveScheduledRelease
+};
@@ -0,0 +1,195 @@
+const axios = require('axios');
+const { getBountyByIssue } = require('../models/bountyModel');
+const { getRepositoryToken, githubHeaders } = require('./githubIssueService');
+const {
+  PULL_REQUEST_STATE,
+  upsertPullRequestLink,
+  unlinkPullRequest,
+  updatePullRequestState
+} = require('../models/bountyPullRequestModel');
+
+// GitHub's closing keywords followed by an issue reference: "#N", "owner/repo#N" or an issue URL
+const CLOSING_REFERENCE = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\s*:?\s+(?:(?:https:\/\/github\.com\/)?([\w.-]+)\/([\w.-]+)(?:#|\/issues\/)|#)(\d+)\b/gi;
+
+/**
+ * Find the issues of a repository that a text closes with a GitHub closing keyword
+ * ("Fixes #12", "closes octo-org/repo#12", "Resolves https://github.com/octo-org/repo/issues/12").
+ * References to other repositories are ignored.
+ * @param {string} text Pull request body or commit message
+ * @param {string} repoOwner Repository owner the pull request belongs to
+ * @param {string} repoName Repository name the pull request belongs to
+ * @returns {number[]} Referenced issue numbers
+ */
+function parseLinkedIssues(text, repoOwner, repoName) {
+  const issueNumbers = new Set();
+  if (!text) {
+    return [];
+  }
+
+  for (const match of text.matchAll(CLOSING_REFERENCE)) {
+    const [, owner, repo, number] = match;
+    const sameRepository = !owner
+      || (owner.toLowerCase() === repoOwner.toLowerCase() && repo.toLowerCase() === repoName.toLowerCase());
+    if (sameRepository) {
+      issueNumbers.add(parseInt(number, 10));
+    }
+  }
+  return [...issueNumbers];
+}
+
+// "Co-authored-by: Name <email>" commit trailers
+const CO_AUTHOR_TRAILER = /^[ \t]*co-authored-by:[ \t]*(.*?)[ \t]*<([^>]+)>[ \t]*$/gim;
+
+// GitHub's private commit emails ("12345+login@users.noreply.github.com" or "login@users.noreply.github.com")
+const NOREPLY_EMAIL = /^(?:\d+\+)?([a-z\d](?:[a-z\d-]*[a-z\d])?)@users\.noreply\.github\.com$/i;
+
+/**
+ * Fetch the commits of a pull request, using the token of the user who registered
+ * the repository webhook
+ * @param {string} repoOwner Repository owner
+ * @param {string} repoName Repository name
+ * @param {number} prNumber Pull request number
+ * @returns {Promise<Object[]>} Commits as returned by the GitHub API
+ */
+async function fetchPullRequestCommits(repoOwner, repoName, prNumber) {
+  const token = await getRepositoryToken(repoOwner, repoName);
+  const response = await axios.get(
+    `https://api.github.com/repos/${repoOwner}/${repoName}/pulls/${prNumber}/commits`,
+    {
+      headers: githubHeaders(token),
+      params: { per_page: 100 }
+    }
+  );
+  return response.data;
+}
+
+/**
+ * Fetch the commit messages of a pull request. Returns an empty list if they cannot be fetched.
+ * @param {string} repoOwner Repository owner
+ * @param {string} repoName Repository name
+ * @param {number} prNumber Pull request number
+ * @returns {Promise<string[]>} Commit messages
+ */
+async function fetchPullRequestCommitMessages(repoOwner, repoName, prNumber) {
+  try {
+    const commits = await fetchPullRequestCommits(repoOwner, repoName, prNumber);
+    return commits.map(commit => commit.commit.message);
+  } catch (error) {
+    console.error(`Error fetching commits of ${repoOwner}/${repoName}#${prNumber}:`, error.response?.status, error.message);
+    return [];
+  }
+}
+
+/**
+ * Find the co-authors named in a commit message's "Co-authored-by" trailers
+ * @param {string} message Commit message
+ * @returns {Object[]} { name, email } per co-author
+ */
+function parseCoAuthors(message) {
+  return [...(message || '').matchAll(CO_AUTHOR_TRAILER)].map(([, name, email]) => ({ name, email: email.trim() }));
+}
+
+/**
+ * Work out the GitHub users who wrote a pull request: its author, the authors of its
+ * commits and their "Co-authored-by" co-authors. A co-author is matched to a GitHub
+ * login through a GitHub noreply email, or through the email of another commit's author.
+ * @param {string} repoOwner Repository owner
+ * @param {string} repoName Repository name
+ * @param {number} prNumber Pull request number
+ * @param {string} authorLogin Login of the pull request's author
+ * @returns {Promise<Object>} { logins, unresolved } (unresolved: co-author emails with no known login)
+ */
+async function getPullRequestContributors(repoOwner, repoName, prNumber, authorLogin) {
+  const commits = await fetchPullRequestCommits(repoOwner, repoName, prNumber);
+
+  const loginsByEmail = new Map();
+  const logins = new Map([[authorLogin.toLowerCase(), authorLogin]]);
+  for (const commit of commits) {
+    if (commit.author?.login && commit.author.type !== 'Bot') {
+      logins.set(commit.author.login.toLowerCase(), commit.author.login);
+      loginsByEmail.set(commit.commit.author.email.toLowerCase(), commit.author.login);
+    }
+  }
+
+  const unresolved = new Set();
+  for (const commit of commits) {
+    for (const { email } of parseCoAuthors(commit.commit.message)) {
+      if (/\[bot\]@/i.test(email)) {
+        continue;
+      }
+      const login = email.match(NOREPLY_EMAIL)?.[1] || loginsByEmail.get(email.toLowerCase());
+      if (login) {
+        logins.set(login.toLowerCase(), login);
+      } else {
+        unresolved.add(email);
+      }
+    }
+  }
+
+  return { logins: [...logins.values()], unresolved: [...unresolved] };
+}
+
+/**
+ * Link a pull request to the bounties of the issues it closes, based on its body and
+ * commit messages. Links to bounties the pull request no longer references are removed.
+ * @param {Object} pullRequest `pull_request` object of a GitHub webhook payload
+ * @param {Object} repository `repository` object of a GitHub webhook payload
+ * @returns {Promise<Object[]>} Bounties linked to the pull request
+ */
+async function linkPullRequest(pullRequest, repository) {
+  const repoOwner = repository.owner.login;
+  const repoName = repository.name;
+  const prNumber = pullRequest.number;
+
+  const commitMessages = await fetchPullRequestCommitMessages(repoOwner, repoName, prNumber);
+  const issueNumbers = new Set(
+    [pullRequest.body, ...commitMessages].flatMap(text => parseLinkedIssues(text, repoOwner, repoName))
+  );
+  console.log(`Pull request ${repoOwner}/${repoName}#${prNumber} references issues: ${[...issueNumbers].join(', ') || 'none'}`);
+
+  const state = pullRequest.merged
+    ? PULL_REQUEST_STATE.MERGED
+    : pullRequest.state === 'closed' ? PULL_REQUEST_STATE.CLOSED : PULL_REQUEST_STATE.OPEN;
+
+  const bounties = [];
+  for (const issueNumber of issueNumbers) {
+    const bounty = await getBountyByIssue(repoOwner, repoName, issueNumber);
+    if (!bounty) {
+      continue;
+    }
+
+    await upsertPullRequestLink({
+      bountyId: bounty.id,
+      repoOwner,
+      repoName,
+      prNumber,
+      title: pullRequest.title,
+      url: pullRequest.html_url,
+      authorGithubId: pullRequest.user.id.toString(),
+      authorLogin: pullRequest.user.login,
+      state,
+      mergedAt: pullRequest.merged_at ? new Date(pullRequest.merged_at) : null
+    });
+    bounties.push(bounty);
+  }
+
+  await unlinkPullRequest(repoOwner, repoName, prNumber, bounties.map(bounty => bounty.id));
+  return bounties;
+}
+
+/**
+ * Record that a pull request was closed without being merged
+ * @param {Object} pullRequest `pull_request` object of a GitHub webhook payload
+ * @param {Object} repository `repository` object of a GitHub webhook payload
+ */
+async function closePullRequest(pullRequest, repository) {
+  await updatePullRequestState(repository.owner.login, repository.name, pullRequest.number, PULL_REQUEST_STATE.CLOSED);
+}
+
+module.exports = {
+  parseLinkedIssues,
+  parseCoAuthors,
+  getPullRequestContributors,
+  linkPullRequest,
+  closePullRequest
+};
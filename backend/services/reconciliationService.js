@@ -0,0 +1,336 @@
+const payments = require('./paymentProvider');
+const { getBountiesHoldingEscrow } = require('../models/bountyModel');
+const { TRANSACTION_STATUS } = require('../models/bountyTransactionModel');
+const { CONTRIBUTION_STATUS } = require('../models/bountyContributionModel');
+const { BOUNTY_STATUS } = require('./bountyStateMachine');
+const {
+  createReconciliation,
+  getReconciliationById,
+  getRecentReconciliations
+} = require('../models/escrowReconciliationModel');
+const { getAdminUsers } = require('../models/userModel');
+const { NOTIFICATION_TYPE } = require('../models/notificationModel');
+const { notifyUsers } = require('./notificationService');
+const { registerJob } = require('./scheduler');
+const { NATIVE_TOKEN } = require('../config/tokens');
+const { toBaseUnits, formatAmount, formatBountyAmount, sumAmounts, allocate } = require('../../shared/money');
+
+// How often escrow is reconciled in the background
+const RECONCILIATION_INTERVAL_MS = parseInt(process.env.RECONCILIATION_INTERVAL_MS, 10) || 6 * 60 * 60 * 1000;
+
+// Problems a bounty can be flagged with
+const RECONCILIATION_FLAG = {
+  MISSING_DEPOSIT: 'MISSING_DEPOSIT', // the funding transaction is not on chain
+  FAILED_DEPOSIT: 'FAILED_DEPOSIT', // the funding transaction reverted
+  PENDING_DEPOSIT: 'PENDING_DEPOSIT', // the funding transaction is not mined yet
+  AMOUNT_MISMATCH: 'AMOUNT_MISMATCH', // the funding transaction moved a different amount than recorded
+  WRONG_RECIPIENT: 'WRONG_RECIPIENT', // the funding transaction went somewhere other than the bounty's escrow
+  WRONG_TOKEN: 'WRONG_TOKEN', // the funding transaction moved another token than the bounty is paid in
+  LOOKUP_FAILED: 'LOOKUP_FAILED', // the funding transaction could not be looked up
+  UNDERFUNDED: 'UNDERFUNDED' // the bounty's escrow contract holds less than the bounty owes
+};
+
+/**
+ * What a bounty still owes its hunter or funders: its unreleased amount, less the share of
+ * contributions that were already refunded (nothing once its payout was sent)
+ * @param {Object} bounty Bounty with its contributions
+ * @returns {bigint} Liability in base units
+ */
+function bountyLiability(bounty) {
+  // The payout was sent; if it fails the confirmation watcher hands the bounty back and it owes again
+  if (bounty.status === BOUNTY_STATUS.PAYOUT_PENDING) {
+    return 0n;
+  }
+  const unreleased = toBaseUnits(bounty.amount) - toBaseUnits(bounty.releasedAmount || 0);
+  if (unreleased <= 0n) {
+    return 0n;
+  }
+  if (sumAmounts(bounty.contributions.map(contribution => contribution.amount)) <= 0n) {
+    return unreleased;
+  }
+
+  // Contributions are refunded the shares escrowService.refundBounty allocates them
+  const shares = allocate(unreleased, bounty.contributions.map(contribution => contribution.amount));
+  return bounty.contributions.reduce((sum, contribution, index) => (
+    contribution.status === CONTRIBUTION_STATUS.REFUNDED ? sum : sum + shares[index]
+  ), 0n);
+}
+
+/**
+ * Cross-check one funding transaction against the chain
+ * @param {Object} deposit { txHash, userId, amount } as recorded
+ * @param {Object} bounty Bounty the deposit funded
+ * @param {string} escrowAddress Address the funds should have gone to
+ * @returns {Promise<Object>} Deposit line of the report, with its flags
+ */
+async function checkDeposit(deposit, bounty, escrowAddress) {
+  const expected = toBaseUnits(deposit.amount);
+  const line = { txHash: deposit.txHash, userId: deposit.userId, expected: expected.toString(), onChain: null, status: null, flags: [] };
+  const flag = (code, message) => line.flags.push({ code, txHash: deposit.txHash, message });
+
+  let tx;
+  try {
+    tx = await payments.getTransaction(deposit.txHash);
+  } catch (error) {
+    flag(RECONCILIATION_FLAG.LOOKUP_FAILED, `Could not look up ${deposit.txHash}: ${error.message}`);
+    return line;
+  }
+
+  if (!tx) {
+    flag(RECONCILIATION_FLAG.MISSING_DEPOSIT, `Funding transaction ${deposit.txHash} was not found on chain`);
+    return line;
+  }
+  line.onChain = tx.amount.toString();
+  line.status = tx.status;
+
+  if (tx.status === TRANSACTION_STATUS.FAILED) {
+    flag(RECONCILIATION_FLAG.FAILED_DEPOSIT, `Funding transaction ${deposit.txHash} failed on chain`);
+  } else if (tx.status === TRANSACTION_STATUS.PENDING) {
+    flag(RECONCILIATION_FLAG.PENDING_DEPOSIT, `Funding transaction ${deposit.txHash} is not confirmed yet`);
+  }
+  if (!tx.to || !escrowAddress || tx.to.toLowerCase() !== escrowAddress.toLowerCase()) {
+    flag(RECONCILIATION_FLAG.WRONG_RECIPIENT, `Funding transaction ${deposit.txHash} was sent to ${tx.to}, not to escrow ${escrowAddress}`);
+  }
+  if ((tx.token || '').toLowerCase() !== (bounty.tokenAddress || '').toLowerCase()) {
+    flag(RECONCILIATION_FLAG.WRONG_TOKEN, `Funding transaction ${deposit.txHash} moved ${tx.token ? `token ${tx.token}` : 'the native coin'}, the bounty is paid in ${bounty.currency}`);
+  }
+  if (tx.amount !== expected) {
+    flag(RECONCILIATION_FLAG.AMOUNT_MISMATCH, `Funding transaction ${deposit.txHash} moved ${formatBountyAmount(tx.amount, bounty)}, ${formatBountyAmount(expected, bounty)} was recorded`);
+  }
+  return line;
+}
+
+/**
+ * Reconcile one bounty: check each of its funding transactions and, for a bounty with its
+ * own escrow contract, that the contract still holds what the bounty owes
+ * @param {Object} bounty Bounty with its contributions
+ * @param {string} sharedEscrowAddress Address of the shared escrow account
+ * @returns {Promise<Object>} Bounty line of the report
+ */
+async function reconcileBounty(bounty, sharedEscrowAddress) {
+  const escrowAddress = bounty.escrowAddress || sharedEscrowAddress;
+  const liability = bountyLiability(bounty);
+
+  // Bounties from before contributions were recorded only have their funding transaction
+  const deposits = bounty.contributions.length > 0
+    ? bounty.contributions
+    : [{ txHash: bounty.escrowId, userId: bounty.createdBy, amount: bounty.amount }];
+
+  const lines = [];
+  for (const deposit of deposits) {
+    lines.push(await checkDeposit(deposit, bounty, escrowAddress));
+  }
+  const flags = lines.flatMap(line => line.flags);
+
+  let balance = null;
+  if (bounty.escrowAddress) {
+    balance = await payments.getBalance(bounty.escrowAddress, bounty.tokenAddress);
+    if (balance < liability) {
+      flags.push({
+        code: RECONCILIATION_FLAG.UNDERFUNDED,
+        message: `Escrow contract ${bounty.escrowAddress} holds ${formatBountyAmount(balance, bounty)}, the bounty owes ${formatBountyAmount(liability, bounty)}`
+      });
+    }
+  }
+
+  return {
+    bountyId: bounty.id,
+    issue: `${bounty.repoOwner}/${bounty.repoName}#${bounty.issueNumber}`,
+    status: bounty.status,
+    escrowAddress: bounty.escrowAddress,
+    currency: bounty.currency,
+    tokenAddress: bounty.tokenAddress || null,
+    tokenDecimals: bounty.tokenDecimals,
+    liability: liability.toString(),
+    balance: balance === null ? null : balance.toString(),
+    deposits: lines,
+    flags
+  };
+}
+
+/**
+ * Add up what the bounties in each token owe and what escrow holds of that token. Amounts in
+ * different tokens do not add up, so there is one total per token, the native coin first
+ * (which is also what the shared escrow account holds).
+ * @param {Object[]} lines Bounty lines of the report
+ * @param {bigint} sharedBalance Balance of the shared escrow account
+ * @returns {Object[]} { currency, tokenAddress, tokenDecimals, bounties, liabilities, escrowBalance } per token
+ */
+function tokenTotals(lines, sharedBalance) {
+  const totals = new Map([[null, {
+    currency: NATIVE_TOKEN.symbol,
+    tokenAddress: null,
+    tokenDecimals: NATIVE_TOKEN.decimals,
+    bounties: 0,
+    liabilities: 0n,
+    escrowBalance: sharedBalance
+  }]]);
+  for (const line of lines) {
+    const key = line.tokenAddress ? line.tokenAddress.toLowerCase() : null;
+    if (!totals.has(key)) {
+      totals.set(key, { currency: line.currency, tokenAddress: key, tokenDecimals: line.tokenDecimals, bounties: 0, liabilities: 0n, escrowBalance: 0n });
+    }
+    const total = totals.get(key);
+    total.bounties++;
+    total.liabilities += BigInt(line.liability);
+    total.escrowBalance += BigInt(line.balance || 0);
+  }
+  return [...totals.values()].map(total => ({
+    ...total,
+    liabilities: total.liabilities.toString(),
+    escrowBalance: total.escrowBalance.toString()
+  }));
+}
+
+/**
+ * Reconcile escrow against the bounties it is held for. Sums what every unfinished bounty
+ * still owes, compares it with the on-chain balance of the shared escrow account (for
+ * bounties funded into it) and of each bounty's escrow contract, and cross-checks every
+ * funding transaction hash against its on-chain transaction. Totals are kept per token; the
+ * stored liabilities and escrow balance are those of the native coin. The report is stored,
+ * and platform admins are notified when it finds new problems.
+ * @returns {Promise<Object>} Stored EscrowReconciliation record, with its report
+ */
+async function runReconciliation() {
+  const bounties = await getBountiesHoldingEscrow();
+  const sharedEscrowAddress = payments.getEscrowAddress();
+  console.log(`Reconciling escrow of ${bounties.length} unfinished bounties`);
+
+  const lines = [];
+  for (const bounty of bounties) {
+    lines.push(await reconcileBounty(bounty, sharedEscrowAddress));
+  }
+
+  // Only bounties from before escrow contracts use the shared account, and they are all in the native coin
+  const shared = lines.filter(line => !line.escrowAddress);
+  const sharedLiabilities = shared.reduce((sum, line) => sum + BigInt(line.liability), 0n);
+  const sharedBalance = sharedEscrowAddress ? await payments.getBalance(sharedEscrowAddress) : 0n;
+
+  const contracts = lines.filter(line => line.escrowAddress);
+  const underfunded = contracts.filter(line => line.flags.some(flag => flag.code === RECONCILIATION_FLAG.UNDERFUNDED));
+
+  const flagged = lines.filter(line => line.flags.length > 0);
+  const tokens = tokenTotals(lines, sharedBalance);
+  const liabilities = BigInt(tokens[0].liabilities);
+  const escrowBalance = BigInt(tokens[0].escrowBalance);
+  // A surplus in one contract cannot cover another bounty, so every contract must cover its own bounty
+  const solvent = sharedBalance >= sharedLiabilities && underfunded.length === 0;
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    provider: payments.getPaymentProviderName(),
+    summary: {
+      bounties: lines.length,
+      flaggedBounties: flagged.length,
+      flaggedBountyIds: flagged.map(line => line.bountyId),
+      liabilities: liabilities.toString(),
+      escrowBalance: escrowBalance.toString(),
+      tokens,
+      solvent
+    },
+    sharedAccount: {
+      address: sharedEscrowAddress || null,
+      bounties: shared.length,
+      liabilities: sharedLiabilities.toString(),
+      balance: sharedBalance.toString(),
+      surplus: (sharedBalance - sharedLiabilities).toString()
+    },
+    contracts: {
+      bounties: contracts.length,
+      underfunded: underfunded.length
+    },
+    bounties: lines
+  };
+
+  const [latest] = await getRecentReconciliations(1);
+  const previous = latest ? await getReconciliationById(latest.id) : null;
+  const reconciliation = await createReconciliation({
+    solvent,
+    liabilities,
+    escrowBalance,
+    flaggedBounties: flagged.length,
+    report
+  });
+  console.log(`Escrow reconciliation ${reconciliation.id}: ${solvent ? 'solvent' : 'NOT solvent'}, ` +
+    tokens.map(total => `${total.currency} liabilities ${formatAmount(total.liabilities, total.tokenDecimals)}, balance ${formatAmount(total.escrowBalance, total.tokenDecimals)}`).join('; ') +
+    `, ${flagged.length} bounties flagged`);
+
+  await alertAdmins(reconciliation, previous);
+  return reconciliation;
+}
+
+/**
+ * Tell the platform admins about a reconciliation that found problems, unless the previous
+ * run already reported the same ones
+ * @param {Object} reconciliation Stored reconciliation
+ * @param {Object|null} previous The run before it
+ */
+async function alertAdmins(reconciliation, previous) {
+  const { summary, sharedAccount } = reconciliation.report;
+  if (summary.solvent && summary.flaggedBounties === 0) {
+    return;
+  }
+  const previousSummary = previous?.report?.summary;
+  if (previousSummary && previousSummary.solvent === summary.solvent &&
+      previousSummary.flaggedBountyIds.join(',') === summary.flaggedBountyIds.join(',')) {
+    console.log(`Escrow reconciliation ${reconciliation.id} found the same problems as run ${previous.id}, not alerting again`);
+    return;
+  }
+
+  const problems = [];
+  if (BigInt(sharedAccount.surplus) < 0n) {
+    problems.push(`the shared escrow account is short by ${formatAmount(-BigInt(sharedAccount.surplus))}`);
+  }
+  if (summary.flaggedBounties > 0) {
+    problems.push(`${summary.flaggedBounties} bounties have missing, mismatched or underfunded deposits`);
+  }
+
+  const admins = await getAdminUsers();
+  await notifyUsers(admins.map(admin => admin.id), {
+    type: NOTIFICATION_TYPE.RECONCILIATION_ALERT,
+    message: `Escrow reconciliation #${reconciliation.id}: ${problems.join('; ')}. Download the report from the admin page.`
+  });
+}
+
+// Quote a CSV field
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a reconciliation report as CSV, one row per bounty (amounts in base units of its token)
+ * @param {Object} report Reconciliation report
+ * @returns {string} CSV document
+ */
+function renderReconciliationCsv(report) {
+  const header = ['bountyId', 'issue', 'status', 'escrow', 'token', 'liability', 'contractBalance', 'deposits', 'flags', 'details'];
+  const rows = report.bounties.map(line => [
+    line.bountyId,
+    line.issue,
+    line.status,
+    line.escrowAddress || 'shared',
+    line.currency || NATIVE_TOKEN.symbol,
+    line.liability,
+    line.balance,
+    line.deposits.map(deposit => deposit.txHash).join(' '),
+    line.flags.map(flag => flag.code).join(' '),
+    line.flags.map(flag => flag.message).join('; ')
+  ]);
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Register the escrow reconciliation with the background scheduler
+ */
+function registerReconciliationJob() {
+  registerJob('escrow-reconciliation', RECONCILIATION_INTERVAL_MS, runReconciliation);
+}
+
+module.exports = {
+  RECONCILIATION_FLAG,
+  bountyLiability,
+  runReconciliation,
+  renderReconciliationCsv,
+  registerReconciliationJob
+};
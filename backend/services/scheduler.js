@@ -0,0 +1,68 @@
+// Background jobs run on a fixed interval inside the API process
+const jobs = [];
+let started = false;
+
+/**
+ * Register a job to run periodically once the scheduler is started
+ * @param {string} name Job name used in logs
+ * @param {number} intervalMs Time between runs in milliseconds
+ * @param {Function} run Async function doing the work
+ */
+function registerJob(name, intervalMs, run) {
+  jobs.push({ name, intervalMs, run, running: false, timer: null });
+}
+
+/**
+ * Run a job unless its previous run is still in progress
+ * @param {Object} job Registered job
+ */
+async function runJob(job) {
+  if (job.running) {
+    console.log(`Scheduler: ${job.name} is still running, skipping this run`);
+    return;
+  }
+
+  job.running = true;
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`Scheduler: ${job.name} failed:`, error);
+  } finally {
+    job.running = false;
+  }
+}
+
+/**
+ * Start running all registered jobs
+ */
+function startScheduler() {
+  if (started) {
+    return;
+  }
+  started = true;
+
+  jobs.forEach(job => {
+    console.log(`Scheduler: running ${job.name} every ${Math.round(job.intervalMs / 1000)}s`);
+    job.timer = setInterval(() => runJob(job), job.intervalMs);
+    // Do not keep the process alive just for background jobs
+    job.timer.unref();
+  });
+}
+
+/**
+ * Stop all running jobs
+ */
+function stopScheduler() {
+  jobs.forEach(job => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+  started = false;
+}
+
+module.exports = {
+  registerJob,
+  runJob,
+  startScheduler,
+  stopScheduler
+};
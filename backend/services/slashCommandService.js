@@ -0,0 +1,227 @@
+const { getBountyByIssue } = require('../models/bountyModel');
+const { getUserByGithubId, getUserById } = require('../models/userModel');
+const { getDefaultWallet } = require('../models/walletModel');
+const { TERMINAL_STATUSES, InvalidTransitionError } = require('./bountyStateMachine');
+const bountyService = require('./bountyService');
+const { formatBountyAmount } = require('../../shared/money');
+const { BountyActionError } = bountyService;
+const { postIssueComment } = require('./githubIssueService');
+
+// A command must start a line of the comment, e.g. "/bounty 0.5"
+const COMMAND_PATTERN = /^[ \t]*\/(bounty|claim|unclaim|release|cancel)\b[ \t]*(.*)$/im;
+
+const NOTE = 'via GitHub comment';
+
+/**
+ * Find the first slash command in a comment
+ * @param {string} body Comment text
+ * @returns {Object|null} { name, args } or null if the comment has no command
+ */
+function parseCommand(body) {
+  const match = (body || '').match(COMMAND_PATTERN);
+  if (!match) {
+    return null;
+  }
+  return {
+    name: match[1].toLowerCase(),
+    args: match[2].trim().split(/\s+/).filter(Boolean)
+  };
+}
+
+/**
+ * Get the bounty of the issue a command was posted on
+ * @param {Object} context Command context
+ * @returns {Promise<Object>} Bounty
+ */
+async function findIssueBounty({ repoOwner, repoName, issue }) {
+  const bounty = await getBountyByIssue(repoOwner, repoName, issue.number);
+  if (!bounty) {
+    throw new BountyActionError('There is no bounty on this issue', 404);
+  }
+  return bounty;
+}
+
+/**
+ * Get the default wallet of the commenter
+ * @param {Object} context Command context
+ * @returns {Promise<Object>} Wallet
+ */
+async function requireWallet({ user }) {
+  const wallet = await getDefaultWallet(user.id);
+  if (!wallet) {
+    throw new BountyActionError('You need to create a wallet in GitPaid first');
+  }
+  return wallet;
+}
+
+/**
+ * Read the payout split of a `/release` command: nothing (pay the claimer), `coauthors`,
+ * or pairs of a user and their share, e.g. `@alice 60% @bob 40%` or `@alice 0.3 @bob 0.2`
+ * @param {string[]} args Command arguments
+ * @returns {Object[]|string|null} Split for bountyService.completeBounty
+ */
+function parseSplit(args) {
+  if (args.length === 0) {
+    return null;
+  }
+  if (args.length === 1 && args[0].toLowerCase() === 'coauthors') {
+    return 'coauthors';
+  }
+  if (args.length % 2 !== 0) {
+    throw new BountyActionError('Usage: `/release`, `/release coauthors` or `/release @user 60% @other 40%`');
+  }
+
+  const split = [];
+  for (let i = 0; i < args.length; i += 2) {
+    const [github, share] = [args[i], args[i + 1]];
+    split.push(share.endsWith('%') ? { github, percent: share.slice(0, -1) } : { github, amount: share });
+  }
+  return split;
+}
+
+// Command handlers. Each receives the command context and arguments and returns the reply text.
+const COMMANDS = {
+  // /bounty <amount> [token]: fund a bounty on this issue from the commenter's default wallet,
+  // in the native coin or a supported token, or add to the issue's bounty if it already has one
+  async bounty(context, args) {
+    // A decimal, e.g. 0.5, optionally followed by a token symbol (the token's decimals are checked when funding)
+    if (!/^(\d+(\.\d*)?|\.\d+)$/.test(args[0] || '') || args.length > 2) {
+      throw new BountyActionError('Usage: `/bounty <amount> [token]`, e.g. `/bounty 0.5` or `/bounty 100 USDC`');
+    }
+
+    const existing = await getBountyByIssue(context.repoOwner, context.repoName, context.issue.number);
+    const wallet = await requireWallet(context);
+    if (existing && !TERMINAL_STATUSES.includes(existing.status)) {
+      if (args[1] && args[1].toUpperCase() !== existing.currency) {
+        throw new BountyActionError(`Bounty #${existing.id} is paid in ${existing.currency}; add to it with \`/bounty ${args[0]}\``);
+      }
+      const { bounty, contribution } = await bountyService.contributeToBounty(existing.id, context.user.id, args[0], wallet.id);
+      return `💰 You added ${formatBountyAmount(contribution.amount, bounty)} to bounty #${bounty.id}, which is now worth ${formatBountyAmount(bounty.amount, bounty)}.`;
+    }
+
+    const bounty = await bountyService.createBounty({
+      userId: context.user.id,
+      repoOwner: context.repoOwner,
+      repoName: context.repoName,
+      issueNumber: context.issue.number,
+      amount: args[0],
+      currency: args[1],
+      walletId: wallet.id
+    });
+    return `💰 Bounty #${bounty.id} of ${formatBountyAmount(bounty.amount, bounty)} was sent to escrow. Once the funding transaction is confirmed, comment \`/claim\` to work on it.`;
+  },
+
+  // /claim: claim this issue's bounty, to be paid on the commenter's default wallet
+  async claim(context) {
+    const bounty = await findIssueBounty(context);
+    const wallet = await requireWallet(context);
+    await bountyService.claimBounty(bounty.id, context.user.id, wallet.id, { note: `Bounty claimed ${NOTE}` });
+    return `🔨 You claimed bounty #${bounty.id}. The reward will be paid to your wallet "${wallet.walletName}".`;
+  },
+
+  // /unclaim: release the claim (claimer or bounty owner)
+  async unclaim(context) {
+    const bounty = await findIssueBounty(context);
+    await bountyService.unclaimBounty(bounty.id, context.user.id, { note: `Claim released ${NOTE}` });
+    return `↩️ Bounty #${bounty.id} is open again and can be claimed with \`/claim\`.`;
+  },
+
+  // /release [coauthors | @user <percent>% | @user <amount> ...]: pay the claimer, or split the payout (bounty owner)
+  async release(context, args) {
+    const bounty = await findIssueBounty(context);
+    const result = await bountyService.completeBounty(bounty.id, context.user.id, {
+      note: `Owner released escrow ${NOTE}`
+    }, parseSplit(args));
+
+    if (result.payouts.length > 1) {
+      const shares = result.payouts.map(payout => `@${payout.user.githubUsername} (${formatBountyAmount(payout.amount, result.bounty)})`).join(', ');
+      return `✅ Bounty #${bounty.id} was split between ${shares}.`;
+    }
+    const hunter = result.bounty.claimedBy ? await getUserById(result.bounty.claimedBy) : null;
+    return `✅ Bounty #${bounty.id} was released${hunter ? ` to @${hunter.githubUsername}` : ''} (transaction \`${result.transaction}\`).`;
+  },
+
+  // /cancel: cancel the bounty and refund the escrow (bounty owner)
+  async cancel(context) {
+    const bounty = await findIssueBounty(context);
+    const result = await bountyService.cancelBounty(bounty.id, context.user.id, {
+      note: `Bounty cancelled ${NOTE} and escrow refunded`
+    });
+    return `🚫 Bounty #${bounty.id} was cancelled and the escrow refunded (transaction \`${result.transaction}\`).`;
+  }
+};
+
+/**
+ * Reply to a command on its issue. Failures are logged but do not fail the command,
+ * so a replayed delivery does not run an already successful command again.
+ * @returns {Promise<boolean>} True if the reply was posted
+ */
+async function reply(context, text) {
+  try {
+    await postIssueComment(context.repoOwner, context.repoName, context.issue.number, `@${context.commenter} ${text}`);
+    return true;
+  } catch (error) {
+    console.error(`Error replying on ${context.repoOwner}/${context.repoName}#${context.issue.number}:`, error.response?.data || error.message);
+    return false;
+  }
+}
+
+/**
+ * Handle an `issue_comment` event: run a slash command (`/bounty <amount> [token]`, `/claim`,
+ * `/unclaim`, `/release`, `/cancel`) as the commenter and reply with the result
+ * @param {Object} payload GitHub webhook payload
+ * @returns {Promise<Object>} Processing outcome
+ */
+async function handleIssueCommentEvent(payload) {
+  const { action, issue, comment, repository } = payload;
+  console.log(`Received GitHub webhook: ${action} comment on #${issue.number} in ${repository.full_name}`);
+
+  if (action !== 'created') {
+    return { processed: false, message: `Ignoring '${action}' action` };
+  }
+  if (issue.pull_request) {
+    return { processed: false, message: 'Ignoring comment on a pull request' };
+  }
+  if (comment.user.type === 'Bot') {
+    return { processed: false, message: 'Ignoring comment by a bot' };
+  }
+
+  const command = parseCommand(comment.body);
+  if (!command) {
+    return { processed: false, message: 'Comment has no command' };
+  }
+
+  const context = {
+    repoOwner: repository.owner.login,
+    repoName: repository.name,
+    issue,
+    commenter: comment.user.login,
+    user: await getUserByGithubId(comment.user.id)
+  };
+  console.log(`Running /${command.name} for ${context.commenter} on ${repository.full_name}#${issue.number}`);
+
+  if (!context.user) {
+    const replied = await reply(context, 'please sign in to GitPaid with GitHub before using bounty commands.');
+    return { processed: true, command: command.name, message: 'Commenter has no GitPaid account', replied };
+  }
+
+  try {
+    const text = await COMMANDS[command.name](context, command.args);
+    const replied = await reply(context, text);
+    return { processed: true, command: command.name, message: text, replied };
+  } catch (error) {
+    if (error instanceof BountyActionError || error instanceof InvalidTransitionError) {
+      const replied = await reply(context, `❌ \`/${command.name}\` failed: ${error.message}`);
+      return { processed: true, command: command.name, message: error.message, replied };
+    }
+
+    // Unexpected failures (e.g. an escrow transfer) fail the delivery so it can be replayed
+    await reply(context, `❌ \`/${command.name}\` failed because of an error on our side. The repository owner can retry it from the GitPaid dashboard.`);
+    throw error;
+  }
+}
+
+module.exports = {
+  parseCommand,
+  handleIssueCommentEvent
+};
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+
+const SIGNATURE_PREFIX = 'sha256=';
+
+/**
+ * Compute the X-Hub-Signature-256 value GitHub sends for a payload
+ * @param {Buffer|string} rawBody Request body exactly as received
+ * @param {string} secret Webhook secret
+ * @returns {string} Signature in the form `sha256=<hex>`
+ */
+function computeWebhookSignature(rawBody, secret) {
+  return SIGNATURE_PREFIX + crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+/**
+ * Verify a GitHub webhook signature against the raw request bytes.
+ * The body must not be re-serialized: GitHub signs the bytes it sent, and
+ * JSON.stringify does not reproduce its escaping or formatting.
+ * @param {Buffer|string} rawBody Request body exactly as received
+ * @param {string} signature Value of the X-Hub-Signature-256 header
+ * @param {string} secret Webhook secret
+ * @returns {boolean} True if the signature matches
+ */
+function verifyWebhookSignature(rawBody, signature, secret) {
+  if (!rawBody || !signature || !secret || !signature.startsWith(SIGNATURE_PREFIX)) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeWebhookSignature(rawBody, secret));
+  const received = Buffer.from(signature);
+  // timingSafeEqual throws on length mismatch
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+module.exports = {
+  computeWebhookSignature,
+  verifyWebhookSignature
+};
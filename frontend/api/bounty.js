@@ -20,6 +20,12 @@ export async function fetchOpenBounties() {
   return res.data.bounties;
 }
 
+// Fetch the tokens a bounty can be funded in: [{ symbol, address, decimals }] (no auth needed)
+export async function fetchSupportedTokens() {
+  const res = await API.get('/api/bounties/tokens');
+  return res.data.tokens || [];
+}
+
 // Fetch bounties associated with logged-in user (requires auth)
 export async function fetchUserBounties() {
   try {
@@ -43,6 +49,13 @@ export async function createBounty(data) {
     repo_name: data.repoName,
     issue_number: data.issueNumber,
     amount: data.amount,
+    currency: data.currency,
+    claim_window_days: data.claimWindowDays,
+    // datetime-local values are in the browser's time zone
+    expires_at: data.expiresAt ? new Date(data.expiresAt).toISOString() : undefined,
+    milestones: data.milestones?.length ? data.milestones : undefined,
+    requires_application: data.claimMode === 'application',
+    competitive: data.claimMode === 'competitive',
     walletId: data.ownerWalletId  // Using walletId as expected by the backend
   };
   
@@ -50,14 +63,76 @@ export async function createBounty(data) {
   return API.post('/api/bounty', backendData);
 }
 
+// Add funds to an existing bounty from one of the user's wallets
+export async function contributeToBounty(bountyId, amount, walletId) {
+  return API.post(`/api/bounty/${bountyId}/contributions`, { amount, walletId });
+}
+
 // Claim a bounty by ID
 export async function claimBounty(bountyId, hunterWalletId) {
   return API.post(`/api/bounty/${bountyId}/claim`, { walletId: hunterWalletId });
 }
 
+// Join the race for a competitive bounty, to be notified when someone wins it
+export async function registerInterest(bountyId) {
+  return API.post(`/api/bounty/${bountyId}/interest`);
+}
+
+// Apply to work on a bounty that requires applications
+export async function applyForBounty(bountyId, application, walletId) {
+  return API.post(`/api/bounty/${bountyId}/applications`, {
+    pitch: application.pitch,
+    eta_days: application.etaDays,
+    work_url: application.workUrl || undefined,
+    walletId
+  });
+}
+
+// Accept an application, claiming the bounty for the applicant (owner only)
+export async function acceptApplication(bountyId, applicationId) {
+  return API.post(`/api/bounty/${bountyId}/applications/${applicationId}/accept`);
+}
+
+// Release a claim (as the hunter) or force-unclaim a bounty (as its owner)
+export async function unclaimBounty(bountyId) {
+  return API.post(`/api/bounty/${bountyId}/unclaim`);
+}
+
 // Complete a bounty by ID (approve and release payment)
-export async function completeBounty(bountyId) {
-  return API.post(`/api/bounty/${bountyId}/complete`);
+// Pass a split ([{ github, percent }] or [{ github, amount }]) to share the payout between several users
+export async function completeBounty(bountyId, split) {
+  return API.post(`/api/bounty/${bountyId}/complete`, split ? { split } : {});
+}
+
+// Send a payout held for the repository's review window right away (owner only)
+export async function approveScheduledRelease(bountyId) {
+  return API.post(`/api/bounty/${bountyId}/scheduled-release/approve`);
+}
+
+// Approve one milestone of a claimed bounty and release its amount to the hunter (owner only)
+export async function approveMilestone(bountyId, milestoneId) {
+  return API.post(`/api/bounty/${bountyId}/milestones/${milestoneId}/approve`);
+}
+
+// Fetch the GitHub users who co-authored the bounty's merged pull request (owner only)
+export async function fetchBountyCoAuthors(bountyId) {
+  const res = await API.get(`/api/bounty/${bountyId}/coauthors`);
+  return res.data;
+}
+
+// Fetch the status history and payment ledger of a bounty (owner or hunter only)
+export async function fetchBountyHistory(bountyId) {
+  const res = await API.get(`/api/bounty/${bountyId}/history`);
+  return {
+    events: res.data.events || [],
+    transactions: res.data.transactions || [],
+    pullRequests: res.data.pullRequests || [],
+    contributions: res.data.contributions || [],
+    payouts: res.data.payouts || [],
+    milestones: res.data.milestones || [],
+    disputes: res.data.disputes || [],
+    status: res.data.status
+  };
 }
 
 // Fetch user's repositories from GitHub
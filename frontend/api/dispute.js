@@ -0,0 +1,40 @@
+import axios from 'axios';
+
+// Axios instance to communicate with backend API
+const API = axios.create({
+  baseURL: process.env.NEXT_PUBLIC_API_BASE
+});
+
+// Attach JWT token to all requests if available
+API.interceptors.request.use(config => {
+  const token = typeof window !== 'undefined' ? localStorage.getItem('token') : null;
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Open a dispute on a claimed or recently completed bounty (owner or hunter)
+export async function openDispute(bountyId, reason) {
+  return API.post(`/api/bounty/${bountyId}/disputes`, { reason });
+}
+
+// Add evidence to an open dispute (owner, hunter or admin)
+export async function addDisputeEvidence(bountyId, disputeId, body, url) {
+  return API.post(`/api/bounty/${bountyId}/disputes/${disputeId}/evidence`, { body, url: url || undefined });
+}
+
+// Fetch the disputes waiting for a ruling (admin only)
+export async function fetchActiveDisputes() {
+  const res = await API.get('/api/admin/disputes');
+  return res.data.disputes || [];
+}
+
+// Rule on a dispute: 'release', 'refund', 'split' (with the hunter's percentage) or 'dismiss' (admin only)
+export async function resolveDispute(disputeId, outcome, hunterPercent, note) {
+  return API.post(`/api/admin/disputes/${disputeId}/resolve`, {
+    outcome,
+    hunter_percent: outcome === 'split' ? hunterPercent : undefined,
+    note: note || undefined
+  });
+}
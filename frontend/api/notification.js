@@ -0,0 +1,36 @@
+import axios from 'axios';
+
+// Axios instance to communicate with backend API
+const API = axios.create({
+  baseURL: process.env.NEXT_PUBLIC_API_BASE
+});
+
+// Attach JWT token to all requests if available
+API.interceptors.request.use(config => {
+  const token = typeof window !== 'undefined' ? localStorage.getItem('token') : null;
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Fetch notifications of the logged-in user
+export async function fetchNotifications() {
+  try {
+    const res = await API.get('/api/notifications');
+    return res.data.notifications || [];
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    return [];
+  }
+}
+
+// Mark a notification as read
+export async function markNotificationRead(id) {
+  return API.post(`/api/notifications/${id}/read`);
+}
+
+// Mark all notifications as read
+export async function markAllNotificationsRead() {
+  return API.post('/api/notifications/read');
+}
@@ -0,0 +1,49 @@
+import axios from 'axios';
+
+// Axios instance to communicate with backend API
+const API = axios.create({
+  baseURL: process.env.NEXT_PUBLIC_API_BASE
+});
+
+// Attach JWT token to all requests if available
+API.interceptors.request.use(config => {
+  const token = typeof window !== 'undefined' ? localStorage.getItem('token') : null;
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Fetch the most recent escrow reconciliation runs (admin only)
+export async function fetchReconciliations() {
+  const res = await API.get('/api/admin/reconciliations');
+  return res.data.reconciliations || [];
+}
+
+// Reconcile escrow now (admin only)
+export async function runReconciliation() {
+  const res = await API.post('/api/admin/reconciliations');
+  return res.data.reconciliation;
+}
+
+// Fetch a reconciliation run with its full report (admin only)
+export async function fetchReconciliation(reconciliationId) {
+  const res = await API.get(`/api/admin/reconciliations/${reconciliationId}`);
+  return res.data.reconciliation;
+}
+
+// Download the report of a reconciliation run as a file ('csv' or 'json', admin only)
+export async function downloadReconciliationReport(reconciliationId, format = 'csv') {
+  const res = await API.get(`/api/admin/reconciliations/${reconciliationId}/report`, {
+    params: { format },
+    responseType: 'blob'
+  });
+  const url = window.URL.createObjectURL(res.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `escrow-reconciliation-${reconciliationId}.${format}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+}
@@ -0,0 +1,61 @@
+import axios from 'axios';
+
+// Axios instance to communicate with backend API
+const API = axios.create({
+  baseURL: process.env.NEXT_PUBLIC_API_BASE
+});
+
+// Attach JWT token to all requests if available
+API.interceptors.request.use(config => {
+  const token = typeof window !== 'undefined' ? localStorage.getItem('token') : null;
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Fetch the repository webhooks registered by the logged-in user
+export async function fetchWebhooks() {
+  try {
+    const res = await API.get('/api/webhooks');
+    return res.data.webhooks || [];
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    return [];
+  }
+}
+
+// Fetch failed webhook deliveries for a repository
+export async function fetchFailedDeliveries(owner, repo) {
+  try {
+    const res = await API.get(`/api/webhooks/${owner}/${repo}/deliveries`);
+    return res.data.deliveries || [];
+  } catch (error) {
+    console.error(`Error fetching deliveries for ${owner}/${repo}:`, error);
+    throw error;
+  }
+}
+
+// Replay a failed webhook delivery
+export async function replayDelivery(id) {
+  try {
+    console.log(`Replaying webhook delivery ${id}`);
+    const res = await API.post(`/api/webhooks/deliveries/${id}/replay`);
+    return res.data;
+  } catch (error) {
+    console.error(`Error replaying delivery ${id}:`, error);
+    throw error;
+  }
+}
+
+// Set how long webhook-triggered payouts of a repository are held for review (null for the default)
+export async function setPayoutHold(owner, repo, hours) {
+  try {
+    console.log(`Setting payout hold of ${owner}/${repo} to ${hours}h`);
+    const res = await API.put(`/api/webhooks/${owner}/${repo}/payout-hold`, { hours });
+    return res.data;
+  } catch (error) {
+    console.error(`Error setting payout hold for ${owner}/${repo}:`, error);
+    throw error;
+  }
+}
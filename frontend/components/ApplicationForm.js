@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+
+// Lets a hunter apply to work on a bounty that requires the owner to pick a hunter
+const ApplicationForm = ({ bounty, onSubmit, onCancel, submitting }) => {
+  const [pitch, setPitch] = useState('');
+  const [etaDays, setEtaDays] = useState('7');
+  const [workUrl, setWorkUrl] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({ pitch, etaDays, workUrl });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="my-6 bg-[#1e293b] rounded-xl p-6 shadow-lg border border-[#334155]">
+      <h3 className="text-lg font-semibold text-white mb-1">
+        Apply for {bounty.repoOwner}/{bounty.repoName}#{bounty.issueNumber}
+      </h3>
+      <p className="text-gray-400 text-sm mb-4">
+        The owner reviews every application and picks one hunter; the bounty is then claimed for you with the selected wallet.
+      </p>
+
+      <label className="block font-medium mb-2 text-gray-300">Pitch</label>
+      <textarea
+        value={pitch}
+        onChange={(e) => setPitch(e.target.value)}
+        required
+        maxLength={2000}
+        rows={4}
+        placeholder="How would you fix this issue, and why are you a good fit?"
+        className="w-full mb-4 px-3 py-2 bg-[#0f172a] border border-[#334155] rounded-lg text-gray-300 focus:outline-none focus:ring-2 focus:ring-[#3b82f6]"
+      />
+
+      <div className="flex flex-col sm:flex-row gap-4 mb-4">
+        <div className="sm:w-40">
+          <label className="block font-medium mb-2 text-gray-300">ETA (days)</label>
+          <input
+            type="number"
+            value={etaDays}
+            onChange={(e) => setEtaDays(e.target.value)}
+            required
+            min="1"
+            max="365"
+            step="1"
+            className="w-full px-3 py-2 bg-[#0f172a] border border-[#334155] rounded-lg text-gray-300 focus:outline-none focus:ring-2 focus:ring-[#3b82f6]"
+          />
+        </div>
+        <div className="flex-1">
+          <label className="block font-medium mb-2 text-gray-300">Past work (optional)</label>
+          <input
+            type="url"
+            value={workUrl}
+            onChange={(e) => setWorkUrl(e.target.value)}
+            placeholder="https://github.com/..."
+            className="w-full px-3 py-2 bg-[#0f172a] border border-[#334155] rounded-lg text-gray-300 focus:outline-none focus:ring-2 focus:ring-[#3b82f6]"
+          />
+        </div>
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="px-4 py-2 rounded-md text-sm font-medium bg-[#0f172a] text-gray-300 border border-[#334155] hover:bg-[#334155]">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={submitting}
+          className="px-4 py-2 rounded-md text-sm font-medium bg-gradient-to-r from-[#3b82f6] to-[#2563eb] hover:from-[#2563eb] hover:to-[#1d4ed8] text-white shadow-md disabled:opacity-50"
+        >
+          {submitting ? 'Sending...' : 'Send Application'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ApplicationForm;
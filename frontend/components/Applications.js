@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import { acceptApplication } from '../api/bounty';
+import { formatBountyAmount } from '../../shared/money';
+
+// Applicants to an open bounty that requires applications, for its owner to pick one
+const Applications = ({ bounty, onAccepted }) => {
+  const [acceptingId, setAcceptingId] = useState(null);
+  const [error, setError] = useState('');
+
+  const pending = (bounty.applications || []).filter(a => a.status === 'PENDING');
+
+  const handleAccept = async (application) => {
+    const others = pending.length - 1;
+    if (!window.confirm(`Accept ${application.user?.githubUsername}? The bounty will be claimed for them${others > 0 ? ` and the ${others} other applicant(s) will be notified` : ''}.`)) {
+      return;
+    }
+    setError('');
+    setAcceptingId(application.id);
+    try {
+      const { data } = await acceptApplication(bounty.id, application.id);
+      onAccepted(bounty.id, data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to accept application');
+    } finally {
+      setAcceptingId(null);
+    }
+  };
+
+  return (
+    <div className="mb-4 bg-[#1e293b] rounded-xl p-6 shadow-lg border border-[#334155]">
+      <h3 className="text-lg font-semibold text-white mb-3">
+        {bounty.repoOwner}/{bounty.repoName}#{bounty.issueNumber}
+        <span className="ml-2 text-[#10b981] font-medium">{formatBountyAmount(bounty.amount, bounty)}</span>
+      </h3>
+      {error && <p className="text-red-400 mb-3">{error}</p>}
+      {pending.length === 0 ? (
+        <p className="text-gray-400 text-sm">No applications yet.</p>
+      ) : (
+        <ul className="space-y-3">
+          {pending.map(application => (
+            <li key={application.id} className="p-4 bg-[#0f172a] rounded-lg border border-[#334155] text-sm">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <span className="text-white font-medium">{application.user?.githubUsername}</span>
+                <span className="text-gray-400">ETA {application.etaDays} day{application.etaDays === 1 ? '' : 's'}</span>
+              </div>
+              <p className="text-gray-300 mt-2 whitespace-pre-line">{application.pitch}</p>
+              {application.workUrl && (
+                <a href={application.workUrl} target="_blank" rel="noopener noreferrer" className="block mt-2 text-[#60a5fa] hover:underline break-all">
+                  {application.workUrl}
+                </a>
+              )}
+              <div className="flex flex-wrap items-center justify-between gap-2 mt-3">
+                <span className="text-gray-500 text-xs">applied {new Date(application.updatedAt).toLocaleString()}</span>
+                <button
+                  onClick={() => handleAccept(application)}
+                  disabled={acceptingId !== null}
+                  className="px-4 py-2 rounded-md text-sm font-medium bg-gradient-to-r from-[#10b981] to-[#059669] hover:from-[#059669] hover:to-[#047857] text-white shadow-md disabled:opacity-50"
+                >
+                  {acceptingId === application.id ? 'Accepting...' : 'Accept'}
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default Applications;
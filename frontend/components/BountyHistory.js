@@ -0,0 +1,217 @@
+import React, { useEffect, useState } from 'react';
+import { fetchBountyHistory } from '../api/bounty';
+import DisputePanel from './DisputePanel';
+import { formatBountyAmount } from '../../shared/money';
+
+const BountyHistory = ({ bountyId, onClose }) => {
+  const [events, setEvents] = useState([]);
+  const [transactions, setTransactions] = useState([]);
+  const [pullRequests, setPullRequests] = useState([]);
+  const [contributions, setContributions] = useState([]);
+  const [payouts, setPayouts] = useState([]);
+  const [milestones, setMilestones] = useState([]);
+  const [disputes, setDisputes] = useState([]);
+  const [status, setStatus] = useState(null);
+  const [escrowAddress, setEscrowAddress] = useState(null);
+  // Token the bounty is paid in: { currency, tokenAddress, tokenDecimals }
+  const [token, setToken] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadHistory = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const data = await fetchBountyHistory(bountyId);
+        setEvents(data.events);
+        setTransactions(data.transactions);
+        setPullRequests(data.pullRequests);
+        setContributions(data.contributions);
+        setPayouts(data.payouts);
+        setMilestones(data.milestones);
+        setDisputes(data.disputes);
+        setStatus(data.status);
+        setEscrowAddress(data.escrowAddress);
+        setToken({ currency: data.currency, tokenAddress: data.tokenAddress, tokenDecimals: data.tokenDecimals });
+      } catch (err) {
+        console.error('Failed to load bounty history:', err);
+        setError(err.response?.data?.error || 'Failed to load bounty history');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadHistory();
+  }, [bountyId, reloadKey]);
+
+  // Describe who triggered an event
+  const describeActor = (event) => {
+    if (event.actor?.githubUsername) return event.actor.githubUsername;
+    if (event.actorType === 'WEBHOOK') return 'GitHub webhook';
+    return 'GitPaid';
+  };
+
+  return (
+    <div className="bg-[#1e293b] rounded-xl p-6 shadow-lg border border-[#334155]">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-white">History of Bounty #{bountyId}</h3>
+        {onClose && (
+          <button onClick={onClose} className="text-gray-400 hover:text-white text-sm transition-colors duration-200">
+            Close
+          </button>
+        )}
+      </div>
+
+      {escrowAddress && (
+        <p className="text-gray-400 text-sm mb-4">
+          Funds held in escrow contract <span className="text-gray-300 text-xs font-mono break-all">{escrowAddress}</span>
+          {token?.tokenAddress && (
+            <> as {token.currency} (token <span className="text-gray-300 text-xs font-mono break-all">{token.tokenAddress}</span>)</>
+          )}
+        </p>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-[#3b82f6]"></div>
+        </div>
+      ) : error ? (
+        <p className="text-red-400">{error}</p>
+      ) : events.length === 0 ? (
+        <p className="text-gray-400">No events recorded for this bounty.</p>
+      ) : (
+        <ol className="space-y-4">
+          {events.map(event => (
+            <li key={event.id} className="p-4 bg-[#0f172a] rounded-lg border border-[#334155]">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <span className="text-white font-medium">
+                  {event.fromStatus ? `${event.fromStatus} → ${event.toStatus}` : event.toStatus}
+                </span>
+                <span className="text-gray-400 text-xs">{new Date(event.createdAt).toLocaleString()}</span>
+              </div>
+              <p className="text-gray-400 text-sm mt-1">
+                by {describeActor(event)}{event.note ? ` — ${event.note}` : ''}
+              </p>
+              {event.txHash && (
+                <p className="text-gray-500 text-xs mt-1 font-mono break-all">tx: {event.txHash}</p>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {!loading && !error && (
+        <DisputePanel
+          bountyId={bountyId}
+          status={status}
+          disputes={disputes}
+          onChange={() => setReloadKey(key => key + 1)}
+        />
+      )}
+
+      {!loading && !error && pullRequests.length > 0 && (
+        <div className="mt-6">
+          <h4 className="text-md font-semibold text-white mb-3">Linked Pull Requests</h4>
+          <ul className="space-y-2">
+            {pullRequests.map(pr => (
+              <li key={pr.id} className="p-3 bg-[#0f172a] rounded-lg border border-[#334155] text-sm">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <a href={pr.url} target="_blank" rel="noopener noreferrer" className="text-[#60a5fa] hover:underline font-medium">
+                    #{pr.prNumber}{pr.title ? ` ${pr.title}` : ''}
+                  </a>
+                  <span className={pr.state === 'MERGED' ? 'text-[#34d399]' : pr.state === 'CLOSED' ? 'text-gray-400' : 'text-[#facc15]'}>
+                    {pr.state}
+                  </span>
+                </div>
+                <p className="text-gray-400 mt-1">by {pr.authorLogin}</p>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {!loading && !error && contributions.length > 1 && (
+        <div className="mt-6">
+          <h4 className="text-md font-semibold text-white mb-3">Funders</h4>
+          <ul className="space-y-2">
+            {contributions.map(contribution => (
+              <li key={contribution.id} className="p-3 bg-[#0f172a] rounded-lg border border-[#334155] text-sm">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <span className="text-white font-medium">{contribution.user?.githubUsername}</span>
+                  <span className="text-[#34d399]">{formatBountyAmount(contribution.amount, token)}</span>
+                </div>
+                <p className="text-gray-400 mt-1">
+                  {new Date(contribution.createdAt).toLocaleString()}
+                  {contribution.status === 'REFUNDED' && ' · refunded'}
+                </p>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {!loading && !error && milestones.length > 0 && (
+        <div className="mt-6">
+          <h4 className="text-md font-semibold text-white mb-3">Milestones</h4>
+          <ul className="space-y-2">
+            {milestones.map(milestone => (
+              <li key={milestone.id} className="p-3 bg-[#0f172a] rounded-lg border border-[#334155] text-sm">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <span className="text-white font-medium">{milestone.position}. {milestone.title}</span>
+                  <span className="text-[#34d399]">{formatBountyAmount(milestone.amount, token)}</span>
+                </div>
+                <p className={milestone.status === 'RELEASED' ? 'text-gray-400 mt-1' : 'text-[#facc15] mt-1'}>
+                  {milestone.status}
+                  {milestone.releasedAt && ` · ${new Date(milestone.releasedAt).toLocaleString()}`}
+                </p>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {!loading && !error && payouts.length > 1 && (
+        <div className="mt-6">
+          <h4 className="text-md font-semibold text-white mb-3">Payout Split</h4>
+          <ul className="space-y-2">
+            {payouts.map(payout => (
+              <li key={payout.id} className="p-3 bg-[#0f172a] rounded-lg border border-[#334155] text-sm">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <span className="text-white font-medium">{payout.user?.githubUsername}</span>
+                  <span className="text-[#34d399]">{formatBountyAmount(payout.amount, token)}</span>
+                </div>
+                <p className={payout.status === 'PAID' ? 'text-gray-400 mt-1' : 'text-[#facc15] mt-1'}>{payout.status}</p>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {!loading && !error && transactions.length > 0 && (
+        <div className="mt-6">
+          <h4 className="text-md font-semibold text-white mb-3">Payments</h4>
+          <ul className="space-y-2">
+            {transactions.map(tx => (
+              <li key={tx.id} className="p-3 bg-[#0f172a] rounded-lg border border-[#334155] text-sm">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <span className="text-white font-medium">{tx.type}</span>
+                  <span className={tx.status === 'CONFIRMED' ? 'text-[#34d399]' : tx.status === 'FAILED' ? 'text-red-400' : 'text-[#facc15]'}>
+                    {tx.status}
+                  </span>
+                </div>
+                <p className="text-gray-400 mt-1">
+                  {tx.type === 'BENEFICIARY' ? 'Escrow contract now pays the wallet below' : formatBountyAmount(tx.amount, token)}
+                </p>
+                <p className="text-gray-500 text-xs mt-1 font-mono break-all">{tx.fromAddress} → {tx.toAddress}</p>
+                <p className="text-gray-500 text-xs font-mono break-all">tx: {tx.txHash}</p>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BountyHistory;
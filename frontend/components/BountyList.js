@@ -1,6 +1,14 @@
 import React from 'react';
+import Countdown from './Countdown';
+import { formatAmount, formatBountyAmount } from '../../shared/money';
 
-const BountyList = ({ bounties, actionName, onAction, actionLoading }) => {
+// Statuses in which a bounty waits for its funding or payout transaction to be mined
+const PENDING_STATUSES = ['FUNDING_PENDING', 'PAYOUT_PENDING'];
+
+// Shortened transaction hash for display
+const shortHash = (txHash) => `${txHash.slice(0, 10)}…${txHash.slice(-6)}`;
+
+const BountyList = ({ bounties, actionName, actionNameFor, onAction, actionLoading, secondaryActionName, onSecondaryAction, showSecondaryAction }) => {
   if (!bounties || bounties.length === 0) {
     return (
       <div className="bg-[#1e293b] border border-[#334155] rounded-lg p-6 text-center">
@@ -39,9 +47,14 @@ const BountyList = ({ bounties, actionName, onAction, actionLoading }) => {
               </td>
               <td className="px-6 py-4 whitespace-nowrap">
                 <span className="text-[#10b981] font-medium flex items-center">
-                  <span className="text-gray-400 mr-1">Ξ</span>
-                  {bounty.amount}
+                  {formatAmount(bounty.amount, bounty.tokenDecimals)}
+                  <span className="text-gray-400 ml-1">{bounty.currency}</span>
                 </span>
+                {bounty._count?.contributions > 1 && (
+                  <span className="block mt-1 text-gray-500 text-xs">
+                    {bounty._count.contributions} funders
+                  </span>
+                )}
               </td>
               <td className="px-6 py-4 whitespace-nowrap">
                 <span className={`px-2 py-1 text-xs font-medium rounded-full ${
@@ -49,18 +62,70 @@ const BountyList = ({ bounties, actionName, onAction, actionLoading }) => {
                     ? 'bg-[#3b82f6] bg-opacity-20 text-[#60a5fa]' 
                     : bounty.status === 'CLAIMED' 
                       ? 'bg-[#eab308] bg-opacity-20 text-[#facc15]' 
-                      : 'bg-[#10b981] bg-opacity-20 text-[#34d399]'
+                      : bounty.status === 'DISPUTED'
+                        ? 'bg-red-600 bg-opacity-20 text-red-400'
+                        : PENDING_STATUSES.includes(bounty.status)
+                          ? 'bg-[#a855f7] bg-opacity-20 text-[#c084fc]'
+                          : bounty.status === 'CANCELLED' || bounty.status === 'EXPIRED'
+                            ? 'bg-[#64748b] bg-opacity-20 text-[#94a3b8]'
+                            : 'bg-[#10b981] bg-opacity-20 text-[#34d399]'
                 }`}>
-                  {bounty.status}
+                  {bounty.status.replace('_', ' ')}
                 </span>
+                {PENDING_STATUSES.includes(bounty.status) && (
+                  <span className="block mt-1 text-gray-500 text-xs">
+                    {bounty.status === 'FUNDING_PENDING' ? 'funding' : 'payout'} waiting for confirmation
+                    {bounty.transactions?.length > 0 && (
+                      <span title={bounty.transactions.map(tx => tx.txHash).join('\n')}>
+                        {' '}({bounty.transactions.map(tx => shortHash(tx.txHash)).join(', ')}, sent {new Date(bounty.transactions[0].createdAt).toLocaleTimeString()})
+                      </span>
+                    )}
+                  </span>
+                )}
+                {bounty.status === 'OPEN' && bounty.requiresApplication && (
+                  <span className="block mt-1 text-gray-500 text-xs">by application</span>
+                )}
+                {bounty.status === 'OPEN' && bounty.competitive && (
+                  <span className="block mt-1 text-gray-500 text-xs">
+                    competitive{bounty._count?.interests > 0 ? `, ${bounty._count.interests} racing` : ''}
+                  </span>
+                )}
                 {bounty.status === 'CLAIMED' && bounty.claimer?.githubUsername && (
                   <span className="ml-2 text-gray-400 text-xs">
                     by {bounty.claimer.githubUsername}
                   </span>
                 )}
+                {bounty.status === 'CLAIMED' && bounty.claimExpiresAt && (
+                  <span className="block mt-1 text-gray-500 text-xs">
+                    claim expires {new Date(bounty.claimExpiresAt).toLocaleDateString()}
+                  </span>
+                )}
+                {bounty.milestones?.length > 0 && (
+                  <span className="block mt-1 text-gray-500 text-xs">
+                    {bounty.milestones.filter(m => m.status === 'RELEASED').length}/{bounty.milestones.length} milestones released
+                  </span>
+                )}
+                {bounty.payouts?.length > 1 && (
+                  <span className="block mt-1 text-gray-500 text-xs">
+                    split: {bounty.payouts.map(p => `${p.user?.githubUsername} ${formatBountyAmount(p.amount, bounty)}`).join(', ')}
+                  </span>
+                )}
+                {(bounty.status === 'OPEN' || bounty.status === 'CLAIMED') && bounty.expiresAt && (
+                  <span className="block mt-1 text-xs">
+                    <Countdown until={bounty.expiresAt} />
+                  </span>
+                )}
               </td>
               {actionName && (
                 <td className="px-6 py-4 whitespace-nowrap text-right">
+                  {secondaryActionName && (!showSecondaryAction || showSecondaryAction(bounty)) && (
+                    <button
+                      onClick={() => onSecondaryAction(bounty.id)}
+                      className="mr-2 px-4 py-2 rounded-md text-sm font-medium bg-[#1e293b] text-gray-300 border border-[#334155] hover:bg-[#334155] transition-colors duration-200"
+                    >
+                      {secondaryActionName}
+                    </button>
+                  )}
                   <button 
                     onClick={() => onAction(bounty.id)}
                     disabled={actionLoading === bounty.id}
@@ -82,7 +147,7 @@ const BountyList = ({ bounties, actionName, onAction, actionLoading }) => {
                         </svg>
                         {actionName === 'Claim' ? 'Claiming...' : 'Processing...'}
                       </div>
-                    ) : actionName}
+                    ) : actionNameFor ? actionNameFor(bounty) : actionName}
                   </button>
                 </td>
               )}
@@ -1,7 +1,8 @@
 import React, { useEffect, useState } from 'react';
-import { fetchOpenBounties, claimBounty } from '../api/bounty';
+import { fetchOpenBounties, claimBounty, contributeToBounty, applyForBounty, registerInterest } from '../api/bounty';
 import { checkWallets } from '../api/wallet';
 import BountyList from './BountyList';
+import ApplicationForm from './ApplicationForm';
 import WalletManager from './WalletManager';
 
 const ClaimBounty = () => {
@@ -13,6 +14,8 @@ const ClaimBounty = () => {
   const [selectedWalletId, setSelectedWalletId] = useState(null);
   const [hasWallets, setHasWallets] = useState(false);
   const [walletError, setWalletError] = useState('');
+  const [applyingBounty, setApplyingBounty] = useState(null);
+  const [applying, setApplying] = useState(false);
 
   useEffect(() => {
     // Load open bounties on component mount
@@ -51,13 +54,53 @@ const ClaimBounty = () => {
     }
   };
 
+  // Show a toast in the corner of the page
+  const showNotification = (text) => {
+    const notification = document.createElement('div');
+    notification.className = 'fixed bottom-4 right-4 bg-green-600 text-white px-6 py-3 rounded-lg shadow-lg transform transition-all duration-500 ease-in-out';
+    notification.textContent = text;
+    document.body.appendChild(notification);
+
+    setTimeout(() => {
+      notification.classList.add('opacity-0');
+      setTimeout(() => {
+        document.body.removeChild(notification);
+      }, 500);
+    }, 3000);
+  };
+
+  // Competitive bounties are not claimed: hunters just join the race
+  const handleJoinRace = async (bounty) => {
+    try {
+      await registerInterest(bounty.id);
+      setBounties(prev => prev.map(b => b.id === bounty.id
+        ? { ...b, _count: { ...b._count, interests: (b._count?.interests || 0) + 1 } }
+        : b));
+      showNotification(`You're in! Open a pull request with "Fixes #${bounty.issueNumber}"; the first one merged wins.`);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to join the race');
+    }
+  };
+
   const handleClaim = async (bountyId) => {
     setError('');
+
+    const bounty = bounties.find(b => b.id === bountyId);
+    if (bounty?.competitive) {
+      await handleJoinRace(bounty);
+      return;
+    }
     
     if (!selectedWalletId) {
       setWalletError('Please select a wallet to claim this bounty');
       return;
     }
+
+    // Bounties that require applications are claimed when the owner accepts one
+    if (bounty?.requiresApplication) {
+      setApplyingBounty(bounty);
+      return;
+    }
     
     setClaimingId(bountyId);
     try {
@@ -66,17 +109,7 @@ const ClaimBounty = () => {
       setBounties(prev => prev.filter(b => b.id !== bountyId));
       
       // Show success notification
-      const notification = document.createElement('div');
-      notification.className = 'fixed bottom-4 right-4 bg-green-600 text-white px-6 py-3 rounded-lg shadow-lg transform transition-all duration-500 ease-in-out';
-      notification.textContent = 'Bounty claimed successfully!';
-      document.body.appendChild(notification);
-      
-      setTimeout(() => {
-        notification.classList.add('opacity-0');
-        setTimeout(() => {
-          document.body.removeChild(notification);
-        }, 500);
-      }, 3000);
+      showNotification('Bounty claimed successfully!');
     } catch (err) {
       setError(err.response?.data?.error || 'Failed to claim bounty');
     } finally {
@@ -84,6 +117,45 @@ const ClaimBounty = () => {
     }
   };
 
+  const handleApply = async (application) => {
+    setError('');
+    setApplying(true);
+    try {
+      await applyForBounty(applyingBounty.id, application, selectedWalletId);
+      setApplyingBounty(null);
+      showNotification('Application sent! You will be notified when the owner decides.');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to apply for bounty');
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const handleContribute = async (bountyId) => {
+    setError('');
+
+    if (!selectedWalletId) {
+      setWalletError('Please select the wallet to fund the bounty from');
+      return;
+    }
+
+    const bounty = bounties.find(b => b.id === bountyId);
+    const amount = window.prompt(`How much do you want to add to this bounty (${bounty?.currency || 'ETH'})?`);
+    if (!amount) {
+      return;
+    }
+
+    try {
+      const { data } = await contributeToBounty(bountyId, amount, selectedWalletId);
+      // Show the new total in the list
+      setBounties(prev => prev.map(b => b.id === bountyId
+        ? { ...b, amount: data.bounty.amount, _count: { contributions: (b._count?.contributions || 1) + 1 } }
+        : b));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to add funds to bounty');
+    }
+  };
+
   // Filter bounties based on search term
   const filteredBounties = searchTerm 
     ? bounties.filter(bounty => {
@@ -134,7 +206,7 @@ const ClaimBounty = () => {
         </div>
         
         <div className="mb-4">
-          <p className="text-gray-400 mb-2">You must select a wallet to claim bounties. This wallet will receive the funds when the bounty is completed.</p>
+          <p className="text-gray-400 mb-2">You must select a wallet to claim bounties. This wallet will receive the funds when the bounty is completed. Use Chip In to add funds from this wallet to a bounty; they are refunded to it if the bounty is cancelled or expires.</p>
         </div>
         
         <WalletManager 
@@ -188,11 +260,24 @@ const ClaimBounty = () => {
             </div>
           </div>
           
+          {applyingBounty && (
+            <ApplicationForm
+              key={applyingBounty.id}
+              bounty={applyingBounty}
+              onSubmit={handleApply}
+              onCancel={() => setApplyingBounty(null)}
+              submitting={applying}
+            />
+          )}
+
           <BountyList 
             bounties={filteredBounties} 
             actionName="Claim" 
+            actionNameFor={b => (b.requiresApplication ? 'Apply' : b.competitive ? 'Join Race' : 'Claim')}
             onAction={handleClaim} 
             actionLoading={claimingId}
+            secondaryActionName="Chip In"
+            onSecondaryAction={handleContribute}
           />
           
           {/* Empty search results */}
@@ -0,0 +1,37 @@
+import React, { useState, useEffect } from 'react';
+
+// Time left until a deadline, e.g. "3d 4h left"; refreshed every minute
+const formatRemaining = (ms) => {
+  const minutes = Math.floor(ms / 60000);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+
+  if (days > 0) return `${days}d ${hours}h left`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m left`;
+  return `${Math.max(minutes, 1)}m left`;
+};
+
+const Countdown = ({ until }) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const remaining = new Date(until).getTime() - now;
+  if (remaining <= 0) {
+    return <span className="text-red-400">deadline passed, refund pending</span>;
+  }
+
+  return (
+    <span
+      className={remaining < 24 * 60 * 60 * 1000 ? 'text-orange-400' : 'text-gray-500'}
+      title={`Deadline: ${new Date(until).toLocaleString()}`}
+    >
+      ⏱ {formatRemaining(remaining)}
+    </span>
+  );
+};
+
+export default Countdown;
@@ -1,10 +1,23 @@
 import React, { useState, useEffect } from 'react';
-import { createBounty, fetchUserRepos, fetchRepoIssues } from '../api/bounty';
+import { createBounty, fetchUserRepos, fetchRepoIssues, fetchSupportedTokens } from '../api/bounty';
 import { getCurrentUser } from '../api/auth';
 import { checkWallets } from '../api/wallet';
 import { useRouter } from 'next/router';
 import Select from 'react-select';
 import WalletManager from './WalletManager';
+import { DECIMALS, parseAmount, formatAmount, sumAmounts } from '../../shared/money';
+
+// Base units of a typed token amount, or nothing while it is not a valid amount yet
+const typedAmount = (value, decimals) => {
+  try {
+    return parseAmount(value || '0', decimals);
+  } catch (err) {
+    return BigInt(0);
+  }
+};
+
+// The chain's native coin, offered until the supported tokens are loaded
+const NATIVE_TOKEN = { symbol: 'ETH', address: null, decimals: DECIMALS };
 
 const CreateBountyForm = () => {
   const router = useRouter();
@@ -13,6 +26,11 @@ const CreateBountyForm = () => {
     repoName: '',
     issueNumber: '',
     amount: '',
+    currency: NATIVE_TOKEN.symbol,
+    claimWindowDays: 14,
+    expiresAt: '',
+    milestones: [],
+    claimMode: 'claim',
     ownerWalletId: null
   });
   const [error, setError] = useState('');
@@ -24,6 +42,14 @@ const CreateBountyForm = () => {
   const [selectedIssue, setSelectedIssue] = useState(null);
   const [hasWallets, setHasWallets] = useState(false);
   const [walletError, setWalletError] = useState('');
+  const [tokens, setTokens] = useState([NATIVE_TOKEN]);
+
+  // Load the tokens a bounty can be funded in
+  useEffect(() => {
+    fetchSupportedTokens()
+      .then(supported => supported.length > 0 && setTokens(supported))
+      .catch(err => console.error('Error fetching supported tokens:', err));
+  }, []);
 
   // Fetch user data and repositories on component mount
   useEffect(() => {
@@ -138,6 +164,39 @@ const CreateBountyForm = () => {
     setForm(prev => ({ ...prev, amount: e.target.value }));
   };
 
+  const handleCurrencyChange = (e) => {
+    setForm(prev => ({ ...prev, currency: e.target.value }));
+  };
+
+  const handleClaimWindowChange = (e) => {
+    setForm(prev => ({ ...prev, claimWindowDays: e.target.value }));
+  };
+
+  const handleDeadlineChange = (e) => {
+    setForm(prev => ({ ...prev, expiresAt: e.target.value }));
+  };
+
+  // Milestones split the bounty into stages that are approved and paid one by one
+  const handleAddMilestone = () => {
+    setForm(prev => ({ ...prev, milestones: [...prev.milestones, { title: '', description: '', amount: '' }] }));
+  };
+
+  const handleMilestoneChange = (index, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      milestones: prev.milestones.map((milestone, i) => i === index ? { ...milestone, [field]: value } : milestone)
+    }));
+  };
+
+  const handleRemoveMilestone = (index) => {
+    setForm(prev => ({ ...prev, milestones: prev.milestones.filter((_, i) => i !== index) }));
+  };
+
+  // Milestones must add up to the bounty amount to the base unit of its token
+  const token = tokens.find(candidate => candidate.symbol === form.currency) || NATIVE_TOKEN;
+  const milestoneTotal = sumAmounts(form.milestones.map(milestone => typedAmount(milestone.amount, token.decimals)));
+  const milestonesMatch = milestoneTotal === typedAmount(form.amount, token.decimals);
+
   const handleWalletSelect = (walletId) => {
     setForm(prev => ({ ...prev, ownerWalletId: walletId }));
     // Clear wallet error if a wallet is selected
@@ -159,6 +218,11 @@ const CreateBountyForm = () => {
       setWalletError('Please select a wallet for this bounty');
       return;
     }
+
+    if (form.milestones.length > 0 && !milestonesMatch) {
+      setError(`Milestones must add up to the bounty amount (${form.amount} ${token.symbol}); they add up to ${formatAmount(milestoneTotal, token.decimals)} ${token.symbol}`);
+      return;
+    }
     
     try {
       setLoading(true);
@@ -334,25 +398,136 @@ const CreateBountyForm = () => {
           
           <div className="bg-[#0f172a] rounded-lg p-6 border border-[#334155]">
             <div className="mb-4">
-              <label className="block font-medium mb-2 text-gray-300">Bounty Amount (ETH)</label>
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <span className="text-gray-400">Ξ</span>
-                </div>
+              <label className="block font-medium mb-2 text-gray-300">Bounty Amount ({token.symbol})</label>
+              <div className="flex gap-2">
                 <input 
                   type="number" 
                   name="amount" 
                   required 
                   value={form.amount} 
                   onChange={handleAmountChange}
-                  className="w-full pl-10 px-4 py-2 bg-[#1e293b] border border-[#334155] rounded-lg text-gray-300 focus:outline-none focus:ring-2 focus:ring-[#3b82f6] focus:border-transparent"
+                  className="flex-1 px-4 py-2 bg-[#1e293b] border border-[#334155] rounded-lg text-gray-300 focus:outline-none focus:ring-2 focus:ring-[#3b82f6] focus:border-transparent"
                   min="0.000001"
                   step="any"
                   placeholder="Enter any amount greater than 0"
                 />
+                <select
+                  name="currency"
+                  value={form.currency}
+                  onChange={handleCurrencyChange}
+                  className="px-3 py-2 bg-[#1e293b] border border-[#334155] rounded-lg text-gray-300 focus:outline-none focus:ring-2 focus:ring-[#3b82f6]"
+                >
+                  {tokens.map(option => (
+                    <option key={option.symbol} value={option.symbol}>{option.symbol}</option>
+                  ))}
+                </select>
               </div>
-              <p className="text-xs text-gray-500 mt-2">Enter the amount in ETH (e.g. 0.1, 1.5, etc.)</p>
+              <p className="text-xs text-gray-500 mt-2">Enter the amount in {token.symbol} (e.g. 0.1, 1.5, etc., at most {token.decimals} decimals)</p>
             </div>
+            <div>
+              <label className="block font-medium mb-2 text-gray-300">Claim Window (days)</label>
+              <input 
+                type="number" 
+                name="claimWindowDays" 
+                value={form.claimWindowDays} 
+                onChange={handleClaimWindowChange}
+                className="w-full px-4 py-2 bg-[#1e293b] border border-[#334155] rounded-lg text-gray-300 focus:outline-none focus:ring-2 focus:ring-[#3b82f6] focus:border-transparent"
+                min="0"
+                max="365"
+                step="1"
+              />
+              <p className="text-xs text-gray-500 mt-2">A claim is released automatically if the hunter does not finish within this many days. Opening a linked pull request extends it. Use 0 for claims that never expire.</p>
+            </div>
+            <div className="mt-4">
+              <label className="block font-medium mb-2 text-gray-300">Deadline (optional)</label>
+              <input 
+                type="datetime-local" 
+                name="expiresAt" 
+                value={form.expiresAt} 
+                onChange={handleDeadlineChange}
+                className="w-full px-4 py-2 bg-[#1e293b] border border-[#334155] rounded-lg text-gray-300 focus:outline-none focus:ring-2 focus:ring-[#3b82f6] focus:border-transparent"
+              />
+              <p className="text-xs text-gray-500 mt-2">If the bounty is not paid out by then, it expires and the escrow is refunded to your wallet. Leave empty for no deadline.</p>
+            </div>
+            <div className="mt-4">
+              <label className="block font-medium mb-2 text-gray-300">Who Works on It</label>
+              <select
+                name="claimMode"
+                value={form.claimMode}
+                onChange={(e) => setForm(prev => ({ ...prev, claimMode: e.target.value }))}
+                className="w-full px-4 py-2 bg-[#1e293b] border border-[#334155] rounded-lg text-gray-300 focus:outline-none focus:ring-2 focus:ring-[#3b82f6] focus:border-transparent"
+              >
+                <option value="claim">First hunter to claim it</option>
+                <option value="application">A hunter I pick from applications</option>
+                <option value="competitive">Anyone: the first merged pull request wins</option>
+              </select>
+              <p className="text-xs text-gray-500 mt-2">
+                {form.claimMode === 'application'
+                  ? 'Hunters apply with a pitch and an ETA and you pick one on the review page.'
+                  : form.claimMode === 'competitive'
+                    ? 'Nobody can claim the bounty. It is paid to the author of the first merged pull request that fixes the issue; hunters can join the race to hear when it is won. Competitive bounties cannot have milestones.'
+                    : 'The first hunter to claim the bounty gets to work on it until the claim window runs out.'}
+              </p>
+            </div>
+          </div>
+
+          <div className="bg-[#0f172a] rounded-lg p-6 border border-[#334155]">
+            <div className="flex items-center justify-between mb-2">
+              <label className="block font-medium text-gray-300">Milestones (optional)</label>
+              <button
+                type="button"
+                onClick={handleAddMilestone}
+                className="px-3 py-1 text-sm bg-[#1e293b] border border-[#334155] rounded-lg text-gray-300 hover:border-[#3b82f6]"
+              >
+                Add Milestone
+              </button>
+            </div>
+            <p className="text-xs text-gray-500 mb-4">Pay the bounty in stages. You approve each milestone in order and its amount is released to the hunter right away; anything not released is refunded if the bounty is cancelled. Milestones must add up to the bounty amount.</p>
+            {form.milestones.map((milestone, index) => (
+              <div key={index} className="mb-4 p-4 bg-[#1e293b] border border-[#334155] rounded-lg">
+                <div className="flex items-center gap-2 mb-2">
+                  <span className="text-gray-400 text-sm">{index + 1}.</span>
+                  <input
+                    type="text"
+                    value={milestone.title}
+                    onChange={(e) => handleMilestoneChange(index, 'title', e.target.value)}
+                    placeholder="Title"
+                    required
+                    className="flex-1 px-3 py-1 bg-[#0f172a] border border-[#334155] rounded-lg text-gray-300 focus:outline-none focus:ring-2 focus:ring-[#3b82f6]"
+                  />
+                  <input
+                    type="number"
+                    value={milestone.amount}
+                    onChange={(e) => handleMilestoneChange(index, 'amount', e.target.value)}
+                    placeholder="Amount"
+                    required
+                    min="0.000001"
+                    step="any"
+                    className="w-32 px-3 py-1 bg-[#0f172a] border border-[#334155] rounded-lg text-gray-300 focus:outline-none focus:ring-2 focus:ring-[#3b82f6]"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => handleRemoveMilestone(index)}
+                    className="px-2 text-red-400 hover:text-red-300"
+                    title="Remove milestone"
+                  >
+                    ✕
+                  </button>
+                </div>
+                <textarea
+                  value={milestone.description}
+                  onChange={(e) => handleMilestoneChange(index, 'description', e.target.value)}
+                  placeholder="What has to be delivered for this milestone to be accepted"
+                  rows={2}
+                  className="w-full px-3 py-1 bg-[#0f172a] border border-[#334155] rounded-lg text-gray-300 focus:outline-none focus:ring-2 focus:ring-[#3b82f6]"
+                />
+              </div>
+            ))}
+            {form.milestones.length > 0 && (
+              <p className={`text-xs ${milestonesMatch ? 'text-gray-500' : 'text-red-400'}`}>
+                Milestones total {formatAmount(milestoneTotal, token.decimals)} of {formatAmount(typedAmount(form.amount, token.decimals), token.decimals)} {token.symbol}
+              </p>
+            )}
           </div>
           
           <div className="bg-[#0f172a] rounded-lg p-6 border border-[#334155]">
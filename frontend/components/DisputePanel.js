@@ -0,0 +1,174 @@
+import React, { useState } from 'react';
+import { openDispute, addDisputeEvidence } from '../api/dispute';
+
+// Evidence submitted to a dispute, oldest first
+export const DisputeEvidence = ({ evidence }) => (
+  evidence.length === 0 ? (
+    <p className="text-gray-500 text-sm mt-2">No evidence submitted yet.</p>
+  ) : (
+    <ul className="space-y-2 mt-2">
+      {evidence.map(item => (
+        <li key={item.id} className="p-3 bg-[#1e293b] rounded-lg border border-[#334155] text-sm">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <span className="text-white font-medium">{item.user?.githubUsername}</span>
+            <span className="text-gray-400 text-xs">{new Date(item.createdAt).toLocaleString()}</span>
+          </div>
+          <p className="text-gray-300 mt-1 whitespace-pre-wrap">{item.body}</p>
+          {item.url && (
+            <a href={item.url} target="_blank" rel="noopener noreferrer" className="text-[#60a5fa] hover:underline break-all">
+              {item.url}
+            </a>
+          )}
+        </li>
+      ))}
+    </ul>
+  )
+);
+
+// Disputes of a bounty, with forms to open one (claimed or recently completed bounties) and to add evidence
+const DisputePanel = ({ bountyId, status, disputes, onChange }) => {
+  const [reason, setReason] = useState('');
+  const [showOpenForm, setShowOpenForm] = useState(false);
+  const [evidenceBody, setEvidenceBody] = useState('');
+  const [evidenceUrl, setEvidenceUrl] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const active = disputes.find(d => d.status !== 'RESOLVED');
+  const canOpen = !active && (status === 'CLAIMED' || status === 'COMPLETED');
+
+  const handleOpen = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Open a dispute? The bounty\'s funds stay frozen until an admin resolves it.')) {
+      return;
+    }
+    setError('');
+    setSubmitting(true);
+    try {
+      await openDispute(bountyId, reason);
+      setReason('');
+      setShowOpenForm(false);
+      onChange();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to open dispute');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleEvidence = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSubmitting(true);
+    try {
+      await addDisputeEvidence(bountyId, active.id, evidenceBody, evidenceUrl);
+      setEvidenceBody('');
+      setEvidenceUrl('');
+      onChange();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to add evidence');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (disputes.length === 0 && !canOpen) {
+    return null;
+  }
+
+  return (
+    <div className="mt-6">
+      <h4 className="text-md font-semibold text-white mb-3">Disputes</h4>
+      {error && <p className="text-red-400 text-sm mb-3">{error}</p>}
+
+      <ul className="space-y-3">
+        {disputes.map(dispute => (
+          <li key={dispute.id} className="p-4 bg-[#0f172a] rounded-lg border border-[#334155] text-sm">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <span className="text-white font-medium">Opened by {dispute.opener?.githubUsername}</span>
+              <span className={dispute.status === 'RESOLVED' ? 'text-gray-400' : 'text-red-400'}>
+                {dispute.status === 'RESOLVED' ? `RESOLVED · ${dispute.resolution}` : dispute.status}
+              </span>
+            </div>
+            <p className="text-gray-300 mt-1 whitespace-pre-wrap">{dispute.reason}</p>
+            {dispute.status === 'RESOLVED' && (
+              <p className="text-gray-400 mt-1">
+                Resolved by {dispute.resolver?.githubUsername || 'an admin'} on {new Date(dispute.resolvedAt).toLocaleString()}
+                {dispute.resolution === 'SPLIT' && ` · ${dispute.hunterPercent}% to the hunter`}
+                {dispute.resolutionNote && ` — ${dispute.resolutionNote}`}
+              </p>
+            )}
+            <DisputeEvidence evidence={dispute.evidence || []} />
+
+            {dispute.status === 'OPEN' && (
+              <form onSubmit={handleEvidence} className="mt-3 space-y-2">
+                <textarea
+                  value={evidenceBody}
+                  onChange={(e) => setEvidenceBody(e.target.value)}
+                  placeholder="Explain your side"
+                  required
+                  rows={3}
+                  className="w-full px-3 py-2 bg-[#1e293b] border border-[#334155] rounded-lg text-gray-300 focus:outline-none focus:ring-2 focus:ring-[#3b82f6]"
+                />
+                <input
+                  type="url"
+                  value={evidenceUrl}
+                  onChange={(e) => setEvidenceUrl(e.target.value)}
+                  placeholder="Link to a commit, screenshot or discussion (optional)"
+                  className="w-full px-3 py-2 bg-[#1e293b] border border-[#334155] rounded-lg text-gray-300 focus:outline-none focus:ring-2 focus:ring-[#3b82f6]"
+                />
+                <button
+                  type="submit"
+                  disabled={submitting}
+                  className="px-4 py-2 bg-[#3b82f6] text-white rounded-lg text-sm hover:bg-[#2563eb] disabled:opacity-50 transition-colors duration-200"
+                >
+                  {submitting ? 'Submitting...' : 'Add Evidence'}
+                </button>
+              </form>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {canOpen && (
+        showOpenForm ? (
+          <form onSubmit={handleOpen} className="mt-3 space-y-2">
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="What went wrong?"
+              required
+              rows={3}
+              className="w-full px-3 py-2 bg-[#0f172a] border border-[#334155] rounded-lg text-gray-300 focus:outline-none focus:ring-2 focus:ring-[#3b82f6]"
+            />
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={submitting}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg text-sm hover:bg-red-700 disabled:opacity-50 transition-colors duration-200"
+              >
+                {submitting ? 'Opening...' : 'Open Dispute'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowOpenForm(false)}
+                className="px-4 py-2 text-gray-400 hover:text-white text-sm transition-colors duration-200"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <button
+            onClick={() => setShowOpenForm(true)}
+            className="mt-3 text-red-400 hover:text-red-300 text-sm transition-colors duration-200"
+          >
+            Something wrong? Open a dispute
+          </button>
+        )
+      )}
+    </div>
+  );
+};
+
+export default DisputePanel;
@@ -0,0 +1,143 @@
+import React, { useEffect, useState } from 'react';
+import {
+  fetchReconciliations,
+  fetchReconciliation,
+  runReconciliation,
+  downloadReconciliationReport
+} from '../api/reconciliation';
+import { formatBountyAmount, DECIMALS } from '../../shared/money';
+
+// Reports from before token bounties only hold native-coin amounts
+const NATIVE = { currency: 'ETH', tokenDecimals: DECIMALS };
+
+// Solvency of escrow against what unfinished bounties owe, with the bounties whose deposits
+// are missing, mismatched or underfunded (admin only)
+const EscrowReconciliation = () => {
+  const [runs, setRuns] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState('');
+
+  const selectRun = async (reconciliationId) => {
+    try {
+      setSelected(await fetchReconciliation(reconciliationId));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load the reconciliation report');
+    }
+  };
+
+  useEffect(() => {
+    const loadRuns = async () => {
+      try {
+        const data = await fetchReconciliations();
+        setRuns(data);
+        if (data.length > 0) {
+          setSelected(await fetchReconciliation(data[0].id));
+        }
+      } catch (err) {
+        setError(err.response?.status === 403 ? '' : 'Failed to load escrow reconciliations');
+      }
+    };
+    loadRuns();
+  }, []);
+
+  const handleRun = async () => {
+    setError('');
+    setRunning(true);
+    try {
+      const reconciliation = await runReconciliation();
+      setRuns(prev => [reconciliation, ...prev]);
+      setSelected(reconciliation);
+    } catch (err) {
+      setError(err.response?.data?.message || err.response?.data?.error || 'Failed to reconcile escrow');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleDownload = async (format) => {
+    try {
+      await downloadReconciliationReport(selected.id, format);
+    } catch (err) {
+      setError('Failed to download the report');
+    }
+  };
+
+  const report = selected?.report;
+  const flagged = report ? report.bounties.filter(line => line.flags.length > 0) : [];
+
+  return (
+    <div className="bg-[#1e293b] rounded-xl p-6 shadow-lg border border-[#334155] mt-8">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h3 className="text-lg font-semibold text-white">Escrow Reconciliation</h3>
+        <button
+          onClick={handleRun}
+          disabled={running}
+          className="px-4 py-2 bg-[#3b82f6] text-white rounded-lg text-sm hover:bg-[#2563eb] disabled:opacity-50 transition-colors duration-200"
+        >
+          {running ? 'Reconciling...' : 'Reconcile Now'}
+        </button>
+      </div>
+      {error && <p className="text-red-400 text-sm mb-3">{error}</p>}
+
+      {runs.length > 1 && (
+        <select
+          value={selected?.id || ''}
+          onChange={(e) => selectRun(e.target.value)}
+          className="mb-4 px-3 py-2 bg-[#0f172a] border border-[#334155] rounded-lg text-gray-300 text-sm"
+        >
+          {runs.map(run => (
+            <option key={run.id} value={run.id}>
+              #{run.id} · {new Date(run.createdAt).toLocaleString()} · {run.solvent ? 'solvent' : 'not solvent'} · {run.flaggedBounties} flagged
+            </option>
+          ))}
+        </select>
+      )}
+
+      {!report ? (
+        <p className="text-gray-400">No reconciliation has run yet.</p>
+      ) : (
+        <>
+          <p className={report.summary.solvent ? 'text-[#34d399]' : 'text-red-400'}>
+            {report.summary.solvent ? 'Escrow covers every unfinished bounty.' : 'Escrow does not cover what unfinished bounties owe.'}
+          </p>
+          {(report.summary.tokens || [{ ...NATIVE, bounties: report.summary.bounties, liabilities: report.summary.liabilities, escrowBalance: report.summary.escrowBalance }])
+            .filter(total => total.bounties > 0 || total.escrowBalance !== '0')
+            .map(total => (
+              <p key={total.tokenAddress || total.currency} className="text-gray-400 text-sm mt-1">
+                {total.bounties} {total.currency} bounties owe {formatBountyAmount(total.liabilities, total)} · escrow holds {formatBountyAmount(total.escrowBalance, total)}
+              </p>
+            ))}
+          {report.sharedAccount.bounties > 0 && (
+            <p className="text-gray-400 text-sm">
+              Shared account: {report.sharedAccount.bounties} bounties owe {formatBountyAmount(report.sharedAccount.liabilities, NATIVE)},
+              balance {formatBountyAmount(report.sharedAccount.balance, NATIVE)}
+            </p>
+          )}
+          <p className="text-gray-500 text-xs mt-1">Generated {new Date(report.generatedAt).toLocaleString()} on {report.provider}</p>
+
+          {flagged.length > 0 && (
+            <ul className="space-y-2 mt-4">
+              {flagged.map(line => (
+                <li key={line.bountyId} className="p-3 bg-[#0f172a] rounded-lg border border-red-900 text-sm">
+                  <span className="text-white font-medium">Bounty #{line.bountyId} · {line.issue}</span>
+                  <span className="text-gray-400"> · {line.status} · owes {formatBountyAmount(line.liability, line.currency ? line : NATIVE)}</span>
+                  {line.flags.map((flag, index) => (
+                    <p key={index} className="text-red-400 mt-1">{flag.code}: {flag.message}</p>
+                  ))}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="flex gap-3 mt-4">
+            <button onClick={() => handleDownload('csv')} className="text-[#3b82f6] hover:text-[#2563eb] text-sm">Download CSV</button>
+            <button onClick={() => handleDownload('json')} className="text-[#3b82f6] hover:text-[#2563eb] text-sm">Download JSON</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default EscrowReconciliation;
@@ -0,0 +1,102 @@
+import React, { useEffect, useState } from 'react';
+import { fetchWebhooks, fetchFailedDeliveries, replayDelivery } from '../api/webhook';
+
+const FailedDeliveries = () => {
+  const [deliveries, setDeliveries] = useState([]);
+  const [replaying, setReplaying] = useState(null);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    // Load failed deliveries for every repository the user has a webhook on
+    const loadDeliveries = async () => {
+      try {
+        const webhooks = await fetchWebhooks();
+        const results = await Promise.all(webhooks.map(async webhook => {
+          const [owner, repo] = webhook.repository.split('/');
+          const failed = await fetchFailedDeliveries(owner, repo);
+          return failed.map(delivery => ({ ...delivery, repository: webhook.repository }));
+        }));
+        setDeliveries(results.flat());
+      } catch (err) {
+        console.error('Failed to load webhook deliveries:', err);
+      }
+    };
+    loadDeliveries();
+  }, []);
+
+  const handleReplay = async (delivery) => {
+    setError('');
+    setMessage('');
+    setReplaying(delivery.id);
+    try {
+      const result = await replayDelivery(delivery.id);
+      if (result.success) {
+        setMessage(result.outcome?.message || 'Delivery replayed successfully.');
+        setDeliveries(prev => prev.filter(d => d.id !== delivery.id));
+      } else {
+        setError(`Replay failed: ${result.error}`);
+        setDeliveries(prev => prev.map(d => (d.id === delivery.id ? { ...d, ...result.delivery } : d)));
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to replay delivery');
+    } finally {
+      setReplaying(null);
+    }
+  };
+
+  if (deliveries.length === 0 && !message && !error) {
+    return null;
+  }
+
+  return (
+    <div className="mt-8">
+      <h3 className="text-xl font-semibold mb-2">Failed GitHub Events</h3>
+      <p className="text-gray-400 text-sm mb-3">
+        These webhook deliveries could not be processed (for example, an escrow release failed) or were interrupted while processing. Replay them once the problem is fixed.
+      </p>
+      {message && <p className="text-green-600 mb-3">{message}</p>}
+      {error && <p className="text-red-600 mb-3">{error}</p>}
+      <div className="overflow-x-auto rounded-lg border border-[#334155] shadow-lg">
+        <table className="min-w-full text-sm divide-y divide-[#334155]">
+          <thead className="bg-[#1e293b]">
+            <tr>
+              <th className="px-6 py-4 text-left font-medium text-gray-300 uppercase tracking-wider">Repository</th>
+              <th className="px-6 py-4 text-left font-medium text-gray-300 uppercase tracking-wider">Event</th>
+              <th className="px-6 py-4 text-left font-medium text-gray-300 uppercase tracking-wider">Error</th>
+              <th className="px-6 py-4 text-left font-medium text-gray-300 uppercase tracking-wider">Attempts</th>
+              <th className="px-6 py-4 text-left font-medium text-gray-300 uppercase tracking-wider">Received</th>
+              <th className="px-6 py-4 text-right"></th>
+            </tr>
+          </thead>
+          <tbody className="bg-[#0f172a] divide-y divide-[#334155]">
+            {deliveries.map(delivery => (
+              <tr key={delivery.id} className="hover:bg-[#1e293b] transition-colors duration-150">
+                <td className="px-6 py-4 whitespace-nowrap text-gray-300 font-medium">{delivery.repository}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-gray-300">
+                  {delivery.action ? `${delivery.event}.${delivery.action}` : delivery.event}
+                </td>
+                <td className="px-6 py-4 text-red-400">
+                  {delivery.status === 'PROCESSING' ? 'Processing was interrupted' : delivery.error}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-gray-300">{delivery.attempts}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-gray-400">{new Date(delivery.createdAt).toLocaleString()}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-right">
+                  <button
+                    onClick={() => handleReplay(delivery)}
+                    disabled={replaying === delivery.id}
+                    className="px-4 py-2 bg-[#3b82f6] hover:bg-[#2563eb] text-white text-xs font-medium rounded-lg transition-colors duration-200 disabled:opacity-50"
+                  >
+                    {replaying === delivery.id ? 'Replaying...' : 'Replay'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default FailedDeliveries;
@@ -1,16 +1,24 @@
 import React, { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
 import Link from 'next/link';
+import { getCurrentUser } from '../api/auth';
 
 const Layout = ({ children }) => {
   const router = useRouter();
   const [isLoggedIn, setIsLoggedIn] = useState(false);
   const [username, setUsername] = useState('');
+  const [isAdmin, setIsAdmin] = useState(false);
   
   // Use useEffect to safely access localStorage after component mounts
   useEffect(() => {
-    setIsLoggedIn(!!localStorage.getItem('token'));
+    const hasToken = !!localStorage.getItem('token');
+    setIsLoggedIn(hasToken);
     setUsername(localStorage.getItem('username') || '');
+
+    // Platform admins get a link to the disputes waiting for a ruling
+    if (hasToken) {
+      getCurrentUser().then(user => setIsAdmin(Boolean(user?.isAdmin)));
+    }
   }, []);
   
   const handleLogout = () => {
@@ -87,6 +95,17 @@ const Layout = ({ children }) => {
                   Wallets
                 </span>
               </Link>
+              {isAdmin && (
+                <Link href="/admin">
+                  <span className={`px-3 py-2 rounded-md text-sm font-medium ${
+                    router.pathname === '/admin' 
+                      ? 'bg-[#3b82f6] text-white' 
+                      : 'text-gray-300 hover:bg-[#334155] hover:text-white'
+                  } cursor-pointer transition-colors duration-200`}>
+                    Admin
+                  </span>
+                </Link>
+              )}
               
               {/* User Menu */}
               <div className="ml-3 relative flex items-center">
@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { approveMilestone } from '../api/bounty';
+import { formatBountyAmount, sumAmounts } from '../../shared/money';
+
+// Milestones of a bounty, with an Approve button on the next one for the owner of a claimed bounty
+const Milestones = ({ bounty, canApprove, onApproved, onClose }) => {
+  const [milestones, setMilestones] = useState(bounty.milestones || []);
+  const [approvingId, setApprovingId] = useState(null);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  // Milestones are approved in order, so only the first one not yet released can be approved
+  const next = milestones.find(m => m.status !== 'RELEASED');
+  const released = sumAmounts(milestones.filter(m => m.status === 'RELEASED').map(m => m.amount));
+
+  const handleApprove = async (milestone) => {
+    if (!window.confirm(`Approve "${milestone.title}" and release ${formatBountyAmount(milestone.amount, bounty)} to ${bounty.claimer?.githubUsername || 'the hunter'}?`)) {
+      return;
+    }
+    setError('');
+    setMessage('');
+    setApprovingId(milestone.id);
+    try {
+      const { data } = await approveMilestone(bounty.id, milestone.id);
+      setMilestones(prev => prev.map(m => (m.id === milestone.id ? { ...m, ...data.milestone } : m)));
+      setMessage(data.bounty.status === 'COMPLETED'
+        ? 'Last milestone released, the bounty is completed.'
+        : `Milestone released. Transaction: ${data.transaction}`);
+      if (onApproved) {
+        onApproved(data.bounty, data.milestone);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to approve milestone');
+    } finally {
+      setApprovingId(null);
+    }
+  };
+
+  return (
+    <div className="bg-[#1e293b] rounded-xl p-6 shadow-lg border border-[#334155]">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-white">
+          Milestones of {bounty.repoOwner}/{bounty.repoName}#{bounty.issueNumber}
+        </h3>
+        {onClose && (
+          <button onClick={onClose} className="text-gray-400 hover:text-white text-sm transition-colors duration-200">
+            Close
+          </button>
+        )}
+      </div>
+      <p className="text-gray-400 text-sm mb-4">{formatBountyAmount(released, bounty)} of {formatBountyAmount(bounty.amount, bounty)} released</p>
+      {message && <p className="text-green-600 mb-3">{message}</p>}
+      {error && <p className="text-red-400 mb-3">{error}</p>}
+
+      <ol className="space-y-3">
+        {milestones.map(milestone => (
+          <li key={milestone.id} className="p-4 bg-[#0f172a] rounded-lg border border-[#334155] text-sm">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <span className="text-white font-medium">{milestone.position}. {milestone.title}</span>
+              <span className="text-[#34d399]">{formatBountyAmount(milestone.amount, bounty)}</span>
+            </div>
+            {milestone.description && <p className="text-gray-400 mt-1 whitespace-pre-line">{milestone.description}</p>}
+            <div className="flex flex-wrap items-center justify-between gap-2 mt-2">
+              <span className={milestone.status === 'RELEASED' ? 'text-gray-400' : 'text-[#facc15]'}>
+                {milestone.status}
+                {milestone.txHash && <span className="ml-2 text-gray-500 text-xs font-mono break-all">tx: {milestone.txHash}</span>}
+              </span>
+              {canApprove && bounty.status === 'CLAIMED' && next?.id === milestone.id && (
+                <button
+                  onClick={() => handleApprove(milestone)}
+                  disabled={approvingId === milestone.id}
+                  className="px-4 py-2 rounded-md text-sm font-medium bg-gradient-to-r from-[#10b981] to-[#059669] hover:from-[#059669] hover:to-[#047857] text-white shadow-md disabled:opacity-70"
+                >
+                  {approvingId === milestone.id ? 'Releasing...' : 'Approve'}
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default Milestones;
@@ -0,0 +1,64 @@
+import React, { useEffect, useState } from 'react';
+import { fetchNotifications, markNotificationRead, markAllNotificationsRead } from '../api/notification';
+
+const Notifications = () => {
+  const [notifications, setNotifications] = useState([]);
+
+  useEffect(() => {
+    const loadNotifications = async () => {
+      const data = await fetchNotifications();
+      setNotifications(data);
+    };
+    loadNotifications();
+  }, []);
+
+  const unread = notifications.filter(n => !n.readAt);
+
+  const handleRead = async (id) => {
+    try {
+      await markNotificationRead(id);
+      setNotifications(prev => prev.map(n => (n.id === id ? { ...n, readAt: new Date().toISOString() } : n)));
+    } catch (err) {
+      console.error('Failed to mark notification as read:', err);
+    }
+  };
+
+  const handleReadAll = async () => {
+    try {
+      await markAllNotificationsRead();
+      setNotifications(prev => prev.map(n => ({ ...n, readAt: n.readAt || new Date().toISOString() })));
+    } catch (err) {
+      console.error('Failed to mark notifications as read:', err);
+    }
+  };
+
+  if (unread.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mb-8 bg-[#1e293b] rounded-xl p-6 shadow-lg border border-[#334155]">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-white">Notifications</h2>
+        <button onClick={handleReadAll} className="text-[#3b82f6] hover:text-[#60a5fa] text-sm font-medium transition-colors duration-200">
+          Mark all as read
+        </button>
+      </div>
+      <ul className="space-y-2">
+        {unread.map(notification => (
+          <li key={notification.id} className="p-3 bg-[#0f172a] rounded-lg border border-[#334155] flex items-start justify-between gap-4">
+            <div>
+              <p className="text-gray-300 text-sm">{notification.message}</p>
+              <p className="text-gray-500 text-xs mt-1">{new Date(notification.createdAt).toLocaleString()}</p>
+            </div>
+            <button onClick={() => handleRead(notification.id)} className="text-gray-400 hover:text-white text-xs whitespace-nowrap transition-colors duration-200">
+              Dismiss
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default Notifications;
@@ -0,0 +1,84 @@
+import React, { useEffect, useState } from 'react';
+import { fetchWebhooks, setPayoutHold } from '../api/webhook';
+
+// Review window of each repository the user has a webhook on: payouts triggered by a closed
+// issue or merged pull request wait this many hours before the escrow is released
+const PayoutHoldSettings = () => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [hours, setHours] = useState({});
+  const [saving, setSaving] = useState(null);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadWebhooks = async () => {
+      const data = await fetchWebhooks();
+      setWebhooks(data);
+      setHours(Object.fromEntries(data.map(w => [w.repository, w.payoutHoldHours ?? ''])));
+    };
+    loadWebhooks();
+  }, []);
+
+  const handleSave = async (repository) => {
+    const [owner, repo] = repository.split('/');
+    setError('');
+    setMessage('');
+    setSaving(repository);
+    try {
+      const value = hours[repository] === '' ? null : Number(hours[repository]);
+      const result = await setPayoutHold(owner, repo, value);
+      setMessage(result.payoutHoldHours === null
+        ? `${repository} now uses the default review window.`
+        : `Payouts of ${repository} are now held for ${result.payoutHoldHours}h.`);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update the review window');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  if (webhooks.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-8">
+      <h3 className="text-xl font-semibold mb-2">Payout Review Window</h3>
+      <p className="text-gray-400 text-sm mb-3">
+        Hold automatic payouts for a few hours so you can check the fix. Reopening the issue during the window cancels the payout. Leave empty for the default.
+      </p>
+      {message && <p className="text-green-600 mb-3">{message}</p>}
+      {error && <p className="text-red-600 mb-3">{error}</p>}
+      <ul className="space-y-2">
+        {webhooks.map(webhook => (
+          <li key={webhook.id} className="flex flex-wrap items-center gap-3 p-3 bg-[#1e293b] rounded-lg border border-[#334155] text-sm">
+            <span className="text-gray-300 font-medium flex-1">{webhook.repository}</span>
+            <label className="text-gray-400 flex items-center gap-2">
+              Hold for
+              <input
+                type="number"
+                min="0"
+                max="720"
+                step="1"
+                value={hours[webhook.repository]}
+                onChange={(e) => setHours(prev => ({ ...prev, [webhook.repository]: e.target.value }))}
+                placeholder="default"
+                className="w-24 px-2 py-1 bg-[#0f172a] border border-[#334155] rounded-lg text-gray-300"
+              />
+              hours
+            </label>
+            <button
+              onClick={() => handleSave(webhook.repository)}
+              disabled={saving === webhook.repository}
+              className="px-4 py-2 bg-[#3b82f6] hover:bg-[#2563eb] text-white text-xs font-medium rounded-lg transition-colors duration-200 disabled:opacity-50"
+            >
+              {saving === webhook.repository ? 'Saving...' : 'Save'}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default PayoutHoldSettings;
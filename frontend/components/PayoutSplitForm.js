@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { fetchBountyCoAuthors } from '../api/bounty';
+import { parseAmount, formatAmount, formatBountyAmount, toBaseUnits, percentOf, allocate } from '../../shared/money';
+
+const emptyRow = { github: '', value: '', unit: '%' };
+
+// Base units of one row of the split, or nothing while it is not a valid amount yet
+const rowAmount = (row, payable, decimals) => {
+  try {
+    return row.unit === '%' ? percentOf(payable, row.value || '0') : parseAmount(row.value || '0', decimals);
+  } catch (err) {
+    return BigInt(0);
+  }
+};
+
+// Lets a bounty owner pay the hunter in full or split the payout between several GitHub users
+const PayoutSplitForm = ({ bounty, onSubmit, onCancel, submitting }) => {
+  const [splitting, setSplitting] = useState(false);
+  const [rows, setRows] = useState([
+    { github: bounty.claimer?.githubUsername || '', value: '50', unit: '%' },
+    { ...emptyRow, value: '50' }
+  ]);
+  const [error, setError] = useState('');
+
+  const updateRow = (index, field, value) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  // Fill the split with equal shares for the co-authors of the merged pull request
+  const handleUseCoAuthors = async () => {
+    setError('');
+    try {
+      const { logins, unresolved } = await fetchBountyCoAuthors(bounty.id);
+      // Shares of 100% that add up exactly, the last one taking what does not divide evenly
+      const shares = allocate(parseAmount(100), logins.map(() => 1));
+      setRows(logins.map((github, index) => ({ github, value: formatAmount(shares[index]), unit: '%' })));
+      if (unresolved.length > 0) {
+        setError(`Could not match these co-authors to GitHub accounts: ${unresolved.join(', ')}`);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load pull request co-authors');
+    }
+  };
+
+  // The split pays out what milestones have not released yet
+  const payable = toBaseUnits(bounty.amount) - toBaseUnits(bounty.releasedAmount || '0');
+  const total = rows.reduce((sum, row) => sum + rowAmount(row, payable, bounty.tokenDecimals), BigInt(0));
+  // Percentages are rounded down to the base unit; the backend gives the last recipient the difference
+  const percentRows = rows.filter(row => row.unit === '%').length;
+  const balanced = total <= payable && payable - total < BigInt(Math.max(percentRows, 1));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!splitting) {
+      onSubmit(null);
+      return;
+    }
+    onSubmit(rows
+      .filter(row => row.github)
+      .map(row => (row.unit === '%' ? { github: row.github, percent: row.value } : { github: row.github, amount: row.value })));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="my-6 bg-[#1e293b] rounded-xl p-6 shadow-lg border border-[#334155]">
+      <h3 className="text-lg font-semibold text-white mb-1">
+        Release {formatBountyAmount(payable, bounty)} for {bounty.repoOwner}/{bounty.repoName}#{bounty.issueNumber}
+      </h3>
+      <div className="flex gap-6 my-4 text-gray-300">
+        <label className="flex items-center">
+          <input type="radio" className="mr-2" checked={!splitting} onChange={() => setSplitting(false)} />
+          Pay {bounty.claimer?.githubUsername || 'the hunter'} in full
+        </label>
+        <label className="flex items-center">
+          <input type="radio" className="mr-2" checked={splitting} onChange={() => setSplitting(true)} />
+          Split between several people
+        </label>
+      </div>
+
+      {splitting && (
+        <div className="bg-[#0f172a] rounded-lg p-4 border border-[#334155] mb-4">
+          {rows.map((row, index) => (
+            <div key={index} className="flex gap-2 mb-2">
+              <input
+                type="text"
+                placeholder="GitHub username"
+                value={row.github}
+                onChange={(e) => updateRow(index, 'github', e.target.value)}
+                className="flex-1 px-3 py-2 bg-[#1e293b] border border-[#334155] rounded-lg text-gray-300"
+              />
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={row.value}
+                onChange={(e) => updateRow(index, 'value', e.target.value)}
+                className="w-32 px-3 py-2 bg-[#1e293b] border border-[#334155] rounded-lg text-gray-300"
+              />
+              <select
+                value={row.unit}
+                onChange={(e) => updateRow(index, 'unit', e.target.value)}
+                className="px-3 py-2 bg-[#1e293b] border border-[#334155] rounded-lg text-gray-300"
+              >
+                <option value="%">%</option>
+                <option value="amount">{bounty.currency}</option>
+              </select>
+              <button
+                type="button"
+                onClick={() => setRows(prev => prev.filter((_, i) => i !== index))}
+                className="px-3 text-gray-400 hover:text-white"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+          <div className="flex items-center justify-between mt-3 text-sm">
+            <div className="flex gap-4">
+              <button type="button" onClick={() => setRows(prev => [...prev, { ...emptyRow }])} className="text-[#60a5fa] hover:underline">
+                + Add recipient
+              </button>
+              <button type="button" onClick={handleUseCoAuthors} className="text-[#60a5fa] hover:underline">
+                Use pull request co-authors
+              </button>
+            </div>
+            <span className={balanced ? 'text-[#34d399]' : 'text-red-400'}>
+              {formatAmount(total, bounty.tokenDecimals)} of {formatBountyAmount(payable, bounty)}
+            </span>
+          </div>
+          <p className="text-xs text-gray-500 mt-3">Every recipient needs a GitPaid account with a wallet. Each share is sent as its own escrow transfer.</p>
+        </div>
+      )}
+
+      {error && <p className="text-red-400 text-sm mb-3">{error}</p>}
+
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="px-4 py-2 rounded-md text-sm font-medium bg-[#0f172a] text-gray-300 border border-[#334155] hover:bg-[#334155]">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={submitting}
+          className="px-4 py-2 rounded-md text-sm font-medium bg-gradient-to-r from-[#10b981] to-[#059669] hover:from-[#059669] hover:to-[#047857] text-white shadow-md disabled:opacity-50"
+        >
+          {submitting ? 'Processing...' : 'Release'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default PayoutSplitForm;
@@ -1,3 +1,7 @@
 module.exports = {
-  reactStrictMode: true
+  reactStrictMode: true,
+  experimental: {
+    // Compile shared/ (the money utility shared with the backend) from outside this directory
+    externalDir: true
+  }
 };
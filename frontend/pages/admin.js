@@ -0,0 +1,159 @@
+import React, { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import { fetchActiveDisputes, resolveDispute } from '../api/dispute';
+import { DisputeEvidence } from '../components/DisputePanel';
+import EscrowReconciliation from '../components/EscrowReconciliation';
+import { formatBountyAmount } from '../../shared/money';
+
+// Ruling form for one dispute; a bounty that was already paid out can only have its dispute dismissed
+const RulingForm = ({ dispute, onResolved }) => {
+  const paidOut = dispute.bountyStatus === 'COMPLETED';
+  const [outcome, setOutcome] = useState(paidOut ? 'dismiss' : dispute.resolution?.toLowerCase() || 'release');
+  const [hunterPercent, setHunterPercent] = useState(dispute.hunterPercent ?? 50);
+  const [note, setNote] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!window.confirm(`Resolve this dispute with "${outcome}"? This moves the escrow and cannot be undone.`)) {
+      return;
+    }
+    setError('');
+    setSubmitting(true);
+    try {
+      const { data } = await resolveDispute(dispute.id, outcome, hunterPercent, note);
+      onResolved(dispute, data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to resolve dispute');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 space-y-2">
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+      {dispute.status === 'RESOLVING' && (
+        <p className="text-[#facc15] text-sm">A {dispute.resolution} ruling did not finish; submit it again to retry.</p>
+      )}
+      <div className="flex flex-wrap items-center gap-3">
+        <select
+          value={outcome}
+          onChange={(e) => setOutcome(e.target.value)}
+          disabled={dispute.status === 'RESOLVING'}
+          className="px-3 py-2 bg-[#0f172a] border border-[#334155] rounded-lg text-gray-300"
+        >
+          {!paidOut && <option value="release">Release to hunter</option>}
+          {!paidOut && <option value="refund">Refund funders</option>}
+          {!paidOut && <option value="split">Split</option>}
+          <option value="dismiss">Dismiss</option>
+        </select>
+        {outcome === 'split' && (
+          <label className="text-gray-300 text-sm flex items-center gap-2">
+            Hunter gets
+            <input
+              type="number"
+              min="1"
+              max="99"
+              step="any"
+              value={hunterPercent}
+              onChange={(e) => setHunterPercent(e.target.value)}
+              disabled={dispute.status === 'RESOLVING'}
+              className="w-20 px-2 py-1 bg-[#0f172a] border border-[#334155] rounded-lg text-gray-300"
+            />
+            %
+          </label>
+        )}
+      </div>
+      <input
+        type="text"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        placeholder="Reason for the ruling (shown to both sides)"
+        className="w-full px-3 py-2 bg-[#0f172a] border border-[#334155] rounded-lg text-gray-300"
+      />
+      <button
+        type="submit"
+        disabled={submitting}
+        className="px-4 py-2 bg-[#3b82f6] text-white rounded-lg text-sm hover:bg-[#2563eb] disabled:opacity-50 transition-colors duration-200"
+      >
+        {submitting ? 'Resolving...' : 'Resolve Dispute'}
+      </button>
+    </form>
+  );
+};
+
+const Admin = () => {
+  const router = useRouter();
+  const [disputes, setDisputes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!localStorage.getItem('token')) {
+      router.push('/');
+      return;
+    }
+    // Load the disputes waiting for a ruling
+    const loadDisputes = async () => {
+      try {
+        setDisputes(await fetchActiveDisputes());
+      } catch (err) {
+        console.error('Failed to load disputes:', err);
+        setError(err.response?.status === 403 ? 'Only platform admins can resolve disputes.' : 'Failed to load disputes');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadDisputes();
+  }, [router]);
+
+  const handleResolved = (dispute, result) => {
+    const bounty = dispute.bounty;
+    setDisputes(prev => prev.filter(d => d.id !== dispute.id));
+    setMessage(`Dispute on ${bounty.repoOwner}/${bounty.repoName}#${bounty.issueNumber} resolved (${result.dispute.resolution}); the bounty is now ${result.bounty.status}.`);
+  };
+
+  return (
+    <div className="p-4">
+      <h2 className="text-2xl font-semibold mb-4">Disputes</h2>
+      {message && <p className="text-green-600 mb-3">{message}</p>}
+      {error && <p className="text-red-600 mb-3">{error}</p>}
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-[#3b82f6]"></div>
+        </div>
+      ) : !error && disputes.length === 0 ? (
+        <p className="text-gray-400">No disputes are waiting for a ruling.</p>
+      ) : (
+        <div className="space-y-6">
+          {disputes.map(dispute => (
+            <div key={dispute.id} className="bg-[#1e293b] rounded-xl p-6 shadow-lg border border-[#334155]">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <h3 className="text-lg font-semibold text-white">
+                  {dispute.bounty.repoOwner}/{dispute.bounty.repoName}#{dispute.bounty.issueNumber} · {formatBountyAmount(dispute.bounty.amount, dispute.bounty)}
+                </h3>
+                <span className="text-gray-400 text-xs">opened {new Date(dispute.createdAt).toLocaleString()}</span>
+              </div>
+              <p className="text-gray-400 text-sm mt-1">
+                Owner {dispute.bounty.owner?.githubUsername} · Hunter {dispute.bounty.claimer?.githubUsername || 'none'}
+                {dispute.bounty.contributions?.length > 1 && ` · ${dispute.bounty.contributions.length} funders`}
+                {' '}· disputed while {dispute.bountyStatus}
+              </p>
+              <p className="text-gray-300 mt-3 whitespace-pre-wrap">
+                <span className="text-white font-medium">{dispute.opener?.githubUsername}:</span> {dispute.reason}
+              </p>
+              <DisputeEvidence evidence={dispute.evidence || []} />
+              <RulingForm dispute={dispute} onResolved={handleResolved} />
+            </div>
+          ))}
+        </div>
+      )}
+      {!error && <EscrowReconciliation />}
+    </div>
+  );
+};
+
+export default Admin;
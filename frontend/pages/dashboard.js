@@ -1,7 +1,10 @@
 import React, { useEffect, useState } from 'react';
-import { fetchUserBounties } from '../api/bounty';
+import { fetchUserBounties, unclaimBounty } from '../api/bounty';
 import { fetchWallets } from '../api/wallet';
 import BountyList from '../components/BountyList';
+import BountyHistory from '../components/BountyHistory';
+import Milestones from '../components/Milestones';
+import Notifications from '../components/Notifications';
 import { useRouter } from 'next/router';
 import Link from 'next/link';
 
@@ -13,6 +16,9 @@ const Dashboard = () => {
   const [wallets, setWallets] = useState([]);
   const [defaultWallet, setDefaultWallet] = useState(null);
   const [walletLoading, setWalletLoading] = useState(true);
+  const [historyBountyId, setHistoryBountyId] = useState(null);
+  const [milestoneBountyId, setMilestoneBountyId] = useState(null);
+  const [unclaimError, setUnclaimError] = useState('');
 
   useEffect(() => {
     // Client-side only code
@@ -78,8 +84,41 @@ const Dashboard = () => {
     loadWallets();
   }, [router]);
 
+  // Give up a claim so someone else can work on the bounty
+  const handleUnclaim = async (bountyId) => {
+    if (!window.confirm('Give up your claim on this bounty? It will be open for others to claim.')) {
+      return;
+    }
+    setUnclaimError('');
+    try {
+      const res = await unclaimBounty(bountyId);
+      setUserBounties(prev => ({
+        ...prev,
+        claimed: prev.claimed.map(b => (b.id === bountyId ? { ...b, ...res.data.bounty } : b))
+      }));
+    } catch (err) {
+      setUnclaimError(err.response?.data?.error || 'Failed to unclaim bounty');
+    }
+  };
+
+  // Keep the posted list in sync after a milestone was released
+  const handleMilestoneApproved = (bounty, milestone) => {
+    setUserBounties(prev => ({
+      ...prev,
+      posted: prev.posted.map(b => (b.id === bounty.id ? {
+        ...b,
+        status: bounty.status,
+        milestones: b.milestones.map(m => (m.id === milestone.id ? { ...m, ...milestone } : m))
+      } : b))
+    }));
+  };
+
+  const milestoneBounty = userBounties.posted.find(b => b.id === milestoneBountyId);
+
   return (
     <div>
+      <Notifications />
+
       {/* Dashboard Header */}
       <div className="mb-8">
         <div className="bg-[#1e293b] rounded-xl p-6 shadow-lg border border-[#334155]">
@@ -212,6 +251,20 @@ const Dashboard = () => {
       
       {/* Bounties Sections */}
       <div className="space-y-8">
+        {historyBountyId && (
+          <BountyHistory bountyId={historyBountyId} onClose={() => setHistoryBountyId(null)} />
+        )}
+
+        {milestoneBounty && (
+          <Milestones
+            key={milestoneBounty.id}
+            bounty={milestoneBounty}
+            canApprove
+            onApproved={handleMilestoneApproved}
+            onClose={() => setMilestoneBountyId(null)}
+          />
+        )}
+
         <div>
           <div className="flex items-center justify-between mb-4">
             <h2 className="text-xl font-semibold text-white">Bounties You Posted</h2>
@@ -221,7 +274,14 @@ const Dashboard = () => {
               <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-[#3b82f6]"></div>
             </div>
           ) : (
-            <BountyList bounties={userBounties.posted} />
+            <BountyList
+              bounties={userBounties.posted}
+              actionName="History"
+              onAction={setHistoryBountyId}
+              secondaryActionName="Milestones"
+              onSecondaryAction={setMilestoneBountyId}
+              showSecondaryAction={b => b.milestones?.length > 0}
+            />
           )}
         </div>
 
@@ -234,7 +294,17 @@ const Dashboard = () => {
               <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-[#3b82f6]"></div>
             </div>
           ) : (
-            <BountyList bounties={userBounties.claimed} />
+            <>
+              {unclaimError && <p className="text-red-400 mb-3">{unclaimError}</p>}
+              <BountyList
+                bounties={userBounties.claimed}
+                actionName="History"
+                onAction={setHistoryBountyId}
+                secondaryActionName="Unclaim"
+                onSecondaryAction={handleUnclaim}
+                showSecondaryAction={b => b.status === 'CLAIMED'}
+              />
+            </>
           )}
         </div>
       </div>
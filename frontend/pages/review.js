@@ -1,13 +1,22 @@
 import React, { useEffect, useState } from 'react';
-import { fetchUserBounties, completeBounty } from '../api/bounty';
+import { fetchUserBounties, completeBounty, unclaimBounty, approveScheduledRelease } from '../api/bounty';
+import { formatBountyAmount } from '../../shared/money';
 import { useRouter } from 'next/router';
 import BountyList from '../components/BountyList';
+import FailedDeliveries from '../components/FailedDeliveries';
+import PayoutSplitForm from '../components/PayoutSplitForm';
+import Applications from '../components/Applications';
+import PayoutHoldSettings from '../components/PayoutHoldSettings';
 
 const Review = () => {
   const router = useRouter();
   const [claimedBounties, setClaimedBounties] = useState([]);
+  const [applicationBounties, setApplicationBounties] = useState([]);
   const [message, setMessage] = useState('');
   const [error, setError] = useState('');
+  const [releasingBounty, setReleasingBounty] = useState(null);
+  const [releasing, setReleasing] = useState(false);
+  const [approving, setApproving] = useState(null);
 
   useEffect(() => {
     if (!localStorage.getItem('token')) {
@@ -20,6 +29,7 @@ const Review = () => {
         const data = await fetchUserBounties();
         const pending = data.posted.filter(b => b.status === 'CLAIMED');
         setClaimedBounties(pending);
+        setApplicationBounties(data.posted.filter(b => b.status === 'OPEN' && b.requiresApplication));
       } catch {
         console.error('Failed to load claimed bounties');
       }
@@ -27,16 +37,73 @@ const Review = () => {
     loadPending();
   }, [router]);
 
-  const handleComplete = async (bountyId) => {
+  // Choose who gets paid before releasing the escrow
+  const handleRelease = (bountyId) => {
+    setReleasingBounty(claimedBounties.find(b => b.id === bountyId));
+  };
+
+  const handleComplete = async (split) => {
+    const bountyId = releasingBounty.id;
     setError('');
     setMessage('');
+    setReleasing(true);
     try {
-      await completeBounty(bountyId);
-      setMessage('Bounty marked as completed and paid out.');
+      const { data } = await completeBounty(bountyId, split);
+      setMessage(data.payouts?.length > 1
+        ? `Bounty marked as completed and split between ${data.payouts.length} recipients.`
+        : 'Bounty marked as completed and paid out.');
       // Remove bounty from list after completion
       setClaimedBounties(prev => prev.filter(b => b.id !== bountyId));
+      setReleasingBounty(null);
     } catch (err) {
       setError(err.response?.data?.error || 'Failed to complete bounty');
+    } finally {
+      setReleasing(false);
+    }
+  };
+
+  // Pay out a fix that is waiting for the end of the repository's review window
+  const handleApproveEarly = async (bountyId) => {
+    if (!window.confirm('Send this payout now instead of at the end of the review window?')) {
+      return;
+    }
+    setError('');
+    setMessage('');
+    setApproving(bountyId);
+    try {
+      const { data } = await approveScheduledRelease(bountyId);
+      setMessage(data.duplicate ? 'This payout had already been sent.' : 'Payout approved and sent.');
+      setClaimedBounties(prev => prev.filter(b => b.id !== bountyId));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to approve payout');
+    } finally {
+      setApproving(null);
+    }
+  };
+
+  const scheduledBounties = claimedBounties.filter(b => b.scheduledJobs?.length > 0);
+
+  // The bounty is now claimed by the accepted applicant and waits for their fix
+  const handleAccepted = (bountyId, { bounty, application }) => {
+    const accepted = applicationBounties.find(b => b.id === bountyId);
+    setApplicationBounties(prev => prev.filter(b => b.id !== bountyId));
+    setClaimedBounties(prev => [...prev, { ...accepted, ...bounty, claimer: application.user }]);
+    setMessage(`${application.user?.githubUsername} was accepted and now holds the claim; the other applicants were notified.`);
+  };
+
+  // Take the bounty back from an inactive hunter
+  const handleUnclaim = async (bountyId) => {
+    if (!window.confirm('Remove the hunter\'s claim? The bounty will be open for others to claim.')) {
+      return;
+    }
+    setError('');
+    setMessage('');
+    try {
+      await unclaimBounty(bountyId);
+      setMessage('Claim removed, the bounty is open again.');
+      setClaimedBounties(prev => prev.filter(b => b.id !== bountyId));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to unclaim bounty');
     }
   };
 
@@ -45,7 +112,57 @@ const Review = () => {
       <h2 className="text-2xl font-semibold mb-4">Review Bounty Submissions</h2>
       {message && <p className="text-green-600 mb-3">{message}</p>}
       {error && <p className="text-red-600 mb-3">{error}</p>}
-      <BountyList bounties={claimedBounties} actionName="Release" onAction={handleComplete} />
+      {applicationBounties.length > 0 && (
+        <div className="mb-8">
+          <h3 className="text-xl font-semibold mb-3">Applications</h3>
+          {applicationBounties.map(bounty => (
+            <Applications key={bounty.id} bounty={bounty} onAccepted={handleAccepted} />
+          ))}
+        </div>
+      )}
+      {scheduledBounties.length > 0 && (
+        <div className="mb-8">
+          <h3 className="text-xl font-semibold mb-2">Scheduled Payouts</h3>
+          <p className="text-gray-400 text-sm mb-3">
+            These fixes were merged and will be paid out when the review window ends. Reopen the issue on GitHub to stop a payout.
+          </p>
+          <ul className="space-y-2">
+            {scheduledBounties.map(bounty => (
+              <li key={bounty.id} className="flex flex-wrap items-center gap-3 p-3 bg-[#1e293b] rounded-lg border border-[#334155] text-sm">
+                <span className="text-gray-300 font-medium flex-1">
+                  {bounty.repoOwner}/{bounty.repoName}#{bounty.issueNumber} · {formatBountyAmount(bounty.amount, bounty)} to {bounty.claimer?.githubUsername}
+                </span>
+                <span className="text-gray-400">pays out {new Date(bounty.scheduledJobs[0].runAt).toLocaleString()}</span>
+                <button
+                  onClick={() => handleApproveEarly(bounty.id)}
+                  disabled={approving === bounty.id}
+                  className="px-4 py-2 bg-[#3b82f6] hover:bg-[#2563eb] text-white text-xs font-medium rounded-lg transition-colors duration-200 disabled:opacity-50"
+                >
+                  {approving === bounty.id ? 'Sending...' : 'Approve Now'}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      <BountyList
+        bounties={claimedBounties}
+        actionName="Release"
+        onAction={handleRelease}
+        secondaryActionName="Unclaim"
+        onSecondaryAction={handleUnclaim}
+      />
+      {releasingBounty && (
+        <PayoutSplitForm
+          key={releasingBounty.id}
+          bounty={releasingBounty}
+          onSubmit={handleComplete}
+          onCancel={() => setReleasingBounty(null)}
+          submitting={releasing}
+        />
+      )}
+      <PayoutHoldSettings />
+      <FailedDeliveries />
     </div>
   );
 };
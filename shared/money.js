@@ -0,0 +1,158 @@
+// Exact money math shared by the backend and the frontend.
+// Amounts are whole numbers of base units (18 decimals, like wei, unless the bounty's token
+// has other decimals): they are stored and sent
+// over the API as integer strings and computed with BigInt, so no amount is ever rounded by
+// floating point. Token amounts typed by people ("1.5") are parsed into base units once, at
+// the edge, and base units are formatted back into tokens only for display.
+// BigInt() rather than literals, which the frontend build may not target.
+
+// Decimals of the chain's native coin, and of amounts that do not say otherwise
+const DECIMALS = 18;
+
+// Base units per native coin
+const BASE = BigInt(`1${'0'.repeat(DECIMALS)}`);
+
+// Largest exponent accepted in "1e5"-style amounts, so a typed amount cannot expand into a huge string
+const MAX_EXPONENT = 100;
+
+const ZERO = BigInt(0);
+const HUNDRED_PERCENT = BigInt(100) * BASE;
+
+// Thrown for anything that is not an exact, non-negative amount
+class InvalidAmountError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidAmountError';
+  }
+}
+
+/**
+ * Parse a token amount ("1.5", "0.000000000000000001", "2e-3" or a number) into base units.
+ * Numbers are read from their shortest decimal form, so 0.1 is exactly 0.1 tokens.
+ * @param {string|number} tokens Token amount
+ * @param {number} [decimals] Decimals of the token
+ * @returns {bigint} Base units
+ * @throws {InvalidAmountError} If the amount is negative, not a decimal, has more decimals than the token
+ *   or an exponent beyond ±100
+ */
+function parseAmount(tokens, decimals = DECIMALS) {
+  const text = String(tokens ?? '').trim();
+  const match = /^\+?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(text);
+  if (!match || (!match[1] && !match[2])) {
+    throw new InvalidAmountError(`Invalid amount: ${tokens}. Must be a number that is not negative.`);
+  }
+
+  const exponent = parseInt(match[3] || '0', 10);
+  if (Math.abs(exponent) > MAX_EXPONENT) {
+    throw new InvalidAmountError(`Invalid amount: ${tokens}. The exponent must be between -${MAX_EXPONENT} and ${MAX_EXPONENT}.`);
+  }
+
+  // Shift the decimal point by the exponent, then by the token's decimals
+  const digits = `${match[1]}${match[2] || ''}`;
+  const point = match[1].length + exponent + decimals;
+  if (point < digits.length && /[^0]/.test(digits.slice(Math.max(point, 0)))) {
+    throw new InvalidAmountError(`Invalid amount: ${tokens}. At most ${decimals} decimals are supported.`);
+  }
+  if (point <= 0) {
+    return ZERO;
+  }
+  return BigInt(point < digits.length ? digits.slice(0, point) : digits.padEnd(point, '0'));
+}
+
+/**
+ * Read an amount already in base units: a stored integer string, a safe integer or a bigint
+ * @param {string|number|bigint} value Base units
+ * @returns {bigint} Base units
+ * @throws {InvalidAmountError} If the value is not a whole number of base units
+ */
+function toBaseUnits(value) {
+  if (typeof value === 'bigint') {
+    return value;
+  }
+  if (typeof value === 'number' ? Number.isSafeInteger(value) : /^-?\d+$/.test(String(value ?? '').trim())) {
+    return BigInt(typeof value === 'number' ? value : String(value).trim());
+  }
+  throw new InvalidAmountError(`Invalid amount in base units: ${value}`);
+}
+
+/**
+ * Format base units as a token amount without losing precision ("1.5")
+ * @param {string|number|bigint} baseUnits Base units
+ * @param {number} [decimals] Decimals of the token
+ * @returns {string} Token amount
+ */
+function formatAmount(baseUnits, decimals = DECIMALS) {
+  const value = toBaseUnits(baseUnits);
+  const negative = value < ZERO;
+  const absolute = negative ? -value : value;
+  const base = BigInt(`1${'0'.repeat(decimals)}`);
+  const fraction = decimals > 0 ? (absolute % base).toString().padStart(decimals, '0').replace(/0+$/, '') : '';
+  return `${negative ? '-' : ''}${absolute / base}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Format base units of a bounty's token with the token's symbol ("1.5 USDC")
+ * @param {string|number|bigint} baseUnits Base units
+ * @param {Object} bounty Bounty, or the { currency, tokenDecimals } of one
+ * @returns {string} Token amount and symbol
+ */
+function formatBountyAmount(baseUnits, bounty) {
+  return `${formatAmount(baseUnits, bounty.tokenDecimals ?? DECIMALS)} ${bounty.currency}`;
+}
+
+/**
+ * Add up amounts in base units
+ * @param {Array<string|number|bigint>} values Base units
+ * @returns {bigint} Total in base units
+ */
+function sumAmounts(values) {
+  return values.reduce((sum, value) => sum + toBaseUnits(value), ZERO);
+}
+
+/**
+ * Take a percentage of an amount, rounded down to the base unit
+ * @param {string|number|bigint} amount Base units
+ * @param {string|number} percent Percentage (0 to 100, up to 18 decimals)
+ * @returns {bigint} Base units
+ */
+function percentOf(amount, percent) {
+  const share = parseAmount(percent);
+  if (share > HUNDRED_PERCENT) {
+    throw new InvalidAmountError(`Invalid percentage: ${percent}. Must be at most 100.`);
+  }
+  return toBaseUnits(amount) * share / HUNDRED_PERCENT;
+}
+
+/**
+ * Divide an amount into shares proportional to weights. Every share is rounded down to the
+ * base unit and the last one absorbs what rounding left over, so the shares always add up to
+ * exactly the amount.
+ * @param {string|number|bigint} total Base units to divide
+ * @param {Array<string|number|bigint>} weights Weight per share (e.g. the amounts contributed)
+ * @returns {bigint[]} Base units per share, in the order of the weights
+ */
+function allocate(total, weights) {
+  const amount = toBaseUnits(total);
+  const parts = weights.map(toBaseUnits);
+  const totalWeight = parts.reduce((sum, weight) => sum + weight, ZERO);
+  if (parts.length === 0 || totalWeight <= ZERO || parts.some(weight => weight < ZERO)) {
+    throw new InvalidAmountError('Weights must not be negative and must add up to more than 0');
+  }
+
+  const shares = parts.map(weight => amount * weight / totalWeight);
+  shares[shares.length - 1] += amount - shares.reduce((sum, share) => sum + share, ZERO);
+  return shares;
+}
+
+module.exports = {
+  DECIMALS,
+  BASE,
+  InvalidAmountError,
+  parseAmount,
+  toBaseUnits,
+  formatAmount,
+  formatBountyAmount,
+  sumAmounts,
+  percentOf,
+  allocate
+};